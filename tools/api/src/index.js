@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const FileSystemScanner = require('lmay-generator/src/scanner');
+const LMAYGenerator = require('lmay-generator/src/generator');
+const LMAYValidator = require('lmay-validator');
+const {
+  LMAYError,
+  ConfigError,
+  NotFoundError,
+  ScanError,
+  GenerationError,
+  ValidationError,
+  UpdateError
+} = require('lmay-generator/src/errors');
+
+const DEFAULT_CONFIG_PATH = require.resolve('lmay-generator/config/default.json');
+
+/**
+ * Programmatic API of the LMAY tools. Functions never print, prompt or exit the
+ * process: they resolve with plain result objects and reject with LMAYError
+ * subclasses. Messages the tools would have printed are returned as `notices`.
+ *
+ * @typedef {Object} ConfigOptions
+ * @property {Object} [config] - overrides merged section by section into the default generator configuration
+ * @property {string} [configFile] - JSON configuration file, applied before `config`
+ *
+ * @typedef {Object} Tree
+ * @property {string} projectPath - absolute project path
+ * @property {Object} config - resolved generator configuration
+ * @property {Object} structure - scanned tree: { name, type, path, children, languageBreakdown, ... }
+ * @property {Object} analysis - { languages, frameworks, entryPoints, totalFiles, totalDirectories, ... }
+ * @property {string[]} notices
+ *
+ * @typedef {Object} GenerateResult
+ * @property {string} rootFile - absolute path of root.lmay
+ * @property {string[]} moduleFiles - absolute paths of the module files
+ * @property {Array<{file: string, path: string, reason: string, user: *, detected: *}>} conflicts - merge conflicts
+ * @property {Array<{file: string, tokens: number, exceeded: boolean, tradeoffs: string[]}>} [budget] - with tokenBudget
+ * @property {Array<{file: string, reason: 'missing'|'changed', diff: string}>} [stale] - with check
+ * @property {boolean} [upToDate] - with check: true when no file is stale
+ * @property {string[]} notices
+ *
+ * @typedef {Object} ValidateResult
+ * @property {boolean} valid
+ * @property {Array<{type: string, message: string, file?: string, path?: string}>} errors
+ * @property {Array<{type: string, message: string, file?: string, path?: string}>} warnings
+ * @property {Object} summary - error and warning counts per validation stage
+ * @property {string[]} notices
+ *
+ * @typedef {Object} Difference
+ * @property {string} type - new_file, removed_file, parse_error, framework_change, ...
+ * @property {string} file
+ * @property {string} description
+ * @property {string} severity
+ * @property {string} action - update applied by applyUpdates (add_documentation, update_frameworks, ...)
+ *
+ * @typedef {Object} DriftResult
+ * @property {boolean} drifted
+ * @property {Difference[]} differences
+ * @property {string[]} lmayFiles - LMAY files compared, relative to the project
+ * @property {string[]} notices
+ *
+ * @typedef {Object} UpdateResult
+ * @property {number} updated
+ * @property {string[]} changes - description of each applied update
+ * @property {Array<{file: string, action: string, error: string}>} errors - updates that failed
+ * @property {string} [backup] - backup directory, with backup
+ * @property {string[]} notices
+ */
+
+/**
+ * Scans a project and analyzes its structure
+ * @param {string} projectPath
+ * @param {ConfigOptions & {deterministic?: boolean, onProgress?: Function}} [options]
+ * @returns {Promise<Tree>}
+ */
+async function loadTree(projectPath, options = {}) {
+  const root = resolveDirectory(projectPath);
+  const config = resolveConfig(options);
+  if (options.deterministic || options.check) {
+    config.output.deterministic = true;
+  }
+
+  const { logger, notices } = createLogger();
+  const scanner = new FileSystemScanner({ ...config, logger });
+  let structure;
+  try {
+    structure = await scanner.scanDirectory(root, { onProgress: options.onProgress });
+  } catch (error) {
+    throw new ScanError(`Failed to scan ${root}: ${error.message}`, error);
+  }
+
+  if (!structure) {
+    throw new ScanError(`Failed to scan ${root}`);
+  }
+
+  return { projectPath: root, config, structure, analysis: scanner.analyzeStructure(structure), notices };
+}
+
+/**
+ * Generates the LMAY files of a project, or compares them with a fresh generation (check)
+ * @param {string} projectPath
+ * @param {ConfigOptions & {tree?: Tree, merge?: boolean, check?: boolean, deterministic?: boolean,
+ *   tokenBudget?: number, onProgress?: Function}} [options] - `tree` reuses a loadTree() result
+ *   (scan it with `deterministic` for check)
+ * @returns {Promise<GenerateResult>}
+ */
+async function generate(projectPath, options = {}) {
+  const tree = options.tree || await loadTree(projectPath, options);
+
+  const { logger, notices } = createLogger();
+
+  let result;
+  try {
+    const generator = new LMAYGenerator({ ...tree.config, logger });
+    result = await generator.generate(tree.projectPath, tree.structure, tree.analysis, {
+      merge: options.merge,
+      check: options.check,
+      deterministic: options.deterministic,
+      tokenBudget: options.tokenBudget
+    });
+  } catch (error) {
+    throw new GenerationError(`Failed to generate LMAY files: ${error.message}`, error);
+  }
+
+  return {
+    rootFile: result.rootFile,
+    moduleFiles: result.moduleFiles,
+    conflicts: result.conflicts,
+    budget: result.budget,
+    stale: result.stale,
+    upToDate: options.check ? result.stale.length === 0 : undefined,
+    notices: [...(options.tree ? [] : tree.notices), ...notices]
+  };
+}
+
+/**
+ * Validates an LMAY file, or a whole project when given a directory
+ * Invalid documentation is reported in the result, not thrown.
+ * @param {string} target - LMAY file or project directory
+ * @param {{rootFile?: string, strict?: boolean, checkReferences?: boolean, checkHierarchy?: boolean,
+ *   plugins?: boolean|string[]}} [options] - `plugins` runs the project plugins to validate their sections
+ * @returns {Promise<ValidateResult>}
+ */
+async function validate(target, options = {}) {
+  const targetPath = path.resolve(target);
+  if (!fs.existsSync(targetPath)) {
+    throw new NotFoundError(`No such file or directory: ${targetPath}`, targetPath);
+  }
+
+  const isProject = fs.statSync(targetPath).isDirectory();
+  const rootFile = options.rootFile || 'root.lmay';
+  if (isProject && !fs.existsSync(path.join(targetPath, rootFile))) {
+    throw new NotFoundError(`No ${rootFile} in ${targetPath}`, path.join(targetPath, rootFile));
+  }
+
+  const { logger, notices } = createLogger();
+
+  let result;
+  try {
+    const validator = new LMAYValidator({
+      strict: Boolean(options.strict),
+      checkReferences: options.checkReferences !== false,
+      checkHierarchy: options.checkHierarchy !== false,
+      plugins: options.plugins || false,
+      logger
+    });
+    result = isProject
+      ? await validator.validateProject(targetPath, rootFile)
+      : await validator.validateFile(targetPath);
+  } catch (error) {
+    throw new ValidationError(`Failed to validate ${targetPath}: ${error.message}`, error);
+  }
+
+  return { ...result, notices };
+}
+
+/**
+ * Compares the LMAY files of a project with its source files
+ * @param {string} projectPath
+ * @returns {Promise<DriftResult>}
+ */
+async function detectDrift(projectPath) {
+  const root = resolveDirectory(projectPath);
+  const { logger, notices } = createLogger();
+  const updater = loadUpdater(logger);
+
+  let lmayFiles;
+  let differences;
+  try {
+    lmayFiles = await updater.findLMAYFiles(root);
+    const currentState = await updater.analyzeCurrentState(root);
+    differences = await updater.detectDifferences(currentState, lmayFiles, root);
+  } catch (error) {
+    throw new UpdateError(`Failed to detect drift in ${root}: ${error.message}`, error);
+  }
+
+  return {
+    drifted: differences.length > 0,
+    differences,
+    lmayFiles: lmayFiles.map(file => file.relativePath),
+    notices
+  };
+}
+
+/**
+ * Updates the LMAY files of a project to match its source files
+ * @param {string} projectPath
+ * @param {{differences?: Difference[], backup?: boolean, autoFix?: boolean}} [options] - `differences`
+ *   from detectDrift() (detected when omitted); `autoFix` also rewrites unparsable LMAY files
+ * @returns {Promise<UpdateResult>}
+ */
+async function applyUpdates(projectPath, options = {}) {
+  const root = resolveDirectory(projectPath);
+  const drift = options.differences ? null : await detectDrift(root);
+  const differences = options.differences || drift.differences;
+  const { logger, notices } = createLogger();
+  const updater = loadUpdater(logger);
+
+  let backup;
+  let results;
+  try {
+    if (options.backup && differences.length > 0) {
+      const lmayFiles = await updater.findLMAYFiles(root);
+      if (lmayFiles.length > 0) backup = await updater.createBackup(root, lmayFiles);
+    }
+
+    results = await updater.applySyncUpdates(differences, root, { autoFix: options.autoFix });
+  } catch (error) {
+    throw new UpdateError(`Failed to apply updates in ${root}: ${error.message}`, error);
+  }
+
+  return {
+    updated: results.updated,
+    changes: results.changes,
+    errors: results.errors,
+    backup,
+    notices: [...(drift ? drift.notices : []), ...notices]
+  };
+}
+
+/**
+ * Default generator configuration, overridden by `configFile` then `config`
+ * @param {ConfigOptions} [options]
+ * @returns {Object}
+ */
+function resolveConfig(options = {}) {
+  let config = readJson(DEFAULT_CONFIG_PATH);
+
+  if (options.configFile) {
+    const configPath = path.resolve(options.configFile);
+    if (!fs.existsSync(configPath)) {
+      throw new ConfigError(`Configuration file not found: ${configPath}`);
+    }
+    config = mergeConfig(config, readJson(configPath));
+  }
+
+  if (options.config) {
+    config = mergeConfig(config, options.config);
+  }
+
+  if (!config.lmay || !config.analysis || !config.output) {
+    throw new ConfigError('Invalid LMAY configuration - missing required sections');
+  }
+
+  return config;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Invalid configuration file ${filePath}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Objects are merged key by key; arrays and other values replace the default
+ */
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function resolveDirectory(projectPath) {
+  const root = path.resolve(projectPath || process.cwd());
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new NotFoundError(`Project directory does not exist: ${root}`, root);
+  }
+  return root;
+}
+
+/**
+ * Logger handed to the tools for a single call: progress output is dropped,
+ * warnings and errors are collected as the call's notices
+ */
+function createLogger() {
+  const notices = [];
+  const collect = (...args) => notices.push(util.format(...args));
+  return { logger: { log() {}, info() {}, debug() {}, warn: collect, error: collect }, notices };
+}
+
+/**
+ * The updater is loaded on first use: generate and validate don't load its file watching and git dependencies
+ */
+function loadUpdater(logger) {
+  const AutoUpdater = require('lmay-updater');
+  return new AutoUpdater({ logger });
+}
+
+module.exports = {
+  loadTree,
+  generate,
+  validate,
+  detectDrift,
+  applyUpdates,
+  resolveConfig,
+  LMAYError,
+  ConfigError,
+  NotFoundError,
+  ScanError,
+  GenerationError,
+  ValidationError,
+  UpdateError
+};
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const lmay = require('../src');
+const { createProject } = require('./helpers');
+
+test('config overrides are merged section by section into the defaults', () => {
+  const root = createProject({ 'lmay.json': { output: { tokenBudget: 800 } } });
+
+  const config = lmay.resolveConfig({
+    configFile: path.join(root, 'lmay.json'),
+    config: { analysis: { excludePatterns: ['tmp'] } }
+  });
+
+  assert.strictEqual(config.output.tokenBudget, 800);
+  assert.deepStrictEqual(config.analysis.excludePatterns, ['tmp']);
+  assert.ok(config.lmay && config.structure);
+});
+
+test('a missing or unreadable configuration file rejects with ConfigError', () => {
+  const root = createProject({ 'broken.json': '{ output: ' });
+
+  assert.throws(() => lmay.resolveConfig({ configFile: path.join(root, 'missing.json') }),
+    error => error instanceof lmay.ConfigError && error.code === 'LMAY_CONFIG');
+  assert.throws(() => lmay.resolveConfig({ configFile: path.join(root, 'broken.json') }),
+    error => error instanceof lmay.ConfigError && error.cause instanceof SyntaxError);
+});
+
+test('a missing project directory rejects with NotFoundError', async () => {
+  const missing = path.join(createProject(), 'missing');
+
+  await assert.rejects(lmay.loadTree(missing),
+    error => error instanceof lmay.NotFoundError && error.code === 'LMAY_NOT_FOUND' && error.path === missing);
+  await assert.rejects(lmay.validate(createProject()), lmay.NotFoundError);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const lmay = require('../src');
+const { createProject } = require('./helpers');
+
+const project = (plugin = './lmay/missing.js') => createProject({
+  'lmay.config.json': { plugins: [plugin] },
+  'src/index.js': 'module.exports = {};\n'
+});
+
+test('generate writes the LMAY files and validate accepts them', async () => {
+  const root = project();
+
+  const result = await lmay.generate(root);
+  const report = await lmay.validate(root);
+
+  assert.ok(fs.existsSync(result.rootFile));
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(report.valid, true, JSON.stringify(report.errors));
+  assert.deepStrictEqual(report.notices, []);
+});
+
+test('tool warnings are returned as notices without printing', async t => {
+  const log = t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  const root = project();
+
+  const result = await lmay.generate(root);
+
+  assert.ok(result.notices.some(notice => notice.startsWith('Plugin introuvable: ./lmay/missing.js')));
+  assert.strictEqual(log.mock.callCount(), 0);
+  assert.strictEqual(warn.mock.callCount(), 0);
+});
+
+test('concurrent calls keep their notices apart', async () => {
+  const [first, second] = await Promise.all([
+    lmay.generate(project('./lmay/first.js')),
+    lmay.generate(project('./lmay/second.js'))
+  ]);
+
+  assert.ok(first.notices.some(notice => notice.includes('./lmay/first.js')));
+  assert.ok(!first.notices.some(notice => notice.includes('./lmay/second.js')));
+  assert.ok(second.notices.some(notice => notice.includes('./lmay/second.js')));
+  assert.ok(!second.notices.some(notice => notice.includes('./lmay/first.js')));
+});
+
+test('check reports stale files without writing them', async () => {
+  const root = project();
+  const tree = await lmay.loadTree(root, { deterministic: true });
+  const { rootFile } = await lmay.generate(root, { tree });
+
+  assert.strictEqual((await lmay.generate(root, { tree, check: true })).upToDate, true);
+
+  fs.writeFileSync(rootFile, fs.readFileSync(rootFile, 'utf8').replace(/^project:/m, 'project_:'));
+  const edited = fs.readFileSync(rootFile, 'utf8');
+  const check = await lmay.generate(root, { tree, check: true });
+
+  assert.strictEqual(check.upToDate, false);
+  assert.deepStrictEqual(check.stale.map(stale => stale.reason), ['changed']);
+  assert.strictEqual(fs.readFileSync(rootFile, 'utf8'), edited);
+});
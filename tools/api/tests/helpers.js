@@ -0,0 +1,25 @@
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const created = [];
+test.after(() => created.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Creates a temporary project (removed after the tests) from { relative path: content }
+ */
+function createProject(files = {}) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'lmay-api-')));
+  created.push(dir);
+
+  for (const [relative, content] of Object.entries(files)) {
+    const filePath = path.join(dir, relative);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+
+  return dir;
+}
+
+module.exports = { createProject };
@@ -0,0 +1,10 @@
+// Runs the tests/*.test.js files (node:test): node tests/run.js [filter]
+const fs = require('fs');
+const path = require('path');
+
+const filter = process.argv[2];
+
+fs.readdirSync(__dirname)
+  .filter(name => name.endsWith('.test.js') && (!filter || name.includes(filter)))
+  .sort()
+  .forEach(name => require(path.join(__dirname, name)));
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const AutoUpdater = require('lmay-updater');
+const lmay = require('../src');
+const { createProject } = require('./helpers');
+
+test('applyUpdates documents the drift found by detectDrift', async () => {
+  const root = createProject({ 'src/index.js': 'module.exports = {};\n' });
+  await lmay.generate(root);
+  await lmay.applyUpdates(root);
+  assert.strictEqual((await lmay.detectDrift(root)).drifted, false);
+
+  fs.writeFileSync(path.join(root, 'src/extra.js'), 'exports.extra = true;\n');
+  const drift = await lmay.detectDrift(root);
+
+  assert.strictEqual(drift.drifted, true);
+  assert.deepStrictEqual(drift.differences.map(difference => [difference.type, difference.file]), [['new_file', 'src/extra.js']]);
+  assert.deepStrictEqual(drift.lmayFiles, ['root.lmay']);
+
+  const result = await lmay.applyUpdates(root, { differences: drift.differences, backup: true });
+
+  assert.strictEqual(result.updated, 1);
+  assert.deepStrictEqual(result.errors, []);
+  assert.ok(fs.existsSync(result.backup));
+  assert.strictEqual((await lmay.detectDrift(root)).drifted, false);
+});
+
+test('updater commands reject with UpdateError instead of exiting', async t => {
+  const exit = t.mock.method(process, 'exit', () => {});
+  const messages = [];
+  const logger = { log() {}, warn() {}, error: (...args) => messages.push(args.join(' ')) };
+
+  await assert.rejects(new AutoUpdater({ logger }).manageConfig({ set: 'updateStrategy' }),
+    error => error instanceof lmay.UpdateError && error.code === 'LMAY_UPDATE');
+
+  assert.ok(messages.some(message => message.includes('Invalid format')));
+  assert.strictEqual(exit.mock.callCount(), 0);
+});
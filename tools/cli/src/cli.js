@@ -28,9 +28,12 @@ program
   .option('-c, --config <file>', 'Custom configuration file')
   .option('--dry-run', 'Show what would be generated without creating files')
   .option('--distributed', 'Enable distributed system scanning features')
-  .option('--scan-remote', 'Include remote server scanning (requires config)')
   .option('-f, --format <format>', 'Output format (yaml|json)', 'yaml')
   .option('--overwrite', 'Overwrite existing LMAY files')
+  .option('--merge', 'Merge with existing LMAY files, keeping hand-written content')
+  .option('--token-budget <n>', 'Maximum estimated tokens per LMAY file', value => parseInt(value, 10))
+  .option('--deterministic', 'Reproducible output: stable ordering and no time-dependent fields')
+  .option('--check', 'Exit non-zero with a diff if existing LMAY files are out of date (writes nothing)')
   .action(generateCommand);
 
 // Validate command
@@ -46,6 +49,7 @@ program
   .option('-f, --format <format>', 'Output format (text|json|sarif)', 'text')
   .option('-o, --output <file>', 'Save report to file')
   .option('--fix', 'Attempt automatic fixes for minor issues')
+  .option('--plugins [entries]', 'Load the project plugins to validate their sections (all, or comma-separated entries)')
   .option('--check-distributed', 'Enable distributed system validation')
   .option('--validate-topology', 'Validate network topology references')
   .option('--check-network-connectivity', 'Verify network connectivity in distributed systems')
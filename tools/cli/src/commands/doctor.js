@@ -3,6 +3,7 @@ const ora = require('ora');
 const path = require('path');
 const fs = require('fs-extra');
 const { execSync } = require('child_process');
+const IgnoreEngine = require('lmay-generator/src/ignore-engine');
 
 module.exports = async function doctorCommand(options) {
   const spinner = ora('Running LMAY diagnostics...').start();
@@ -205,26 +206,25 @@ async function checkLMAYInstallation(diagnostics, fixes) {
       });
     }
 
-    // Check for related tools
-    const generatorPath = path.join(__dirname, '../../../generator');
-    const validatorPath = path.join(__dirname, '../../../validator');
-    
-    if (!await fs.pathExists(generatorPath)) {
-      diagnostics.push({
-        category: 'installation',
-        level: 'error',
-        title: 'LMAY Generator missing',
-        description: 'Generator tool not found in tools directory'
-      });
-    }
-    
-    if (!await fs.pathExists(validatorPath)) {
-      diagnostics.push({
-        category: 'installation',
-        level: 'error',
-        title: 'LMAY Validator missing',
-        description: 'Validator tool not found in tools directory'  
-      });
+    // Check for related tools, resolved as the CLI loads them
+    const tools = [
+      { name: 'lmay', title: 'LMAY API missing', description: 'API package (tools/api) cannot be resolved' },
+      { name: 'lmay-generator', title: 'LMAY Generator missing', description: 'Generator package (tools/generator) cannot be resolved' },
+      { name: 'lmay-validator', title: 'LMAY Validator missing', description: 'Validator package (tools/validator) cannot be resolved' }
+    ];
+
+    for (const tool of tools) {
+      try {
+        require.resolve(tool.name);
+      } catch (error) {
+        diagnostics.push({
+          category: 'installation',
+          level: 'error',
+          title: tool.title,
+          description: tool.description,
+          fix: 'Run npm install in tools/cli'
+        });
+      }
     }
 
   } catch (error) {
@@ -295,10 +295,9 @@ async function checkProjectStructure(diagnostics, fixes) {
 async function checkLMAYFiles(diagnostics, fixes) {
   try {
     const cwd = process.cwd();
-    const lmayFiles = [];
-    
-    // Find LMAY files
-    await findLMAYFiles(cwd, lmayFiles);
+
+    // Find LMAY files, skipping what the generator ignores
+    const lmayFiles = IgnoreEngine.forProject(cwd).listFiles({ extensions: ['.lmay'] });
     
     if (lmayFiles.length === 0) {
       return; // Already handled in project structure check
@@ -370,32 +369,6 @@ async function checkLMAYFiles(diagnostics, fixes) {
   }
 }
 
-async function findLMAYFiles(directory, files, basePath = '') {
-  try {
-    const entries = await fs.readdir(directory);
-    
-    for (const entry of entries) {
-      if (entry.startsWith('.')) continue;
-      
-      const fullPath = path.join(directory, entry);
-      const stat = await fs.stat(fullPath);
-      
-      if (stat.isFile() && entry.endsWith('.lmay')) {
-        files.push(fullPath);
-      } else if (stat.isDirectory() && !shouldSkipDirectory(entry)) {
-        await findLMAYFiles(fullPath, files, path.join(basePath, entry));
-      }
-    }
-  } catch (error) {
-    // Ignore directory read errors
-  }
-}
-
-function shouldSkipDirectory(name) {
-  const skipDirs = ['node_modules', '.git', 'dist', 'build', '__pycache__'];
-  return skipDirs.includes(name);
-}
-
 async function checkConfiguration(diagnostics, fixes) {
   try {
     const configPaths = [
@@ -2,11 +2,7 @@ const chalk = require('chalk');
 const ora = require('ora');
 const path = require('path');
 const fs = require('fs-extra');
-
-// Import generator modules from the existing generator tool
-const FileSystemScanner = require('../../../generator/src/scanner');
-const DistributedScanner = require('../../../generator/src/distributed-scanner');
-const LMAYGenerator = require('../../../generator/src/generator');
+const lmay = require('lmay');
 
 module.exports = async function generateCommand(projectPath, options, command) {
   const spinner = ora('Initializing LMAY generation...').start();
@@ -32,50 +28,18 @@ module.exports = async function generateCommand(projectPath, options, command) {
 
     // Load configuration
     spinner.text = 'Loading configuration...';
-    const config = await loadConfig(options.config, opts.verbose);
-    
-    if (opts.verbose) {
-      spinner.info('Configuration loaded successfully');
-    }
+    const configFile = await findConfigFile(options.config, opts.verbose);
 
-    // Choose scanner based on options
-    let scanner;
-    if (options.distributed || options.scanRemote) {
-      spinner.text = 'Initializing distributed scanner...';
-      scanner = new DistributedScanner(config);
-      
-      if (opts.verbose) {
-        spinner.info('Using distributed system scanner');
-      }
-    } else {
-      spinner.text = 'Initializing file system scanner...';
-      scanner = new FileSystemScanner(config);
-      
-      if (opts.verbose) {
-        spinner.info('Using standard file system scanner');
-      }
-    }
-
-    // Scan project structure
+    // Scan and analyze project structure (deterministic also orders the scan)
     spinner.text = 'Analyzing project structure...';
-    let structure;
-    
-    if (options.distributed && options.scanRemote) {
-      // For distributed systems with remote scanning
-      structure = await scanner.scanAllSources();
-    } else {
-      // Standard directory scan
-      structure = await scanner.scanDirectory(inputPath);
-    }
-    
-    if (!structure) {
-      spinner.fail('Failed to analyze project structure');
-      process.exit(1);
-    }
-
-    // Analyze the structure
-    spinner.text = 'Processing analysis results...';
-    const analysis = scanner.analyzeStructure(structure);
+    const tree = await lmay.loadTree(inputPath, {
+      configFile,
+      deterministic: options.deterministic || options.check,
+      onProgress: ({ files, directories }) => {
+        spinner.text = `Analyzing project structure... ${files} files in ${directories} directories`;
+      }
+    });
+    const { config, analysis } = tree;
     
     if (opts.verbose) {
       spinner.succeed('Analysis completed:');
@@ -106,30 +70,52 @@ module.exports = async function generateCommand(projectPath, options, command) {
       return;
     }
 
-    // Check for existing files
+    // Check for existing files: merge keeps hand-written content, overwrite replaces it
     const rootFilePath = path.join(outputPath, config.output.rootFile);
-    if (await fs.pathExists(rootFilePath) && !options.overwrite) {
+    let merge = Boolean(options.merge);
+    if (!options.check && await fs.pathExists(rootFilePath) && !options.overwrite && !merge) {
       const answer = await require('inquirer').prompt([{
-        type: 'confirm',
-        name: 'overwrite',
-        message: `LMAY file exists at ${rootFilePath}. Overwrite?`,
-        default: false
+        type: 'list',
+        name: 'action',
+        message: `LMAY file exists at ${rootFilePath}. What do you want to do?`,
+        choices: [
+          { name: 'Merge (keep hand-written descriptions and custom sections)', value: 'merge' },
+          { name: 'Overwrite', value: 'overwrite' },
+          { name: 'Cancel', value: 'cancel' }
+        ],
+        default: 'merge'
       }]);
       
-      if (!answer.overwrite) {
+      if (answer.action === 'cancel') {
         spinner.info('Generation cancelled by user');
         return;
       }
+      merge = answer.action === 'merge';
     }
 
     // Generate LMAY files
-    spinner.start('Generating LMAY documentation...');
-    const generator = new LMAYGenerator(config);
-    const result = await generator.generate(outputPath, structure, analysis);
+    if (options.check) {
+      spinner.start('Checking LMAY documentation is up to date...');
+    } else {
+      spinner.start(merge ? 'Merging LMAY documentation...' : 'Generating LMAY documentation...');
+    }
+    // The files are written to the output directory, the scanned tree is reused as is
+    const result = await lmay.generate(outputPath, {
+      tree: { ...tree, projectPath: outputPath },
+      merge,
+      tokenBudget: options.tokenBudget,
+      deterministic: options.deterministic,
+      check: options.check
+    });
 
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
 
+    if (options.check) {
+      reportCheck(result, spinner, duration);
+      return;
+    }
+
     spinner.succeed('LMAY generation completed successfully!');
     
     // Display results
@@ -153,9 +139,32 @@ module.exports = async function generateCommand(projectPath, options, command) {
     console.log(`  2. Customize descriptions and metadata as needed`);
     console.log(`  3. Validate with: ${chalk.bold('lmay validate')}`);
     
-    if (result.warnings && result.warnings.length > 0) {
+    if (result.budget) {
+      const total = result.budget.reduce((sum, entry) => sum + entry.tokens, 0);
+      console.log(chalk.cyan(`\n🪙 Token budget: ${options.tokenBudget || config.output.tokenBudget} per file (estimated total: ${total})`));
+      result.budget
+        .filter(entry => entry.tradeoffs.length > 0 || entry.exceeded)
+        .forEach(entry => {
+          const status = entry.exceeded ? chalk.yellow('over budget') : chalk.green('fitted');
+          console.log(`  ${chalk.blue('→')} ${entry.file}: ${entry.tokens} tokens (${status})`);
+          entry.tradeoffs.forEach(tradeoff => console.log(`    • ${tradeoff}`));
+        });
+    }
+
+    if (result.conflicts && result.conflicts.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  Merge conflicts (${result.conflicts.length}), hand-written values kept:`));
+      result.conflicts.forEach(conflict => {
+        const detected = conflict.reason === 'removed'
+          ? 'no longer detected'
+          : `detected ${JSON.stringify(conflict.detected)}`;
+        console.log(`  • ${conflict.file}#${conflict.path} (${detected})`);
+      });
+    }
+
+    const notices = [...tree.notices, ...result.notices];
+    if (notices.length > 0) {
       console.log(chalk.yellow('\n⚠️  Warnings:'));
-      result.warnings.forEach(warning => {
+      notices.forEach(warning => {
         console.log(`  • ${warning}`);
       });
     }
@@ -173,54 +182,69 @@ module.exports = async function generateCommand(projectPath, options, command) {
   }
 };
 
-async function loadConfig(configPath, verbose) {
-  let config;
-  
+/**
+ * --check mode: print a colored unified diff for each stale file and exit 1 if any
+ */
+function reportCheck(result, spinner, duration) {
+  if (result.stale.length === 0) {
+    spinner.succeed(`LMAY documentation is up to date (${duration}s)`);
+    return;
+  }
+
+  spinner.fail(`${result.stale.length} LMAY file(s) out of date`);
+  result.stale.forEach(stale => {
+    console.log(`  ${chalk.red('✗')} ${stale.file}${stale.reason === 'missing' ? chalk.dim(' (missing)') : ''}`);
+  });
+
+  result.stale.forEach(stale => {
+    console.log('');
+    stale.diff.replace(/\n$/, '').split('\n').forEach(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        console.log(chalk.bold(line));
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line));
+      } else if (line.startsWith('+')) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith('-')) {
+        console.log(chalk.red(line));
+      } else {
+        console.log(line);
+      }
+    });
+  });
+
+  console.log(chalk.cyan(`\n💡 Regenerate with: ${chalk.bold('lmay generate --deterministic')}`));
+  process.exit(1);
+}
+
+/**
+ * Configuration file applied over the generator defaults: --config, else the
+ * project's lmay.config.json, else none
+ */
+async function findConfigFile(configPath, verbose) {
   if (configPath) {
-    // Custom configuration file
     const fullPath = path.resolve(configPath);
     
     if (!await fs.pathExists(fullPath)) {
       throw new Error(`Configuration file not found: ${fullPath}`);
     }
     
-    try {
-      const configContent = await fs.readFile(fullPath, 'utf8');
-      config = JSON.parse(configContent);
-      
-      if (verbose) {
-        console.log(`📝 Using custom config: ${fullPath}`);
-      }
-    } catch (error) {
-      throw new Error(`Invalid configuration file: ${error.message}`);
-    }
-  } else {
-    // Check for project config or use default
-    const projectConfig = path.join(process.cwd(), 'lmay.config.json');
-    
-    if (await fs.pathExists(projectConfig)) {
-      const configContent = await fs.readFile(projectConfig, 'utf8');
-      config = JSON.parse(configContent);
-      
-      if (verbose) {
-        console.log(`📝 Using project config: ${projectConfig}`);
-      }
-    } else {
-      // Load default configuration
-      const defaultConfigPath = path.join(__dirname, '../../../generator/config/default.json');
-      const configContent = await fs.readFile(defaultConfigPath, 'utf8');
-      config = JSON.parse(configContent);
-      
-      if (verbose) {
-        console.log('📝 Using default configuration');
-      }
+    if (verbose) {
+      console.log(`📝 Using custom config: ${fullPath}`);
     }
+    return fullPath;
   }
 
-  // Validate configuration structure
-  if (!config.lmay || !config.analysis || !config.output) {
-    throw new Error('Invalid LMAY configuration - missing required sections');
+  const projectConfig = path.join(process.cwd(), 'lmay.config.json');
+  if (await fs.pathExists(projectConfig)) {
+    if (verbose) {
+      console.log(`📝 Using project config: ${projectConfig}`);
+    }
+    return projectConfig;
   }
 
-  return config;
+  if (verbose) {
+    console.log('📝 Using default configuration');
+  }
+  return undefined;
 }
\ No newline at end of file
@@ -2,6 +2,8 @@ const chalk = require('chalk');
 const ora = require('ora');
 const path = require('path');
 const fs = require('fs-extra');
+const FrameworkDetector = require('lmay-generator/src/framework-detector');
+const IgnoreEngine = require('lmay-generator/src/ignore-engine');
 
 module.exports = async function statusCommand(projectPath, options) {
   const spinner = ora('Analyzing LMAY project status...').start();
@@ -35,6 +37,19 @@ module.exports = async function statusCommand(projectPath, options) {
     console.log(`${chalk.blue('Path:')} ${targetPath}`);
     console.log(`${chalk.blue('LMAY Status:')} ${analysis.hasLMAY ? chalk.green('Active') : chalk.red('Not initialized')}`);
 
+    if (analysis.frameworks.length > 0) {
+      const frameworkList = analysis.frameworks
+        .map(fw => `${fw.name} ${chalk.dim(`(${Math.round(fw.confidence * 100)}%)`)}`)
+        .join(', ');
+      console.log(`${chalk.blue('Frameworks:')} ${frameworkList}`);
+
+      if (process.env.LMAY_VERBOSE) {
+        analysis.frameworks.forEach(fw => {
+          fw.evidence.forEach(evidence => console.log(`  ${chalk.dim(`${fw.name}: ${evidence}`)}`));
+        });
+      }
+    }
+
     // LMAY files overview
     if (options.files || analysis.lmayFiles.length > 0) {
       console.log(chalk.cyan('\n📄 LMAY Files:'));
@@ -160,93 +175,66 @@ async function analyzeProject(projectPath) {
     directories: [],
     totalFiles: 0,
     languages: new Set(),
-    frameworks: new Set()
+    frameworks: [],
+    files: []
   };
 
+  // Same exclusions as the generator: .gitignore, .lmayignore and excludePatterns
+  const ignoreEngine = IgnoreEngine.forProject(projectPath);
+
+  // Scan directory structure
+  scanDirectory(ignoreEngine, analysis, projectPath);
+
   // Find all LMAY files
-  const lmayFiles = await findLMAYFiles(projectPath);
+  const lmayFiles = await findLMAYFiles(analysis.files, projectPath);
   analysis.lmayFiles = lmayFiles;
   analysis.hasLMAY = lmayFiles.length > 0;
 
-  // Scan directory structure
-  await scanDirectory(projectPath, analysis, '');
-
   // Convert sets to arrays
   analysis.languages = Array.from(analysis.languages);
-  analysis.frameworks = Array.from(analysis.frameworks);
+
+  // Detect frameworks with the generator's shared detector registry
+  const detector = new FrameworkDetector(await loadProjectConfig(projectPath));
+  analysis.frameworks = detector.detect(projectPath, analysis.files);
 
   return analysis;
 }
 
-async function findLMAYFiles(directory, basePath = '') {
-  const files = [];
-  
-  try {
-    const entries = await fs.readdir(directory);
-    
-    for (const entry of entries) {
-      const fullPath = path.join(directory, entry);
-      const relativePath = path.join(basePath, entry);
-      const stat = await fs.stat(fullPath);
-      
-      if (stat.isFile() && entry.endsWith('.lmay')) {
-        files.push({
-          path: relativePath,
-          size: stat.size,
-          modified: stat.mtime
-        });
-      } else if (stat.isDirectory() && !shouldSkipDirectory(entry)) {
-        const subFiles = await findLMAYFiles(fullPath, relativePath);
-        files.push(...subFiles);
-      }
+async function findLMAYFiles(files, projectPath) {
+  const lmayFiles = [];
+
+  for (const file of files.filter(file => file.endsWith('.lmay'))) {
+    try {
+      const stat = await fs.stat(file);
+      lmayFiles.push({
+        path: path.relative(projectPath, file),
+        size: stat.size,
+        modified: stat.mtime
+      });
+    } catch (error) {
+      // Ignore files removed during the scan
     }
-  } catch (error) {
-    // Ignore read errors for directories
   }
-  
-  return files;
+
+  return lmayFiles;
 }
 
-async function scanDirectory(directory, analysis, basePath) {
-  try {
-    const entries = await fs.readdir(directory);
-    
-    for (const entry of entries) {
-      const fullPath = path.join(directory, entry);
-      const relativePath = path.join(basePath, entry);
-      const stat = await fs.stat(fullPath);
-      
-      if (stat.isFile()) {
-        analysis.totalFiles++;
-        
-        // Detect language by extension
-        const ext = path.extname(entry).toLowerCase();
-        const language = getLanguageFromExtension(ext);
-        if (language) {
-          analysis.languages.add(language);
-        }
-        
-        // Detect frameworks from package files
-        if (['package.json', 'requirements.txt', 'pom.xml', 'Cargo.toml'].includes(entry)) {
-          const frameworks = await detectFrameworks(fullPath, entry);
-          frameworks.forEach(fw => analysis.frameworks.add(fw));
-        }
-        
-      } else if (stat.isDirectory() && !shouldSkipDirectory(entry)) {
-        analysis.directories.push(relativePath);
-        await scanDirectory(fullPath, analysis, relativePath);
-      }
+function scanDirectory(ignoreEngine, analysis, projectPath) {
+  analysis.directories = ignoreEngine.listDirectories()
+    .map(directory => path.relative(projectPath, directory));
+
+  for (const file of ignoreEngine.listFiles()) {
+    analysis.totalFiles++;
+    analysis.files.push(file);
+
+    // Detect language by extension
+    const language = getLanguageFromExtension(path.extname(file).toLowerCase());
+    if (language) {
+      analysis.languages.add(language);
     }
-  } catch (error) {
-    // Ignore read errors
   }
 }
 
-function shouldSkipDirectory(name) {
-  const skipDirs = ['.git', 'node_modules', '.vscode', '.idea', 'dist', 'build', '__pycache__'];
-  return skipDirs.includes(name) || name.startsWith('.');
-}
-
 function getLanguageFromExtension(ext) {
   const langMap = {
     '.js': 'javascript', '.ts': 'typescript', '.py': 'python',
@@ -256,27 +244,19 @@ function getLanguageFromExtension(ext) {
   return langMap[ext];
 }
 
-async function detectFrameworks(filePath, fileName) {
-  const frameworks = [];
-  
+async function loadProjectConfig(projectPath) {
+  // Custom framework detectors are declared in the project's lmay.config.json
+  const configPath = path.join(projectPath, 'lmay.config.json');
+
   try {
-    if (fileName === 'package.json') {
-      const content = await fs.readFile(filePath, 'utf8');
-      const pkg = JSON.parse(content);
-      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-      
-      Object.keys(deps).forEach(dep => {
-        if (['react', 'vue', 'angular', 'express', 'fastify', 'next'].includes(dep)) {
-          frameworks.push(dep);
-        }
-      });
+    if (await fs.pathExists(configPath)) {
+      return await fs.readJson(configPath);
     }
-    // Add more framework detection logic for other package managers
   } catch (error) {
-    // Ignore parsing errors
+    // Fall back to built-in detectors
   }
-  
-  return frameworks;
+
+  return {};
 }
 
 async function checkFileStatus(filePath) {
@@ -390,7 +370,7 @@ async function analyzeDependencies(projectPath, analysis) {
   const packagePatterns = ['package.json', 'requirements.txt', 'pom.xml', 'Cargo.toml'];
   
   for (const pattern of packagePatterns) {
-    const files = await findFiles(projectPath, pattern);
+    const files = analysis.files.filter(file => path.basename(file) === pattern);
     
     for (const file of files) {
       try {
@@ -425,32 +405,6 @@ async function analyzeDependencies(projectPath, analysis) {
   return deps;
 }
 
-async function findFiles(directory, pattern) {
-  const files = [];
-  
-  async function scan(dir) {
-    try {
-      const entries = await fs.readdir(dir);
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry);
-        const stat = await fs.stat(fullPath);
-        
-        if (stat.isFile() && entry === pattern) {
-          files.push(fullPath);
-        } else if (stat.isDirectory() && !shouldSkipDirectory(entry)) {
-          await scan(fullPath);
-        }
-      }
-    } catch (error) {
-      // Ignore scan errors
-    }
-  }
-  
-  await scan(directory);
-  return files;
-}
-
 async function countDependencies(filePath, fileName) {
   try {
     const content = await fs.readFile(filePath, 'utf8');
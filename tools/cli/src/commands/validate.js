@@ -2,9 +2,8 @@ const chalk = require('chalk');
 const ora = require('ora');
 const path = require('path');
 const fs = require('fs-extra');
-
-// Import validator modules from the existing validator tool
-const LMAYValidator = require('../../../validator/src/validator');
+const lmay = require('lmay');
+const { generateSARIFReport } = require('lmay-validator/src/sarif');
 
 module.exports = async function validateCommand(file, options, command) {
   const spinner = ora('Initializing LMAY validation...').start();
@@ -25,13 +24,10 @@ module.exports = async function validateCommand(file, options, command) {
       strict: options.strict || false,
       checkReferences: options.references !== false,
       checkHierarchy: options.hierarchy !== false,
-      distributed: options.checkDistributed || false,
-      validateTopology: options.validateTopology || false,
-      checkNetworkConnectivity: options.checkNetworkConnectivity || false,
-      includeInfrastructure: options.includeInfrastructure || false
+      plugins: typeof options.plugins === 'string'
+        ? options.plugins.split(',').map(entry => entry.trim()).filter(Boolean)
+        : Boolean(options.plugins)
     };
-
-    const validator = new LMAYValidator(validatorConfig);
     
     if (opts.verbose) {
       spinner.info('Validator configured with options:');
@@ -42,7 +38,7 @@ module.exports = async function validateCommand(file, options, command) {
       });
     }
 
-    let results;
+    let target;
     let targetPath;
     
     if (isProjectMode) {
@@ -58,7 +54,8 @@ module.exports = async function validateCommand(file, options, command) {
         spinner.info(`Root file: ${chalk.cyan(rootFile)}`);
       }
       
-      results = await validator.validateProject(projectPath, rootFile);
+      target = projectPath;
+      validatorConfig.rootFile = rootFile;
     } else {
       // Single file validation
       targetPath = path.resolve(file || 'root.lmay');
@@ -74,9 +71,11 @@ module.exports = async function validateCommand(file, options, command) {
         spinner.info(`File path: ${chalk.cyan(targetPath)}`);
       }
       
-      results = await validator.validateFile(targetPath);
+      target = targetPath;
     }
 
+    let results = await lmay.validate(target, validatorConfig);
+
     // Attempt automatic fixes if requested
     if (options.fix && results.warnings.length > 0) {
       spinner.text = 'Attempting automatic fixes...';
@@ -86,16 +85,13 @@ module.exports = async function validateCommand(file, options, command) {
         console.log(chalk.green(`🔧 Fixed ${fixedCount} issues automatically`));
         
         // Re-validate after fixes
-        if (isProjectMode) {
-          results = await validator.validateProject(path.dirname(targetPath), path.basename(targetPath));
-        } else {
-          results = await validator.validateFile(targetPath);
-        }
+        results = await lmay.validate(target, validatorConfig);
       }
     }
 
-    // Generate detailed report
-    const report = validator.generateDetailedReport();
+    // Generate detailed report (notices are the validator's own warnings, not findings)
+    const { notices, ...findings } = results;
+    const report = { ...findings, timestamp: new Date().toISOString(), options: validatorConfig };
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
 
@@ -113,6 +109,8 @@ module.exports = async function validateCommand(file, options, command) {
     console.log(`  ${chalk.blue('→')} Warnings: ${chalk.yellow(report.summary.total.warningCount)}`);
     console.log(`  ${chalk.blue('→')} Duration: ${duration}s`);
 
+    notices.forEach(notice => console.log(chalk.yellow(`  ⚠️  ${notice}`)));
+
     // Show validator breakdown in verbose mode
     if (opts.verbose && Object.keys(report.summary).length > 1) {
       console.log(chalk.cyan('\n🔍 Validator Breakdown:'));
@@ -346,10 +344,4 @@ function generateTextReport(report) {
   }
   
   return lines.join('\n');
-}
-
-function generateSARIFReport(report) {
-  // Reuse SARIF generation from existing validator
-  const { generateSARIFReport: existingSARIF } = require('../../../validator/src/cli');
-  return existingSARIF(report);
 }
\ No newline at end of file
@@ -0,0 +1,474 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const DependencyParser = require('./dependency-parser');
+
+// Ordre de préférence en cas d'égalité (du plus spécifique au plus générique)
+const PATTERN_ORDER = [
+  'Microservices', 'Serverless', 'Event-driven', 'Hexagonal', 'MVC',
+  'Layered', 'Component-based', 'Service-oriented', 'Monolithic'
+];
+
+// En dessous de ce score, le projet est considéré comme non structuré
+const MIN_CONFIDENCE = 0.3;
+const MAX_ALTERNATIVES = 3;
+const MAX_EVIDENCE = 5;
+
+// Profondeur maximale des répertoires pris en compte pour les conventions de nommage
+const MAX_DIRECTORY_DEPTH = 3;
+
+// Images docker-compose d'infrastructure (bases, brokers, proxys, observabilité)
+const INFRA_IMAGE_PATTERN = /postgres|mysql|mariadb|mongo|redis|valkey|elasticsearch|opensearch|kibana|cassandra|neo4j|couchdb|clickhouse|cockroach|dynamodb|influxdb|kafka|zookeeper|rabbitmq|nats|redpanda|pulsar|activemq|mosquitto|emqx|nginx|traefik|haproxy|envoy|caddy|prometheus|grafana|jaeger|zipkin|loki|minio|localstack|mailhog|adminer|consul|vault|keycloak/;
+const BROKER_IMAGE_PATTERN = /kafka|rabbitmq|nats|redpanda|pulsar|activemq|mosquitto|emqx/;
+
+// Bibliothèques de messagerie par écosystème (type de DependencyParser)
+const BROKER_PACKAGES = {
+  npm: [
+    'kafkajs', 'amqplib', 'amqp-connection-manager', '@nestjs/microservices', 'bull', 'bullmq',
+    'nats', 'mqtt', '@google-cloud/pubsub', '@aws-sdk/client-sqs', '@aws-sdk/client-sns',
+    '@aws-sdk/client-eventbridge', '@azure/service-bus', 'rhea', 'zeromq'
+  ],
+  pip: ['kafka-python', 'confluent-kafka', 'aiokafka', 'pika', 'aio-pika', 'celery', 'nats-py', 'kombu'],
+  maven: ['org.springframework.kafka:*', 'org.springframework.amqp:*', 'org.apache.kafka:*', 'com.rabbitmq:*'],
+  go: ['github.com/segmentio/kafka-go', 'github.com/streadway/amqp', 'github.com/rabbitmq/amqp091-go', 'github.com/nats-io/nats.go'],
+  gem: ['bunny', 'sneakers', 'ruby-kafka', 'karafka', 'sidekiq'],
+  cargo: ['rdkafka', 'lapin', 'async-nats']
+};
+
+const SERVERLESS_PACKAGES = {
+  npm: ['serverless', 'serverless-http', '@middy/core', '@types/aws-lambda', 'aws-lambda', '@netlify/functions', '@vercel/node', 'firebase-functions', '@azure/functions'],
+  pip: ['aws-lambda-powertools', 'mangum', 'chalice', 'zappa', 'functions-framework']
+};
+
+// Couches classiques d'une architecture en couches
+const LAYERS = {
+  presentation: ['presentation', 'ui', 'web', 'views', 'controllers', 'api', 'routes', 'handlers'],
+  business: ['business', 'domain', 'services', 'core', 'usecases', 'use-cases', 'application'],
+  data: ['data', 'dal', 'repositories', 'repository', 'persistence', 'dao', 'models', 'entities', 'db']
+};
+
+const MVC_FRAMEWORKS = ['rails', 'django', 'laravel', 'spring'];
+const COMPONENT_FRAMEWORKS = ['react', 'vue', 'angular', 'svelte', 'next', 'nuxt'];
+
+class ArchitectureDetector {
+  constructor(config = {}) {
+    this.config = config;
+    this.dependencyParser = new DependencyParser();
+  }
+
+  /**
+   * Infère le pattern architectural d'un projet par score d'indices
+   * Retourne { pattern, confidence, evidence, alternatives: [{ pattern, confidence, evidence }] }
+   */
+  detect(structure, analysis = {}) {
+    const context = this.createContext(structure, analysis);
+
+    const scored = [
+      ['Microservices', this.scoreMicroservices(context)],
+      ['Serverless', this.scoreServerless(context)],
+      ['Event-driven', this.scoreEventDriven(context)],
+      ['Hexagonal', this.scoreHexagonal(context)],
+      ['MVC', this.scoreMvc(context)],
+      ['Layered', this.scoreLayered(context)],
+      ['Component-based', this.scoreComponentBased(context)],
+      ['Service-oriented', this.scoreServiceOriented(context)],
+      ['Monolithic', this.scoreMonolithic(context)]
+    ]
+      .filter(([, evidence]) => evidence.length > 0)
+      .map(([pattern, evidence]) => ({
+        pattern,
+        confidence: this.computeConfidence(evidence),
+        evidence: evidence.map(item => item.detail).slice(0, MAX_EVIDENCE)
+      }))
+      .sort((a, b) => b.confidence - a.confidence ||
+        PATTERN_ORDER.indexOf(a.pattern) - PATTERN_ORDER.indexOf(b.pattern));
+
+    const [best, ...others] = scored;
+    const alternatives = others.slice(0, MAX_ALTERNATIVES);
+
+    if (!best || best.confidence < MIN_CONFIDENCE) {
+      return {
+        pattern: 'Unstructured',
+        confidence: undefined,
+        evidence: undefined,
+        alternatives: scored.length > 0 ? scored.slice(0, MAX_ALTERNATIVES) : undefined
+      };
+    }
+
+    return {
+      pattern: best.pattern,
+      confidence: best.confidence,
+      evidence: best.evidence,
+      alternatives: alternatives.length > 0 ? alternatives : undefined
+    };
+  }
+
+  /**
+   * Rassemble les faits utilisés par les fonctions de score
+   */
+  createContext(structure, analysis) {
+    const root = structure.path;
+    const files = [];
+    const directories = [];
+    this.collect(structure, root, files, directories, 0);
+
+    const relative = filePath => path.relative(root, filePath).split(path.sep).join('/');
+    // requirements/*.txt décrit le même projet que la racine
+    const manifests = files.filter(file =>
+      this.dependencyParser.canParse(file) && path.basename(path.dirname(file)) !== 'requirements'
+    );
+
+    const dependencies = [];
+    for (const manifest of manifests) {
+      try {
+        const { runtime, dev } = this.dependencyParser.parse(manifest);
+        [...runtime, ...dev].forEach(dep => dependencies.push({ ...dep, file: relative(manifest) }));
+      } catch (error) {
+        // Manifeste illisible : déjà signalé par l'extraction des dépendances
+      }
+    }
+
+    return {
+      root,
+      files,
+      relative,
+      directories,
+      directoryNames: new Set(directories.map(dir => dir.name)),
+      manifests,
+      dependencies,
+      frameworks: (analysis.frameworks || []).map(framework =>
+        typeof framework === 'string' ? framework : framework.name
+      ),
+      entryPoints: (analysis.entryPoints || []).map(entryPoint =>
+        typeof entryPoint === 'string' ? entryPoint : entryPoint.file
+      ),
+      workspace: analysis.workspace || null,
+      compose: this.readComposeServices(files, relative),
+      kubernetes: this.readKubernetesWorkloads(files, relative)
+    };
+  }
+
+  /**
+   * Parcourt la structure : tous les fichiers, répertoires jusqu'à MAX_DIRECTORY_DEPTH
+   */
+  collect(node, root, files, directories, depth) {
+    if (node.type === 'file') {
+      files.push(node.path);
+      return;
+    }
+
+    if (depth > 0 && depth <= MAX_DIRECTORY_DEPTH) {
+      directories.push({
+        name: node.name.toLowerCase(),
+        path: path.relative(root, node.path).split(path.sep).join('/')
+      });
+    }
+
+    (node.children || []).forEach(child => this.collect(child, root, files, directories, depth + 1));
+  }
+
+  /**
+   * Services déclarés dans les fichiers docker-compose
+   */
+  readComposeServices(files, relative) {
+    const services = [];
+
+    for (const file of files) {
+      if (!/^(docker-)?compose(\.[\w-]+)?\.ya?ml$/i.test(path.basename(file))) continue;
+
+      try {
+        const document = yaml.load(fs.readFileSync(file, 'utf8'));
+        const declared = (document && document.services) || {};
+
+        for (const [name, service] of Object.entries(declared)) {
+          const image = service && typeof service.image === 'string' ? service.image.toLowerCase() : '';
+          services.push({
+            name,
+            file: relative(file),
+            isBroker: BROKER_IMAGE_PATTERN.test(image),
+            isApplication: Boolean(service && service.build) || (image !== '' && !INFRA_IMAGE_PATTERN.test(image))
+          });
+        }
+      } catch (error) {
+        // docker-compose invalide : ignoré
+      }
+    }
+
+    return services;
+  }
+
+  /**
+   * Workloads Kubernetes (Deployment, StatefulSet, DaemonSet)
+   */
+  readKubernetesWorkloads(files, relative) {
+    const workloads = [];
+
+    for (const file of files) {
+      if (!/\.ya?ml$/i.test(file)) continue;
+
+      let content;
+      try {
+        content = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        continue;
+      }
+      if (!/^kind:\s*(Deployment|StatefulSet|DaemonSet)\b/m.test(content)) continue;
+
+      try {
+        for (const document of yaml.loadAll(content)) {
+          if (document && ['Deployment', 'StatefulSet', 'DaemonSet'].includes(document.kind)) {
+            const name = (document.metadata && document.metadata.name) || path.basename(file, path.extname(file));
+            workloads.push({ name, file: relative(file) });
+          }
+        }
+      } catch (error) {
+        // Manifeste templaté (Helm) ou invalide : ignoré
+      }
+    }
+
+    return workloads;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fonctions de score : chacune retourne une liste d'indices { detail, weight }
+  // ---------------------------------------------------------------------------
+
+  scoreMicroservices(context) {
+    const evidence = [];
+
+    const applications = context.compose.filter(service => service.isApplication);
+    if (applications.length >= 2) {
+      evidence.push({
+        weight: applications.length >= 3 ? 0.7 : 0.5,
+        detail: `${applications[0].file}: ${applications.length} application services (${this.list(applications.map(service => service.name))})`
+      });
+    }
+
+    const workloads = [...new Set(context.kubernetes.map(workload => workload.name))];
+    if (workloads.length >= 2) {
+      evidence.push({
+        weight: workloads.length >= 3 ? 0.6 : 0.4,
+        detail: `Kubernetes: ${workloads.length} workloads (${this.list(workloads)})`
+      });
+    }
+
+    // Dans un monorepo, un manifeste par paquet ne désigne pas forcément un service
+    const serviceDirs = this.distinctDirectories(context, context.manifests).filter(dir => dir !== '');
+    if (serviceDirs.length >= 2 && !context.workspace) {
+      evidence.push({
+        weight: 0.3,
+        detail: `${serviceDirs.length} directories with their own manifest (${this.list(serviceDirs)})`
+      });
+    }
+
+    const dockerDirs = this.distinctDirectories(
+      context,
+      context.files.filter(file => /^Dockerfile(\..+)?$/.test(path.basename(file)))
+    );
+    if (dockerDirs.length >= 2) {
+      evidence.push({
+        weight: 0.4,
+        detail: `${dockerDirs.length} Dockerfiles (${this.list(dockerDirs.map(dir => dir || '.'))})`
+      });
+    }
+
+    const servicesRoot = context.directories.find(dir =>
+      ['services', 'microservices'].includes(dir.name) && !dir.path.includes('/')
+    );
+    if (servicesRoot && serviceDirs.some(dir => dir.startsWith(`${servicesRoot.path}/`))) {
+      evidence.push({ weight: 0.3, detail: `directory ${servicesRoot.path}/ groups independent services` });
+    }
+
+    return evidence;
+  }
+
+  scoreServerless(context) {
+    const evidence = [];
+
+    const serverlessConfig = context.files.find(file => /^serverless\.(ya?ml|ts|js|json)$/.test(path.basename(file)));
+    if (serverlessConfig) {
+      evidence.push({ weight: 0.7, detail: `file ${context.relative(serverlessConfig)}` });
+    }
+
+    for (const file of context.files) {
+      const name = path.basename(file);
+      if (['template.yaml', 'template.yml'].includes(name) && this.fileContains(file, /AWS::Serverless::/)) {
+        evidence.push({ weight: 0.6, detail: `AWS SAM template ${context.relative(file)}` });
+      } else if (['netlify.toml', 'vercel.json', 'firebase.json', 'host.json'].includes(name)) {
+        evidence.push({ weight: 0.3, detail: `file ${context.relative(file)}` });
+      }
+    }
+
+    const functionDirs = context.directories.filter(dir => ['functions', 'lambdas', 'lambda'].includes(dir.name));
+    if (functionDirs.length > 0) {
+      evidence.push({ weight: 0.3, detail: `directory ${functionDirs[0].path}/` });
+    }
+
+    evidence.push(...this.matchPackages(context, SERVERLESS_PACKAGES, 0.3, 2));
+
+    return evidence;
+  }
+
+  scoreEventDriven(context) {
+    const evidence = this.matchPackages(context, BROKER_PACKAGES, 0.4, 2);
+
+    const brokers = context.compose.filter(service => service.isBroker);
+    if (brokers.length > 0) {
+      evidence.push({
+        weight: 0.4,
+        detail: `${brokers[0].file}: message broker (${this.list(brokers.map(service => service.name))})`
+      });
+    }
+
+    const eventDirs = context.directories
+      .filter(dir => ['events', 'subscribers', 'listeners', 'consumers', 'producers', 'sagas', 'messaging'].includes(dir.name))
+      .slice(0, 2);
+    eventDirs.forEach(dir => evidence.push({ weight: 0.2, detail: `directory ${dir.path}/` }));
+
+    return evidence;
+  }
+
+  scoreHexagonal(context) {
+    const evidence = [];
+    const has = name => context.directoryNames.has(name);
+
+    if (has('ports') && has('adapters')) {
+      evidence.push({ weight: 0.7, detail: 'ports/ and adapters/ directories' });
+    } else if (has('ports') || has('adapters')) {
+      evidence.push({ weight: 0.3, detail: `${has('ports') ? 'ports' : 'adapters'}/ directory` });
+    }
+
+    if ((has('inbound') && has('outbound')) || (has('driving') && has('driven'))) {
+      evidence.push({ weight: 0.3, detail: has('inbound') ? 'inbound/ and outbound/ adapters' : 'driving/ and driven/ adapters' });
+    }
+
+    if (has('domain') && has('infrastructure') && has('application')) {
+      evidence.push({ weight: 0.3, detail: 'domain/, application/ and infrastructure/ directories' });
+    }
+
+    return evidence;
+  }
+
+  scoreMvc(context) {
+    const evidence = [];
+    const parts = ['model', 'view', 'controller'].filter(part =>
+      context.directories.some(dir => dir.name.includes(part))
+    );
+
+    if (parts.length === 3) {
+      evidence.push({ weight: 0.6, detail: 'models, views and controllers directories' });
+    } else if (parts.length === 2) {
+      evidence.push({ weight: 0.3, detail: `${parts.map(part => `${part}s`).join(' and ')} directories` });
+    }
+
+    const framework = context.frameworks.find(name => MVC_FRAMEWORKS.includes(name));
+    if (framework && parts.length > 0) {
+      evidence.push({ weight: 0.3, detail: `MVC framework ${framework}` });
+    }
+
+    return evidence;
+  }
+
+  scoreLayered(context) {
+    const found = Object.entries(LAYERS)
+      .map(([layer, names]) => [layer, context.directories.find(dir => names.includes(dir.name))])
+      .filter(([, dir]) => dir);
+
+    if (found.length < 2) return [];
+
+    return [{
+      weight: found.length === 3 ? 0.5 : 0.3,
+      detail: `layers ${found.map(([layer, dir]) => `${layer} (${dir.path}/)`).join(', ')}`
+    }];
+  }
+
+  scoreComponentBased(context) {
+    const evidence = [];
+
+    const componentDir = context.directories.find(dir => dir.name.includes('component'));
+    if (componentDir) {
+      evidence.push({ weight: 0.4, detail: `directory ${componentDir.path}/` });
+    }
+
+    const framework = context.frameworks.find(name => COMPONENT_FRAMEWORKS.includes(name));
+    if (framework) {
+      evidence.push({ weight: 0.3, detail: `component framework ${framework}` });
+    }
+
+    return evidence;
+  }
+
+  scoreServiceOriented(context) {
+    const serviceDir = context.directories.find(dir => dir.name.includes('service'));
+    return serviceDir ? [{ weight: 0.35, detail: `directory ${serviceDir.path}/` }] : [];
+  }
+
+  scoreMonolithic(context) {
+    const manifestDirs = this.distinctDirectories(context, context.manifests);
+    if (manifestDirs.length !== 1 || manifestDirs[0] !== '') return [];
+
+    const evidence = [{ weight: 0.2, detail: 'single manifest at the project root' }];
+    if (context.entryPoints.length === 1) {
+      evidence.push({ weight: 0.15, detail: `single entry point ${context.relative(context.entryPoints[0])}` });
+    }
+
+    return evidence;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Utilitaires
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Indices pour les dépendances appartenant à une liste de paquets (au plus `limit`)
+   */
+  matchPackages(context, packages, weight, limit) {
+    const matched = new Map();
+
+    for (const dep of context.dependencies) {
+      const names = packages[dep.type] || [];
+      const isMatch = names.some(name =>
+        name.endsWith('*') ? dep.name.startsWith(name.slice(0, -1)) : dep.name === name
+      );
+      if (isMatch && !matched.has(dep.name)) {
+        matched.set(dep.name, { weight, detail: `dependency ${dep.name} (${dep.file})` });
+      }
+    }
+
+    return [...matched.values()].slice(0, limit);
+  }
+
+  /**
+   * Répertoires distincts (relatifs) contenant les fichiers donnés
+   */
+  distinctDirectories(context, files) {
+    return [...new Set(files.map(file => path.dirname(context.relative(file)).replace(/^\.$/, '')))].sort();
+  }
+
+  fileContains(filePath, regex) {
+    try {
+      return regex.test(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Combine les poids des indices (probabilités indépendantes) en un score entre 0 et 1
+   */
+  computeConfidence(evidence) {
+    const doubt = evidence.reduce((product, item) => product * (1 - item.weight), 1);
+    return Math.round((1 - doubt) * 100) / 100;
+  }
+
+  /**
+   * Liste abrégée pour les messages d'indices
+   */
+  list(names, max = 4) {
+    return names.length > max
+      ? `${names.slice(0, max).join(', ')}, +${names.length - max}`
+      : names.join(', ');
+  }
+}
+
+module.exports = ArchitectureDetector;
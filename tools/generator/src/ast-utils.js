@@ -0,0 +1,70 @@
+/**
+ * Utilitaires communs aux analyseurs d'AST Babel (routes, CLI, bases de données,
+ * imports, métriques, patterns)
+ */
+
+// Propriétés d'un nœud qui ne contiennent pas de nœuds enfants à parcourir
+const IGNORED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+/**
+ * Appelle `callback` sur chaque nœud enfant direct d'un nœud
+ */
+function forEachChild(node, callback) {
+  for (const [key, value] of Object.entries(node)) {
+    if (IGNORED_KEYS.has(key) || !value || typeof value !== 'object') continue;
+
+    if (Array.isArray(value)) {
+      value.forEach(child => callback(child));
+    } else {
+      callback(value);
+    }
+  }
+}
+
+/**
+ * Parcourt l'AST en profondeur ; le visiteur reçoit chaque nœud et la liste de ses
+ * ancêtres (du plus éloigné au parent direct)
+ */
+function walk(node, visitor, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+
+  visitor(node, ancestors);
+  ancestors.push(node);
+  forEachChild(node, child => walk(child, visitor, ancestors));
+  ancestors.pop();
+}
+
+/**
+ * Retourne la source d'un require('x'), éventuellement appelé ou suivi d'un accès membre
+ */
+function getRequireSource(node) {
+  let current = node;
+  while (current && current.type === 'MemberExpression') {
+    current = current.object;
+  }
+
+  if (current &&
+      current.type === 'CallExpression' &&
+      current.callee.type === 'Identifier' &&
+      current.callee.name === 'require' &&
+      current.arguments[0] &&
+      current.arguments[0].type === 'StringLiteral') {
+    return current.arguments[0].value;
+  }
+
+  return null;
+}
+
+/**
+ * Retourne la valeur d'une chaîne littérale ou d'un template sans expression
+ */
+function getStringValue(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+module.exports = { forEachChild, walk, getRequireSource, getStringValue };
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const { walk, getRequireSource, getStringValue } = require('./ast-utils');
+
+const CLI_PACKAGES = ['commander', 'yargs', 'yargs/yargs'];
+
+class CLIDetector {
+  /**
+   * @param {ComponentExtractor} parser - fournit parseFile() et supports()
+   */
+  constructor(config, parser) {
+    this.config = config;
+    this.parser = parser;
+    this.cache = new Map();
+  }
+
+  /**
+   * Détecte les programmes CLI d'un projet
+   * - binaires déclarés dans les champs `bin` des package.json
+   * - programmes commander/yargs non référencés par un `bin`
+   * Retourne une liste de { name, file, description, commands, options }
+   */
+  detect(filePaths, packageJsonFiles) {
+    const programs = [];
+    const claimedFiles = new Set();
+
+    for (const packageJsonFile of packageJsonFiles) {
+      for (const bin of this.readBinEntries(packageJsonFile)) {
+        claimedFiles.add(bin.file);
+        const program = this.analyzeFile(bin.file) || { commands: [], options: [] };
+        programs.push({ ...program, name: bin.name, file: bin.file });
+      }
+    }
+
+    for (const filePath of filePaths) {
+      if (claimedFiles.has(filePath) || !this.parser.supports(filePath)) continue;
+
+      const program = this.analyzeFile(filePath);
+      if (program) {
+        programs.push({ ...program, file: filePath });
+      }
+    }
+
+    return programs;
+  }
+
+  /**
+   * Lit les binaires déclarés dans un package.json
+   */
+  readBinEntries(packageJsonFile) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(packageJsonFile, 'utf8'));
+      const packageDir = path.dirname(packageJsonFile);
+
+      if (typeof packageJson.bin === 'string') {
+        const name = (packageJson.name || path.basename(packageDir)).replace(/^@[^/]+\//, '');
+        return [{ name, file: path.resolve(packageDir, packageJson.bin) }];
+      }
+
+      if (packageJson.bin && typeof packageJson.bin === 'object') {
+        return Object.entries(packageJson.bin).map(([name, file]) => ({
+          name,
+          file: path.resolve(packageDir, file)
+        }));
+      }
+    } catch (error) {
+      // package.json illisible : déjà signalé par l'extraction des dépendances
+    }
+
+    return [];
+  }
+
+  /**
+   * Analyse un fichier à la recherche d'un programme commander ou yargs
+   */
+  analyzeFile(filePath) {
+    if (this.cache.has(filePath)) {
+      return this.cache.get(filePath);
+    }
+
+    let program = null;
+
+    try {
+      const source = fs.readFileSync(filePath, 'utf8');
+      // Pré-filtre textuel pour éviter de parser les fichiers sans bibliothèque CLI
+      if (/['"](commander|yargs)(\/yargs)?['"]/.test(source)) {
+        const ast = this.parser.parseFile(filePath);
+        program = ast ? this.analyzeAst(ast) : null;
+      }
+    } catch (error) {
+      program = null;
+    }
+
+    this.cache.set(filePath, program);
+    return program;
+  }
+
+  /**
+   * Reconstruit le programme à partir des chaînes d'appels commander/yargs
+   */
+  analyzeAst(ast) {
+    const context = {
+      library: null,
+      programNames: new Set(),   // instances commander (program)
+      commandClasses: new Set(), // constructeurs Command importés
+      yargsNames: new Set(),
+      commandVariables: new Map(), // variable → commande commander
+      program: { name: undefined, description: undefined, commands: [], options: [] }
+    };
+
+    walk(ast.program, (node, ancestors) => {
+      this.collectBinding(node, context);
+
+      if (node.type === 'CallExpression' && this.isChainTop(node, ancestors)) {
+        const parent = ancestors[ancestors.length - 1];
+        const declaredName = parent && parent.type === 'VariableDeclarator' && parent.init === node &&
+          parent.id.type === 'Identifier' ? parent.id.name : null;
+        this.processChain(node, declaredName, context);
+      }
+    });
+
+    if (!context.library) return null;
+
+    const { program } = context;
+    if (program.commands.length === 0 && program.options.length === 0 && !program.description) {
+      return null;
+    }
+
+    return { library: context.library, ...program };
+  }
+
+  /**
+   * Vérifie qu'un appel est le dernier maillon de sa chaîne (a.b().c() → c)
+   */
+  isChainTop(node, ancestors) {
+    const parent = ancestors[ancestors.length - 1];
+    const grandParent = ancestors[ancestors.length - 2];
+
+    return !(parent &&
+      parent.type === 'MemberExpression' &&
+      parent.object === node &&
+      grandParent &&
+      grandParent.type === 'CallExpression' &&
+      grandParent.callee === parent);
+  }
+
+  /**
+   * Enregistre les imports de commander/yargs et les instances créées
+   */
+  collectBinding(node, context) {
+    if (node.type === 'ImportDeclaration' && CLI_PACKAGES.includes(node.source.value)) {
+      for (const specifier of node.specifiers) {
+        this.registerBinding(node.source.value, specifier.imported ? specifier.imported.name : null,
+          specifier.local.name, context);
+      }
+      return;
+    }
+
+    if (node.type !== 'VariableDeclarator' || !node.init) return;
+
+    const source = getRequireSource(node.init);
+    if (source && CLI_PACKAGES.includes(source)) {
+      if (node.id.type === 'Identifier') {
+        // require('commander').program, require('yargs')(...)
+        const member = node.init.type === 'MemberExpression' ? node.init.property.name : null;
+        this.registerBinding(source, member, node.id.name, context);
+      } else if (node.id.type === 'ObjectPattern') {
+        for (const property of node.id.properties) {
+          if (property.key && property.value && property.value.type === 'Identifier') {
+            this.registerBinding(source, property.key.name, property.value.name, context);
+          }
+        }
+      }
+      return;
+    }
+
+    // const program = new Command() / new commander.Command()
+    if (node.init.type === 'NewExpression' && node.id.type === 'Identifier') {
+      const callee = node.init.callee;
+      const isCommand = (callee.type === 'Identifier' && context.commandClasses.has(callee.name)) ||
+        (callee.type === 'MemberExpression' && callee.property.name === 'Command' &&
+         callee.object.type === 'Identifier' && context.programNames.has(callee.object.name));
+
+      if (isCommand) {
+        context.programNames.add(node.id.name);
+        context.library = 'commander';
+      }
+    }
+  }
+
+  /**
+   * Associe un nom local à un export de commander ou yargs
+   */
+  registerBinding(source, importedName, localName, context) {
+    if (source === 'commander') {
+      if (importedName === 'Command') {
+        context.commandClasses.add(localName);
+      } else if (!importedName || importedName === 'program' || importedName === 'default') {
+        context.programNames.add(localName);
+      }
+      return;
+    }
+
+    if (!importedName || importedName === 'default' || importedName === 'argv') {
+      context.yargsNames.add(localName);
+    }
+  }
+
+  /**
+   * Déroule une chaîne d'appels et l'applique au programme détecté
+   */
+  processChain(node, declaredName, context) {
+    const calls = [];
+    let current = node;
+
+    while (current.type === 'CallExpression' && current.callee.type === 'MemberExpression' && !current.callee.computed) {
+      calls.unshift({ method: current.callee.property.name, args: current.arguments });
+      current = current.callee.object;
+    }
+
+    if (calls.length === 0) return;
+
+    const root = this.identifyRoot(current, context);
+    if (!root) return;
+
+    context.library = context.library || root.library;
+
+    let target = root.command || null;
+    for (const call of calls) {
+      target = root.library === 'commander'
+        ? this.applyCommanderCall(call, target, context.program)
+        : this.applyYargsCall(call, target, context.program);
+    }
+
+    if (declaredName && target) {
+      context.commandVariables.set(declaredName, target);
+    }
+  }
+
+  /**
+   * Identifie la racine d'une chaîne : program commander, variable de commande ou yargs
+   */
+  identifyRoot(node, context) {
+    if (node.type === 'Identifier') {
+      if (context.programNames.has(node.name)) return { library: 'commander' };
+      if (context.commandVariables.has(node.name)) {
+        return { library: 'commander', command: context.commandVariables.get(node.name) };
+      }
+      if (context.yargsNames.has(node.name)) return { library: 'yargs' };
+      return null;
+    }
+
+    // yargs(hideBin(process.argv)) ou require('yargs')(...)
+    if (node.type === 'CallExpression') {
+      const callee = node.callee;
+      if (callee.type === 'Identifier' && context.yargsNames.has(callee.name)) return { library: 'yargs' };
+
+      const source = getRequireSource(callee) || getRequireSource(node);
+      if (source === 'yargs' || source === 'yargs/yargs') return { library: 'yargs' };
+      if (source === 'commander') return { library: 'commander' };
+    }
+
+    // new Command('name').option(...)
+    if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && context.commandClasses.has(node.callee.name)) {
+      return { library: 'commander' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Applique un appel commander ; retourne la commande courante (null = programme)
+   */
+  applyCommanderCall(call, command, program) {
+    const target = command || program;
+    const firstArg = getStringValue(call.args[0]);
+
+    switch (call.method) {
+      case 'command': {
+        if (firstArg === null) return command;
+        const newCommand = this.createCommand(firstArg, getStringValue(call.args[1]));
+        const siblings = command ? (command.commands = command.commands || []) : program.commands;
+        siblings.push(newCommand);
+        return newCommand;
+      }
+      case 'name':
+        if (firstArg !== null) target.name = firstArg;
+        return command;
+      case 'description':
+      case 'summary':
+        if (firstArg !== null && !target.description) target.description = firstArg;
+        return command;
+      case 'alias':
+        if (firstArg !== null && command) (command.aliases = command.aliases || []).push(firstArg);
+        return command;
+      case 'argument':
+        if (firstArg !== null && command) (command.arguments = command.arguments || []).push(firstArg);
+        return command;
+      case 'arguments':
+        if (firstArg !== null && command) {
+          (command.arguments = command.arguments || []).push(...firstArg.split(/\s+/).filter(Boolean));
+        }
+        return command;
+      case 'option':
+      case 'requiredOption':
+        if (firstArg !== null) (target.options = target.options || []).push(firstArg);
+        return command;
+      default:
+        return command;
+    }
+  }
+
+  /**
+   * Applique un appel yargs ; yargs ne crée pas de sous-objet de commande chaînable
+   */
+  applyYargsCall(call, command, program) {
+    const firstArg = call.args[0];
+
+    switch (call.method) {
+      case 'command': {
+        const definition = this.readYargsCommand(call.args);
+        if (definition) program.commands.push(definition);
+        return command;
+      }
+      case 'scriptName': {
+        const name = getStringValue(firstArg);
+        if (name !== null) program.name = name;
+        return command;
+      }
+      case 'usage': {
+        const usage = getStringValue(firstArg);
+        if (usage !== null && !program.description) program.description = usage.replace(/\$0\s*/, '').trim() || undefined;
+        return command;
+      }
+      case 'option':
+      case 'positional': {
+        const name = getStringValue(firstArg);
+        if (name !== null && call.method === 'option') program.options.push(this.formatYargsOption(name, call.args[1]));
+        return command;
+      }
+      case 'options':
+        if (firstArg && firstArg.type === 'ObjectExpression') {
+          for (const property of firstArg.properties) {
+            const name = property.key && (property.key.name || property.key.value);
+            if (name) program.options.push(this.formatYargsOption(name, property.value));
+          }
+        }
+        return command;
+      default:
+        return command;
+    }
+  }
+
+  /**
+   * Lit une commande yargs : .command('serve [port]', 'desc') ou .command({ command, describe })
+   */
+  readYargsCommand(args) {
+    const first = args[0];
+    if (!first) return null;
+
+    if (first.type === 'ObjectExpression') {
+      const properties = this.readObjectStrings(first);
+      const signature = properties.command;
+      if (!signature) return null;
+      return this.createCommand(signature, properties.describe || properties.description || properties.desc);
+    }
+
+    const names = first.type === 'ArrayExpression'
+      ? first.elements.map(element => getStringValue(element)).filter(Boolean)
+      : [getStringValue(first)].filter(Boolean);
+    if (names.length === 0) return null;
+
+    const definition = this.createCommand(names[0], getStringValue(args[1]));
+    if (names.length > 1) definition.aliases = names.slice(1);
+    return definition;
+  }
+
+  /**
+   * Formate une option yargs sous la forme "-v, --verbose"
+   */
+  formatYargsOption(name, optionsNode) {
+    const properties = optionsNode && optionsNode.type === 'ObjectExpression' ? this.readObjectStrings(optionsNode) : {};
+    const flags = [name, properties.alias]
+      .filter(Boolean)
+      .sort((a, b) => a.length - b.length)
+      .map(flag => (flag.length === 1 ? `-${flag}` : `--${flag}`));
+
+    return flags.join(', ');
+  }
+
+  /**
+   * Crée une commande à partir d'une signature "nom <arg> [opt]"
+   */
+  createCommand(signature, description) {
+    const [name, ...args] = signature.trim().split(/\s+/);
+
+    // Clés pré-déclarées pour un ordre de sortie stable (les valeurs undefined sont nettoyées)
+    return {
+      name,
+      description: description || undefined,
+      aliases: undefined,
+      arguments: args.length > 0 ? args : undefined,
+      options: undefined,
+      commands: undefined
+    };
+  }
+
+  /**
+   * Lit les propriétés chaîne d'un objet littéral
+   */
+  readObjectStrings(objectNode) {
+    const values = {};
+    for (const property of objectNode.properties) {
+      if (property.type !== 'ObjectProperty' || !property.key) continue;
+      const key = property.key.name || property.key.value;
+      const value = getStringValue(property.value);
+      if (value !== null) values[key] = value;
+    }
+    return values;
+  }
+}
+
+module.exports = CLIDetector;
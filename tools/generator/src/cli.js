@@ -18,6 +18,10 @@ program
   .option('-o, --output <path>', 'Répertoire de sortie pour les fichiers LMAY', null)
   .option('-c, --config <path>', 'Fichier de configuration personnalisé')
   .option('--dry-run', 'Affiche ce qui serait généré sans créer les fichiers')
+  .option('--merge', 'Fusionne avec les fichiers LMAY existants en conservant le contenu rédigé à la main')
+  .option('--token-budget <n>', 'Nombre maximal de tokens estimé par fichier LMAY', value => parseInt(value, 10))
+  .option('--deterministic', 'Sortie reproductible : ordre stable et aucun champ dépendant de la date')
+  .option('--check', 'Vérifie que les fichiers LMAY existants sont à jour sans les modifier (code de sortie 1 sinon)')
   .option('--verbose', 'Mode verbeux')
   .action(async (options) => {
     try {
@@ -54,10 +58,17 @@ async function generateLMAY(options) {
     console.log('⚙️  Configuration chargée');
   }
 
+  // Le scanner lit aussi ce réglage pour l'ordre des fichiers
+  if (options.deterministic || options.check) {
+    config.output.deterministic = true;
+  }
+
   // Scanner le système de fichiers
   console.log('🔎 Analyse de la structure des fichiers...');
   const scanner = new FileSystemScanner(config);
-  const structure = await scanner.scanDirectory(inputPath);
+  const structure = await scanner.scanDirectory(inputPath, {
+    onProgress: process.stdout.isTTY ? reportScanProgress : undefined
+  });
   
   if (!structure) {
     throw new Error('Impossible d\'analyser la structure du projet');
@@ -88,13 +99,23 @@ async function generateLMAY(options) {
   }
 
   // Générer les fichiers LMAY
-  console.log('⚡ Génération des fichiers LMAY...');
+  console.log(options.check ? '🔁 Vérification des fichiers LMAY...' : '⚡ Génération des fichiers LMAY...');
   const generator = new LMAYGenerator(config);
-  const result = await generator.generate(outputPath, structure, analysis);
+  const result = await generator.generate(outputPath, structure, analysis, {
+    merge: options.merge,
+    tokenBudget: options.tokenBudget,
+    deterministic: options.deterministic,
+    check: options.check
+  });
 
   const endTime = Date.now();
   const duration = ((endTime - startTime) / 1000).toFixed(2);
 
+  if (options.check) {
+    reportCheck(result, duration);
+    return;
+  }
+
   console.log('\n✅ Génération terminée avec succès!');
   console.log(`📄 Fichier principal: ${result.rootFile}`);
   if (result.moduleFiles && result.moduleFiles.length > 0) {
@@ -102,6 +123,25 @@ async function generateLMAY(options) {
   }
   console.log(`⏱️  Durée: ${duration}s`);
 
+  if (result.budget) {
+    const total = result.budget.reduce((sum, entry) => sum + entry.tokens, 0);
+    console.log(`\n🪙 Budget de ${options.tokenBudget || config.output.tokenBudget} tokens par fichier (total estimé: ${total})`);
+    result.budget
+      .filter(entry => entry.tradeoffs.length > 0 || entry.exceeded)
+      .forEach(entry => {
+        console.log(`   ${entry.exceeded ? '⚠️ ' : '✂️ '} ${entry.file}: ${entry.tokens} tokens${entry.exceeded ? ' (budget dépassé)' : ''}`);
+        entry.tradeoffs.forEach(tradeoff => console.log(`      - ${tradeoff}`));
+      });
+  }
+
+  if (result.conflicts.length > 0) {
+    console.warn(`\n⚠️  ${result.conflicts.length} conflit(s) de fusion (valeurs utilisateur conservées):`);
+    result.conflicts.forEach(conflict => {
+      const detected = conflict.reason === 'removed' ? 'plus détecté' : `détecté: ${JSON.stringify(conflict.detected)}`;
+      console.warn(`   - ${conflict.file}#${conflict.path} (${detected})`);
+    });
+  }
+
   // Conseils d'utilisation
   console.log('\n💡 Prochaines étapes:');
   console.log('   1. Examinez le fichier root.lmay généré');
@@ -109,6 +149,33 @@ async function generateLMAY(options) {
   console.log('   3. Validez avec: lmay-validate root.lmay');
 }
 
+/**
+ * Progression du parcours, réécrite sur la même ligne du terminal
+ */
+function reportScanProgress({ files, directories, analyzed, done }) {
+  const line = `   ${files} fichiers, ${directories} répertoires${analyzed > 0 ? `, ${analyzed} fichiers mesurés` : ''}`;
+  process.stdout.write(done ? '\r\x1b[K' : `\r${line}\x1b[K`);
+}
+
+/**
+ * Mode --check : affiche le diff des fichiers obsolètes et échoue s'il y en a
+ */
+function reportCheck(result, duration) {
+  if (result.stale.length === 0) {
+    console.log(`\n✅ Fichiers LMAY à jour (${duration}s)`);
+    return;
+  }
+
+  console.error(`\n❌ ${result.stale.length} fichier(s) LMAY obsolète(s):`);
+  result.stale.forEach(stale => {
+    console.error(`   - ${stale.file}${stale.reason === 'missing' ? ' (absent)' : ''}`);
+  });
+  console.error('');
+  result.stale.forEach(stale => process.stdout.write(stale.diff));
+  console.error('\n💡 Régénérez avec: lmay-generate --deterministic');
+  process.exitCode = 1;
+}
+
 async function loadConfig(configPath) {
   let config;
   
@@ -0,0 +1,10 @@
+/**
+ * Ordre des chaînes par points de code, celui de sort() sans comparateur : la sortie
+ * ne dépend ni de la locale ni de la version d'ICU de la machine. Tous les tris
+ * du générateur passent par cette fonction.
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+module.exports = { compareStrings };
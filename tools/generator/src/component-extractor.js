@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { getRequireSource } = require('./ast-utils');
+
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+const RESOLVE_EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx', '.mjs', '.cjs'];
+
+class ComponentExtractor {
+  constructor(config = {}) {
+    this.config = config;
+    this.maxFileSize = (config.analysis && config.analysis.maxParseFileSize) || 512 * 1024;
+    this.cache = new Map();
+    this.localCache = new Map();
+  }
+
+  /**
+   * Vérifie si un fichier peut être analysé par l'extracteur
+   */
+  supports(filePath) {
+    return SCRIPT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Extrait le composant décrit par un fichier JS/TS
+   * Retourne { name, exports, dependencies } ou null si le fichier est illisible
+   */
+  extractFromFile(filePath) {
+    if (this.cache.has(filePath)) {
+      return this.cache.get(filePath);
+    }
+
+    const local = this.extractLocal(filePath);
+    const result = local && {
+      name: local.name,
+      exports: [...new Set([...local.exports, ...this.resolveReExports(local, new Set([filePath]))])],
+      dependencies: local.dependencies
+    };
+
+    this.cache.set(filePath, result);
+    return result;
+  }
+
+  /**
+   * Analyse un fichier sans suivre ses `export * from` : exports propres et
+   * modules ré-exportés, mis en cache séparément des résultats complets
+   */
+  extractLocal(filePath) {
+    if (this.localCache.has(filePath)) {
+      return this.localCache.get(filePath);
+    }
+
+    const ast = this.parseFile(filePath);
+    if (!ast) {
+      this.localCache.set(filePath, null);
+      return null;
+    }
+
+    const local = {
+      name: null,
+      exports: [],
+      dependencies: [],
+      reExports: []
+    };
+
+    for (const statement of ast.program.body) {
+      this.collectImports(statement, local);
+      this.collectESMExports(statement, filePath, local);
+      this.collectCommonJSExports(statement, local);
+    }
+
+    local.exports = [...new Set(local.exports)];
+    local.dependencies = [...new Set(local.dependencies)];
+
+    this.localCache.set(filePath, local);
+    return local;
+  }
+
+  /**
+   * Lit et parse un fichier, en tolérant les erreurs de syntaxe
+   */
+  parseFile(filePath) {
+    try {
+      const stats = fs.statSync(filePath);
+      if (stats.size > this.maxFileSize) {
+        return null;
+      }
+
+      const source = fs.readFileSync(filePath, 'utf8');
+      return this.parseSource(source, filePath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse un code source avec les plugins adaptés à son extension
+   */
+  parseSource(source, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const isTypeScript = ['.ts', '.tsx', '.mts', '.cts'].includes(ext);
+
+    // Le plugin JSX est incompatible avec les assertions de type `<T>x` des fichiers .ts
+    const plugins = ['decorators-legacy'];
+    if (isTypeScript) plugins.push('typescript');
+    if (ext !== '.ts' && ext !== '.mts' && ext !== '.cts') plugins.push('jsx');
+
+    try {
+      return parse(source, {
+        sourceType: 'unambiguous',
+        allowReturnOutsideFunction: true,
+        allowImportExportEverywhere: true,
+        errorRecovery: true,
+        plugins
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Collecte les imports relatifs (import ... from, require)
+   */
+  collectImports(statement, result) {
+    if (statement.type === 'ImportDeclaration') {
+      this.addDependency(statement.source.value, result);
+      return;
+    }
+
+    if (statement.type === 'VariableDeclaration') {
+      for (const declarator of statement.declarations) {
+        const source = getRequireSource(declarator.init);
+        if (source) {
+          this.addDependency(source, result);
+        }
+      }
+    }
+  }
+
+  /**
+   * Ajoute une dépendance interne (seuls les chemins relatifs sont retenus)
+   */
+  addDependency(source, result) {
+    if (typeof source !== 'string' || !source.startsWith('.')) {
+      return;
+    }
+
+    const baseName = path.basename(source, path.extname(source));
+    result.dependencies.push(baseName === 'index' ? path.basename(path.dirname(source)) : baseName);
+  }
+
+  /**
+   * Collecte les exports ES modules (export nommé, par défaut et ré-exports)
+   */
+  collectESMExports(statement, filePath, result) {
+    switch (statement.type) {
+      case 'ExportNamedDeclaration':
+        if (statement.declaration) {
+          result.exports.push(...this.getDeclarationNames(statement.declaration));
+        }
+        for (const specifier of statement.specifiers || []) {
+          result.exports.push(this.getSpecifierName(specifier.exported));
+        }
+        if (statement.source) {
+          this.addDependency(statement.source.value, result);
+        }
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const name = this.getDefaultExportName(statement.declaration);
+        result.exports.push(name || 'default');
+        if (name && !result.name) {
+          result.name = name;
+        }
+        break;
+      }
+
+      case 'ExportAllDeclaration':
+        this.addDependency(statement.source.value, result);
+        if (statement.exported) {
+          result.exports.push(this.getSpecifierName(statement.exported));
+        } else {
+          const target = this.resolveModulePath(statement.source.value, filePath);
+          if (target) result.reExports.push(target);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Résout les exports des modules ré-exportés via `export * from`, transitivement.
+   * Chaque appel parcourt tout le cycle éventuel : le résultat ne dépend pas de
+   * l'ordre dans lequel les fichiers du cycle sont analysés.
+   */
+  resolveReExports(local, visited) {
+    const names = [];
+
+    for (const target of local.reExports) {
+      if (visited.has(target)) continue;
+      visited.add(target);
+
+      const reExported = this.extractLocal(target);
+      if (!reExported) continue;
+
+      // `export *` ne ré-exporte jamais l'export par défaut
+      names.push(...reExported.exports.filter(name => name !== 'default'));
+      names.push(...this.resolveReExports(reExported, visited));
+    }
+
+    return names;
+  }
+
+  /**
+   * Résout un chemin d'import relatif vers un fichier existant
+   */
+  resolveModulePath(source, filePath) {
+    if (!source.startsWith('.')) {
+      return null;
+    }
+
+    const base = path.resolve(path.dirname(filePath), source);
+    const candidates = [
+      base,
+      ...RESOLVE_EXTENSIONS.map(ext => base + ext),
+      ...RESOLVE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+    ];
+
+    return candidates.find(candidate => {
+      try {
+        return fs.statSync(candidate).isFile();
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Collecte les exports CommonJS (module.exports = ..., exports.x = ...)
+   */
+  collectCommonJSExports(statement, result) {
+    if (statement.type !== 'ExpressionStatement' ||
+        statement.expression.type !== 'AssignmentExpression') {
+      return;
+    }
+
+    const { left, right } = statement.expression;
+
+    if (this.isModuleExports(left)) {
+      if (right.type === 'ObjectExpression') {
+        for (const property of right.properties) {
+          if (property.type === 'SpreadElement') {
+            continue;
+          }
+          const key = this.getPropertyKey(property);
+          if (key) {
+            result.exports.push(key);
+          }
+        }
+        return;
+      }
+
+      const name = this.getDefaultExportName(right);
+      if (name) {
+        result.exports.push(name);
+        if (!result.name) {
+          result.name = name;
+        }
+      }
+      return;
+    }
+
+    // exports.foo = ... ou module.exports.foo = ...
+    if (left.type === 'MemberExpression' &&
+        (this.isModuleExports(left.object) ||
+         (left.object.type === 'Identifier' && left.object.name === 'exports'))) {
+      const key = this.getPropertyKey(left);
+      if (key) {
+        result.exports.push(key);
+      }
+    }
+  }
+
+  /**
+   * Vérifie si un nœud représente `module.exports`
+   */
+  isModuleExports(node) {
+    return node.type === 'MemberExpression' &&
+      node.object.type === 'Identifier' &&
+      node.object.name === 'module' &&
+      this.getPropertyKey(node) === 'exports';
+  }
+
+  /**
+   * Retourne le nom d'une clé de propriété ou de membre non calculée
+   */
+  getPropertyKey(node) {
+    const key = node.key || node.property;
+    if (!key) return null;
+
+    if (key.type === 'Identifier' && !node.computed) return key.name;
+    if (key.type === 'StringLiteral') return key.value;
+    return null;
+  }
+
+  /**
+   * Retourne les noms déclarés par une déclaration exportée
+   */
+  getDeclarationNames(declaration) {
+    switch (declaration.type) {
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+      case 'TSInterfaceDeclaration':
+      case 'TSTypeAliasDeclaration':
+      case 'TSEnumDeclaration':
+      case 'TSModuleDeclaration':
+        return declaration.id ? [declaration.id.name || declaration.id.value] : [];
+
+      case 'VariableDeclaration':
+        return declaration.declarations.flatMap(declarator => this.getPatternNames(declarator.id));
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Retourne les identifiants liés par un motif (y compris déstructuration)
+   */
+  getPatternNames(pattern) {
+    switch (pattern.type) {
+      case 'Identifier':
+        return [pattern.name];
+      case 'ObjectPattern':
+        return pattern.properties.flatMap(property =>
+          this.getPatternNames(property.type === 'RestElement' ? property.argument : property.value)
+        );
+      case 'ArrayPattern':
+        return pattern.elements.filter(Boolean).flatMap(element => this.getPatternNames(element));
+      case 'AssignmentPattern':
+        return this.getPatternNames(pattern.left);
+      case 'RestElement':
+        return this.getPatternNames(pattern.argument);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Retourne le nom exporté d'un spécificateur (`export { a as b }` → b)
+   */
+  getSpecifierName(exported) {
+    return exported.type === 'StringLiteral' ? exported.value : exported.name;
+  }
+
+  /**
+   * Retourne le nom d'un export par défaut s'il est nommé
+   */
+  getDefaultExportName(node) {
+    if (!node) return null;
+
+    if ((node.type === 'FunctionDeclaration' ||
+         node.type === 'ClassDeclaration' ||
+         node.type === 'FunctionExpression' ||
+         node.type === 'ClassExpression') && node.id) {
+      return node.id.name;
+    }
+
+    if (node.type === 'Identifier') {
+      return node.name;
+    }
+
+    return null;
+  }
+}
+
+module.exports = ComponentExtractor;
@@ -0,0 +1,11 @@
+const { parentPort, workerData } = require('worker_threads');
+const ComponentExtractor = require('./component-extractor');
+const MetricsCalculator = require('./metrics-calculator');
+
+// Analyse de contenu déportée par le scanner : lignes de code et complexité des
+// fonctions de chaque fichier d'un lot, dans l'ordre du lot (null si non mesurable)
+const calculator = new MetricsCalculator(workerData.config, new ComponentExtractor(workerData.config));
+
+parentPort.on('message', files => {
+  parentPort.postMessage(files.map(file => calculator.measureSource(file)));
+});
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const GRAPHQL_ROOTS = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+const GRAPHQL_PLURALS = { query: 'queries', mutation: 'mutations', subscription: 'subscriptions' };
+
+class ContractParser {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Retourne le type de contrat d'un fichier (openapi, graphql, protobuf) ou null
+   */
+  getContractType(filePath) {
+    const fileName = path.basename(filePath).toLowerCase();
+    const ext = path.extname(fileName);
+
+    if (ext === '.proto') return 'protobuf';
+    if (ext === '.graphql' || ext === '.graphqls' || ext === '.gql') return 'graphql';
+    if (['.yaml', '.yml', '.json'].includes(ext) && /openapi|swagger|api/.test(fileName)) return 'openapi';
+
+    return null;
+  }
+
+  /**
+   * Parse un fichier de contrat et retourne une liste d'interfaces
+   * { type, description, endpoint?, version?, operations }
+   */
+  parse(filePath) {
+    const contractType = this.getContractType(filePath);
+    if (!contractType) return [];
+
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    switch (contractType) {
+      case 'openapi':
+        return this.parseOpenAPI(content, filePath);
+      case 'graphql':
+        return this.parseGraphQL(content);
+      case 'protobuf':
+        return this.parseProtobuf(content);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * OpenAPI 3.x / Swagger 2.0 (YAML ou JSON)
+   */
+  parseOpenAPI(content, filePath) {
+    const document = path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : yaml.load(content);
+
+    // Un fichier nommé "api.yaml" n'est pas forcément un contrat OpenAPI
+    if (!document || typeof document !== 'object' || !(document.openapi || document.swagger)) {
+      return [];
+    }
+
+    const info = document.info || {};
+    const operations = [];
+
+    for (const [routePath, pathItem] of Object.entries(document.paths || {})) {
+      if (!pathItem || typeof pathItem !== 'object') continue;
+
+      for (const method of OPENAPI_METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        operations.push({
+          method: method.toUpperCase(),
+          path: routePath,
+          name: operation.operationId,
+          description: operation.summary || this.firstSentence(operation.description),
+          authentication: this.hasSecurity(operation, document)
+        });
+      }
+    }
+
+    return [{
+      type: 'REST',
+      description: info.title
+        ? `${info.title}${info.description ? ` - ${this.firstSentence(info.description)}` : ''}`
+        : `OpenAPI contract (${operations.length} operation${operations.length === 1 ? '' : 's'})`,
+      endpoint: this.getOpenAPIEndpoint(document),
+      version: info.version !== undefined ? String(info.version) : undefined,
+      operations
+    }];
+  }
+
+  /**
+   * URL de base de l'API : premier `servers` d'OpenAPI 3 (variables remplacées par leur
+   * valeur par défaut), ou `schemes`, `host` et `basePath` de Swagger 2.0 sous la même forme
+   * (https par défaut ; chemin seul, comme une URL de serveur relative, sans `host`)
+   */
+  getOpenAPIEndpoint(document) {
+    if (Array.isArray(document.servers) && document.servers[0] && document.servers[0].url) {
+      const server = document.servers[0];
+      const variables = server.variables || {};
+      return server.url.replace(/\{([^}]+)\}/g, (match, name) =>
+        variables[name] && variables[name].default !== undefined ? String(variables[name].default) : match
+      );
+    }
+
+    if (!document.swagger) return undefined;
+
+    const basePath = document.basePath && document.basePath !== '/' ? document.basePath : '';
+    if (!document.host) return basePath || undefined;
+
+    const scheme = Array.isArray(document.schemes) && document.schemes[0] ? document.schemes[0] : 'https';
+    return `${scheme}://${document.host}${basePath}`;
+  }
+
+  /**
+   * Vérifie si une opération OpenAPI exige une authentification
+   */
+  hasSecurity(operation, document) {
+    const security = operation.security !== undefined ? operation.security : document.security;
+    if (!Array.isArray(security) || security.length === 0) return undefined;
+
+    // `security: [{}]` rend l'authentification optionnelle
+    return security.some(requirement => Object.keys(requirement).length > 0) || undefined;
+  }
+
+  /**
+   * Schéma GraphQL SDL : champs des types racines Query, Mutation, Subscription
+   */
+  parseGraphQL(content) {
+    const source = this.stripGraphQLNoise(content);
+
+    // Les racines peuvent être renommées via `schema { query: RootQuery }`
+    const roots = { ...GRAPHQL_ROOTS };
+    const schemaBlock = source.match(/\bschema\s*(@[^{]*)?\{([^}]*)\}/);
+    if (schemaBlock) {
+      for (const match of schemaBlock[2].matchAll(/(query|mutation|subscription)\s*:\s*(\w+)/g)) {
+        roots[match[1]] = match[2];
+      }
+    }
+
+    const operations = [];
+    for (const [kind, typeName] of Object.entries(roots)) {
+      const typePattern = new RegExp(`(?:extend\\s+)?type\\s+${typeName}\\b[^{]*\\{`, 'g');
+
+      for (const match of source.matchAll(typePattern)) {
+        const body = this.extractBlock(source, match.index + match[0].length - 1);
+        operations.push(...this.parseGraphQLFields(body).map(field => ({ kind, ...field })));
+      }
+    }
+
+    if (operations.length === 0) return [];
+
+    const counts = Object.entries(GRAPHQL_PLURALS)
+      .map(([kind, plural]) => {
+        const count = operations.filter(operation => operation.kind === kind).length;
+        return count > 0 ? `${count} ${count > 1 ? plural : kind}` : null;
+      })
+      .filter(Boolean);
+
+    return [{
+      type: 'GraphQL',
+      description: `GraphQL schema (${counts.join(', ')})`,
+      operations
+    }];
+  }
+
+  /**
+   * Supprime commentaires et descriptions d'un document SDL
+   */
+  stripGraphQLNoise(content) {
+    return content
+      .replace(/"""[\s\S]*?"""/g, '')
+      .replace(/"(?:[^"\\\n]|\\.)*"/g, '""')
+      .replace(/#.*$/gm, '');
+  }
+
+  /**
+   * Parse les champs d'un type GraphQL : nom(arguments): Type
+   */
+  parseGraphQLFields(body) {
+    const fields = [];
+    let index = 0;
+
+    while (index < body.length) {
+      const nameMatch = /[A-Za-z_]\w*/.exec(body.slice(index));
+      if (!nameMatch) break;
+
+      const name = nameMatch[0];
+      index += nameMatch.index + name.length;
+
+      let args;
+      const rest = body.slice(index);
+      const openParen = rest.match(/^\s*\(/);
+      if (openParen) {
+        const start = index + openParen[0].length - 1;
+        const argsBody = this.extractBlock(body, start, '(', ')');
+        args = argsBody
+          .split(/[,\n]/)
+          .map(arg => arg.replace(/@\w+(\([^)]*\))?/g, '').trim())
+          .filter(arg => arg.includes(':'))
+          .map(arg => arg.replace(/\s+/g, ' ').replace(/\s*:\s*/, ': '));
+        index = start + argsBody.length + 2;
+      }
+
+      const typeMatch = body.slice(index).match(/^\s*:\s*([[\]\w!]+)/);
+      if (!typeMatch) continue;
+      index += typeMatch[0].length;
+
+      // Ignorer les directives éventuelles (@deprecated(reason: ...))
+      const directive = body.slice(index).match(/^(\s*@\w+(\([^)]*\))?)+/);
+      if (directive) index += directive[0].length;
+
+      fields.push({
+        name,
+        arguments: args && args.length > 0 ? args : undefined,
+        returns: typeMatch[1]
+      });
+    }
+
+    return fields;
+  }
+
+  /**
+   * Protobuf : services et RPC
+   */
+  parseProtobuf(content) {
+    const source = content
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/\/\/.*$/gm, '');
+
+    const packageMatch = source.match(/^\s*package\s+([\w.]+)\s*;/m);
+    const packageName = packageMatch ? packageMatch[1] : null;
+    const interfaces = [];
+
+    for (const match of source.matchAll(/\bservice\s+(\w+)\s*\{/g)) {
+      const body = this.extractBlock(source, match.index + match[0].length - 1);
+      const operations = [];
+
+      const rpcPattern = /\brpc\s+(\w+)\s*\(\s*(stream\s+)?([\w.]+)\s*\)\s*returns\s*\(\s*(stream\s+)?([\w.]+)\s*\)/g;
+      for (const rpc of body.matchAll(rpcPattern)) {
+        const [, name, clientStream, request, serverStream, response] = rpc;
+        let streaming;
+        if (clientStream && serverStream) streaming = 'bidirectional';
+        else if (clientStream) streaming = 'client';
+        else if (serverStream) streaming = 'server';
+
+        operations.push({ name, request, response, streaming });
+      }
+
+      const serviceName = packageName ? `${packageName}.${match[1]}` : match[1];
+      interfaces.push({
+        type: 'gRPC',
+        description: `gRPC service ${serviceName} (${operations.length} RPC${operations.length > 1 ? 's' : ''})`,
+        endpoint: serviceName,
+        operations
+      });
+    }
+
+    return interfaces;
+  }
+
+  /**
+   * Extrait le contenu d'un bloc délimité à partir de la position du délimiteur ouvrant
+   */
+  extractBlock(source, openIndex, open = '{', close = '}') {
+    let depth = 0;
+
+    for (let i = openIndex; i < source.length; i++) {
+      if (source[i] === open) depth++;
+      if (source[i] === close) {
+        depth--;
+        if (depth === 0) {
+          return source.slice(openIndex + 1, i);
+        }
+      }
+    }
+
+    return source.slice(openIndex + 1);
+  }
+
+  /**
+   * Retourne la première phrase d'un texte (≤ 200 caractères)
+   */
+  firstSentence(text) {
+    if (typeof text !== 'string' || !text.trim()) return undefined;
+
+    const sentence = text.trim().split(/(?<=[.!?])\s|\n/)[0].trim();
+    return sentence.length > 200 ? `${sentence.slice(0, 197)}...` : sentence;
+  }
+}
+
+module.exports = ContractParser;
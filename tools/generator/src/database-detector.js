@@ -0,0 +1,1197 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { compareStrings } = require('./compare');
+const { walk, getRequireSource } = require('./ast-utils');
+
+// Paquets de pilotes et d'ORM → base de données (null : déduite de la configuration)
+const DRIVER_PACKAGES = {
+  'mongoose': { database: 'mongodb', source: 'mongoose' },
+  'mongodb': { database: 'mongodb', source: 'mongodb' },
+  'pg': { database: 'postgresql', source: 'pg' },
+  'postgres': { database: 'postgresql', source: 'postgres' },
+  'mysql': { database: 'mysql', source: 'mysql' },
+  'mysql2': { database: 'mysql', source: 'mysql2' },
+  'mysql2/promise': { database: 'mysql', source: 'mysql2' },
+  'mariadb': { database: 'mariadb', source: 'mariadb' },
+  'sqlite3': { database: 'sqlite', source: 'sqlite3' },
+  'better-sqlite3': { database: 'sqlite', source: 'better-sqlite3' },
+  'mssql': { database: 'sqlserver', source: 'mssql' },
+  'tedious': { database: 'sqlserver', source: 'tedious' },
+  'redis': { database: 'redis', source: 'redis' },
+  'ioredis': { database: 'redis', source: 'ioredis' },
+  'sequelize': { database: null, source: 'sequelize' },
+  'sequelize-typescript': { database: null, source: 'sequelize' },
+  'typeorm': { database: null, source: 'typeorm' },
+  'knex': { database: null, source: 'knex' },
+  '@prisma/client': { database: null, source: 'prisma' }
+};
+
+// Noms de dialectes (Sequelize, TypeORM, Knex, Prisma, schémas d'URL) → type normalisé
+const DATABASE_ALIASES = {
+  postgres: 'postgresql',
+  postgresql: 'postgresql',
+  pg: 'postgresql',
+  pgsql: 'postgresql',
+  'pg-native': 'postgresql',
+  cockroachdb: 'postgresql',
+  mysql: 'mysql',
+  mysql2: 'mysql',
+  mariadb: 'mariadb',
+  sqlite: 'sqlite',
+  sqlite3: 'sqlite',
+  'better-sqlite3': 'sqlite',
+  mssql: 'sqlserver',
+  sqlserver: 'sqlserver',
+  oracle: 'oracle',
+  oracledb: 'oracle',
+  mongodb: 'mongodb',
+  'mongodb+srv': 'mongodb',
+  redis: 'redis',
+  rediss: 'redis'
+};
+
+// Images docker-compose → type de base (testées sur le nom de l'image, sans tag)
+const IMAGE_PATTERNS = [
+  [/postgres|postgis|timescale/, 'postgresql'],
+  [/mongo/, 'mongodb'],
+  [/mariadb/, 'mariadb'],
+  [/mysql/, 'mysql'],
+  [/redis|valkey/, 'redis'],
+  [/mssql|sql-?server/, 'sqlserver'],
+  [/elasticsearch|opensearch/, 'elasticsearch'],
+  [/cassandra|scylla/, 'cassandra'],
+  [/neo4j/, 'neo4j'],
+  [/couchdb/, 'couchdb'],
+  [/clickhouse/, 'clickhouse'],
+  [/cockroach/, 'cockroachdb'],
+  [/dynamodb/, 'dynamodb'],
+  [/influxdb/, 'influxdb']
+];
+
+// Outils d'administration dont l'image contient le nom d'une base
+const ADMIN_IMAGE_PATTERN = /express|admin|exporter|commander|insight|compass|-ui\b/;
+
+const DATABASE_LABELS = {
+  postgresql: 'PostgreSQL',
+  mysql: 'MySQL',
+  mariadb: 'MariaDB',
+  sqlite: 'SQLite',
+  sqlserver: 'SQL Server',
+  oracle: 'Oracle',
+  mongodb: 'MongoDB',
+  redis: 'Redis',
+  elasticsearch: 'Elasticsearch',
+  cassandra: 'Cassandra',
+  neo4j: 'Neo4j',
+  couchdb: 'CouchDB',
+  clickhouse: 'ClickHouse',
+  cockroachdb: 'CockroachDB',
+  dynamodb: 'DynamoDB',
+  influxdb: 'InfluxDB',
+  sql: 'SQL'
+};
+
+const SOURCE_LABELS = {
+  mongoose: 'Mongoose',
+  sequelize: 'Sequelize',
+  typeorm: 'TypeORM',
+  prisma: 'Prisma',
+  knex: 'Knex',
+  sql: 'SQL migrations',
+  'docker-compose': 'docker-compose'
+};
+
+const SQL_DATABASES = ['postgresql', 'mysql', 'mariadb', 'sqlite', 'sqlserver', 'oracle', 'cockroachdb', 'sql'];
+
+const TYPEORM_COLUMNS = [
+  'Column', 'PrimaryColumn', 'PrimaryGeneratedColumn', 'ObjectIdColumn',
+  'CreateDateColumn', 'UpdateDateColumn', 'DeleteDateColumn', 'VersionColumn',
+  'ManyToOne', 'OneToOne'
+];
+const TYPEORM_KEYS = ['PrimaryColumn', 'PrimaryGeneratedColumn', 'ObjectIdColumn'];
+
+// Méthodes du constructeur de table Knex qui ne déclarent pas de colonne
+const KNEX_TABLE_METHODS = new Set([
+  'index', 'unique', 'primary', 'foreign', 'dropColumn', 'dropColumns', 'renameColumn',
+  'dropIndex', 'dropUnique', 'dropPrimary', 'dropForeign', 'dropTimestamps', 'comment',
+  'engine', 'charset', 'collate', 'inherits', 'setNullable', 'dropNullable', 'check'
+]);
+const KNEX_KEY_MODIFIERS = ['primary', 'unique', 'index'];
+
+const CONNECTION_ENV_PATTERN = /URL|URI|DSN|CONNECTION|DATABASE|_DB$|^DB_?|MONGO|POSTGRES|MYSQL|REDIS/i;
+
+class DatabaseDetector {
+  /**
+   * @param {ComponentExtractor} parser - fournit parseFile() et supports()
+   */
+  constructor(config, parser) {
+    this.config = config;
+    this.logger = config.logger || console;
+    this.parser = parser;
+  }
+
+  /**
+   * Détecte les bases de données d'un projet et leurs tables/collections
+   * - modèles Mongoose, Sequelize, TypeORM et schémas Prisma
+   * - migrations SQL et Knex (les sections `down` sont ignorées)
+   * - services de base de données docker-compose
+   * Retourne { databases: [{ database, sources, connection }],
+   *            schemas: [{ kind, name, database, source, fields, indexes, file }] }
+   *
+   * Les chaînes de connexion ne sont jamais recopiées : la connexion est une référence
+   * à une variable d'environnement (`env:NOM`) relevée dans le code ou un fichier .env,
+   * `redacted (hardcoded in fichier)` pour une URL écrite en dur, et absente sinon.
+   */
+  detect(filePaths, projectPath) {
+    const context = {
+      stores: new Map(),   // type de base → { database, sources, connection }
+      schemas: new Map(),  // kind:name → schéma
+      envFiles: this.readEnvFiles(projectPath),
+      projectPath
+    };
+
+    const sortedFiles = [...filePaths].sort();
+
+    for (const filePath of sortedFiles) {
+      try {
+        this.analyzeFile(filePath, context);
+      } catch (error) {
+        this.logger.warn(`Erreur lors de l'analyse des données de ${filePath}:`, error.message);
+      }
+    }
+
+    this.resolveGenericStores(context);
+
+    const databases = [...context.stores.values()].map(store => ({
+      database: store.database,
+      sources: [...store.sources],
+      connection: store.connection || this.guessConnection(store.database, context.envFiles)
+    }));
+
+    const schemas = [...context.schemas.values()]
+      .map(schema => ({
+        ...schema,
+        database: this.resolveSchemaDatabase(schema, context),
+        fields: [...schema.fields],
+        indexes: [...schema.indexes]
+      }))
+      .sort((a, b) => compareStrings(a.kind, b.kind) || compareStrings(a.name, b.name));
+
+    return { databases, schemas };
+  }
+
+  /**
+   * Aiguille un fichier vers l'analyseur adapté à son format
+   */
+  analyzeFile(filePath, context) {
+    const fileName = path.basename(filePath).toLowerCase();
+    const ext = path.extname(fileName);
+
+    if (/^(docker-)?compose(\.[\w-]+)?\.ya?ml$/.test(fileName)) {
+      this.analyzeCompose(filePath, context);
+    } else if (ext === '.prisma') {
+      this.analyzePrisma(filePath, context);
+    } else if (ext === '.sql') {
+      if (!/[._-]down\.sql$/.test(fileName) && path.basename(path.dirname(filePath)) !== 'down') {
+        this.analyzeSql(filePath, context);
+      }
+    } else if (fileName === 'ormconfig.json') {
+      this.analyzeOrmConfig(filePath, context);
+    } else if (this.parser.supports(filePath)) {
+      this.analyzeScript(filePath, context);
+    }
+  }
+
+  /**
+   * Enregistre (ou complète) une base de données détectée
+   */
+  addStore(context, database, source, connection) {
+    if (!context.stores.has(database)) {
+      context.stores.set(database, { database, sources: new Set(), connection: undefined });
+    }
+
+    const store = context.stores.get(database);
+    store.sources.add(source);
+    // Une variable d'environnement relevée ailleurs l'emporte sur une URL écrite en dur
+    if (connection && (!store.connection || (this.isRedacted(store.connection) && !this.isRedacted(connection)))) {
+      store.connection = connection;
+    }
+  }
+
+  /**
+   * Retourne le schéma d'une table/collection, en le créant au besoin
+   */
+  getSchema(context, kind, name, database, source, file) {
+    const key = `${kind}:${name}`;
+    if (!context.schemas.has(key)) {
+      context.schemas.set(key, { kind, name, database, source, fields: new Set(), indexes: new Set(), file });
+    }
+    return context.schemas.get(key);
+  }
+
+  // ---------------------------------------------------------------------------
+  // JavaScript / TypeScript (Mongoose, Sequelize, TypeORM, Knex, pilotes)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Analyse un fichier JS/TS utilisant un pilote ou un ORM
+   */
+  analyzeScript(filePath, context) {
+    const source = fs.readFileSync(filePath, 'utf8');
+    const packagePattern = /['"](mongoose|mongodb|pg|postgres|mysql2?(\/promise)?|mariadb|sqlite3|better-sqlite3|mssql|tedious|redis|ioredis|sequelize(-typescript)?|typeorm|knex|@prisma\/client)['"]/;
+    const isKnexfile = /^knexfile\./i.test(path.basename(filePath));
+    const isKnexMigration = /\.(createTable\w*|alterTable|table|dropTable\w*)\s*\(/.test(source) &&
+      /migrations?\b/i.test(filePath);
+    if (!packagePattern.test(source) && !isKnexfile && !isKnexMigration && !/\bqueryInterface\b/.test(source)) {
+      return;
+    }
+
+    const ast = this.parser.parseFile(filePath);
+    if (!ast) return;
+
+    const fileInfo = {
+      file: filePath,
+      drivers: new Set(),
+      dialect: null,
+      connection: null,
+      hardcoded: false,           // URL de connexion littérale dans le fichier
+      mongooseSchemas: new Map(), // nom de variable → schéma Mongoose
+      isMigration: isKnexMigration || /migrations?\b/i.test(filePath)
+    };
+
+    // knexfile.js configure Knex sans l'importer
+    if (isKnexfile) fileInfo.drivers.add('knex');
+    walk(ast.program, node => this.collectDriver(node, fileInfo));
+    if (fileInfo.drivers.size === 0 && !fileInfo.isMigration) return;
+
+    walk(ast.program, (node, ancestors) => {
+      this.collectDialect(node, fileInfo);
+      this.collectConnectionEnv(node, fileInfo);
+
+      if (this.isInsideDownMigration(ancestors)) return;
+
+      if (fileInfo.drivers.has('mongoose')) this.collectMongoose(node, ancestors, fileInfo, context);
+      if (fileInfo.drivers.has('sequelize')) this.collectSequelize(node, fileInfo, context);
+      if (fileInfo.drivers.has('typeorm') || fileInfo.drivers.has('sequelize')) {
+        this.collectDecoratedEntity(node, fileInfo, context);
+      }
+      this.collectMigration(node, fileInfo, context);
+    });
+
+    this.registerScriptStores(fileInfo, context);
+  }
+
+  /**
+   * Repère les imports de pilotes et d'ORM
+   */
+  collectDriver(node, fileInfo) {
+    let source = null;
+
+    if (node.type === 'ImportDeclaration') {
+      source = node.source.value;
+    } else if (node.type === 'CallExpression') {
+      source = getRequireSource(node);
+    }
+
+    if (source && DRIVER_PACKAGES[source]) {
+      fileInfo.drivers.add(DRIVER_PACKAGES[source].source);
+    }
+  }
+
+  /**
+   * Relève le dialecte déclaré en configuration (dialect, type, client, provider)
+   * ou le schéma d'une URL de connexion littérale
+   */
+  collectDialect(node, fileInfo) {
+    if (node.type === 'ObjectProperty' && node.value.type === 'StringLiteral') {
+      const key = this.getKeyName(node);
+      const value = node.value.value.toLowerCase();
+      if (['dialect', 'type', 'client'].includes(key) && DATABASE_ALIASES[value] && !fileInfo.dialect) {
+        fileInfo.dialect = DATABASE_ALIASES[value];
+      }
+      return;
+    }
+
+    if (node.type === 'StringLiteral') {
+      const scheme = node.value.match(/^([a-z0-9+]+):\/\//i);
+      if (scheme && DATABASE_ALIASES[scheme[1].toLowerCase()]) {
+        fileInfo.hardcoded = true;
+        if (!fileInfo.dialect) fileInfo.dialect = DATABASE_ALIASES[scheme[1].toLowerCase()];
+      }
+    }
+  }
+
+  /**
+   * Relève la première variable d'environnement ressemblant à une connexion
+   */
+  collectConnectionEnv(node, fileInfo) {
+    if (fileInfo.connection || node.type !== 'MemberExpression') return;
+
+    const object = node.object;
+    const isProcessEnv = object.type === 'MemberExpression' &&
+      object.object.type === 'Identifier' &&
+      object.object.name === 'process' &&
+      this.getKeyName(object) === 'env';
+    if (!isProcessEnv) return;
+
+    const name = this.getKeyName(node);
+    if (name && CONNECTION_ENV_PATTERN.test(name)) {
+      fileInfo.connection = `env:${name}`;
+    }
+  }
+
+  /**
+   * Ignore le contenu des fonctions `down` des migrations
+   */
+  isInsideDownMigration(ancestors) {
+    return ancestors.some(ancestor => {
+      switch (ancestor.type) {
+        case 'AssignmentExpression':
+          return ancestor.left.type === 'MemberExpression' && this.getKeyName(ancestor.left) === 'down';
+        case 'FunctionDeclaration':
+          return ancestor.id && ancestor.id.name === 'down';
+        case 'VariableDeclarator':
+          return ancestor.id.type === 'Identifier' && ancestor.id.name === 'down';
+        case 'ObjectProperty':
+        case 'ObjectMethod':
+        case 'ClassMethod':
+          return this.getKeyName(ancestor) === 'down';
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Mongoose : new Schema({...}) et model('Name', schema, 'collection')
+   */
+  collectMongoose(node, ancestors, fileInfo, context) {
+    if (node.type === 'NewExpression' || node.type === 'CallExpression') {
+      if (this.getCalleeName(node.callee) === 'Schema' && node.arguments[0] &&
+          node.arguments[0].type === 'ObjectExpression') {
+        const parent = ancestors[ancestors.length - 1];
+        const schema = this.readMongooseSchema(node);
+        if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+          fileInfo.mongooseSchemas.set(parent.id.name, schema);
+        }
+        return;
+      }
+    }
+
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        this.getKeyName(node.callee) === 'index' &&
+        node.callee.object.type === 'Identifier' &&
+        fileInfo.mongooseSchemas.has(node.callee.object.name) &&
+        node.arguments[0] && node.arguments[0].type === 'ObjectExpression') {
+      const fields = node.arguments[0].properties.map(property => this.getKeyName(property)).filter(Boolean);
+      if (fields.length > 0) {
+        fileInfo.mongooseSchemas.get(node.callee.object.name).indexes.add(fields.join('+'));
+      }
+      return;
+    }
+
+    if (node.type !== 'CallExpression' || this.getCalleeName(node.callee) !== 'model') return;
+
+    const [nameArg, schemaArg, collectionArg] = node.arguments;
+    if (!nameArg || nameArg.type !== 'StringLiteral' || !schemaArg) return;
+
+    let schema = null;
+    if (schemaArg.type === 'Identifier') {
+      schema = fileInfo.mongooseSchemas.get(schemaArg.name) || null;
+    } else if (schemaArg.type === 'NewExpression' || schemaArg.type === 'CallExpression') {
+      schema = this.readMongooseSchema(schemaArg);
+    }
+
+    const collectionName = collectionArg && collectionArg.type === 'StringLiteral'
+      ? collectionArg.value
+      : (schema && schema.collection) || this.pluralize(nameArg.value.toLowerCase());
+
+    const entry = this.getSchema(context, 'collection', collectionName, 'mongodb', 'mongoose', fileInfo.file);
+    if (schema) {
+      schema.fields.forEach(field => entry.fields.add(field));
+      schema.indexes.forEach(index => entry.indexes.add(index));
+    }
+  }
+
+  /**
+   * Lit les champs et index d'un new Schema({...}, { collection })
+   */
+  readMongooseSchema(node) {
+    const schema = { fields: new Set(), indexes: new Set(), collection: null };
+    const [definition, options] = node.arguments;
+
+    if (definition && definition.type === 'ObjectExpression') {
+      for (const property of definition.properties) {
+        const name = this.getKeyName(property);
+        if (!name) continue;
+
+        schema.fields.add(name);
+        const settings = property.value && property.value.type === 'ObjectExpression'
+          ? this.readObjectFlags(property.value)
+          : {};
+        if (settings.unique || settings.index) {
+          schema.indexes.add(name);
+        }
+      }
+    }
+
+    if (options && options.type === 'ObjectExpression') {
+      const collection = options.properties.find(property => this.getKeyName(property) === 'collection');
+      if (collection && collection.value.type === 'StringLiteral') {
+        schema.collection = collection.value.value;
+      }
+    }
+
+    return schema;
+  }
+
+  /**
+   * Sequelize : sequelize.define('Name', {...}, opts) et Model.init({...}, opts)
+   */
+  collectSequelize(node, fileInfo, context) {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+
+    const method = this.getKeyName(node.callee);
+    let modelName;
+    let attributes;
+    let options;
+
+    if (method === 'define' && node.arguments[0] && node.arguments[0].type === 'StringLiteral') {
+      [, attributes, options] = node.arguments;
+      modelName = node.arguments[0].value;
+    } else if (method === 'init' && node.callee.object.type === 'Identifier') {
+      [attributes, options] = node.arguments;
+      modelName = node.callee.object.name;
+    } else {
+      return;
+    }
+
+    if (!attributes || attributes.type !== 'ObjectExpression') return;
+
+    const settings = options && options.type === 'ObjectExpression' ? options : { properties: [] };
+    const option = name => settings.properties.find(property => this.getKeyName(property) === name);
+
+    const modelNameOption = option('modelName');
+    if (modelNameOption && modelNameOption.value.type === 'StringLiteral') {
+      modelName = modelNameOption.value.value;
+    }
+
+    const tableNameOption = option('tableName');
+    const freeze = option('freezeTableName');
+    let tableName;
+    if (tableNameOption && tableNameOption.value.type === 'StringLiteral') {
+      tableName = tableNameOption.value.value;
+    } else if (freeze && freeze.value.type === 'BooleanLiteral' && freeze.value.value) {
+      tableName = modelName;
+    } else {
+      tableName = this.pluralize(modelName);
+    }
+
+    const entry = this.getSchema(context, 'table', tableName, fileInfo.dialect, 'sequelize', fileInfo.file);
+    this.readAttributeObject(attributes, entry);
+
+    const indexesOption = option('indexes');
+    if (indexesOption && indexesOption.value.type === 'ArrayExpression') {
+      for (const index of indexesOption.value.elements) {
+        if (!index || index.type !== 'ObjectExpression') continue;
+        const fields = index.properties.find(property => this.getKeyName(property) === 'fields');
+        const names = fields ? this.readStringArray(fields.value) : [];
+        if (names.length > 0) entry.indexes.add(names.join('+'));
+      }
+    }
+  }
+
+  /**
+   * Lit un objet d'attributs { name: { type, primaryKey, unique } } (Sequelize)
+   */
+  readAttributeObject(attributes, entry) {
+    for (const property of attributes.properties) {
+      const name = this.getKeyName(property);
+      if (!name) continue;
+
+      entry.fields.add(name);
+      if (property.value && property.value.type === 'ObjectExpression') {
+        const flags = this.readObjectFlags(property.value);
+        if (flags.primaryKey || flags.unique || flags.autoIncrement) {
+          entry.indexes.add(name);
+        }
+      }
+    }
+  }
+
+  /**
+   * TypeORM (@Entity) et sequelize-typescript (@Table) : classes décorées
+   */
+  collectDecoratedEntity(node, fileInfo, context) {
+    if ((node.type !== 'ClassDeclaration' && node.type !== 'ClassExpression') || !node.decorators) return;
+
+    const entityDecorator = node.decorators.find(decorator =>
+      ['Entity', 'Table'].includes(this.getDecoratorName(decorator))
+    );
+    if (!entityDecorator || !node.id) return;
+
+    const isSequelize = this.getDecoratorName(entityDecorator) === 'Table';
+    const [firstArg] = this.getDecoratorArguments(entityDecorator);
+    let tableName;
+    if (firstArg && firstArg.type === 'StringLiteral') {
+      tableName = firstArg.value;
+    } else if (firstArg && firstArg.type === 'ObjectExpression') {
+      const nameProperty = firstArg.properties.find(property =>
+        ['name', 'tableName'].includes(this.getKeyName(property))
+      );
+      if (nameProperty && nameProperty.value.type === 'StringLiteral') {
+        tableName = nameProperty.value.value;
+      }
+    }
+    if (!tableName) {
+      tableName = isSequelize ? this.pluralize(node.id.name) : this.toSnakeCase(node.id.name);
+    }
+
+    const isMongo = fileInfo.dialect === 'mongodb' || node.body.body.some(member =>
+      (member.decorators || []).some(decorator => this.getDecoratorName(decorator) === 'ObjectIdColumn')
+    );
+    const entry = this.getSchema(
+      context,
+      isMongo ? 'collection' : 'table',
+      tableName,
+      isMongo ? 'mongodb' : fileInfo.dialect,
+      isSequelize ? 'sequelize' : 'typeorm',
+      fileInfo.file
+    );
+
+    for (const decorator of node.decorators) {
+      if (['Index', 'Unique'].includes(this.getDecoratorName(decorator))) {
+        const args = this.getDecoratorArguments(decorator);
+        const columns = args.map(arg => this.readStringArray(arg)).find(list => list.length > 0);
+        if (columns) entry.indexes.add(columns.join('+'));
+      }
+    }
+
+    for (const member of node.body.body) {
+      const decorators = member.decorators || [];
+      const name = this.getKeyName(member);
+      if (!name || decorators.length === 0) continue;
+
+      const decoratorNames = decorators.map(decorator => this.getDecoratorName(decorator));
+      const isColumn = decoratorNames.some(decoratorName =>
+        TYPEORM_COLUMNS.includes(decoratorName) || (isSequelize && decoratorName === 'Column')
+      );
+      if (!isColumn) continue;
+
+      entry.fields.add(name);
+
+      const isKey = decoratorNames.some(decoratorName =>
+        TYPEORM_KEYS.includes(decoratorName) ||
+        ['Index', 'Unique', 'PrimaryKey', 'AutoIncrement'].includes(decoratorName)
+      ) || decorators.some(decorator =>
+        this.getDecoratorArguments(decorator).some(arg =>
+          arg.type === 'ObjectExpression' && (this.readObjectFlags(arg).unique || this.readObjectFlags(arg).primary)
+        )
+      );
+      if (isKey) entry.indexes.add(name);
+    }
+  }
+
+  /**
+   * Migrations Knex (schema.createTable) et Sequelize (queryInterface.createTable)
+   */
+  collectMigration(node, fileInfo, context) {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+
+    const method = this.getKeyName(node.callee);
+    const [tableArg, definition] = node.arguments;
+    if (!tableArg || tableArg.type !== 'StringLiteral') return;
+
+    const tableName = tableArg.value;
+
+    if (['dropTable', 'dropTableIfExists'].includes(method)) {
+      context.schemas.delete(`table:${tableName}`);
+      return;
+    }
+
+    if (method === 'addIndex' || method === 'addConstraint') {
+      const existing = context.schemas.get(`table:${tableName}`);
+      const columns = this.readStringArray(definition);
+      if (existing && columns.length > 0) existing.indexes.add(columns.join('+'));
+      return;
+    }
+
+    if (!['createTable', 'createTableIfNotExists', 'table', 'alterTable'].includes(method) || !definition) return;
+
+    const isCreation = method.startsWith('createTable');
+    if (!isCreation && !context.schemas.has(`table:${tableName}`)) return;
+
+    // queryInterface.createTable('users', { id: {...} })
+    if (definition.type === 'ObjectExpression') {
+      const entry = this.getSchema(context, 'table', tableName, fileInfo.dialect, 'sequelize', fileInfo.file);
+      this.readAttributeObject(definition, entry);
+      this.addStore(context, fileInfo.dialect || 'sql', 'sequelize');
+      return;
+    }
+
+    // knex.schema.createTable('users', table => { table.string('email').unique(); })
+    if (!['ArrowFunctionExpression', 'FunctionExpression'].includes(definition.type)) return;
+    const [tableParam] = definition.params;
+    if (!tableParam || tableParam.type !== 'Identifier') return;
+
+    const entry = this.getSchema(context, 'table', tableName, fileInfo.dialect, 'knex', fileInfo.file);
+    walk(definition.body, (child, ancestors) => {
+      if (child.type !== 'CallExpression' || child.callee.type !== 'MemberExpression' ||
+          child.callee.object.type !== 'Identifier' || child.callee.object.name !== tableParam.name) {
+        return;
+      }
+      this.applyKnexColumn(child, ancestors, entry);
+    });
+    this.addStore(context, fileInfo.dialect || 'sql', 'knex');
+  }
+
+  /**
+   * Applique un appel du constructeur de table Knex (table.string('email').unique())
+   */
+  applyKnexColumn(call, ancestors, entry) {
+    const method = this.getKeyName(call.callee);
+    const [firstArg] = call.arguments;
+
+    if (method === 'timestamps') {
+      entry.fields.add('created_at');
+      entry.fields.add('updated_at');
+      return;
+    }
+
+    if (KNEX_KEY_MODIFIERS.includes(method)) {
+      const columns = firstArg && firstArg.type === 'StringLiteral' ? [firstArg.value] : this.readStringArray(firstArg);
+      if (columns.length > 0) entry.indexes.add(columns.join('+'));
+      return;
+    }
+
+    if (method === 'dropColumn') {
+      if (firstArg && firstArg.type === 'StringLiteral') entry.fields.delete(firstArg.value);
+      return;
+    }
+
+    if (KNEX_TABLE_METHODS.has(method) || !firstArg || firstArg.type !== 'StringLiteral') return;
+
+    const column = firstArg.value;
+    entry.fields.add(column);
+    if (/^(big)?increments$/.test(method)) {
+      entry.indexes.add(column);
+    }
+
+    // Modificateurs chaînés : .primary(), .unique(), .index()
+    for (let i = ancestors.length - 1; i >= 1; i--) {
+      const member = ancestors[i];
+      const outerCall = ancestors[i - 1];
+      if (member.type !== 'MemberExpression' || outerCall.type !== 'CallExpression' || outerCall.callee !== member) break;
+      if (KNEX_KEY_MODIFIERS.includes(this.getKeyName(member))) {
+        entry.indexes.add(column);
+      }
+      i--;
+    }
+  }
+
+  /**
+   * Enregistre les bases utilisées par un fichier JS/TS
+   */
+  registerScriptStores(fileInfo, context) {
+    const connection = fileInfo.connection || (fileInfo.hardcoded ? this.redacted(fileInfo.file, context) : undefined);
+
+    for (const source of fileInfo.drivers) {
+      const driver = Object.values(DRIVER_PACKAGES).find(candidate => candidate.source === source);
+      const database = driver.database || fileInfo.dialect;
+
+      // Le client Prisma est décrit par schema.prisma
+      if (database || source !== 'prisma') {
+        this.addStore(context, database || 'sql', source, connection);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Prisma, SQL, ormconfig et docker-compose
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Schéma Prisma : datasource, modèles, @id/@unique/@@index, @@map
+   */
+  analyzePrisma(filePath, context) {
+    // Commentaires `//` retirés, sans couper les URL (postgresql://...)
+    const source = fs.readFileSync(filePath, 'utf8').replace(/(^|\s)\/\/.*$/gm, '$1');
+
+    let database = 'sql';
+    let connection;
+    const datasource = source.match(/\bdatasource\s+\w+\s*\{([^}]*)\}/);
+    if (datasource) {
+      const provider = datasource[1].match(/provider\s*=\s*"([^"]+)"/);
+      if (provider) database = DATABASE_ALIASES[provider[1].toLowerCase()] || provider[1].toLowerCase();
+      const url = datasource[1].match(/url\s*=\s*env\(\s*"([^"]+)"\s*\)/);
+      if (url) {
+        connection = `env:${url[1]}`;
+      } else if (/url\s*=\s*"[^"]+"/.test(datasource[1])) {
+        connection = this.redacted(filePath, context);
+      }
+    }
+
+    const models = [...source.matchAll(/\bmodel\s+(\w+)\s*\{([^}]*)\}/g)];
+    const modelNames = new Set(models.map(model => model[1]));
+    const kind = database === 'mongodb' ? 'collection' : 'table';
+
+    for (const [, modelName, body] of models) {
+      const mapped = body.match(/@@map\(\s*"([^"]+)"\s*\)/);
+      const entry = this.getSchema(context, kind, mapped ? mapped[1] : modelName, database, 'prisma', filePath);
+
+      for (const rawLine of body.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const blockAttribute = line.match(/^@@(id|unique|index)\(\s*(?:fields\s*:\s*)?\[([^\]]*)\]/);
+        if (blockAttribute) {
+          const columns = blockAttribute[2].split(',').map(column => column.trim().replace(/\(.*$/, '')).filter(Boolean);
+          if (columns.length > 0) entry.indexes.add(columns.join('+'));
+          continue;
+        }
+        if (line.startsWith('@@')) continue;
+
+        const field = line.match(/^(\w+)\s+(\w+)(\[\])?\??(.*)$/);
+        if (!field) continue;
+
+        const [, name, type, , attributes] = field;
+        // Les champs de relation ne correspondent à aucune colonne
+        if (modelNames.has(type)) continue;
+
+        entry.fields.add(name);
+        if (/@(id|unique)\b/.test(attributes)) {
+          entry.indexes.add(name);
+        }
+      }
+    }
+
+    this.addStore(context, database, 'prisma', connection);
+  }
+
+  /**
+   * Migrations SQL : CREATE/ALTER/DROP TABLE et CREATE INDEX
+   */
+  analyzeSql(filePath, context) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    if (!/create\s+table/i.test(raw) && !/alter\s+table/i.test(raw)) return;
+
+    // Sections "Down" des outils goose, sql-migrate et dbmate
+    const upSection = raw.split(/^--\s*(\+goose\s+down|\+migrate\s+down|migrate:down)\b.*$/im)[0];
+    const source = upSection
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/--.*$/gm, '');
+
+    const identifier = '((?:[`"\\[]?[\\w$]+[`"\\]]?\\.)?[`"\\[]?[\\w$]+[`"\\]]?)';
+    const createTable = new RegExp(`^create\\s+(?:(?:global\\s+|local\\s+)?(?:temporary|temp)\\s+)?table\\s+(?:if\\s+not\\s+exists\\s+)?${identifier}\\s*\\(`, 'i');
+    const createIndex = new RegExp(`^create\\s+(unique\\s+)?index\\s+(?:concurrently\\s+)?(?:if\\s+not\\s+exists\\s+)?(?:[\\w$\`"]+\\s+)?on\\s+(?:only\\s+)?${identifier}\\s*(?:using\\s+\\w+\\s*)?\\(([^)]*)\\)`, 'i');
+    const alterTable = new RegExp(`^alter\\s+table\\s+(?:if\\s+exists\\s+)?(?:only\\s+)?${identifier}\\s+([\\s\\S]*)$`, 'i');
+    const dropTable = new RegExp(`^drop\\s+table\\s+(?:if\\s+exists\\s+)?${identifier}`, 'i');
+
+    for (const rawStatement of this.splitSqlStatements(source)) {
+      const statement = rawStatement.trim();
+      let match;
+
+      if ((match = statement.match(createTable))) {
+        const entry = this.getSchema(context, 'table', this.unquote(match[1]), null, 'sql', filePath);
+        const body = statement.slice(match[0].length, statement.lastIndexOf(')'));
+        this.readSqlTableBody(body, entry);
+      } else if ((match = statement.match(createIndex))) {
+        const entry = context.schemas.get(`table:${this.unquote(match[2])}`);
+        const columns = this.splitTopLevel(match[3]).map(column => this.unquote(column.trim().split(/\s+/)[0]));
+        if (entry) entry.indexes.add(columns.join('+'));
+      } else if ((match = statement.match(alterTable))) {
+        const entry = context.schemas.get(`table:${this.unquote(match[1])}`);
+        if (entry) this.applySqlAlter(match[2], entry);
+      } else if ((match = statement.match(dropTable))) {
+        context.schemas.delete(`table:${this.unquote(match[1])}`);
+      } else {
+        continue;
+      }
+
+      this.addStore(context, 'sql', 'sql');
+    }
+  }
+
+  /**
+   * Lit les colonnes et contraintes d'un CREATE TABLE
+   */
+  readSqlTableBody(body, entry) {
+    for (const rawItem of this.splitTopLevel(body)) {
+      const item = rawItem.trim().replace(/\s+/g, ' ');
+      if (!item) continue;
+
+      const constraint = item.match(/^(?:constraint\s+\S+\s+)?(primary\s+key|unique(?:\s+key|\s+index)?|key|index|foreign\s+key|check|exclude)\b(?:\s+[`"\w]+)?\s*\(([^)]*)\)/i);
+      if (constraint) {
+        if (!/^(foreign|check|exclude)/i.test(constraint[1])) {
+          const columns = constraint[2].split(',').map(column => this.unquote(column.trim().split(/\s+/)[0]));
+          entry.indexes.add(columns.join('+'));
+        }
+        continue;
+      }
+      if (/^(constraint|like)\b/i.test(item)) continue;
+
+      const column = this.unquote(item.split(' ')[0]);
+      entry.fields.add(column);
+      if (/\b(primary\s+key|unique)\b/i.test(item)) {
+        entry.indexes.add(column);
+      }
+    }
+  }
+
+  /**
+   * Applique ALTER TABLE ... ADD/DROP COLUMN
+   */
+  applySqlAlter(actions, entry) {
+    for (const rawAction of this.splitTopLevel(actions)) {
+      const action = rawAction.trim();
+      const add = action.match(/^add\s+(?:column\s+)?(?:if\s+not\s+exists\s+)?([`"\w$]+)(.*)$/i);
+      const drop = action.match(/^drop\s+(?:column\s+)?(?:if\s+exists\s+)?([`"\w$]+)/i);
+
+      if (add && !/^(constraint|primary|unique|foreign|index|key|check)$/i.test(add[1])) {
+        const column = this.unquote(add[1]);
+        entry.fields.add(column);
+        if (/\b(primary\s+key|unique)\b/i.test(add[2])) entry.indexes.add(column);
+      } else if (drop && !/^(constraint|index|primary|foreign)$/i.test(drop[1])) {
+        entry.fields.delete(this.unquote(drop[1]));
+      }
+    }
+  }
+
+  /**
+   * Découpe un script SQL en instructions (les points-virgules des chaînes sont ignorés)
+   */
+  splitSqlStatements(source) {
+    const statements = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of source) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+      } else if (char === ';') {
+        statements.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    statements.push(current);
+    return statements;
+  }
+
+  /**
+   * Découpe une liste sur les virgules de premier niveau (hors parenthèses)
+   */
+  splitTopLevel(text) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        items.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    items.push(current);
+    return items;
+  }
+
+  /**
+   * Retire guillemets, backticks, crochets et schéma par défaut d'un identifiant SQL
+   */
+  unquote(identifier) {
+    return identifier
+      .replace(/[`"[\]]/g, '')
+      .replace(/^(public|dbo)\./i, '');
+  }
+
+  /**
+   * ormconfig.json (TypeORM)
+   */
+  analyzeOrmConfig(filePath, context) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entries = Array.isArray(config) ? config : [config];
+
+    for (const entry of entries) {
+      const type = entry && typeof entry.type === 'string' ? DATABASE_ALIASES[entry.type.toLowerCase()] : null;
+      if (type) {
+        this.addStore(context, type, 'typeorm');
+      }
+    }
+  }
+
+  /**
+   * Services de base de données déclarés dans docker-compose
+   */
+  analyzeCompose(filePath, context) {
+    const document = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    const services = document && typeof document === 'object' ? document.services : null;
+    if (!services || typeof services !== 'object') return;
+
+    for (const [serviceName, service] of Object.entries(services)) {
+      if (!service || typeof service.image !== 'string') continue;
+
+      const imageName = service.image.split('@')[0].replace(/:[^/:]*$/, '').toLowerCase();
+      if (ADMIN_IMAGE_PATTERN.test(imageName)) continue;
+
+      const match = IMAGE_PATTERNS.find(([pattern]) => pattern.test(imageName));
+      if (!match) continue;
+
+      this.addStore(context, match[1], 'docker-compose', this.findComposeConnection(services, serviceName));
+    }
+  }
+
+  /**
+   * Cherche la variable d'environnement d'un autre service qui pointe vers la base
+   * (ex: DATABASE_URL=postgres://user:pass@db:5432/app → env:DATABASE_URL)
+   */
+  findComposeConnection(services, databaseService) {
+    const hostPattern = new RegExp(`(^|@|//)${databaseService.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(:\\d+)?(/|$)`);
+
+    for (const [serviceName, service] of Object.entries(services)) {
+      if (serviceName === databaseService || !service || !service.environment) continue;
+
+      const variables = Array.isArray(service.environment)
+        ? service.environment.map(line => String(line).split(/=(.*)/s))
+        : Object.entries(service.environment);
+
+      for (const [name, value] of variables) {
+        if (typeof value === 'string' && hostPattern.test(value) && CONNECTION_ENV_PATTERN.test(name)) {
+          return `env:${name}`;
+        }
+      }
+    }
+
+    return undefined;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connexions et résolution finale
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Lit les noms (jamais les valeurs) des variables des fichiers .env* du projet
+   * Retourne une liste de { name, scheme }
+   */
+  readEnvFiles(projectPath) {
+    if (!projectPath) return [];
+
+    const variables = [];
+    let entries = [];
+    try {
+      entries = fs.readdirSync(projectPath).filter(name => /^\.env(\.[\w-]+)?$/.test(name)).sort();
+    } catch (error) {
+      return [];
+    }
+
+    for (const entry of entries) {
+      try {
+        const content = fs.readFileSync(path.join(projectPath, entry), 'utf8');
+        for (const line of content.split(/\r?\n/)) {
+          const match = line.match(/^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=\s*['"]?([a-z0-9+]+):\/\//i);
+          if (match) {
+            variables.push({ name: match[1], scheme: DATABASE_ALIASES[match[2].toLowerCase()] || null });
+          }
+        }
+      } catch (error) {
+        // Fichier illisible : ignoré
+      }
+    }
+
+    return variables;
+  }
+
+  /**
+   * Connexion d'une base sans référence dans le code : variable d'un fichier .env
+   * dont l'URL a le schéma de la base, sinon aucune (jamais de nom de variable supposé)
+   */
+  guessConnection(database, envFiles) {
+    const declared = envFiles.find(variable => variable.scheme === database);
+    return declared ? `env:${declared.name}` : undefined;
+  }
+
+  /**
+   * Connexion écrite en dur : seul le fichier qui la contient est indiqué
+   */
+  redacted(filePath, context) {
+    const file = context.projectPath ? path.relative(context.projectPath, filePath) : filePath;
+    return `redacted (hardcoded in ${file.split(path.sep).join('/')})`;
+  }
+
+  isRedacted(connection) {
+    return connection.startsWith('redacted ');
+  }
+
+  /**
+   * Rattache les bases SQL non typées (migrations, ORM sans dialecte) :
+   * - à la base typée utilisant le même outil (ex: knexfile avec client 'pg')
+   * - sinon à l'unique base SQL identifiée, le cas échéant
+   */
+  resolveGenericStores(context) {
+    const generic = context.stores.get('sql');
+    if (!generic) return;
+
+    const sqlStores = [...context.stores.values()].filter(store =>
+      store.database !== 'sql' && SQL_DATABASES.includes(store.database)
+    );
+
+    for (const source of [...generic.sources]) {
+      const owner = this.findSourceDatabase(source, context);
+      if (owner) {
+        generic.sources.delete(source);
+        if (!owner.connection) owner.connection = generic.connection;
+      }
+    }
+
+    if (generic.sources.size > 0 && sqlStores.length === 1) {
+      const [target] = sqlStores;
+      generic.sources.forEach(source => target.sources.add(source));
+      if (!target.connection) target.connection = generic.connection;
+      generic.sources.clear();
+    }
+
+    if (generic.sources.size === 0) {
+      context.stores.delete('sql');
+    }
+  }
+
+  /**
+   * Retourne l'unique base typée alimentée par un outil donné, ou null
+   */
+  findSourceDatabase(source, context) {
+    const owners = [...context.stores.values()].filter(store =>
+      store.database !== 'sql' && store.sources.has(source)
+    );
+    return owners.length === 1 ? owners[0] : null;
+  }
+
+  /**
+   * Type de base d'une table/collection, déduit des bases détectées si besoin
+   */
+  resolveSchemaDatabase(schema, context) {
+    if (schema.database) return schema.database;
+    if (schema.kind === 'collection') return 'mongodb';
+
+    const owner = this.findSourceDatabase(schema.source, context);
+    if (owner) return owner.database;
+
+    const sqlStores = [...context.stores.keys()].filter(database => SQL_DATABASES.includes(database));
+    return sqlStores.length === 1 ? sqlStores[0] : 'sql';
+  }
+
+  /**
+   * Libellés lisibles d'une base et de ses sources de détection
+   */
+  describe(database) {
+    const label = DATABASE_LABELS[database.database] || database.database;
+    const sources = database.sources.map(source => SOURCE_LABELS[source] || source);
+    return { label, sources };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Utilitaires AST
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Nom d'une clé de propriété, de membre ou de méthode non calculée
+   */
+  getKeyName(node) {
+    const key = node.key || node.property;
+    if (!key) return null;
+
+    if (key.type === 'Identifier' && !node.computed) return key.name;
+    if (key.type === 'StringLiteral') return key.value;
+    return null;
+  }
+
+  /**
+   * Nom de la fonction appelée (Schema, mongoose.Schema → Schema)
+   */
+  getCalleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression') return this.getKeyName(callee);
+    return null;
+  }
+
+  /**
+   * Nom d'un décorateur (@Entity, @Entity('x') → Entity)
+   */
+  getDecoratorName(decorator) {
+    const expression = decorator.expression.type === 'CallExpression'
+      ? decorator.expression.callee
+      : decorator.expression;
+    return this.getCalleeName(expression);
+  }
+
+  /**
+   * Arguments d'un décorateur appelé (@Column({ unique: true }))
+   */
+  getDecoratorArguments(decorator) {
+    return decorator.expression.type === 'CallExpression' ? decorator.expression.arguments : [];
+  }
+
+  /**
+   * Lit les options booléennes vraies d'un objet ({ unique: true } → { unique: true })
+   */
+  readObjectFlags(objectNode) {
+    const flags = {};
+    for (const property of objectNode.properties) {
+      const name = this.getKeyName(property);
+      if (!name || !property.value) continue;
+
+      const value = property.value;
+      flags[name] = (value.type === 'BooleanLiteral' && value.value) ||
+        value.type === 'StringLiteral' ||
+        value.type === 'ObjectExpression';
+    }
+    return flags;
+  }
+
+  /**
+   * Lit un tableau de chaînes (['a', 'b'] → [a, b])
+   */
+  readStringArray(node) {
+    if (!node) return [];
+    if (node.type === 'StringLiteral') return [node.value];
+    if (node.type === 'ObjectExpression') {
+      const fields = node.properties.find(property => ['fields', 'columns'].includes(this.getKeyName(property)));
+      return fields ? this.readStringArray(fields.value) : [];
+    }
+    if (node.type !== 'ArrayExpression') return [];
+
+    return node.elements
+      .filter(element => element && element.type === 'StringLiteral')
+      .map(element => element.value);
+  }
+
+  /**
+   * Pluriel anglais simplifié (conventions Mongoose et Sequelize)
+   */
+  pluralize(name) {
+    if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+    if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+    return `${name}s`;
+  }
+
+  /**
+   * UserProfile → user_profile (stratégie de nommage par défaut de TypeORM)
+   */
+  toSnakeCase(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
+      .toLowerCase();
+  }
+}
+
+module.exports = DatabaseDetector;
@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+const toml = require('smol-toml');
+
+const DEV_GROUP_NAMES = ['dev', 'develop', 'development', 'test', 'tests', 'testing', 'lint', 'docs', 'typing'];
+
+class DependencyParser {
+  constructor() {
+    this.parsers = {
+      'package.json': this.parsePackageJson,
+      'requirements.txt': this.parseRequirements,
+      'pyproject.toml': this.parsePyproject,
+      'Pipfile': this.parsePipfile,
+      'pom.xml': this.parsePom,
+      'build.gradle': this.parseGradle,
+      'build.gradle.kts': this.parseGradle,
+      'Cargo.toml': this.parseCargo,
+      'go.mod': this.parseGoMod,
+      'Gemfile': this.parseGemfile,
+      'composer.json': this.parseComposer
+    };
+  }
+
+  /**
+   * Retourne le parseur associé à un fichier manifeste, ou null
+   */
+  getParser(filePath) {
+    const fileName = path.basename(filePath);
+
+    // requirements-dev.txt, requirements/test.txt, etc.
+    if (/^requirements.*\.txt$/i.test(fileName) || path.basename(path.dirname(filePath)) === 'requirements') {
+      return fileName.endsWith('.txt') ? this.parsers['requirements.txt'] : null;
+    }
+
+    return this.parsers[fileName] || null;
+  }
+
+  /**
+   * Vérifie si un fichier est un manifeste de dépendances connu
+   */
+  canParse(filePath) {
+    return this.getParser(filePath) !== null;
+  }
+
+  /**
+   * Parse un manifeste et retourne { runtime: [...], dev: [...] }
+   */
+  parse(filePath) {
+    const parser = this.getParser(filePath);
+    if (!parser) {
+      return { runtime: [], dev: [] };
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return parser.call(this, content, filePath);
+  }
+
+  /**
+   * package.json (npm, yarn, pnpm)
+   */
+  parsePackageJson(content) {
+    const packageJson = JSON.parse(content);
+
+    return {
+      runtime: [
+        ...this.fromMap(packageJson.dependencies, 'npm'),
+        ...this.fromMap(packageJson.optionalDependencies, 'npm')
+      ],
+      dev: this.fromMap(packageJson.devDependencies, 'npm')
+    };
+  }
+
+  /**
+   * requirements.txt et variantes (requirements-dev.txt...)
+   */
+  parseRequirements(content, filePath) {
+    // Mots entiers seulement : requirements-dev.txt, requirements/test.txt, dev/requirements.txt,
+    // mais pas requirements-latest.txt ni devices/requirements.txt
+    const isDevName = name => DEV_GROUP_NAMES.includes(name.toLowerCase());
+    const isDev = path.basename(filePath, path.extname(filePath)).split(/[^A-Za-z0-9]+/).some(isDevName) ||
+      isDevName(path.basename(path.dirname(filePath)));
+    const dependencies = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/\s+#.*$/, '').trim();
+      if (!line || line.startsWith('#') || line.startsWith('-')) {
+        continue;
+      }
+
+      const dependency = this.parsePep508(line);
+      if (dependency) {
+        dependencies.push(dependency);
+      }
+    }
+
+    return isDev ? { runtime: [], dev: dependencies } : { runtime: dependencies, dev: [] };
+  }
+
+  /**
+   * pyproject.toml (PEP 621, PEP 735 et Poetry)
+   */
+  parsePyproject(content) {
+    const data = toml.parse(content);
+    const runtime = [];
+    const dev = [];
+
+    const project = data.project || {};
+    (project.dependencies || []).forEach(spec => this.pushPep508(runtime, spec));
+
+    for (const [group, specs] of Object.entries(project['optional-dependencies'] || {})) {
+      if (DEV_GROUP_NAMES.includes(group.toLowerCase())) {
+        specs.forEach(spec => this.pushPep508(dev, spec));
+      }
+    }
+
+    for (const specs of Object.values(data['dependency-groups'] || {})) {
+      specs.filter(spec => typeof spec === 'string').forEach(spec => this.pushPep508(dev, spec));
+    }
+
+    const poetry = (data.tool && data.tool.poetry) || {};
+    runtime.push(...this.fromMap(poetry.dependencies, 'pip').filter(dep => dep.name !== 'python'));
+    dev.push(...this.fromMap(poetry['dev-dependencies'], 'pip'));
+    for (const group of Object.values(poetry.group || {})) {
+      dev.push(...this.fromMap(group.dependencies, 'pip'));
+    }
+
+    return { runtime, dev };
+  }
+
+  /**
+   * Pipfile (pipenv)
+   */
+  parsePipfile(content) {
+    const data = toml.parse(content);
+
+    return {
+      runtime: this.fromMap(data.packages, 'pip'),
+      dev: this.fromMap(data['dev-packages'], 'pip')
+    };
+  }
+
+  /**
+   * pom.xml (Maven)
+   */
+  parsePom(content) {
+    const runtime = [];
+    const dev = [];
+
+    // Les sections de gestion et de plugins ne déclarent pas de dépendances effectives
+    const body = content
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, '')
+      .replace(/<build>[\s\S]*?<\/build>/g, '');
+
+    const properties = {};
+    const propertiesBlock = body.match(/<properties>([\s\S]*?)<\/properties>/);
+    if (propertiesBlock) {
+      for (const match of propertiesBlock[1].matchAll(/<([\w.-]+)>([^<]*)<\/\1>/g)) {
+        properties[match[1]] = match[2].trim();
+      }
+    }
+
+    for (const match of body.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+      const block = match[1];
+      const tag = name => {
+        const found = block.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`));
+        return found ? found[1] : undefined;
+      };
+
+      const groupId = tag('groupId');
+      const artifactId = tag('artifactId');
+      if (!artifactId) continue;
+
+      let version = tag('version');
+      if (version) {
+        version = version.replace(/\$\{([^}]+)\}/g, (placeholder, key) => properties[key] || placeholder);
+      }
+
+      const dependency = {
+        name: groupId ? `${groupId}:${artifactId}` : artifactId,
+        version,
+        type: 'maven'
+      };
+
+      (tag('scope') === 'test' ? dev : runtime).push(dependency);
+    }
+
+    return { runtime, dev };
+  }
+
+  /**
+   * build.gradle / build.gradle.kts (coordonnées Maven)
+   */
+  parseGradle(content) {
+    const runtime = [];
+    const dev = [];
+    const source = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+    const pattern = /\b(\w+)\s*\(?\s*['"]([^'":\s]+):([^'":\s]+)(?::([^'"\s]+))?['"]/g;
+
+    for (const match of source.matchAll(pattern)) {
+      const [, configuration, group, artifact, version] = match;
+      if (!/(implementation|api|compile|runtime|compileOnly|runtimeOnly|kapt|annotationProcessor)$/i.test(configuration)) {
+        continue;
+      }
+
+      const dependency = { name: `${group}:${artifact}`, version, type: 'maven' };
+      (/^(test|androidTest)/.test(configuration) ? dev : runtime).push(dependency);
+    }
+
+    return { runtime, dev };
+  }
+
+  /**
+   * Cargo.toml (Rust)
+   */
+  parseCargo(content) {
+    const data = toml.parse(content);
+    const runtime = this.fromMap(data.dependencies, 'cargo');
+    const dev = [
+      ...this.fromMap(data['dev-dependencies'], 'cargo'),
+      ...this.fromMap(data['build-dependencies'], 'cargo')
+    ];
+
+    for (const target of Object.values(data.target || {})) {
+      runtime.push(...this.fromMap(target.dependencies, 'cargo'));
+      dev.push(...this.fromMap(target['dev-dependencies'], 'cargo'));
+    }
+
+    return { runtime, dev };
+  }
+
+  /**
+   * go.mod (les dépendances indirectes sont ignorées)
+   */
+  parseGoMod(content) {
+    const runtime = [];
+    let inRequireBlock = false;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+
+      if (/^require\s*\($/.test(line)) {
+        inRequireBlock = true;
+        continue;
+      }
+      if (inRequireBlock && line === ')') {
+        inRequireBlock = false;
+        continue;
+      }
+
+      const spec = inRequireBlock ? line : (line.match(/^require\s+(.+)$/) || [])[1];
+      if (!spec || spec.startsWith('//') || /\/\/\s*indirect/.test(spec)) {
+        continue;
+      }
+
+      const [name, version] = spec.split(/\s+/);
+      runtime.push({ name, version, type: 'go' });
+    }
+
+    return { runtime, dev: [] };
+  }
+
+  /**
+   * Gemfile (Bundler)
+   */
+  parseGemfile(content) {
+    const runtime = [];
+    const dev = [];
+    const groupStack = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+
+      const groupMatch = line.match(/^group\s+(.+?)\s+do\b/);
+      if (groupMatch) {
+        groupStack.push(/:(development|test)\b|["'](development|test)["']/.test(groupMatch[1]));
+        continue;
+      }
+      if (/^(\w+.*\s+do\b|do\b)/.test(line)) {
+        groupStack.push(false);
+        continue;
+      }
+      if (line === 'end') {
+        groupStack.pop();
+        continue;
+      }
+
+      const gemMatch = line.match(/^gem\s+['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?(.*)$/);
+      if (!gemMatch) continue;
+
+      const dependency = { name: gemMatch[1], version: gemMatch[2], type: 'gem' };
+      const inlineDev = /group:\s*(\[[^\]]*)?:?(development|test)/.test(gemMatch[3] || '');
+      (groupStack.includes(true) || inlineDev ? dev : runtime).push(dependency);
+    }
+
+    return { runtime, dev };
+  }
+
+  /**
+   * composer.json (PHP)
+   */
+  parseComposer(content) {
+    const composerJson = JSON.parse(content);
+    const isPackage = name => name !== 'php' && !name.startsWith('ext-') && !name.startsWith('lib-');
+
+    return {
+      runtime: this.fromMap(composerJson.require, 'composer').filter(dep => isPackage(dep.name)),
+      dev: this.fromMap(composerJson['require-dev'], 'composer').filter(dep => isPackage(dep.name))
+    };
+  }
+
+  /**
+   * Convertit une table nom → version (chaîne ou objet) en liste de dépendances
+   */
+  fromMap(map, type) {
+    if (!map || typeof map !== 'object') {
+      return [];
+    }
+
+    return Object.entries(map).map(([name, spec]) => {
+      let version;
+      if (typeof spec === 'string') {
+        version = spec;
+      } else if (spec && typeof spec === 'object' && typeof spec.version === 'string') {
+        version = spec.version;
+      }
+      return { name, version, type };
+    });
+  }
+
+  /**
+   * Ajoute une spécification PEP 508 à une liste si elle est valide
+   */
+  pushPep508(list, spec) {
+    const dependency = this.parsePep508(spec);
+    if (dependency) {
+      list.push(dependency);
+    }
+  }
+
+  /**
+   * Parse une spécification PEP 508 (ex: "requests[socks]>=2.0; python_version>'3'")
+   */
+  parsePep508(spec) {
+    const withoutMarkers = spec.split(';')[0].trim();
+    const match = withoutMarkers.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/);
+    if (!match) {
+      return null;
+    }
+
+    const version = match[3].replace(/^\(|\)$/g, '').trim();
+    return {
+      name: match[1],
+      version: version || undefined,
+      type: 'pip'
+    };
+  }
+}
+
+module.exports = DependencyParser;
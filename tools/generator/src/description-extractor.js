@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const toml = require('smol-toml');
+
+// Fichiers README reconnus, par ordre de préférence
+const README_FILES = ['README.md', 'README.markdown', 'README.rst', 'README.txt', 'README'];
+
+// Fichiers d'entrée dont l'en-tête décrit le répertoire qui les contient
+const INDEX_FILES = [
+  'index.ts', 'index.js', 'index.tsx', 'index.jsx', 'index.mjs', 'index.cjs',
+  '__init__.py', 'doc.go', 'mod.rs', 'lib.rs', 'main.rs'
+];
+
+const SCRIPT_EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.go', '.rs', '.java', '.kt', '.cs', '.php', '.swift'];
+const HASH_COMMENT_EXTENSIONS = ['.py', '.rb', '.sh', '.bash', '.pl', '.r'];
+
+// Commentaires d'en-tête qui ne décrivent pas le fichier (licences, directives d'outils)
+const NON_DESCRIPTIVE_COMMENT = /copyright|licen[cs]e|spdx|eslint|prettier|jshint|@ts-|istanbul|^\s*global\s|-\*-\s*coding|^\s*(?:type:|noqa|pylint|flake8)/i;
+
+// Balises JSDoc dont le texte décrit le fichier
+const FILE_TAGS = /@(?:file|fileoverview|overview|module|description)\b[ \t]*(?:[\w./@-]+[ \t]*$)?/m;
+
+const MAX_READ_SIZE = 64 * 1024;
+
+class DescriptionExtractor {
+  constructor(config = {}) {
+    this.config = config;
+    this.logger = config.logger || console;
+    this.cache = new Map();
+  }
+
+  /**
+   * Description du projet : manifeste racine (package.json, pyproject.toml, Cargo.toml,
+   * composer.json), sinon premier paragraphe du README
+   * Retourne { text, source } (source relative au projet) ou null
+   */
+  describeProject(projectPath, limit) {
+    const root = path.resolve(projectPath);
+    const found = this.fromManifests(root) || this.fromReadme(root);
+    return this.finalize(found, root, limit);
+  }
+
+  /**
+   * Description d'un répertoire : README, manifeste, puis en-tête du fichier d'entrée
+   * (JSDoc de index.js, docstring de __init__.py, commentaire de paquet Go, `//!` Rust)
+   */
+  describeDirectory(dirPath, projectPath, limit) {
+    const found = this.fromReadme(dirPath) || this.fromManifests(dirPath) || this.fromIndexFile(dirPath);
+    return this.finalize(found, projectPath, limit);
+  }
+
+  /**
+   * Description d'un fichier à partir de son commentaire d'en-tête ou de sa docstring
+   */
+  describeFile(filePath, projectPath, limit) {
+    const text = this.extractHeader(filePath);
+    return this.finalize(text ? { text, source: filePath } : null, projectPath, limit);
+  }
+
+  finalize(found, projectPath, limit) {
+    if (!found) return null;
+
+    const text = this.truncate(found.text, limit);
+    if (!text) return null;
+
+    return {
+      text,
+      source: path.relative(path.resolve(projectPath), found.source).split(path.sep).join('/')
+    };
+  }
+
+  fromManifests(dir) {
+    const readers = [
+      ['package.json', content => JSON.parse(content).description],
+      ['composer.json', content => JSON.parse(content).description],
+      ['pyproject.toml', content => {
+        const data = toml.parse(content);
+        return (data.project && data.project.description) ||
+          (data.tool && data.tool.poetry && data.tool.poetry.description);
+      }],
+      ['Cargo.toml', content => {
+        const data = toml.parse(content);
+        return data.package && data.package.description;
+      }]
+    ];
+
+    for (const [fileName, read] of readers) {
+      const filePath = path.join(dir, fileName);
+      const content = this.readText(filePath);
+      if (!content) continue;
+
+      try {
+        const description = read(content);
+        if (typeof description === 'string' && description.trim()) {
+          return { text: this.normalize(description), source: filePath };
+        }
+      } catch (error) {
+        this.logger.warn(`Erreur lors de la lecture du fichier ${filePath}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  fromReadme(dir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir).sort();
+    } catch (error) {
+      return null;
+    }
+
+    for (const candidate of README_FILES) {
+      const fileName = entries.find(entry => entry.toLowerCase() === candidate.toLowerCase());
+      if (!fileName) continue;
+
+      const filePath = path.join(dir, fileName);
+      const text = this.firstParagraph(this.readText(filePath) || '');
+      if (text) return { text, source: filePath };
+    }
+
+    return null;
+  }
+
+  fromIndexFile(dir) {
+    for (const fileName of INDEX_FILES) {
+      const filePath = path.join(dir, fileName);
+      const text = this.extractHeader(filePath);
+      if (text) return { text, source: filePath };
+    }
+
+    return null;
+  }
+
+  /**
+   * Premier paragraphe rédigé d'un README (titres, badges, images, HTML,
+   * blocs de code, listes et tableaux ignorés)
+   */
+  firstParagraph(content) {
+    const blocks = content.replace(/\r\n/g, '\n').replace(/```[\s\S]*?```/g, '').split(/\n\s*\n/);
+
+    for (const block of blocks) {
+      const lines = block.split('\n')
+        .filter(line => line.trim())
+        // Titres soulignés (Markdown setext, reStructuredText)
+        .filter((line, index, all) => !/^\s*([=\-~^*#])\1{2,}\s*$/.test(line) &&
+          !(all[index + 1] && /^\s*([=\-~^*#])\1{2,}\s*$/.test(all[index + 1])));
+
+      if (lines.length === 0) continue;
+
+      const first = lines[0].trim();
+      if (/^(#|!\[|\[!\[|<|\||>|[-*+] |\d+\. |\.\. |:)/.test(first)) continue;
+
+      const text = this.stripMarkup(lines.join(' '));
+      if (text) return text;
+    }
+
+    return null;
+  }
+
+  /**
+   * Texte d'en-tête d'un fichier source : JSDoc ou commentaire de tête, docstring
+   * de module Python, commentaires `#`, `// Package x` (Go) ou `//!` (Rust)
+   */
+  extractHeader(filePath) {
+    if (this.cache.has(filePath)) return this.cache.get(filePath);
+
+    const ext = path.extname(filePath).toLowerCase();
+    const content = this.readText(filePath);
+    let text = null;
+
+    if (content) {
+      const body = content.replace(/\r\n/g, '\n').replace(/^#!.*\n/, '');
+
+      if (ext === '.py') {
+        text = this.extractDocstring(body) || this.extractHashComment(body);
+      } else if (HASH_COMMENT_EXTENSIONS.includes(ext)) {
+        text = this.extractHashComment(body);
+      } else if (SCRIPT_EXTENSIONS.includes(ext)) {
+        text = this.extractBlockComment(body);
+      }
+    }
+
+    this.cache.set(filePath, text);
+    return text;
+  }
+
+  extractBlockComment(body) {
+    const match = body.match(/^\s*(\/\*[\s\S]*?\*\/|(?:[ \t]*\/\/.*\n?)+)/);
+    if (!match) return null;
+
+    const comment = match[1];
+    let text;
+
+    if (comment.startsWith('/*')) {
+      text = comment
+        .replace(/^\/\*+|\*+\/$/g, '')
+        .split('\n')
+        .map(line => line.replace(/^\s*\*\s?/, ''))
+        .join('\n');
+    } else {
+      text = comment
+        .split('\n')
+        .map(line => line.replace(/^\s*\/\/[/!]?\s?/, ''))
+        .join('\n');
+    }
+
+    // Un commentaire sans balise de fichier collé à une déclaration documente cette déclaration
+    const following = body.slice(match[0].length);
+    const rest = comment.endsWith('\n') ? following : following.replace(/^[ \t]*\n/, '');
+    const attached = rest.trim() && !/^[ \t]*\n/.test(rest);
+    const tagged = FILE_TAGS.test(text);
+    const isInnerDoc = /^\s*\/\/!/.test(comment);
+    const isGoPackage = /^\s*package\s/.test(rest) && /^\s*Package\s/.test(text);
+    if (attached && !tagged && !isInnerDoc && !isGoPackage) return null;
+
+    if (tagged) {
+      const tagText = text.slice(text.search(FILE_TAGS)).replace(FILE_TAGS, '');
+      text = tagText.trim() ? tagText : text.replace(FILE_TAGS, '');
+    }
+
+    return this.cleanComment(text);
+  }
+
+  extractDocstring(body) {
+    const match = body.match(/^(?:\s*#.*\n|\s*\n)*\s*[rRuU]?("""|''')([\s\S]*?)\1/);
+    return match ? this.cleanComment(match[2]) : null;
+  }
+
+  extractHashComment(body) {
+    const match = body.match(/^(?:[ \t]*#.*\n?)+/);
+    if (!match) return null;
+
+    const text = match[0].split('\n').map(line => line.replace(/^\s*#+\s?/, '')).join('\n');
+    return this.cleanComment(text);
+  }
+
+  /**
+   * Premier paragraphe d'un commentaire, sans balises JSDoc ni commentaires de licence
+   */
+  cleanComment(text) {
+    for (const block of text.split(/\n\s*\n/)) {
+      const lines = block.split('\n').filter(line => line.trim() && !/^\s*@\w+/.test(line));
+
+      // Une ligne de copyright peut précéder la description dans le même bloc
+      while (lines.length > 0 && NON_DESCRIPTIVE_COMMENT.test(lines[0])) lines.shift();
+      if (lines.length === 0) continue;
+      if (lines.some(line => NON_DESCRIPTIVE_COMMENT.test(line))) continue;
+
+      return this.stripMarkup(lines.join(' ')) || null;
+    }
+
+    return null;
+  }
+
+  stripMarkup(text) {
+    return this.normalize(text
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/`{1,2}([^`]+)`{1,2}/g, '$1')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s.,;:!?)]|$)/g, '$1$2')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\{@link\s+([^}\s|]+)[^}]*\}/g, '$1'));
+  }
+
+  normalize(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Réduit un texte à la limite de la spécification : paragraphe entier, sinon
+   * première phrase, sinon coupure au dernier mot suivie de "..."
+   */
+  truncate(text, limit) {
+    const normalized = this.normalize(text || '');
+    if (!limit || normalized.length <= limit) return normalized;
+
+    const sentence = normalized.match(/^.+?[.!?](?=\s|$)/);
+    if (sentence && sentence[0].length <= limit) return sentence[0];
+
+    const cut = normalized.slice(0, limit - 3);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > limit / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.(-]+$/, '')}...`;
+  }
+
+  readText(filePath) {
+    try {
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile()) return null;
+
+      if (stats.size <= MAX_READ_SIZE) {
+        return fs.readFileSync(filePath, 'utf8');
+      }
+
+      // Seul le début des gros fichiers est utile
+      const buffer = Buffer.alloc(MAX_READ_SIZE);
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, MAX_READ_SIZE, 0);
+      } finally {
+        fs.closeSync(fd);
+      }
+      return buffer.toString('utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Erreur lors de la lecture du fichier ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = DescriptionExtractor;
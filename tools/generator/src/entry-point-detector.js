@@ -0,0 +1,508 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const toml = require('smol-toml');
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts', '.jsx', '.tsx', '.py', '.rb', '.go', '.rs', '.php', '.sh'];
+const SCRIPT_EXTENSIONS = ['.js', '.ts', '.mjs', '.cjs', '.mts', '.cts'];
+
+// Noms de fichiers retenus lorsqu'aucun point d'entrée n'est déclaré
+const CONVENTIONAL_NAMES = ['index', 'main', 'app', 'server', 'start', 'run', 'launch', 'boot', 'init'];
+
+// Types de processus Procfile (Heroku, Foreman)
+const PROCFILE_TYPES = { web: 'server', worker: 'worker', clock: 'worker', scheduler: 'worker', release: 'cli' };
+
+// Signatures de contenu, par ordre de priorité
+const CONTENT_SIGNATURES = [
+  ['lambda', /exports\.handler\s*=|export\s+(?:const|async\s+function|function)\s+handler\b|def\s+\w*handler\s*\(\s*event\s*,\s*context|lambda\.start\s*\(|lambda_runtime/],
+  ['server', /\.listen\s*\(|createServer\s*\(|ListenAndServe|app\.run\s*\(|uvicorn\.run\s*\(|HttpServer::new|axum::serve|Server::bind|rocket::build|@SpringBootApplication|serve_forever\s*\(/],
+  ['worker', /new\s+Worker\s*\(|\.process\s*\(\s*(?:['"]|async|\()|Celery\s*\(|\.consume\s*\(|\.subscribe\s*\(|cron\.schedule\s*\(|receiveMessage|\bConsumer\s*\(/],
+  ['cli', /^#!|require\(['"](?:commander|yargs|minimist|meow|cac|@oclif\/core)['"]\)|from\s+['"](?:commander|yargs|minimist|meow|cac)['"]|\bargparse\b|import\s+click|import\s+typer|process\.argv|sys\.argv|flag\.Parse\s*\(|spf13\/cobra|clap::/m]
+];
+
+// Serveurs d'application Python dont l'argument est `module:objet`
+const PYTHON_SERVERS = ['gunicorn', 'uvicorn', 'hypercorn', 'daphne', 'waitress-serve'];
+
+const MAX_READ_SIZE = 256 * 1024;
+
+class EntryPointDetector {
+  constructor(config = {}) {
+    this.config = config;
+    this.logger = config.logger || console;
+  }
+
+  /**
+   * Résout les points d'entrée déclarés : Procfile, CMD/ENTRYPOINT des Dockerfile,
+   * fonctions serverless.yml, main/bin/exports/scripts.start des package.json,
+   * scripts pyproject.toml, binaires Cargo (src/main.rs, src/bin, [[bin]]) et
+   * répertoires Go `package main`, puis ceux des paquets du monorepo (cibles Nx).
+   * À défaut, les fichiers aux noms conventionnels.
+   * Retourne [{ file, type, declaredIn, name, command }] (chemins absolus)
+   */
+  detect(projectPath, filePaths, workspace = null) {
+    const root = path.resolve(projectPath);
+    const context = { root, files: new Set(filePaths), entries: new Map() };
+
+    filePaths.forEach(file => {
+      const name = path.basename(file);
+      if (name === 'Procfile') this.fromProcfile(file, context);
+    });
+    filePaths.forEach(file => {
+      const name = path.basename(file);
+      if (/^Dockerfile(\..+)?$|\.Dockerfile$/i.test(name)) this.fromDockerfile(file, context);
+      else if (/^serverless\.ya?ml$/.test(name)) this.fromServerless(file, context);
+    });
+    filePaths.forEach(file => {
+      const name = path.basename(file);
+      if (name === 'package.json') this.fromPackageJson(file, context);
+      else if (name === 'pyproject.toml') this.fromPyproject(file, context);
+      else if (name === 'Cargo.toml') this.fromCargo(file, context);
+    });
+    this.fromGoPackages(context);
+
+    if (workspace) {
+      workspace.packages.forEach(pkg => pkg.entryPoints.forEach(file =>
+        this.add(context, file, this.relative(context, pkg.manifest), { name: pkg.name })
+      ));
+    }
+
+    if (context.entries.size === 0) {
+      filePaths
+        .filter(file => CONVENTIONAL_NAMES.includes(path.basename(file, path.extname(file)).toLowerCase()))
+        .forEach(file => this.add(context, file, null, {}));
+    }
+
+    return [...context.entries.values()];
+  }
+
+  /**
+   * Enregistre un point d'entrée (le premier déclaré l'emporte) ; le type est celui
+   * imposé par la déclaration, sinon déduit du contenu, sinon du nom du fichier
+   */
+  add(context, file, declaredIn, { type, name, command } = {}) {
+    if (!file || context.entries.has(file)) return;
+    if (!context.files.has(file) && !this.isFile(file)) return;
+
+    context.entries.set(file, {
+      file,
+      type: type || this.classify(file) || this.typeFromName(file),
+      declaredIn: declaredIn || undefined,
+      name,
+      command
+    });
+  }
+
+  fromProcfile(file, context) {
+    const content = this.readText(file);
+    if (!content) return;
+
+    content.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^([\w-]+):\s*(.+)$/);
+      if (!match) return;
+
+      const [, processType, command] = match;
+      const resolved = this.resolveCommand(command, path.dirname(file), context);
+      if (resolved) {
+        this.add(context, resolved.file, `${this.relative(context, file)}#${processType}`, {
+          type: PROCFILE_TYPES[processType] || resolved.type,
+          name: processType,
+          command: command.trim()
+        });
+      }
+    });
+  }
+
+  fromDockerfile(file, context) {
+    const content = this.readText(file);
+    if (!content) return;
+
+    const instructions = {};
+    content.replace(/\\\r?\n/g, ' ').split(/\r?\n/).forEach(line => {
+      const match = line.match(/^\s*(CMD|ENTRYPOINT)\s+(.+)$/i);
+      if (match) instructions[match[1].toUpperCase()] = this.parseDockerArguments(match[2]);
+    });
+
+    const args = [...(instructions.ENTRYPOINT || []), ...(instructions.CMD || [])];
+    if (args.length === 0) return;
+
+    // Le fichier lancé est attribué à l'instruction qui le nomme, un script shell
+    // d'amorçage de l'ENTRYPOINT ne comptant que faute de mieux
+    const candidates = ['ENTRYPOINT', 'CMD']
+      .filter(keyword => instructions[keyword])
+      .map(keyword => ({ keyword, resolved: this.resolveCommand(instructions[keyword], path.dirname(file), context) }))
+      .filter(candidate => candidate.resolved);
+    const chosen = candidates.find(candidate => path.extname(candidate.resolved.file) !== '.sh') || candidates[0];
+
+    if (chosen) {
+      this.add(context, chosen.resolved.file, `${this.relative(context, file)}#${chosen.keyword}`, {
+        type: chosen.resolved.type,
+        command: args.join(' ')
+      });
+    }
+  }
+
+  /**
+   * Arguments d'une instruction CMD/ENTRYPOINT (forme exec JSON ou forme shell)
+   */
+  parseDockerArguments(value) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        if (Array.isArray(parsed)) return parsed.map(String);
+      } catch (error) {
+        // Forme exec invalide : traitée comme une forme shell
+      }
+    }
+    return this.splitCommand(trimmed);
+  }
+
+  fromServerless(file, context) {
+    let config;
+    try {
+      config = yaml.load(this.readText(file) || '');
+    } catch (error) {
+      this.logger.warn(`Erreur lors de la lecture du fichier ${file}:`, error.message);
+      return;
+    }
+
+    const functions = config && config.functions;
+    if (!functions || typeof functions !== 'object') return;
+
+    Object.entries(functions).forEach(([name, definition]) => {
+      const handler = definition && definition.handler;
+      if (typeof handler !== 'string') return;
+
+      // `src/handlers/users.create` : fichier src/handlers/users, export create
+      const modulePath = handler.slice(0, handler.lastIndexOf('.'));
+      const target = this.resolveSourceFile(path.resolve(path.dirname(file), modulePath));
+      this.add(context, target, `${this.relative(context, file)}#/functions/${name}/handler`, {
+        type: 'lambda',
+        name
+      });
+    });
+  }
+
+  fromPackageJson(file, context) {
+    const manifest = this.readJson(file);
+    if (!manifest) return;
+
+    const dir = path.dirname(file);
+    const declared = this.relative(context, file);
+
+    if (typeof manifest.bin === 'string') {
+      this.add(context, path.resolve(dir, manifest.bin), `${declared}#/bin`, { type: 'cli', name: manifest.name });
+    } else if (manifest.bin && typeof manifest.bin === 'object') {
+      Object.entries(manifest.bin).forEach(([name, target]) => {
+        if (typeof target === 'string') {
+          this.add(context, path.resolve(dir, target), `${declared}#/bin/${name}`, { type: 'cli', name });
+        }
+      });
+    }
+
+    const start = manifest.scripts && manifest.scripts.start;
+    if (typeof start === 'string') {
+      const resolved = this.resolveCommand(start, dir, context);
+      if (resolved) {
+        this.add(context, resolved.file, `${declared}#/scripts/start`, {
+          type: resolved.type,
+          command: start
+        });
+      }
+    }
+
+    if (typeof manifest.main === 'string') {
+      this.add(context, this.resolveSourceFile(path.resolve(dir, manifest.main)), `${declared}#/main`);
+    }
+
+    const rootExport = this.resolveRootExport(manifest.exports);
+    if (rootExport) {
+      this.add(context, this.resolveSourceFile(path.resolve(dir, rootExport)), `${declared}#/exports`);
+    }
+  }
+
+  fromPyproject(file, context) {
+    let data;
+    try {
+      data = toml.parse(this.readText(file) || '');
+    } catch (error) {
+      this.logger.warn(`Erreur lors de la lecture du fichier ${file}:`, error.message);
+      return;
+    }
+
+    const dir = path.dirname(file);
+    const declared = this.relative(context, file);
+    const sections = [
+      ['project/scripts', data.project && data.project.scripts],
+      ['project/gui-scripts', data.project && data.project['gui-scripts']],
+      ['tool/poetry/scripts', data.tool && data.tool.poetry && data.tool.poetry.scripts]
+    ];
+
+    sections.forEach(([section, scripts]) => {
+      if (!scripts || typeof scripts !== 'object') return;
+
+      Object.entries(scripts).forEach(([name, reference]) => {
+        // `package.module:function` (Poetry accepte aussi { callable = "..." })
+        const target = typeof reference === 'string' ? reference : reference && reference.callable;
+        if (typeof target !== 'string') return;
+
+        const moduleFile = this.resolvePythonModule(target.split(':')[0], dir);
+        this.add(context, moduleFile, `${declared}#/${section}/${name}`, { type: 'cli', name });
+      });
+    });
+  }
+
+  fromCargo(file, context) {
+    let data;
+    try {
+      data = toml.parse(this.readText(file) || '');
+    } catch (error) {
+      this.logger.warn(`Erreur lors de la lecture du fichier ${file}:`, error.message);
+      return;
+    }
+
+    const dir = path.dirname(file);
+    const declared = this.relative(context, file);
+
+    (Array.isArray(data.bin) ? data.bin : []).forEach((bin, index) => {
+      const target = bin.path
+        ? path.resolve(dir, bin.path)
+        : bin.name && this.resolveRustBinary(path.join(dir, 'src', 'bin'), bin.name);
+      this.add(context, target, `${declared}#/bin/${index}`, { name: bin.name });
+    });
+
+    // Binaires découverts automatiquement par Cargo
+    const crateName = data.package && data.package.name;
+    this.add(context, path.join(dir, 'src', 'main.rs'), declared, { name: crateName });
+
+    const binDir = path.join(dir, 'src', 'bin');
+    [...context.files]
+      .filter(candidate => path.dirname(candidate) === binDir ||
+        (path.basename(candidate) === 'main.rs' && path.dirname(path.dirname(candidate)) === binDir))
+      .filter(candidate => candidate.endsWith('.rs'))
+      .sort()
+      .forEach(candidate => {
+        const name = path.dirname(candidate) === binDir
+          ? path.basename(candidate, '.rs')
+          : path.basename(path.dirname(candidate));
+        this.add(context, candidate, declared, { name });
+      });
+  }
+
+  /**
+   * Répertoires Go contenant `package main` et `func main()`
+   */
+  fromGoPackages(context) {
+    [...context.files]
+      .filter(file => file.endsWith('.go') && !file.endsWith('_test.go'))
+      .sort()
+      .forEach(file => {
+        const content = this.readText(file);
+        if (content && /^package\s+main\b/m.test(content) && /^func\s+main\s*\(\s*\)/m.test(content)) {
+          this.add(context, file, this.relative(context, file), {
+            name: path.basename(path.dirname(file))
+          });
+        }
+      });
+  }
+
+  /**
+   * Fichier source lancé par une commande (node, python -m, gunicorn module:app,
+   * npm start...) ; le type est déduit du programme lorsqu'il est explicite
+   */
+  resolveCommand(command, dir, context, depth = 0) {
+    // `cd app && node server.js` : chaque commande enchaînée est essayée
+    if (!Array.isArray(command)) {
+      let cwd = dir;
+      for (const segment of command.split(/&&|\|\||;/)) {
+        const args = this.splitCommand(segment);
+        if (args[0] === 'cd' && args[1]) {
+          cwd = path.resolve(cwd, args[1]);
+          continue;
+        }
+
+        const resolved = this.resolveCommand(args, cwd, context, depth);
+        if (resolved) return resolved;
+      }
+      return null;
+    }
+
+    const args = command;
+    const programs = args.map(arg => path.basename(arg));
+
+    // npm start / npm run x / yarn x : script du package.json du même répertoire
+    const runnerIndex = programs.findIndex(program => ['npm', 'yarn', 'pnpm'].includes(program));
+    if (runnerIndex !== -1 && depth === 0) {
+      const rest = args.slice(runnerIndex + 1).filter(arg => arg !== 'run' && arg !== 'run-script');
+      const manifest = this.readJson(path.join(dir, 'package.json'));
+      const script = manifest && manifest.scripts && manifest.scripts[rest[0] || 'start'];
+      if (typeof script === 'string') return this.resolveCommand(script, dir, context, depth + 1);
+    }
+
+    const serverIndex = programs.findIndex(program => PYTHON_SERVERS.includes(program));
+    if (serverIndex !== -1) {
+      const appArg = args.slice(serverIndex + 1).find(arg => /^[\w.]+:[\w.()]+$/.test(arg));
+      const file = appArg && this.resolvePythonModule(appArg.split(':')[0], dir);
+      if (file) return { file, type: 'server' };
+    }
+
+    const celeryIndex = programs.indexOf('celery');
+    if (celeryIndex !== -1) {
+      const appIndex = args.findIndex(arg => arg === '-A' || arg === '--app');
+      const file = appIndex !== -1 && args[appIndex + 1] &&
+        this.resolvePythonModule(args[appIndex + 1].split(':')[0], dir);
+      if (file) return { file, type: 'worker' };
+    }
+
+    const moduleIndex = args.indexOf('-m');
+    if (moduleIndex !== -1 && /^python/.test(programs[moduleIndex - 1] || programs[0])) {
+      const file = this.resolvePythonModule(args[moduleIndex + 1], dir, true);
+      if (file) return { file, type: undefined };
+    }
+
+    // Un script shell d'amorçage (docker-entrypoint.sh) ne compte que faute de mieux
+    const files = args
+      .filter(arg => !arg.startsWith('-') && SOURCE_EXTENSIONS.includes(path.extname(arg).toLowerCase()))
+      .map(arg => this.resolveSourceFile(path.resolve(dir, arg)))
+      .filter(Boolean);
+    const file = files.find(candidate => path.extname(candidate) !== '.sh') || files[0];
+
+    return file ? { file, type: undefined } : null;
+  }
+
+  /**
+   * Module Python `a.b` vers a/b.py, a/b/__init__.py (ou __main__.py pour `python -m`),
+   * à la racine ou sous src/
+   */
+  resolvePythonModule(moduleName, dir, runAsMain = false) {
+    if (!moduleName || !/^[\w.]+$/.test(moduleName)) return null;
+
+    const segments = moduleName.split('.');
+    for (const base of [dir, path.join(dir, 'src')]) {
+      const target = path.join(base, ...segments);
+      const candidates = [
+        `${target}.py`,
+        ...(runAsMain ? [path.join(target, '__main__.py')] : []),
+        path.join(target, '__init__.py')
+      ];
+      const file = candidates.find(candidate => this.isFile(candidate));
+      if (file) return file;
+    }
+
+    return null;
+  }
+
+  resolveRustBinary(binDir, name) {
+    return [path.join(binDir, `${name}.rs`), path.join(binDir, name, 'main.rs')].find(file => this.isFile(file));
+  }
+
+  /**
+   * Fichier source correspondant à un chemin déclaré (extension absente ou sortie
+   * compilée `dist/x.js` dont la source est `src/x.ts`)
+   */
+  resolveSourceFile(target) {
+    if (this.isFile(target)) return target;
+
+    const ext = path.extname(target);
+    const base = SCRIPT_EXTENSIONS.includes(ext) ? target.slice(0, -ext.length) : target;
+    const candidates = [
+      ...SCRIPT_EXTENSIONS.map(candidate => base + candidate),
+      `${base}.py`,
+      ...SCRIPT_EXTENSIONS.map(candidate => path.join(base, `index${candidate}`))
+    ];
+
+    const compiled = base.replace(/([\\/])(?:dist|build|lib|out)([\\/])/, '$1src$2');
+    if (compiled !== base) {
+      candidates.push(...SCRIPT_EXTENSIONS.map(candidate => compiled + candidate));
+    }
+
+    return candidates.find(candidate => this.isFile(candidate)) || null;
+  }
+
+  resolveRootExport(exportsField) {
+    if (typeof exportsField === 'string') return exportsField;
+    if (!exportsField || typeof exportsField !== 'object') return null;
+
+    const target = exportsField['.'] !== undefined ? exportsField['.'] : exportsField;
+    if (typeof target === 'string') return target;
+    if (target && typeof target === 'object') {
+      return ['require', 'import', 'node', 'default']
+        .map(condition => target[condition])
+        .find(value => typeof value === 'string') || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Type déduit du contenu : lambda, server, worker ou cli
+   */
+  classify(file) {
+    const content = this.readText(file);
+    if (!content) return null;
+
+    const match = CONTENT_SIGNATURES.find(([, pattern]) => pattern.test(content));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Type déduit du nom du fichier lorsque le contenu ne suffit pas
+   */
+  typeFromName(file) {
+    const fileName = path.basename(file).toLowerCase();
+
+    if (fileName.includes('server')) return 'server';
+    if (fileName.includes('app')) return 'application';
+    if (fileName.includes('main')) return 'main';
+    if (fileName.includes('index')) return 'index';
+
+    return 'entry';
+  }
+
+  /**
+   * Découpe une commande shell (guillemets simples et doubles, affectations de variables ignorées)
+   */
+  splitCommand(command) {
+    const args = [];
+    for (const match of command.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)) {
+      const arg = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+      if (arg === '|') break;
+      if (!/^\w+=/.test(arg) && arg !== 'exec') args.push(arg);
+    }
+    return args;
+  }
+
+  relative(context, file) {
+    return path.relative(context.root, file).split(path.sep).join('/');
+  }
+
+  isFile(file) {
+    try {
+      return fs.statSync(file).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  readText(file) {
+    try {
+      if (fs.statSync(file).size > MAX_READ_SIZE) return null;
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Erreur lors de la lecture du fichier ${file}:`, error.message);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = EntryPointDetector;
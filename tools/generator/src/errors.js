@@ -0,0 +1,66 @@
+/**
+ * Erreurs levées par les outils LMAY et leur API. Chaque erreur porte un `code`
+ * stable pour que l'appelant n'ait pas à analyser le message ; l'erreur d'origine,
+ * s'il y en a une, est disponible dans `cause`.
+ */
+class LMAYError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+/** Fichier de configuration absent, illisible ou sans les sections requises */
+class ConfigError extends LMAYError {
+  constructor(message, cause) {
+    super(message, 'LMAY_CONFIG', cause);
+  }
+}
+
+/** Répertoire de projet ou fichier LMAY inexistant */
+class NotFoundError extends LMAYError {
+  constructor(message, targetPath) {
+    super(message, 'LMAY_NOT_FOUND');
+    this.path = targetPath;
+  }
+}
+
+/** Arborescence du projet impossible à parcourir */
+class ScanError extends LMAYError {
+  constructor(message, cause) {
+    super(message, 'LMAY_SCAN', cause);
+  }
+}
+
+/** Échec de la génération ou de l'écriture des fichiers LMAY */
+class GenerationError extends LMAYError {
+  constructor(message, cause) {
+    super(message, 'LMAY_GENERATION', cause);
+  }
+}
+
+/** Échec du validateur lui-même (un document invalide est un résultat, pas une erreur) */
+class ValidationError extends LMAYError {
+  constructor(message, cause) {
+    super(message, 'LMAY_VALIDATION', cause);
+  }
+}
+
+/** Échec de la détection des écarts ou de l'application des mises à jour */
+class UpdateError extends LMAYError {
+  constructor(message, cause) {
+    super(message, 'LMAY_UPDATE', cause);
+  }
+}
+
+module.exports = {
+  LMAYError,
+  ConfigError,
+  NotFoundError,
+  ScanError,
+  GenerationError,
+  ValidationError,
+  UpdateError
+};
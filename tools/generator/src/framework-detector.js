@@ -0,0 +1,496 @@
+const fs = require('fs');
+const path = require('path');
+const DependencyParser = require('./dependency-parser');
+const { compareStrings } = require('./compare');
+
+/**
+ * Détecteurs intégrés. Chaque détecteur est déclaratif :
+ * - dependencies : noms de paquets par écosystème (type de DependencyParser), `*` en suffixe accepté
+ * - files        : fichiers de configuration caractéristiques (nom ou chemin relatif, wildcards)
+ * - imports      : modules importés dans le code source
+ * - patterns     : expressions recherchées dans le contenu de certains fichiers
+ * Les détecteurs ajoutés par configuration suivent le même format et peuvent
+ * en plus fournir une fonction detect(context) retournant leurs propres indices.
+ */
+const BUILTIN_DETECTORS = [
+  {
+    name: 'react',
+    language: 'javascript',
+    dependencies: { npm: ['react'] },
+    imports: ['react', 'react-dom']
+  },
+  {
+    name: 'vue',
+    language: 'javascript',
+    dependencies: { npm: ['vue'] },
+    files: ['vue.config.js', '*.vue'],
+    imports: ['vue']
+  },
+  {
+    name: 'angular',
+    language: 'typescript',
+    dependencies: { npm: ['@angular/core'] },
+    files: ['angular.json', '.angular-cli.json'],
+    imports: ['@angular/core']
+  },
+  {
+    name: 'svelte',
+    language: 'javascript',
+    dependencies: { npm: ['svelte'] },
+    files: ['svelte.config.js', '*.svelte'],
+    imports: ['svelte']
+  },
+  {
+    name: 'next',
+    language: 'javascript',
+    dependencies: { npm: ['next'] },
+    files: ['next.config.js', 'next.config.mjs', 'next.config.ts'],
+    imports: ['next']
+  },
+  {
+    name: 'nuxt',
+    language: 'javascript',
+    dependencies: { npm: ['nuxt', 'nuxt3'] },
+    files: ['nuxt.config.js', 'nuxt.config.ts'],
+    imports: ['nuxt', '#app']
+  },
+  {
+    name: 'express',
+    language: 'javascript',
+    dependencies: { npm: ['express'] },
+    imports: ['express']
+  },
+  {
+    name: 'koa',
+    language: 'javascript',
+    dependencies: { npm: ['koa'] },
+    imports: ['koa', '@koa/router', 'koa-router']
+  },
+  {
+    name: 'fastify',
+    language: 'javascript',
+    dependencies: { npm: ['fastify'] },
+    imports: ['fastify']
+  },
+  {
+    name: 'nestjs',
+    language: 'typescript',
+    dependencies: { npm: ['@nestjs/core'] },
+    files: ['nest-cli.json'],
+    imports: ['@nestjs/core', '@nestjs/common']
+  },
+  {
+    name: 'django',
+    language: 'python',
+    dependencies: { pip: ['django', 'Django'] },
+    files: ['manage.py'],
+    imports: ['django'],
+    patterns: [{ files: 'settings.py', match: '\\bINSTALLED_APPS\\b' }]
+  },
+  {
+    name: 'flask',
+    language: 'python',
+    dependencies: { pip: ['flask', 'Flask'] },
+    imports: ['flask']
+  },
+  {
+    name: 'fastapi',
+    language: 'python',
+    dependencies: { pip: ['fastapi'] },
+    imports: ['fastapi']
+  },
+  {
+    name: 'spring',
+    language: 'java',
+    dependencies: { maven: ['org.springframework.boot:*', 'org.springframework:*'] },
+    files: ['application.properties', 'application.yml', 'application.yaml'],
+    imports: ['org.springframework'],
+    // application.yml n'est pas propre à Spring, @SpringBootApplication l'est
+    weights: { file: 0.3, pattern: 0.6 },
+    patterns: [{ files: '*.java', match: '@(SpringBootApplication|RestController|Controller|Service|Repository)\\b' }]
+  },
+  {
+    name: 'rails',
+    language: 'ruby',
+    dependencies: { gem: ['rails'] },
+    files: ['config/routes.rb', 'config/application.rb'],
+    imports: ['rails']
+  },
+  {
+    name: 'laravel',
+    language: 'php',
+    dependencies: { composer: ['laravel/framework'] },
+    files: ['artisan'],
+    imports: ['Illuminate']
+  },
+  {
+    name: 'gin',
+    language: 'go',
+    dependencies: { go: ['github.com/gin-gonic/gin'] },
+    imports: ['github.com/gin-gonic/gin']
+  },
+  {
+    name: 'actix-web',
+    language: 'rust',
+    dependencies: { cargo: ['actix-web'] },
+    imports: ['actix_web']
+  }
+];
+
+// Poids par défaut de chaque type d'indice (combinés en probabilité)
+const DEFAULT_WEIGHTS = {
+  dependency: 0.7,
+  devDependency: 0.5,
+  file: 0.5,
+  import: 0.25,
+  pattern: 0.4
+};
+
+// Nombre maximal d'indices d'un même type pris en compte dans le score
+const MAX_EVIDENCE_PER_KIND = 3;
+const MAX_REPORTED_EVIDENCE = 5;
+
+// Extraction des modules importés selon l'extension du fichier
+const IMPORT_PATTERNS = {
+  javascript: [
+    /\bfrom\s+['"]([^'"]+)['"]/g,
+    /\bimport\s+['"]([^'"]+)['"]/g,
+    /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g
+  ],
+  python: [/^\s*from\s+([\w.]+)\s+import\b/gm, /^\s*import\s+([\w.]+)/gm],
+  java: [/^\s*import\s+(?:static\s+)?([\w.]+)/gm],
+  go: [/^\s*(?:import\s+)?(?:[\w.]+\s+)?"([^"]+)"\s*$/gm],
+  rust: [/^\s*(?:pub\s+)?use\s+([\w:]+)/gm, /^\s*extern\s+crate\s+(\w+)/gm],
+  php: [/^\s*use\s+([\w\\]+)/gm],
+  ruby: [/^\s*require\s+['"]([^'"]+)['"]/gm]
+};
+
+const IMPORT_LANGUAGES = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'javascript', '.tsx': 'javascript', '.mts': 'javascript', '.cts': 'javascript',
+  '.vue': 'javascript', '.svelte': 'javascript',
+  '.py': 'python',
+  '.java': 'java', '.kt': 'java', '.scala': 'java',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.php': 'php',
+  '.rb': 'ruby'
+};
+
+class FrameworkDetector {
+  /**
+   * @param {Object} config - configuration LMAY ; lit analysis.frameworkDetectors
+   *                          et analysis.frameworkMinConfidence
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.logger = config.logger || console;
+    const analysis = config.analysis || {};
+    this.minConfidence = typeof analysis.frameworkMinConfidence === 'number'
+      ? analysis.frameworkMinConfidence
+      : 0.5;
+    this.maxFileSize = analysis.maxParseFileSize || 512 * 1024;
+    this.dependencyParser = new DependencyParser();
+  }
+
+  /**
+   * Retourne les détecteurs actifs : intégrés puis configurés
+   * Un détecteur configuré portant le nom d'un détecteur intégré le remplace.
+   */
+  getDetectors(projectPath) {
+    const configured = ((this.config.analysis || {}).frameworkDetectors || [])
+      .flatMap(entry => this.loadDetector(entry, projectPath));
+
+    const detectors = new Map(BUILTIN_DETECTORS.map(detector => [detector.name, detector]));
+    configured.forEach(detector => detectors.set(detector.name, detector));
+
+    return [...detectors.values()];
+  }
+
+  /**
+   * Charge un détecteur déclaré en configuration (objet ou chemin de module)
+   */
+  loadDetector(entry, projectPath) {
+    let loaded = entry;
+
+    if (typeof entry === 'string') {
+      const modulePath = path.isAbsolute(entry) ? entry : path.resolve(projectPath || process.cwd(), entry);
+      try {
+        loaded = require(modulePath);
+      } catch (error) {
+        this.logger.warn(`Détecteur de framework introuvable: ${entry}`, error.message);
+        return [];
+      }
+    }
+
+    return (Array.isArray(loaded) ? loaded : [loaded]).filter(detector => {
+      if (!detector || typeof detector.name !== 'string') {
+        this.logger.warn('Détecteur de framework ignoré: propriété "name" manquante');
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Détecte les frameworks d'un projet à partir de la liste de ses fichiers
+   * Retourne [{ name, language, version?, confidence, evidence: [string] }]
+   * triés par confiance décroissante
+   */
+  detect(projectPath, filePaths) {
+    const detectors = this.getDetectors(projectPath);
+    const context = this.createContext(projectPath, filePaths);
+    const results = [];
+
+    for (const detector of detectors) {
+      const evidence = [
+        ...this.matchDependencies(detector, context),
+        ...this.matchFiles(detector, context),
+        ...this.matchImports(detector, context),
+        ...this.matchPatterns(detector, context),
+        ...this.runCustomDetector(detector, context)
+      ];
+      if (evidence.length === 0) continue;
+
+      const confidence = this.computeConfidence(evidence, detector.weights);
+      if (confidence < this.minConfidence) continue;
+
+      const dependency = evidence.find(item => item.version);
+      results.push({
+        name: detector.name,
+        language: detector.language,
+        version: dependency ? dependency.version : undefined,
+        confidence,
+        evidence: evidence.slice(0, MAX_REPORTED_EVIDENCE).map(item => item.detail)
+      });
+    }
+
+    return results.sort((a, b) => b.confidence - a.confidence || compareStrings(a.name, b.name));
+  }
+
+  /**
+   * Prépare les données partagées par les détecteurs (dépendances, fichiers, imports)
+   */
+  createContext(projectPath, filePaths) {
+    const root = projectPath || process.cwd();
+    const files = filePaths.map(file => ({ path: file, relative: path.relative(root, file).split(path.sep).join('/') }));
+    const contentCache = new Map();
+
+    const readFile = filePath => {
+      if (!contentCache.has(filePath)) {
+        let content = null;
+        try {
+          if (fs.statSync(filePath).size <= this.maxFileSize) {
+            content = fs.readFileSync(filePath, 'utf8');
+          }
+        } catch (error) {
+          content = null;
+        }
+        contentCache.set(filePath, content);
+      }
+      return contentCache.get(filePath);
+    };
+
+    const dependencies = [];
+    for (const file of files) {
+      if (!this.dependencyParser.canParse(file.path)) continue;
+      try {
+        const { runtime, dev } = this.dependencyParser.parse(file.path);
+        runtime.forEach(dep => dependencies.push({ ...dep, scope: 'runtime', file: file.relative }));
+        dev.forEach(dep => dependencies.push({ ...dep, scope: 'dev', file: file.relative }));
+      } catch (error) {
+        // Manifeste illisible : déjà signalé par l'extraction des dépendances
+      }
+    }
+
+    let imports = null;
+    const getImports = () => {
+      if (!imports) {
+        imports = this.collectImports(files, readFile);
+      }
+      return imports;
+    };
+
+    return { projectPath: root, files, dependencies, readFile, getImports };
+  }
+
+  /**
+   * Relève les modules importés par les fichiers source (module → premier fichier)
+   */
+  collectImports(files, readFile) {
+    const imports = new Map();
+
+    for (const file of files) {
+      const language = IMPORT_LANGUAGES[path.extname(file.path).toLowerCase()];
+      if (!language) continue;
+
+      const content = readFile(file.path);
+      if (!content) continue;
+
+      for (const pattern of IMPORT_PATTERNS[language]) {
+        for (const match of content.matchAll(pattern)) {
+          if (!imports.has(match[1])) {
+            imports.set(match[1], file.relative);
+          }
+        }
+      }
+    }
+
+    return imports;
+  }
+
+  /**
+   * Indices issus des manifestes de dépendances
+   */
+  matchDependencies(detector, context) {
+    const evidence = [];
+
+    for (const [type, names] of Object.entries(detector.dependencies || {})) {
+      for (const dep of context.dependencies) {
+        if (dep.type !== type || !names.some(name => this.matchName(dep.name, name))) continue;
+
+        evidence.push({
+          kind: dep.scope === 'dev' ? 'devDependency' : 'dependency',
+          version: dep.version,
+          detail: `dependency ${dep.name}${dep.version ? `@${dep.version}` : ''} (${dep.file})`
+        });
+      }
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Indices issus des fichiers de configuration caractéristiques
+   */
+  matchFiles(detector, context) {
+    const evidence = [];
+
+    for (const pattern of detector.files || []) {
+      const file = context.files.find(candidate => this.matchPath(candidate.relative, pattern));
+      if (file) {
+        evidence.push({ kind: 'file', detail: `file ${file.relative}` });
+      }
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Indices issus des imports du code source
+   */
+  matchImports(detector, context) {
+    if (!detector.imports || detector.imports.length === 0) return [];
+
+    const evidence = [];
+    for (const [source, file] of context.getImports()) {
+      if (detector.imports.some(name => this.matchModule(source, name))) {
+        evidence.push({ kind: 'import', detail: `import ${source} (${file})` });
+      }
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Indices issus du contenu des fichiers (annotations, réglages)
+   */
+  matchPatterns(detector, context) {
+    const evidence = [];
+
+    for (const { files, match } of detector.patterns || []) {
+      const regex = new RegExp(match);
+      const file = context.files.find(candidate => {
+        if (!this.matchPath(candidate.relative, files)) return false;
+        const content = context.readFile(candidate.path);
+        return content !== null && regex.test(content);
+      });
+
+      if (file) {
+        const found = context.readFile(file.path).match(regex)[0];
+        evidence.push({ kind: 'pattern', detail: `${found} (${file.relative})` });
+      }
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Exécute la fonction detect(context) d'un détecteur configuré
+   * Elle retourne une liste de { detail, kind?, weight? }
+   */
+  runCustomDetector(detector, context) {
+    if (typeof detector.detect !== 'function') return [];
+
+    try {
+      const evidence = detector.detect({
+        projectPath: context.projectPath,
+        files: context.files.map(file => file.relative),
+        dependencies: context.dependencies,
+        imports: context.getImports(),
+        readFile: relativePath => context.readFile(path.resolve(context.projectPath, relativePath))
+      }) || [];
+
+      return evidence
+        .filter(item => item && typeof item.detail === 'string')
+        .map(item => ({ kind: item.kind || 'custom', weight: item.weight, detail: item.detail }));
+    } catch (error) {
+      this.logger.warn(`Erreur du détecteur de framework ${detector.name}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Combine les indices en un score de confiance entre 0 et 1
+   * (chaque indice est traité comme une probabilité indépendante)
+   */
+  computeConfidence(evidence, weights = {}) {
+    const perKind = new Map();
+    let doubt = 1;
+
+    for (const item of evidence) {
+      const count = perKind.get(item.kind) || 0;
+      if (count >= MAX_EVIDENCE_PER_KIND) continue;
+      perKind.set(item.kind, count + 1);
+
+      const weight = typeof item.weight === 'number'
+        ? item.weight
+        : (weights[item.kind] !== undefined ? weights[item.kind] : DEFAULT_WEIGHTS[item.kind] || 0.5);
+      doubt *= 1 - Math.min(Math.max(weight, 0), 1);
+    }
+
+    return Math.round((1 - doubt) * 100) / 100;
+  }
+
+  /**
+   * Compare un nom de paquet à un motif (`org.springframework.boot:*`)
+   */
+  matchName(name, pattern) {
+    return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+  }
+
+  /**
+   * Vérifie qu'un module importé appartient à un paquet (react, react/jsx-runtime)
+   */
+  matchModule(source, name) {
+    return source === name || ['/', '.', '::', '\\'].some(separator => source.startsWith(name + separator));
+  }
+
+  /**
+   * Compare un chemin relatif à un motif : nom de fichier ou chemin, `*` autorisé
+   */
+  matchPath(relativePath, pattern) {
+    // Un motif de N segments est comparé aux N derniers segments du chemin
+    const depth = pattern.split('/').length;
+    const target = relativePath.split('/').slice(-depth).join('/');
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*');
+
+    return new RegExp(`^${source}$`).test(target);
+  }
+}
+
+module.exports = FrameworkDetector;
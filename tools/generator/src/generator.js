@@ -1,65 +1,199 @@
 const yaml = require('js-yaml');
+const { createTwoFilesPatch } = require('diff');
 const path = require('path');
 const fs = require('fs');
+const ComponentExtractor = require('./component-extractor');
+const DependencyParser = require('./dependency-parser');
+const RouteDetector = require('./route-detector');
+const CLIDetector = require('./cli-detector');
+const ContractParser = require('./contract-parser');
+const DatabaseDetector = require('./database-detector');
+const ArchitectureDetector = require('./architecture-detector');
+const ImportGraph = require('./import-graph');
+const LMAYMerger = require('./lmay-merger');
+const DescriptionExtractor = require('./description-extractor');
+const TokenBudget = require('./token-budget');
+const TestMapper = require('./test-mapper');
+const MetricsCalculator = require('./metrics-calculator');
+const HistoryAnalyzer = require('./history-analyzer');
+const PatternDetector = require('./pattern-detector');
+const PluginLoader = require('./plugin-loader');
+
+// Limites de la spécification : descriptions courtes (projet, module) et détaillées
+const DESCRIPTION_LIMITS = { summary: 100, detail: 200 };
+
+// Description du projet par défaut, remplacée par celle des manifestes ou du README
+const PLACEHOLDER_DESCRIPTION = 'Auto-generated LMAY documentation';
+
+// Descriptions par défaut des répertoires usuels
+const DIRECTORY_DESCRIPTIONS = {
+  'src': 'Source code directory',
+  'lib': 'Library and utility modules',
+  'test': 'Test files and test utilities',
+  'tests': 'Test files and test utilities',
+  'docs': 'Documentation files', 
+  'config': 'Configuration files',
+  'assets': 'Static assets and resources',
+  'public': 'Public web assets',
+  'components': 'Reusable components',
+  'services': 'Service layer modules',
+  'models': 'Data models and schemas',
+  'controllers': 'Request controllers',
+  'routes': 'Routing definitions',
+  'middleware': 'Middleware functions',
+  'utils': 'Utility functions and helpers',
+  'helpers': 'Helper functions',
+  'scripts': 'Build and utility scripts'
+};
 
 class LMAYGenerator {
   constructor(config) {
     this.config = config;
+    this.logger = config.logger || console;
+    this.moduleFileMap = new Map();
+    this.componentExtractor = new ComponentExtractor(config);
+    this.dependencyParser = new DependencyParser();
+    this.routeDetector = new RouteDetector(config, this.componentExtractor);
+    this.routeCache = { structure: null, routes: [] };
+    this.cliDetector = new CLIDetector(config, this.componentExtractor);
+    this.contractParser = new ContractParser(config);
+    this.databaseDetector = new DatabaseDetector(config, this.componentExtractor);
+    this.databaseCache = { structure: null, result: { databases: [], schemas: [] } };
+    this.architectureDetector = new ArchitectureDetector(config);
+    this.importGraph = new ImportGraph(config, this.componentExtractor);
+    this.importGraphCache = { structure: null, graph: new Map(), importers: new Map() };
+    this.testMapper = new TestMapper(config, this.importGraph);
+    this.testCache = { structure: null, result: { suites: [], tests: [] } };
+    this.metricsCalculator = new MetricsCalculator(config, this.componentExtractor, this.testMapper);
+    this.historyAnalyzer = new HistoryAnalyzer(config);
+    this.patternDetector = new PatternDetector(config, this.componentExtractor);
+    this.stabilityContext = null;
+    this.descriptionExtractor = new DescriptionExtractor(config);
+    this.descriptionSources = {};
+    this.merger = new LMAYMerger({
+      isGenerated: text => this.isGeneratedText(text),
+      canGenerate: (item, pointer) => !pointer.startsWith('/patterns/') || this.patternDetector.supports(item.type),
+      isGeneratedSection: name => this.plugins.some(plugin => plugin.section === name)
+    });
+    this.mergeMode = false;
+    this.conflicts = [];
+    this.tokenBudget = null;
+    this.budgetReport = [];
+    this.deterministic = false;
+    this.checkMode = false;
+    this.staleFiles = [];
+    this.pluginLoader = new PluginLoader(config);
+    this.plugins = [];
+    this.pluginResults = {};
   }
 
   /**
    * Génère les fichiers LMAY à partir de la structure analysée
+   * @param {Object} options - { merge } fusionne avec les fichiers existants au lieu de les écraser,
+   * { tokenBudget } limite le nombre de tokens estimé de chaque fichier,
+   * { deterministic } produit une sortie reproductible (sans champ dépendant de la date),
+   * { check } compare les fichiers existants à la génération (sortie déterministe) sans rien écrire
    */
-  async generate(projectPath, structure, analysis) {
+  async generate(projectPath, structure, analysis, options = {}) {
     const outputPath = path.resolve(projectPath);
+    this.outputPath = outputPath;
+    this.mergeMode = Boolean(options.merge || this.config.output.merge);
+    this.conflicts = [];
+    this.checkMode = Boolean(options.check);
+    this.deterministic = Boolean(options.deterministic || options.check || this.config.output.deterministic);
+    this.staleFiles = [];
+    this.metricsCalculator.clear();
+
+    this.plugins = this.pluginLoader.load(outputPath);
+    this.pluginResults = await this.runAnalyzers(structure, analysis, outputPath);
+
+    const budget = Number(options.tokenBudget || this.config.output.tokenBudget) || 0;
+    this.tokenBudget = budget > 0
+      ? new TokenBudget(budget, content => this.dumpYaml(content), item => this.merger.identity(item))
+      : null;
+    this.budgetReport = [];
+
+    // Déterminer les répertoires qui recevront leur propre fichier de module
+    this.moduleFileMap = this.config.structure.createModuleFiles
+      ? this.planModuleFiles(structure, outputPath, analysis.workspace)
+      : new Map();
+    this.stabilityContext = this.prepareStability(structure, analysis);
     
     // Générer le fichier root.lmay
-    const rootLmay = this.generateRootLmay(structure, analysis, projectPath);
+    const rootLmay = await this.generateRootLmay(structure, analysis, projectPath);
     await this.writeFile(
       path.join(outputPath, this.config.output.rootFile),
       rootLmay
     );
 
     // Générer les fichiers de modules si nécessaire
+    let moduleFiles = [];
     if (this.config.structure.createModuleFiles) {
-      await this.generateModuleFiles(structure, outputPath, analysis);
+      moduleFiles = await this.generateModuleFiles(structure, outputPath, analysis);
     }
 
     return {
       rootFile: path.join(outputPath, this.config.output.rootFile),
-      moduleFiles: []  // TODO: retourner la liste des fichiers de modules créés
+      moduleFiles,
+      conflicts: this.conflicts.map(conflict => ({
+        ...conflict,
+        file: path.relative(outputPath, conflict.file) || conflict.file
+      })),
+      budget: this.tokenBudget ? this.budgetReport : undefined,
+      stale: this.checkMode
+        ? this.staleFiles.map(stale => ({ ...stale, file: path.relative(outputPath, stale.file) }))
+        : undefined
     };
   }
 
   /**
    * Génère le contenu du fichier root.lmay
    */
-  generateRootLmay(structure, analysis, projectPath) {
+  async generateRootLmay(structure, analysis, projectPath) {
     const projectName = this.config.project.name === 'auto-detected' 
       ? path.basename(projectPath)
       : this.config.project.name;
+    this.descriptionSources = {};
+    const pluginSections = await this.generatePluginSections('root', structure, this.outputPath);
 
     const rootContent = {
       lmay_version: this.config.lmay.version,
       project: {
         name: projectName,
         version: this.detectVersion(analysis.configFiles),
-        description: this.config.project.description,
+        description: this.describeProject(projectPath),
         languages: analysis.languages,
-        frameworks: analysis.frameworks.length > 0 ? analysis.frameworks : undefined
+        frameworks: analysis.frameworks.length > 0
+          ? analysis.frameworks.map(framework => ({
+            name: framework.name,
+            version: framework.version,
+            confidence: framework.confidence,
+            evidence: framework.evidence
+          }))
+          : undefined
       },
       architecture: {
-        pattern: this.detectArchitecturalPattern(structure, analysis),
-        entry_points: this.formatEntryPoints(analysis.entryPoints, projectPath)
+        ...this.detectArchitecturalPattern(structure, analysis),
+        monorepo: this.formatMonorepo(analysis.workspace, projectPath),
+        entry_points: this.formatEntryPoints(analysis.entryPoints, projectPath, analysis.workspace)
       },
       structure: this.generateStructureSection(structure, projectPath),
-      dependencies: this.extractDependencies(analysis.configFiles),
+      dependencies: this.extractDependencies(
+        analysis.configFiles,
+        analysis.workspace,
+        this.formatInternalDependencies(structure.path, structure, analysis, projectPath)
+      ),
       interfaces: this.detectInterfaces(structure, analysis),
+      api_endpoints: this.formatApiEndpoints(this.detectHttpRoutes(structure), projectPath),
+      database_schema: this.formatDatabaseSchema(this.detectDatabases(structure).schemas, projectPath),
+      tests: this.formatTests(structure.path, structure, analysis, projectPath),
+      ...pluginSections,
       metadata: {
-        generated_at: new Date().toISOString(),
+        generated_at: this.deterministic ? undefined : new Date().toISOString(),
         total_files: analysis.totalFiles,
         total_directories: analysis.totalDirectories,
-        generator_version: '1.0.0'
+        generator_version: '1.0.0',
+        description_sources: this.formatDescriptionSources()
       }
     };
 
@@ -68,29 +202,79 @@ class LMAYGenerator {
   }
 
   /**
-   * Génère la section structure du fichier LMAY
+   * Génère la section structure du fichier LMAY : arbre des sous-répertoires jusqu'à
+   * lmay.maxDepth (profondeur depuis la racine du projet), indexé par chemin relatif
+   * au répertoire documenté (`src`, `src/utils`). Un sous-répertoire qui a son propre
+   * fichier de module n'apparaît que par son lien : son sous-arbre y est documenté.
+   * (les liens lmay_file sont relatifs au répertoire du fichier qui les contient)
+   * @param {number} depth - profondeur du répertoire documenté (0 pour la racine)
    */
-  generateStructureSection(structure, basePath) {
+  generateStructureSection(structure, basePath, lmayDir = basePath, depth = 0) {
     const structureMap = {};
+    // Au moins un niveau, y compris pour un paquet de monorepo situé au-delà de la limite
+    const maxDepth = Math.max(this.config.lmay.maxDepth || 5, depth + 1);
 
-    if (structure.children) {
-      structure.children.forEach(child => {
-        if (child.type === 'directory') {
-          const relativePath = path.relative(basePath, child.path);
-          structureMap[child.name] = {
-            path: relativePath,
-            type: 'directory',
-            description: this.generateDirectoryDescription(child),
-            file_count: this.countFiles(child),
-            primary_language: this.detectPrimaryLanguage(child)
-          };
+    const visit = (node, nodeDepth) => {
+      if (!node.children) return;
+
+      node.children.forEach(child => {
+        if (child.type !== 'directory') return;
+
+        const key = path.relative(structure.path, child.path).split(path.sep).join('/');
+        const moduleFile = this.moduleFileMap.get(child.path);
+        const metrics = this.measureDirectory(child, basePath);
+        structureMap[key] = {
+          path: path.relative(basePath, child.path),
+          type: 'directory',
+          description: this.describeDirectory(
+            child,
+            basePath,
+            `/structure/${this.merger.escape(key)}/description`,
+            DESCRIPTION_LIMITS.detail
+          ),
+          file_count: this.countFiles(child),
+          primary_language: this.detectPrimaryLanguage(child),
+          languages: this.formatLanguageBreakdown(child),
+          complexity: metrics ? metrics.complexity : undefined,
+          ...this.assessStability(child.path, true),
+          metrics: this.formatMetrics(metrics, basePath),
+          lmay_file: moduleFile ? path.relative(lmayDir, moduleFile.file) : undefined
+        };
+
+        if (!moduleFile && nodeDepth + 1 < maxDepth) {
+          visit(child, nodeDepth + 1);
         }
       });
-    }
+    };
 
+    visit(structure, depth);
     return structureMap;
   }
 
+  /**
+   * Métriques d'un répertoire (lmay.includeMetrics)
+   */
+  measureDirectory(node, basePath) {
+    return this.config.lmay.includeMetrics
+      ? this.metricsCalculator.measureDirectory(node, basePath)
+      : null;
+  }
+
+  formatMetrics(metrics, basePath) {
+    if (!metrics || metrics.source_files + metrics.test_files + metrics.config_files === 0) return undefined;
+
+    return {
+      lines_of_code: metrics.lines_of_code,
+      source_files: metrics.source_files,
+      test_files: metrics.test_files,
+      config_files: metrics.config_files,
+      cyclomatic: metrics.cyclomatic,
+      largest_files: metrics.largest_files.length > 0
+        ? metrics.largest_files.map(entry => ({ file: path.relative(basePath, entry.file), lines: entry.lines }))
+        : undefined
+    };
+  }
+
   /**
    * Compte le nombre de fichiers dans un répertoire
    */
@@ -110,14 +294,24 @@ class LMAYGenerator {
    * Détecte le langage principal d'un répertoire
    */
   detectPrimaryLanguage(node) {
+    // Retourner le langage le plus fréquent
+    const [primary] = Object.keys(this.languageBreakdown(node));
+    return primary || null;
+  }
+
+  /**
+   * Nombre de fichiers par langage dans un sous-arbre, du plus fréquent au moins fréquent
+   */
+  languageBreakdown(node) {
     const languages = {};
     this.collectLanguages(node, languages);
-    
-    // Retourner le langage le plus fréquent
-    const sortedLanguages = Object.entries(languages)
-      .sort(([,a], [,b]) => b - a);
-    
-    return sortedLanguages.length > 0 ? sortedLanguages[0][0] : null;
+
+    return Object.fromEntries(Object.entries(languages).sort(([, a], [, b]) => b - a));
+  }
+
+  formatLanguageBreakdown(node) {
+    const languages = this.languageBreakdown(node);
+    return Object.keys(languages).length > 0 ? languages : undefined;
   }
 
   /**
@@ -139,26 +333,7 @@ class LMAYGenerator {
    */
   generateDirectoryDescription(node) {
     const name = node.name.toLowerCase();
-    
-    const descriptions = {
-      'src': 'Source code directory',
-      'lib': 'Library and utility modules',
-      'test': 'Test files and test utilities',
-      'tests': 'Test files and test utilities',
-      'docs': 'Documentation files', 
-      'config': 'Configuration files',
-      'assets': 'Static assets and resources',
-      'public': 'Public web assets',
-      'components': 'Reusable components',
-      'services': 'Service layer modules',
-      'models': 'Data models and schemas',
-      'controllers': 'Request controllers',
-      'routes': 'Routing definitions',
-      'middleware': 'Middleware functions',
-      'utils': 'Utility functions and helpers',
-      'helpers': 'Helper functions',
-      'scripts': 'Build and utility scripts'
-    };
+    const descriptions = DIRECTORY_DESCRIPTIONS;
 
     // Correspondance exacte
     if (descriptions[name]) {
@@ -176,102 +351,159 @@ class LMAYGenerator {
   }
 
   /**
-   * Détecte le pattern architectural dominant
+   * Reconnaît un texte produit par le générateur (et non rédigé à la main)
    */
-  detectArchitecturalPattern(structure, analysis) {
-    const patterns = [];
-    
-    // Analyser la structure des répertoires
-    if (structure.children) {
-      const dirNames = structure.children
-        .filter(child => child.type === 'directory')
-        .map(child => child.name.toLowerCase());
-
-      // Pattern MVC
-      if (dirNames.some(name => name.includes('model')) &&
-          dirNames.some(name => name.includes('view')) &&
-          dirNames.some(name => name.includes('controller'))) {
-        patterns.push('MVC');
-      }
+  isGeneratedText(text) {
+    return Object.values(DIRECTORY_DESCRIPTIONS).includes(text) ||
+      /^Directory containing \d+ files$/.test(text) ||
+      text === 'module' ||
+      text === PLACEHOLDER_DESCRIPTION ||
+      text === this.config.project.description;
+  }
 
-      // Pattern Component-based
-      if (dirNames.some(name => name.includes('component'))) {
-        patterns.push('Component-based');
-      }
+  /**
+   * Description du projet : celle de la configuration si elle a été personnalisée,
+   * sinon celle du manifeste racine ou du README
+   */
+  describeProject(projectPath) {
+    const configured = this.config.project.description;
+    if (configured && configured !== PLACEHOLDER_DESCRIPTION) {
+      return configured;
+    }
 
-      // Pattern Service-oriented
-      if (dirNames.some(name => name.includes('service'))) {
-        patterns.push('Service-oriented');
-      }
+    const found = this.config.analysis.extractDescriptions === false
+      ? null
+      : this.descriptionExtractor.describeProject(projectPath, DESCRIPTION_LIMITS.summary);
 
-      // Pattern Layered
-      if (dirNames.length >= 3) {
-        patterns.push('Layered');
-      }
-    }
+    return this.recordDescription('/project/description', found) || configured || PLACEHOLDER_DESCRIPTION;
+  }
+
+  /**
+   * Description d'un répertoire tirée de son README, de son manifeste ou de
+   * l'en-tête de son fichier d'entrée, sinon description par défaut
+   */
+  describeDirectory(node, basePath, pointer, limit) {
+    const found = this.config.analysis.extractDescriptions === false
+      ? null
+      : this.descriptionExtractor.describeDirectory(node.path, basePath, limit);
 
-    return patterns.length > 0 ? patterns[0] : 'Unstructured';
+    return this.recordDescription(pointer, found) || this.generateDirectoryDescription(node);
   }
 
   /**
-   * Formate les points d'entrée
+   * Retient la source d'une description extraite pour metadata.description_sources
    */
-  formatEntryPoints(entryPoints, basePath) {
+  recordDescription(pointer, found) {
+    if (!found) return undefined;
+
+    this.descriptionSources[pointer] = found.source;
+    return found.text;
+  }
+
+  /**
+   * Liste { path, source } : les chemins JSON pointer ne sont pas des clés snake_case
+   */
+  formatDescriptionSources() {
+    const sources = Object.entries(this.descriptionSources).map(([pointer, source]) => ({ path: pointer, source }));
+    return sources.length > 0 ? sources : undefined;
+  }
+
+  /**
+   * Détecte le pattern architectural dominant, avec score, indices et alternatives
+   */
+  detectArchitecturalPattern(structure, analysis) {
+    return this.architectureDetector.detect(structure, analysis);
+  }
+
+  /**
+   * Formate les points d'entrée avec leur type et le fichier qui les déclare ;
+   * dans un monorepo, chacun est rattaché à son paquet
+   */
+  formatEntryPoints(entryPoints, basePath, workspace) {
+    const packageOf = file => workspace && workspace.packages.find(pkg =>
+      file === pkg.path || file.startsWith(pkg.path + path.sep)
+    );
+
     return entryPoints.map(entryPoint => {
-      const relativePath = path.relative(basePath, entryPoint);
+      const pkg = packageOf(entryPoint.file);
       return {
-        file: relativePath,
-        type: this.detectEntryPointType(entryPoint)
+        file: path.relative(basePath, entryPoint.file),
+        type: entryPoint.type,
+        name: entryPoint.name,
+        command: entryPoint.command,
+        declared_in: entryPoint.declaredIn,
+        package: pkg ? pkg.name : undefined
       };
     });
   }
 
   /**
-   * Détecte le type de point d'entrée
+   * Décrit le monorepo : outils de workspace et paquets avec leur fichier de module
    */
-  detectEntryPointType(filePath) {
-    const fileName = path.basename(filePath).toLowerCase();
-    
-    if (fileName.includes('server')) return 'server';
-    if (fileName.includes('app')) return 'application';
-    if (fileName.includes('main')) return 'main';
-    if (fileName.includes('index')) return 'index';
-    
-    return 'entry';
+  formatMonorepo(workspace, basePath) {
+    if (!workspace) return undefined;
+
+    return {
+      tools: workspace.tools,
+      packages: workspace.packages.map(pkg => {
+        const moduleFile = this.moduleFileMap.get(pkg.path);
+        return {
+          name: pkg.name,
+          version: pkg.version,
+          path: path.relative(basePath, pkg.path),
+          lmay_file: moduleFile ? path.relative(path.resolve(basePath), moduleFile.file) : undefined
+        };
+      })
+    };
   }
 
   /**
-   * Extrait les dépendances des fichiers de configuration
+   * Extrait les dépendances des manifestes (npm, pip, maven, cargo, go, gem, composer),
+   * séparées entre dépendances d'exécution et de développement. Les paquets d'un
+   * monorepo ne sont pas des dépendances externes.
    */
-  extractDependencies(configFiles) {
+  extractDependencies(configFiles, workspace, internal = []) {
     const dependencies = {
-      external: [],
-      internal: []
+      runtime: [],
+      dev: [],
+      internal
     };
+    const seen = new Set();
+    const workspaceNames = new Set(workspace ? workspace.packages.map(pkg => pkg.name) : []);
 
     configFiles.forEach(configFile => {
+      if (!this.dependencyParser.canParse(configFile)) {
+        return;
+      }
+
       try {
-        if (configFile.endsWith('package.json')) {
-          const packageJson = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-          if (packageJson.dependencies) {
-            Object.keys(packageJson.dependencies).forEach(dep => {
-              dependencies.external.push({
-                name: dep,
-                version: packageJson.dependencies[dep],
-                type: 'npm'
-              });
-            });
-          }
+        const parsed = this.dependencyParser.parse(configFile);
+
+        for (const scope of ['runtime', 'dev']) {
+          parsed[scope].forEach(dep => {
+            if (dep.type === 'npm' && workspaceNames.has(dep.name)) {
+              return;
+            }
+
+            const key = `${scope}:${dep.type}:${dep.name}`;
+            if (!seen.has(key)) {
+              seen.add(key);
+              dependencies[scope].push(dep);
+            }
+          });
         }
-        // TODO: Ajouter support pour d'autres types de fichiers de config
       } catch (error) {
-        console.warn(`Erreur lors de la lecture du fichier ${configFile}:`, error.message);
+        this.logger.warn(`Erreur lors de la lecture du fichier ${configFile}:`, error.message);
       }
     });
 
-    return dependencies.external.length > 0 || dependencies.internal.length > 0 
-      ? dependencies 
-      : undefined;
+    // Une dépendance déjà requise à l'exécution n'est pas répétée en développement
+    const runtimeKeys = new Set(dependencies.runtime.map(dep => `${dep.type}:${dep.name}`));
+    dependencies.dev = dependencies.dev.filter(dep => !runtimeKeys.has(`${dep.type}:${dep.name}`));
+
+    // Listes vides omises (un module sans arête interne n'a pas de `internal: []`)
+    const lists = Object.entries(dependencies).filter(([, list]) => list.length > 0);
+    return lists.length > 0 ? Object.fromEntries(lists) : undefined;
   }
 
   /**
@@ -280,15 +512,238 @@ class LMAYGenerator {
   detectInterfaces(structure, analysis) {
     const interfaces = [];
     
-    // TODO: Implémenter la détection d'interfaces
-    // - APIs REST
-    // - Endpoints GraphQL
-    // - Interfaces CLI
-    // - Interfaces de données
+    // APIs REST détectées à partir des routes HTTP (Express, Koa, Fastify)
+    interfaces.push(...this.detectRestInterfaces(structure));
+
+    // Programmes CLI (champs bin des package.json, commander, yargs)
+    interfaces.push(...this.detectCliInterfaces(structure, analysis));
+
+    // Contrats déclarés (OpenAPI, GraphQL SDL, protobuf)
+    interfaces.push(...this.detectContractInterfaces(structure));
+
+    // Bases de données (ORM, migrations, docker-compose)
+    interfaces.push(...this.detectDatabaseInterfaces(structure));
     
     return interfaces.length > 0 ? interfaces : undefined;
   }
 
+  /**
+   * Regroupe les routes HTTP par framework en interfaces REST
+   */
+  detectRestInterfaces(structure) {
+    const routesByFramework = new Map();
+
+    this.detectHttpRoutes(structure).forEach(route => {
+      if (!routesByFramework.has(route.framework)) {
+        routesByFramework.set(route.framework, []);
+      }
+      routesByFramework.get(route.framework).push(route);
+    });
+
+    return Array.from(routesByFramework.entries()).map(([framework, routes]) => {
+      const frameworkName = framework === 'http'
+        ? 'HTTP'
+        : framework.charAt(0).toUpperCase() + framework.slice(1);
+
+      return {
+        type: 'REST',
+        description: `${frameworkName} HTTP API (${routes.length} route${routes.length > 1 ? 's' : ''})`,
+        endpoint: this.findCommonRoutePrefix(routes.map(route => route.path))
+      };
+    });
+  }
+
+  /**
+   * Résume les fichiers de contrat (OpenAPI, GraphQL, protobuf) en interfaces
+   */
+  detectContractInterfaces(structure) {
+    if (this.config.analysis.detectContracts === false) {
+      return [];
+    }
+
+    const files = [];
+    this.collectFilePaths(structure, files);
+
+    const interfaces = [];
+    files
+      .filter(file => this.contractParser.getContractType(file))
+      .forEach(file => {
+        try {
+          this.contractParser.parse(file).forEach(contractInterface => {
+            interfaces.push({
+              ...contractInterface,
+              contract: path.relative(structure.path, file)
+            });
+          });
+        } catch (error) {
+          this.logger.warn(`Erreur lors de la lecture du contrat ${file}:`, error.message);
+        }
+      });
+
+    return interfaces;
+  }
+
+  /**
+   * Décrit les programmes CLI du projet et leurs sous-commandes
+   */
+  detectCliInterfaces(structure, analysis) {
+    if (this.config.analysis.detectCli === false) {
+      return [];
+    }
+
+    const files = [];
+    this.collectFilePaths(structure, files);
+    const packageJsonFiles = analysis.configFiles.filter(file => path.basename(file) === 'package.json');
+
+    return this.cliDetector.detect(files, packageJsonFiles).map(program => {
+      const relativeFile = path.relative(structure.path, program.file);
+      const name = program.name || path.basename(program.file, path.extname(program.file));
+
+      return {
+        type: 'CLI',
+        description: program.description || `Command line interface (${name})`,
+        endpoint: name,
+        file: relativeFile,
+        commands: program.commands && program.commands.length > 0 ? program.commands : undefined,
+        options: program.options && program.options.length > 0 ? program.options : undefined
+      };
+    });
+  }
+
+  /**
+   * Détecte les routes HTTP du projet (résultat mis en cache par structure)
+   */
+  detectHttpRoutes(structure) {
+    if (this.config.analysis.detectRoutes === false) {
+      return [];
+    }
+
+    if (this.routeCache.structure !== structure) {
+      const files = [];
+      this.collectFilePaths(structure, files);
+      this.routeCache = {
+        structure,
+        routes: this.routeDetector.detect(files)
+      };
+    }
+
+    return this.routeCache.routes;
+  }
+
+  /**
+   * Détecte les bases de données et leurs schémas (résultat mis en cache par structure)
+   */
+  detectDatabases(structure) {
+    if (this.config.analysis.detectDatabases === false) {
+      return { databases: [], schemas: [] };
+    }
+
+    if (this.databaseCache.structure !== structure) {
+      const files = [];
+      this.collectFilePaths(structure, files);
+      this.databaseCache = {
+        structure,
+        result: this.databaseDetector.detect(files, structure.path)
+      };
+    }
+
+    return this.databaseCache.result;
+  }
+
+  /**
+   * Décrit chaque base de données comme une interface Database
+   * La connexion est une référence à une variable d'environnement, ou signale une URL écrite en dur
+   */
+  detectDatabaseInterfaces(structure) {
+    const { databases, schemas } = this.detectDatabases(structure);
+
+    return databases.map(database => {
+      const { label, sources } = this.databaseDetector.describe(database);
+      const related = schemas.filter(schema => schema.database === database.database);
+      const details = [...sources];
+      if (related.length > 0) {
+        const kind = related[0].kind === 'collection' ? 'collection' : 'table';
+        details.push(`${related.length} ${kind}${related.length > 1 ? 's' : ''}`);
+      }
+
+      return {
+        type: 'Database',
+        description: `${label} database (${details.join(', ')})`,
+        database: database.database,
+        connection: database.connection
+      };
+    });
+  }
+
+  /**
+   * Formate les tables et collections détectées en section database_schema
+   */
+  formatDatabaseSchema(schemas, basePath) {
+    const format = schema => ({
+      name: schema.name,
+      fields: schema.fields.length > 0 ? schema.fields : undefined,
+      indexes: schema.indexes.length > 0 ? schema.indexes : undefined,
+      file: path.relative(basePath, schema.file)
+    });
+
+    const collections = schemas.filter(schema => schema.kind === 'collection').map(format);
+    const tables = schemas.filter(schema => schema.kind === 'table').map(format);
+
+    if (collections.length === 0 && tables.length === 0) {
+      return undefined;
+    }
+
+    return {
+      collections: collections.length > 0 ? collections : undefined,
+      tables: tables.length > 0 ? tables : undefined
+    };
+  }
+
+  /**
+   * Collecte les chemins de tous les fichiers d'un sous-arbre
+   */
+  collectFilePaths(node, files) {
+    if (node.type === 'file') {
+      files.push(node.path);
+    } else if (node.children) {
+      node.children.forEach(child => this.collectFilePaths(child, files));
+    }
+  }
+
+  /**
+   * Formate les routes HTTP en section api_endpoints
+   */
+  formatApiEndpoints(routes, basePath) {
+    const endpoints = routes.map(route => ({
+      path: route.path,
+      method: route.method,
+      description: route.description,
+      authentication: route.authentication,
+      handler: route.handler,
+      file: path.relative(basePath, route.file)
+    }));
+
+    return endpoints.length > 0 ? endpoints : undefined;
+  }
+
+  /**
+   * Retourne le préfixe de chemin commun à un ensemble de routes
+   */
+  findCommonRoutePrefix(routePaths) {
+    const segmentLists = routePaths.map(routePath => routePath.split('/').filter(Boolean));
+    const common = [];
+
+    for (let i = 0; segmentLists.every(segments => i < segments.length - 1); i++) {
+      const segment = segmentLists[0][i];
+      if (segment.startsWith(':') || !segmentLists.every(segments => segments[i] === segment)) {
+        break;
+      }
+      common.push(segment);
+    }
+
+    return `/${common.join('/')}`;
+  }
+
   /**
    * Détecte la version du projet
    */
@@ -316,6 +771,9 @@ class LMAYGenerator {
       '.jsx': 'javascript',
       '.ts': 'typescript',
       '.tsx': 'typescript',
+      '.cjs': 'javascript',
+      '.mts': 'typescript',
+      '.cts': 'typescript',
       '.py': 'python',
       '.java': 'java',
       '.go': 'go',
@@ -325,25 +783,659 @@ class LMAYGenerator {
   }
 
   /**
-   * Génère les fichiers de modules (optionnel)
+   * Détermine les répertoires significatifs et l'emplacement de leur fichier de module.
+   * Un sous-répertoire n'est retenu que si son parent l'est aussi, pour garder
+   * une chaîne continue depuis root.lmay. Chaque paquet d'un monorepo reçoit
+   * son fichier, ainsi que les répertoires qui le contiennent.
+   */
+  planModuleFiles(structure, outputPath, workspace) {
+    const plan = new Map();
+    const rootFile = path.join(outputPath, this.config.output.rootFile);
+    const maxDepth = this.config.lmay.maxDepth || 5;
+
+    const packages = new Map();
+    const packageAncestors = new Set();
+    if (workspace) {
+      workspace.packages.forEach(pkg => {
+        packages.set(pkg.path, pkg);
+        for (let dir = pkg.path; dir.startsWith(structure.path + path.sep); dir = path.dirname(dir)) {
+          packageAncestors.add(dir);
+        }
+      });
+    }
+
+    const visit = (node, depth, parentFile) => {
+      if (!node.children) return;
+
+      node.children.forEach(child => {
+        if (child.type !== 'directory') {
+          return;
+        }
+
+        const required = packageAncestors.has(child.path);
+        if (depth > maxDepth ? !required : !(required || this.isSignificantDirectory(child))) {
+          return;
+        }
+
+        const relativeDir = path.relative(structure.path, child.path);
+        const file = path.join(
+          outputPath,
+          relativeDir,
+          `${child.name}${this.config.output.moduleExtension}`
+        );
+
+        plan.set(child.path, { node: child, file, depth, parentFile, workspacePackage: packages.get(child.path) });
+        visit(child, depth + 1, file);
+      });
+    };
+
+    visit(structure, 1, rootFile);
+    return plan;
+  }
+
+  /**
+   * Vérifie si un répertoire mérite son propre fichier de module
+   */
+  isSignificantDirectory(node) {
+    const minFiles = this.config.structure.minFilesPerModule || 5;
+    return this.countFiles(node) >= minFiles;
+  }
+
+  /**
+   * Génère les fichiers de modules et retourne la liste des fichiers créés
    */
   async generateModuleFiles(structure, outputPath, analysis) {
-    // TODO: Implémenter la génération de fichiers de modules séparés
-    // pour les gros projets avec beaucoup de répertoires
+    const createdFiles = [];
+
+    for (const moduleInfo of this.moduleFileMap.values()) {
+      const moduleLmay = await this.generateModuleLmay(moduleInfo, structure, outputPath, analysis);
+
+      if (!this.checkMode) {
+        await fs.promises.mkdir(path.dirname(moduleInfo.file), { recursive: true });
+      }
+      await this.writeFile(moduleInfo.file, moduleLmay);
+      createdFiles.push(moduleInfo.file);
+    }
+
+    return createdFiles;
+  }
+
+  /**
+   * Génère le contenu d'un fichier de module
+   */
+  async generateModuleLmay(moduleInfo, structure, outputPath, analysis) {
+    const { node, file, depth, parentFile, workspacePackage } = moduleInfo;
+    const moduleDir = path.dirname(file);
+    const metrics = this.measureDirectory(node, outputPath);
+    this.descriptionSources = {};
+    const pluginSections = await this.generatePluginSections('module', node, outputPath, moduleDir);
+
+    const moduleContent = {
+      lmay_version: this.config.lmay.version,
+      module: {
+        name: workspacePackage ? workspacePackage.name : node.name,
+        type: workspacePackage ? 'package' : this.detectModuleType(node),
+        version: workspacePackage ? workspacePackage.version : undefined,
+        purpose: this.describeDirectory(node, outputPath, '/module/purpose', DESCRIPTION_LIMITS.summary),
+        path: path.relative(outputPath, node.path),
+        complexity: metrics ? metrics.complexity : undefined,
+        ...this.assessStability(node.path, true)
+      },
+      hierarchy: {
+        depth,
+        parent: path.relative(moduleDir, parentFile)
+      },
+      structure: this.generateStructureSection(node, outputPath, moduleDir, depth),
+      dependencies: this.extractModuleDependencies(moduleInfo, structure, analysis, outputPath),
+      components: this.generateComponentsSection(node, outputPath),
+      patterns: this.generatePatternsSection(node),
+      api_endpoints: this.formatApiEndpoints(
+        this.routeCache.routes.filter(route => this.moduleOwner(route.file, structure.path) === node.path),
+        outputPath
+      ),
+      database_schema: this.formatDatabaseSchema(
+        this.databaseCache.result.schemas.filter(schema => this.moduleOwner(schema.file, structure.path) === node.path),
+        outputPath
+      ),
+      tests: this.formatTests(node.path, structure, analysis, outputPath),
+      metrics: this.formatMetrics(metrics, outputPath),
+      ...pluginSections,
+      metadata: this.formatDescriptionSources()
+        ? { description_sources: this.formatDescriptionSources() }
+        : undefined
+    };
+
+    return this.cleanObject(moduleContent);
+  }
+
+  /**
+   * Exécute les plugins analyseurs sur l'arbre scanné ; résultats indexés par plugin
+   */
+  async runAnalyzers(structure, analysis, projectPath) {
+    const analyzers = this.plugins.filter(plugin => plugin.analyze);
+    if (analyzers.length === 0) return {};
+
+    const context = this.createPluginContext(structure, analysis, projectPath);
+    const results = {};
+
+    for (const plugin of analyzers) {
+      try {
+        results[plugin.name] = await plugin.analyze(context);
+      } catch (error) {
+        this.logger.warn(`Erreur dans le plugin ${plugin.name}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Contexte des plugins analyseurs : arbre scanné, liste des fichiers et lecture
+   * de leur contenu (null au-delà de analysis.maxParseFileSize)
+   */
+  createPluginContext(structure, analysis, projectPath) {
+    const filePaths = [];
+    this.collectFilePaths(structure, filePaths);
+    const maxFileSize = this.config.analysis.maxParseFileSize || 512 * 1024;
+    const contentCache = new Map();
+
+    const readFile = filePath => {
+      if (!contentCache.has(filePath)) {
+        let content = null;
+        try {
+          if (fs.statSync(filePath).size <= maxFileSize) {
+            content = fs.readFileSync(filePath, 'utf8');
+          }
+        } catch (error) {
+          content = null;
+        }
+        contentCache.set(filePath, content);
+      }
+      return contentCache.get(filePath);
+    };
+
+    return {
+      projectPath,
+      structure,
+      analysis,
+      config: this.config,
+      files: filePaths.map(file => ({ path: file, relative: this.toProjectPath(file, projectPath) })),
+      readFile
+    };
+  }
+
+  /**
+   * Sections ajoutées par les plugins émetteurs à un fichier root ('root') ou de module ('module').
+   * `emit` peut être asynchrone ; une valeur qui n'est pas une donnée YAML est rejetée.
+   * @param {string} lmayDir - répertoire du fichier généré
+   */
+  async generatePluginSections(scope, node, projectPath, lmayDir = projectPath) {
+    const sections = {};
+    const emitters = this.plugins.filter(plugin => plugin.section && (plugin.scope === 'all' || plugin.scope === scope));
+
+    for (const plugin of emitters) {
+      try {
+        const content = await plugin.emit({
+          scope,
+          node,
+          projectPath,
+          lmayDir,
+          result: this.pluginResults[plugin.name],
+          results: this.pluginResults,
+          relative: filePath => this.toProjectPath(filePath, projectPath)
+        });
+        if (content === undefined || content === null) continue;
+
+        if (!this.isPlainData(content)) {
+          this.logger.warn(`Section "${plugin.section}" du plugin ${plugin.name} ignorée: "emit" doit retourner des objets, listes, chaînes, nombres ou booléens`);
+          continue;
+        }
+        sections[plugin.section] = content;
+      } catch (error) {
+        this.logger.warn(`Erreur dans le plugin ${plugin.name}:`, error.message);
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Valeur sérialisable telle quelle en YAML (pas de fonction, promesse, Map, Date...)
+   */
+  isPlainData(value) {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+    if (Array.isArray(value)) return value.every(item => item === undefined || this.isPlainData(item));
+    if (typeof value !== 'object') return false;
+
+    const prototype = Object.getPrototypeOf(value);
+    return (prototype === Object.prototype || prototype === null) &&
+      Object.values(value).every(item => item === undefined || this.isPlainData(item));
+  }
+
+
+  toProjectPath(filePath, projectPath) {
+    return path.relative(projectPath, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Dépendances d'un module : graphe des imports internes, complété pour un paquet
+   * de monorepo par ses dépendances déclarées
+   */
+  extractModuleDependencies(moduleInfo, structure, analysis, basePath) {
+    const internal = this.formatInternalDependencies(moduleInfo.node.path, structure, analysis, basePath);
+
+    if (!moduleInfo.workspacePackage) {
+      return internal.length > 0 ? { internal } : undefined;
+    }
+
+    const dependencies = this.extractPackageDependencies(moduleInfo.workspacePackage, analysis.workspace, basePath);
+    const declared = dependencies.internal || [];
+    const merged = [
+      ...internal,
+      ...declared.filter(dep => !internal.some(edge => edge.path === dep.path))
+    ];
+
+    return { ...dependencies, internal: merged.length > 0 ? merged : undefined };
+  }
+
+  /**
+   * Graphe des imports entre modules (résultat mis en cache par structure)
+   */
+  detectImportGraph(structure, analysis) {
+    if (this.config.analysis.detectInternalDependencies === false) {
+      return new Map();
+    }
+
+    if (this.importGraphCache.structure !== structure) {
+      const files = [];
+      const importers = new Map();
+      this.collectFilePaths(structure, files);
+      this.importGraphCache = {
+        structure,
+        graph: this.importGraph.build(files, structure.path, [...this.moduleFileMap.keys()], analysis.workspace, importers),
+        importers
+      };
+    }
+
+    return this.importGraphCache.graph;
+  }
+
+  /**
+   * Suites de test et correspondance test → fichiers couverts (résultat mis en cache par structure)
+   */
+  detectTests(structure, analysis) {
+    if (this.config.analysis.detectTests === false) {
+      return { suites: [], tests: [] };
+    }
+
+    if (this.testCache.structure !== structure) {
+      const files = [];
+      this.collectFilePaths(structure, files);
+      this.testCache = {
+        structure,
+        result: this.testMapper.map(files, structure.path, analysis.workspace)
+      };
+    }
+
+    return this.testCache.result;
+  }
+
+  /**
+   * Tests d'un module (ou de la racine) : fichiers de test couvrant ses fichiers,
+   * regroupés par suite avec la commande qui les lance. Un test sans fichier couvert
+   * identifié est rattaché au module qui le contient. La racine liste aussi chaque
+   * suite avec la commande lançant tous ses tests.
+   */
+  formatTests(moduleDir, structure, analysis, basePath) {
+    const { suites, tests } = this.detectTests(structure, analysis);
+    const isRoot = moduleDir === structure.path;
+    const ownerOf = target => this.moduleOwner(target, structure.path);
+
+    const sections = suites.map(suite => {
+      const files = tests
+        .filter(test => test.suite.dir === suite.dir && test.suite.framework === suite.framework)
+        .map(test => ({
+          file: test.file,
+          covers: (test.covers.length > 0 ? test.covers : [test.file]).filter(target => ownerOf(target) === moduleDir)
+        }))
+        .filter(test => test.covers.length > 0);
+
+      if (files.length === 0 && !isRoot) return null;
+
+      return {
+        framework: suite.framework,
+        command: isRoot ? suite.command : this.testMapper.buildCommand(suite, files.map(test => test.file)),
+        config: isRoot && suite.config ? path.relative(basePath, suite.config) : undefined,
+        files: files.length > 0
+          ? files.map(test => {
+            const covers = test.covers.filter(target => target !== test.file);
+            return {
+              file: path.relative(basePath, test.file),
+              covers: covers.length > 0 ? covers.map(target => path.relative(basePath, target)) : undefined
+            };
+          })
+          : undefined
+      };
+    }).filter(Boolean);
+
+    return sections.length > 0 ? sections : undefined;
+  }
+
+  /**
+   * Répertoire du fichier de module le plus profond qui contient un fichier, la racine à défaut
+   */
+  moduleOwner(filePath, rootPath) {
+    const owners = [...this.moduleFileMap.keys()].sort((a, b) => b.length - a.length);
+    return owners.find(dir => filePath === dir || filePath.startsWith(dir + path.sep)) || rootPath;
+  }
+
+  /**
+   * Dépendances internes d'un module (ou de la racine) : modules importés,
+   * pondérés par le nombre d'imports
+   */
+  formatInternalDependencies(moduleDir, structure, analysis, basePath) {
+    const edges = this.detectImportGraph(structure, analysis).get(moduleDir) || [];
+
+    return edges.map(({ target, weight }) => {
+      const moduleInfo = this.moduleFileMap.get(target);
+      let name = path.basename(target);
+      if (moduleInfo) {
+        name = moduleInfo.workspacePackage ? moduleInfo.workspacePackage.name : moduleInfo.node.name;
+      }
+
+      return {
+        name,
+        path: path.relative(basePath, target) || '.',
+        weight
+      };
+    });
+  }
+
+  /**
+   * Dépendances d'un paquet de monorepo : les paquets du workspace dont il dépend
+   * sont rangés dans `internal`, les autres restent externes
+   */
+  extractPackageDependencies(workspacePackage, workspace, basePath) {
+    const packagePaths = new Map(workspace.packages.map(pkg => [pkg.name, pkg.path]));
+    const dependencies = this.extractDependencies([workspacePackage.manifest], workspace) || {};
+
+    const internal = workspacePackage.dependencies.map(name => ({
+      name,
+      path: path.relative(basePath, packagePaths.get(name))
+    }));
+
+    return {
+      runtime: dependencies.runtime && dependencies.runtime.length > 0 ? dependencies.runtime : undefined,
+      dev: dependencies.dev && dependencies.dev.length > 0 ? dependencies.dev : undefined,
+      internal: internal.length > 0 ? internal : undefined
+    };
+  }
+
+  /**
+   * Liste les fichiers source directs d'un module comme composants
+   */
+  generateComponentsSection(node, basePath) {
+    const maxItems = this.config.structure.maxItemsPerModule || 20;
+
+    const components = (node.children || [])
+      .filter(child => child.type === 'file' && this.detectLanguageFromExtension(child.extension))
+      .slice(0, maxItems)
+      .map(child => this.describeComponent(child, basePath));
+
+    return components.length > 0 ? components : undefined;
+  }
+
+  /**
+   * Décrit un composant, en analysant son contenu pour les fichiers JS/TS
+   * et son commentaire d'en-tête (ou sa docstring) pour la description
+   */
+  describeComponent(fileNode, basePath) {
+    const extracted = this.extractComponent(fileNode);
+    const name = this.componentName(fileNode, extracted);
+    const found = this.config.analysis.extractDescriptions === false
+      ? null
+      : this.descriptionExtractor.describeFile(fileNode.path, basePath, DESCRIPTION_LIMITS.detail);
+
+    return {
+      name,
+      file: fileNode.name,
+      description: this.recordDescription(`/components/${this.merger.escape(name)}/description`, found),
+      exports: extracted && extracted.exports.length > 0 ? extracted.exports : undefined,
+      dependencies: extracted && extracted.dependencies.length > 0 ? extracted.dependencies : undefined,
+      ...this.assessStability(fileNode.path, false)
+    };
+  }
+
+  extractComponent(fileNode) {
+    return this.config.analysis.extractComponents !== false &&
+      this.componentExtractor.supports(fileNode.path)
+      ? this.componentExtractor.extractFromFile(fileNode.path)
+      : null;
+  }
+
+  componentName(fileNode, extracted = this.extractComponent(fileNode)) {
+    return (extracted && extracted.name) || path.basename(fileNode.name, fileNode.extension);
+  }
+
+  /**
+   * Patterns de conception des fichiers d'un module, avec les composants concernés
+   */
+  generatePatternsSection(node) {
+    if (this.config.analysis.detectPatterns === false) return undefined;
+
+    const components = (node.children || [])
+      .filter(child => child.type === 'file' && this.detectLanguageFromExtension(child.extension))
+      .map(child => ({ name: this.componentName(child), file: child.path }));
+
+    const patterns = this.patternDetector.group(components);
+    return patterns.length > 0 ? patterns : undefined;
+  }
+
+  /**
+   * Historique git et importeurs de chaque fichier, lus une fois par génération
+   * (analysis.inferStability)
+   */
+  prepareStability(structure, analysis) {
+    if (this.config.analysis.inferStability === false) return null;
+
+    // L'historique dépend de la date de génération : seule la criticité reste reproductible
+    this.detectImportGraph(structure, analysis);
+    return {
+      history: this.deterministic ? null : this.historyAnalyzer.analyze(structure.path),
+      importers: this.importGraphCache.importers
+    };
+  }
+
+  /**
+   * Stabilité et criticité proposées pour un fichier ou un répertoire, avec leur justification.
+   * Pour un répertoire, seuls les fichiers extérieurs qui l'importent comptent.
+   */
+  assessStability(target, isDirectory) {
+    if (!this.stabilityContext) return {};
+
+    const { history, importers } = this.stabilityContext;
+    const inside = file => file === target || file.startsWith(target + path.sep);
+    const dependents = new Set();
+
+    if (isDirectory) {
+      for (const [imported, sources] of importers) {
+        if (!inside(imported)) continue;
+        sources.forEach(source => {
+          if (!inside(source)) dependents.add(source);
+        });
+      }
+    } else {
+      (importers.get(target) || []).forEach(source => dependents.add(source));
+    }
+
+    const assessment = this.historyAnalyzer.assess(
+      history && this.historyAnalyzer.statsFor(history, target),
+      dependents.size,
+      isDirectory ? 'outside this directory' : ''
+    );
+
+    return assessment || {};
+  }
+
+  /**
+   * Détecte le type de module à partir du nom du répertoire
+   */
+  detectModuleType(node) {
+    const name = node.name.toLowerCase();
+
+    const types = {
+      'service': 'service',
+      'controller': 'controller',
+      'route': 'controller',
+      'model': 'model',
+      'schema': 'model',
+      'component': 'component',
+      'util': 'utility',
+      'helper': 'utility',
+      'lib': 'utility',
+      'test': 'test'
+    };
+
+    for (const [key, type] of Object.entries(types)) {
+      if (name.includes(key)) {
+        return type;
+      }
+    }
+
+    return 'module';
   }
 
   /**
    * Écrit un fichier YAML
    */
   async writeFile(filePath, content) {
-    const yamlContent = yaml.dump(content, {
+    let kept = [];
+    if (this.mergeMode) {
+      ({ content, kept } = await this.mergeWithExisting(filePath, content));
+    }
+
+    // Empreintes des valeurs générées, qui permettent à une fusion ultérieure de
+    // reconnaître les modifications manuelles ; elles comptent dans le budget
+    const fingerprint = fitted => this.merger.fingerprint(fitted, kept);
+    if (this.tokenBudget) {
+      content = this.applyTokenBudget(filePath, content, fingerprint);
+    }
+
+    const text = this.dumpYaml(fingerprint(content));
+
+    if (this.checkMode) {
+      this.checkFile(filePath, text);
+      return;
+    }
+
+    await fs.promises.writeFile(filePath, text, 'utf8');
+  }
+
+  /**
+   * Mode --check : consigne le diff unifié d'un fichier absent ou différent de la génération
+   */
+  checkFile(filePath, text) {
+    let existing = null;
+    try {
+      existing = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Erreur lors de la lecture du fichier ${filePath}:`, error.message);
+      }
+    }
+
+    // Un fichier est à jour exactement quand son contenu est identique (fin de ligne finale comprise)
+    if (existing === text) return;
+
+    // Format de diff -u : sans la ligne de séparation que createTwoFilesPatch place avant l'en-tête
+    const name = path.relative(this.outputPath, filePath).split(path.sep).join('/');
+    const diff = createTwoFilesPatch(existing === null ? '/dev/null' : `a/${name}`, `b/${name}`, existing || '', text)
+      .replace(/^=+\n/, '');
+
+    this.staleFiles.push({
+      file: filePath,
+      reason: existing === null ? 'missing' : 'changed',
+      diff
+    });
+  }
+
+  dumpYaml(content) {
+    return yaml.dump(content, {
       indent: this.config.output.indent,
       lineWidth: 120,
       noRefs: true,
       sortKeys: false
     });
+  }
+
+  /**
+   * Réduit un fichier au budget de tokens et consigne les compromis retenus
+   */
+  applyTokenBudget(filePath, content, finalize) {
+    const ownDir = path.dirname(filePath);
+    const moduleDirs = new Set([...this.moduleFileMap.keys()]
+      .filter(dir => dir.startsWith(ownDir + path.sep))
+      .map(dir => path.relative(this.outputPath, dir).split(path.sep).join('/')));
+
+    const fitted = this.tokenBudget.fit(content, { moduleDirs, finalize });
+
+    // Les sources des descriptions retirées ne sont plus pertinentes
+    const sources = fitted.content.metadata && fitted.content.metadata.description_sources;
+    if (Array.isArray(sources)) {
+      const kept = sources.filter(entry => this.merger.resolve(fitted.content, entry.path) !== undefined);
+      if (kept.length > 0) {
+        fitted.content.metadata.description_sources = kept;
+      } else {
+        delete fitted.content.metadata.description_sources;
+      }
+    }
+
+    this.budgetReport.push({
+      file: path.relative(this.outputPath, filePath),
+      tokens: fitted.tokens,
+      budget: this.tokenBudget.budget,
+      tradeoffs: fitted.tradeoffs,
+      exceeded: fitted.exceeded
+    });
+
+    return fitted.content;
+  }
+
+  /**
+   * Fusionne le contenu généré avec le fichier existant : les champs rédigés à la main
+   * sont conservés et les conflits avec les faits détectés sont collectés.
+   * Retourne { content, kept } (chemins des valeurs reprises du fichier existant)
+   */
+  async mergeWithExisting(filePath, content) {
+    let existing;
+    try {
+      existing = yaml.load(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Fusion impossible avec ${filePath}, le fichier sera réécrit:`, error.message);
+      }
+      return { content, kept: [] };
+    }
+
+    if (!existing || typeof existing !== 'object' || Array.isArray(existing)) {
+      return { content, kept: [] };
+    }
+
+    const { content: merged, conflicts, kept } = this.merger.merge(existing, content);
+    conflicts.forEach(conflict => this.conflicts.push({ file: filePath, ...conflict }));
+
+    // Une description conservée par l'utilisateur ne provient plus de la source détectée
+    const sources = merged.metadata && merged.metadata.description_sources;
+    if (Array.isArray(sources) && merged.metadata.user_owned) {
+      const kept = sources.filter(entry => !merged.metadata.user_owned.includes(entry.path));
+      if (kept.length > 0) {
+        merged.metadata.description_sources = kept;
+      } else {
+        delete merged.metadata.description_sources;
+      }
+    }
 
-    await fs.promises.writeFile(filePath, yamlContent, 'utf8');
+    return { content: merged, kept };
   }
 
   /**
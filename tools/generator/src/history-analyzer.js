@@ -0,0 +1,176 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rythme de modification (commits par mois sur la période analysée)
+const VOLATILE_RATE = 4;
+const STABLE_RATE = 1;
+
+// Un élément non modifié depuis ce nombre de jours (et peu modifié avant) est stable
+const STABLE_AGE_DAYS = 90;
+
+// Plusieurs auteurs modifiant régulièrement un élément le rendent volatil plus tôt
+const SHARED_AUTHORS = 4;
+
+const GIT_TIMEOUT = 60000;
+const GIT_MAX_BUFFER = 256 * 1024 * 1024;
+
+class HistoryAnalyzer {
+  constructor(config = {}) {
+    this.config = config;
+    this.days = (config.analysis && config.analysis.historyDays) || 365;
+    this.criticalFanIn = (config.analysis && config.analysis.criticalFanIn) || 5;
+  }
+
+  /**
+   * Lit l'historique git du projet sur `analysis.historyDays` jours : commits,
+   * lignes modifiées, auteurs et date de dernière modification par fichier.
+   * Retourne null si le projet n'est pas un dépôt git.
+   */
+  analyze(projectPath) {
+    const root = path.resolve(projectPath);
+    const topLevel = this.git(root, ['rev-parse', '--show-toplevel']);
+    if (!topLevel) return null;
+
+    const gitRoot = topLevel.trim();
+    const tracked = new Set(
+      (this.git(root, ['ls-files', '-z', '--full-name', '--', '.']) || '')
+        .split('\0')
+        .filter(Boolean)
+        .map(file => path.join(gitRoot, file))
+    );
+
+    const log = this.git(root, [
+      '-c', 'core.quotePath=false', 'log', '--no-merges', '--no-renames', `--since=${this.days}.days`,
+      '--format=%x1e%H%x1f%at%x1f%aE', '--numstat', '--', '.'
+    ]) || '';
+
+    const files = new Map();
+    let index = 0;
+
+    for (const entry of log.split('\x1e').filter(chunk => chunk.trim())) {
+      const [header, ...lines] = entry.split('\n');
+      const [, timestamp, author] = header.split('\x1f');
+      const time = Number(timestamp) * 1000;
+      const commit = index++;
+
+      lines.forEach(line => {
+        const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+        if (!match) return;
+
+        const file = path.join(gitRoot, match[3]);
+        if (!files.has(file)) {
+          files.set(file, { commits: [], churn: 0, authors: new Set(), lastChange: 0 });
+        }
+
+        const stats = files.get(file);
+        stats.commits.push(commit);
+        stats.churn += (Number(match[1]) || 0) + (Number(match[2]) || 0);
+        stats.authors.add(author);
+        stats.lastChange = Math.max(stats.lastChange, time);
+      });
+    }
+
+    return { tracked, files };
+  }
+
+  /**
+   * Statistiques cumulées d'un fichier ou d'un répertoire (fichiers qu'il contient),
+   * ou null si aucun de ses fichiers n'est suivi par git
+   */
+  statsFor(history, target) {
+    if (history.tracked.has(target)) {
+      const stats = history.files.get(target);
+      return stats
+        ? { commits: stats.commits.length, authors: stats.authors.size, churn: stats.churn, lastChange: stats.lastChange }
+        : { commits: 0, authors: 0, churn: 0, lastChange: 0 };
+    }
+
+    const inside = file => file === target || file.startsWith(target + path.sep);
+    if (![...history.tracked].some(inside)) return null;
+
+    const commits = new Set();
+    const authors = new Set();
+    let churn = 0;
+    let lastChange = 0;
+
+    for (const [file, stats] of history.files) {
+      if (!inside(file)) continue;
+
+      stats.commits.forEach(commit => commits.add(commit));
+      stats.authors.forEach(author => authors.add(author));
+      churn += stats.churn;
+      lastChange = Math.max(lastChange, stats.lastChange);
+    }
+
+    return { commits: commits.size, authors: authors.size, churn, lastChange };
+  }
+
+  /**
+   * Propose stabilité (stable|evolving|volatile) et criticité à partir de l'historique
+   * et du nombre de fichiers qui importent l'élément, avec la justification retenue
+   * @param {Object|null} stats - statistiques git (statsFor), null hors dépôt git
+   * @param {number} fanIn - nombre de fichiers important l'élément
+   * @param {string} scope - précision ajoutée au nombre d'importeurs ("outside the module")
+   */
+  assess(stats, fanIn, scope = '') {
+    const reasons = [];
+    const result = {};
+
+    if (fanIn >= this.criticalFanIn) {
+      result.critical = true;
+      reasons.push(`imported by ${fanIn} files${scope ? ` ${scope}` : ''}, changes affect all of them`);
+    }
+
+    if (stats) {
+      result.stability = this.classify(stats);
+      result.stable = result.stability === 'stable';
+      reasons.push(this.describeHistory(stats));
+    }
+
+    if (reasons.length === 0) return null;
+
+    return { ...result, rationale: reasons.join('; ') };
+  }
+
+  classify(stats) {
+    const rate = stats.commits / (this.days / 30);
+    const age = stats.lastChange ? (Date.now() - stats.lastChange) / DAY : Infinity;
+
+    if (rate >= VOLATILE_RATE || (stats.authors >= SHARED_AUTHORS && rate >= VOLATILE_RATE / 2)) {
+      return 'volatile';
+    }
+    if (age >= STABLE_AGE_DAYS && rate < STABLE_RATE) {
+      return 'stable';
+    }
+    return 'evolving';
+  }
+
+  describeHistory(stats) {
+    if (stats.commits === 0) {
+      return `no commits in the last ${this.days} days`;
+    }
+
+    const age = Math.floor((Date.now() - stats.lastChange) / DAY);
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    return `${plural(stats.commits, 'commit')} by ${plural(stats.authors, 'author')} in the last ${this.days} days ` +
+      `(${plural(stats.churn, 'line')} changed), last changed ${age === 0 ? 'today' : `${plural(age, 'day')} ago`}`;
+  }
+
+  git(cwd, args) {
+    try {
+      return execFileSync('git', args, {
+        cwd,
+        encoding: 'utf8',
+        timeout: GIT_TIMEOUT,
+        maxBuffer: GIT_MAX_BUFFER,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = HistoryAnalyzer;
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+
+// Exclusions communes à tous les outils ; une règle `!` d'un .lmayignore peut les annuler
+const DEFAULT_EXCLUDE_PATTERNS = ['.git', 'node_modules', 'dist', 'build', 'coverage', '__pycache__'];
+
+// Fichiers d'exclusion lus dans chaque répertoire, par ordre de priorité croissante
+const IGNORE_FILES = ['.gitignore', '.lmayignore'];
+
+const PROJECT_CONFIG_FILE = 'lmay.config.json';
+
+// Configuration par défaut du générateur, appliquée aux appelants qui n'en fournissent pas
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config/default.json');
+let defaultConfig;
+
+class IgnoreEngine {
+  /**
+   * @param {string} rootPath - racine du projet, base des motifs de configuration
+   * @param {Object} options - { excludePatterns, includeDotFiles, logger }
+   */
+  constructor(rootPath, options = {}) {
+    this.rootPath = path.resolve(rootPath);
+    this.logger = options.logger || console;
+    this.includeDotFiles = Boolean(options.includeDotFiles);
+    this.baseRules = this.parseRules(
+      [...DEFAULT_EXCLUDE_PATTERNS, ...(options.excludePatterns || [])].join('\n'),
+      ''
+    );
+    this.directoryRules = new Map();
+    this.cache = new Map();
+  }
+
+  /**
+   * Crée le moteur d'un projet : motifs de la configuration fournie (par défaut celle
+   * du générateur) et du lmay.config.json du projet, puis .gitignore et .lmayignore
+   * imbriqués. Tous les outils excluent ainsi les mêmes fichiers. Les avertissements
+   * passent par `config.logger` (par défaut la console).
+   */
+  static forProject(rootPath, config = IgnoreEngine.loadDefaultConfig()) {
+    const logger = config.logger || console;
+    const configs = [config, IgnoreEngine.loadProjectConfig(rootPath, logger)];
+    const excludePatterns = [];
+    let includeDotFiles = false;
+
+    configs.forEach(current => {
+      const local = (current.sources && current.sources.local) || {};
+      const analysis = current.analysis || {};
+      excludePatterns.push(...(local.excludePatterns || []), ...(analysis.excludePatterns || []));
+      includeDotFiles = includeDotFiles || Boolean(local.includeDotFiles || analysis.includeHidden);
+    });
+
+    return new IgnoreEngine(rootPath, { excludePatterns, includeDotFiles, logger });
+  }
+
+  static loadDefaultConfig() {
+    if (!defaultConfig) {
+      defaultConfig = JSON.parse(fs.readFileSync(DEFAULT_CONFIG_FILE, 'utf8'));
+    }
+    return defaultConfig;
+  }
+
+  static loadProjectConfig(rootPath, logger = console) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(rootPath, PROJECT_CONFIG_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Erreur lors de la lecture du fichier ${PROJECT_CONFIG_FILE}:`, error.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Vérifie si un chemin (absolu ou relatif à la racine) est exclu. Comme pour git,
+   * le contenu d'un répertoire exclu l'est aussi.
+   */
+  isIgnored(filePath, isDirectory = false) {
+    const relative = this.toRelative(filePath);
+    if (relative === null) return false;
+
+    const segments = relative.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+      const candidate = segments.slice(0, i).join('/');
+      if (this.matches(candidate, i < segments.length || isDirectory)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Liste les fichiers non exclus (chemins absolus triés), sans descendre
+   * dans les répertoires exclus
+   * @param {Object} options - { extensions, maxDepth }
+   */
+  listFiles(options = {}) {
+    const files = [];
+    this.collect(this.rootPath, 0, options, files, null);
+    return files.sort();
+  }
+
+  /**
+   * Liste les répertoires non exclus (chemins absolus triés)
+   */
+  listDirectories(options = {}) {
+    const directories = [];
+    this.collect(this.rootPath, 0, options, null, directories);
+    return directories.sort();
+  }
+
+  collect(dir, depth, options, files, directories) {
+    const maxDepth = options.maxDepth === undefined ? Infinity : options.maxDepth;
+    const extensions = options.extensions && options.extensions.map(ext => ext.toLowerCase());
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const isDirectory = entry.isDirectory();
+      if (this.isIgnored(fullPath, isDirectory)) continue;
+
+      if (isDirectory) {
+        if (directories) directories.push(fullPath);
+        if (depth < maxDepth) this.collect(fullPath, depth + 1, options, files, directories);
+      } else if (files && entry.isFile()) {
+        if (!extensions || extensions.includes(path.extname(entry.name).toLowerCase())) {
+          files.push(fullPath);
+        }
+      }
+    }
+  }
+
+  /**
+   * Évalue un chemin seul (sans ses parents) : la dernière règle applicable l'emporte
+   */
+  matches(relative, isDirectory) {
+    const key = `${relative}${isDirectory ? '/' : ''}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const name = relative.slice(relative.lastIndexOf('/') + 1);
+    let ignored = !this.includeDotFiles && name.startsWith('.');
+
+    const parent = relative.includes('/') ? relative.slice(0, relative.lastIndexOf('/')) : '';
+    for (const rule of this.rulesFor(parent)) {
+      if (rule.directoryOnly && !isDirectory) continue;
+
+      const subject = rule.base ? relative.slice(rule.base.length + 1) : relative;
+      if (rule.regex.test(subject)) {
+        ignored = !rule.negated;
+      }
+    }
+
+    this.cache.set(key, ignored);
+    return ignored;
+  }
+
+  /**
+   * Règles applicables aux entrées d'un répertoire : configuration, puis fichiers
+   * d'exclusion de la racine jusqu'à ce répertoire (les plus profonds l'emportent)
+   */
+  rulesFor(relativeDir) {
+    const rules = [...this.baseRules];
+    const segments = relativeDir ? relativeDir.split('/') : [];
+
+    for (let i = 0; i <= segments.length; i++) {
+      rules.push(...this.loadDirectoryRules(segments.slice(0, i).join('/')));
+    }
+
+    return rules;
+  }
+
+  loadDirectoryRules(relativeDir) {
+    if (this.directoryRules.has(relativeDir)) {
+      return this.directoryRules.get(relativeDir);
+    }
+
+    const rules = [];
+    for (const fileName of IGNORE_FILES) {
+      const filePath = path.join(this.rootPath, relativeDir, fileName);
+      try {
+        rules.push(...this.parseRules(fs.readFileSync(filePath, 'utf8'), relativeDir));
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          this.logger.warn(`Erreur lors de la lecture du fichier ${filePath}:`, error.message);
+        }
+      }
+    }
+
+    this.directoryRules.set(relativeDir, rules);
+    return rules;
+  }
+
+  /**
+   * Parse des motifs au format .gitignore (commentaires, `!`, `/` final ou initial, `**`)
+   */
+  parseRules(content, base) {
+    return content
+      .split(/\r?\n/)
+      .map(line => line.replace(/(?<!\\)\s+$/, ''))
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => this.compileRule(line, base))
+      .filter(Boolean);
+  }
+
+  compileRule(line, base) {
+    let pattern = line;
+    const negated = pattern.startsWith('!');
+    if (negated) pattern = pattern.slice(1);
+    if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) pattern = pattern.slice(1);
+
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+
+    // `dir/**` exclut aussi le répertoire lui-même, pour ne pas le parcourir
+    const withContents = pattern.endsWith('/**');
+    if (withContents) pattern = pattern.slice(0, -3);
+
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) return null;
+
+    const body = this.globToRegex(pattern);
+    const prefix = anchored ? '' : '(?:.*/)?';
+    const suffix = withContents ? '(?:/.*)?' : '';
+
+    return {
+      regex: new RegExp(`^${prefix}${body}${suffix}$`),
+      negated,
+      directoryOnly,
+      base
+    };
+  }
+
+  globToRegex(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '*' && pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = pattern.indexOf(']', i + 1);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+          i = end;
+        }
+      } else if (char === '\\' && i + 1 < pattern.length) {
+        source += pattern[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        i += 1;
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      }
+    }
+
+    return source;
+  }
+
+  /**
+   * Chemin relatif à la racine au format POSIX, ou null s'il est hors du projet
+   */
+  toRelative(filePath) {
+    const absolute = path.resolve(this.rootPath, filePath);
+    const relative = path.relative(this.rootPath, absolute);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+    return relative.split(path.sep).join('/');
+  }
+}
+
+module.exports = IgnoreEngine;
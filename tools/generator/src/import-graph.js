@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { compareStrings } = require('./compare');
+const { walk } = require('./ast-utils');
+
+const RESOLVE_EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+const PYTHON_EXTENSIONS = ['.py'];
+
+// Imports TypeScript écrits avec l'extension compilée (`./x.js` pour `x.ts`)
+const COMPILED_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'], '.jsx': ['.tsx'] };
+
+class ImportGraph {
+  constructor(config = {}, parser) {
+    this.config = config;
+    this.parser = parser;
+    this.maxFileSize = (config.analysis && config.analysis.maxParseFileSize) || 512 * 1024;
+  }
+
+  /**
+   * Construit le graphe des dépendances entre modules à partir des imports relatifs
+   * (et des imports de paquets du monorepo). Chaque fichier appartient au module
+   * le plus profond qui le contient, ou à la racine du projet.
+   * Retourne une Map répertoire source → [{ target, weight }] triée par poids décroissant
+   * @param {Map} importers - Map optionnelle complétée avec, pour chaque chemin importé,
+   * l'ensemble des fichiers qui l'importent
+   */
+  build(filePaths, projectPath, moduleDirs = [], workspace = null, importers = null) {
+    const root = path.resolve(projectPath);
+    const owners = [...moduleDirs].sort((a, b) => b.length - a.length);
+    const ownerOf = target => owners.find(dir => target === dir || target.startsWith(dir + path.sep)) || root;
+    const edges = new Map();
+
+    for (const file of filePaths) {
+      const source = ownerOf(file);
+
+      for (const target of this.resolveFileImports(file, root, workspace)) {
+        if (importers) {
+          if (!importers.has(target)) importers.set(target, new Set());
+          importers.get(target).add(file);
+        }
+
+        const targetModule = ownerOf(target);
+        if (targetModule === source) continue;
+
+        if (!edges.has(source)) edges.set(source, new Map());
+        const targets = edges.get(source);
+        targets.set(targetModule, (targets.get(targetModule) || 0) + 1);
+      }
+    }
+
+    const graph = new Map();
+    for (const [source, targets] of edges) {
+      graph.set(source, [...targets.entries()]
+        .map(([target, weight]) => ({ target, weight }))
+        .sort((a, b) => b.weight - a.weight || compareStrings(a.target, b.target)));
+    }
+
+    return graph;
+  }
+
+  /**
+   * Retourne les chemins internes (fichiers ou répertoires) importés par un fichier
+   */
+  resolveFileImports(file, root, workspace) {
+    const ext = path.extname(file).toLowerCase();
+
+    if (RESOLVE_EXTENSIONS.includes(ext)) {
+      return this.collectScriptImports(file)
+        .map(specifier => this.resolveScriptImport(specifier, file, workspace))
+        .filter(target => target && this.isInside(target, root));
+    }
+
+    if (PYTHON_EXTENSIONS.includes(ext)) {
+      return this.collectPythonImports(file, root)
+        .filter(target => this.isInside(target, root));
+    }
+
+    return [];
+  }
+
+  /**
+   * Sources des import/export ... from, require(), import() et `import x = require()`
+   */
+  collectScriptImports(file) {
+    const ast = this.parser.parseFile(file);
+    if (!ast) return [];
+
+    const specifiers = [];
+    walk(ast.program, node => {
+      switch (node.type) {
+        case 'ImportDeclaration':
+        case 'ExportAllDeclaration':
+        case 'ExportNamedDeclaration':
+          if (node.source && typeof node.source.value === 'string') {
+            specifiers.push(node.source.value);
+          }
+          break;
+        case 'CallExpression': {
+          const [argument] = node.arguments;
+          const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+          if ((isRequire || node.callee.type === 'Import') && argument && argument.type === 'StringLiteral') {
+            specifiers.push(argument.value);
+          }
+          break;
+        }
+        case 'ImportExpression':
+          if (node.source && node.source.type === 'StringLiteral') {
+            specifiers.push(node.source.value);
+          }
+          break;
+        case 'TSImportEqualsDeclaration':
+          if (node.moduleReference.type === 'TSExternalModuleReference') {
+            specifiers.push(node.moduleReference.expression.value);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+
+    return specifiers;
+  }
+
+  /**
+   * Résout un import JS/TS : chemin relatif, ou paquet du monorepo
+   */
+  resolveScriptImport(specifier, file, workspace) {
+    if (specifier.startsWith('.')) {
+      return this.resolveScriptPath(path.resolve(path.dirname(file), specifier));
+    }
+
+    if (workspace) {
+      const pkg = workspace.packages.find(candidate =>
+        specifier === candidate.name || specifier.startsWith(`${candidate.name}/`)
+      );
+      if (pkg) {
+        const subpath = specifier.slice(pkg.name.length + 1);
+        return (subpath && this.resolveScriptPath(path.join(pkg.path, subpath))) || pkg.path;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Résolution à la Node : fichier exact, extensions, puis index du répertoire
+   */
+  resolveScriptPath(target) {
+    if (this.isFile(target)) return target;
+
+    for (const ext of RESOLVE_EXTENSIONS) {
+      if (this.isFile(target + ext)) return target + ext;
+    }
+
+    const compiled = COMPILED_EXTENSIONS[path.extname(target)];
+    if (compiled) {
+      const base = target.slice(0, -path.extname(target).length);
+      const match = compiled.map(ext => base + ext).find(candidate => this.isFile(candidate));
+      if (match) return match;
+    }
+
+    for (const ext of RESOLVE_EXTENSIONS) {
+      const index = path.join(target, `index${ext}`);
+      if (this.isFile(index)) return index;
+    }
+
+    return null;
+  }
+
+  /**
+   * Imports Python : `from .x import y`, `from . import y`, et imports absolus
+   * de paquets situés à la racine du projet
+   */
+  collectPythonImports(file, root) {
+    let content;
+    try {
+      if (fs.statSync(file).size > this.maxFileSize) return [];
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const targets = [];
+
+    for (const match of content.matchAll(/^[ \t]*from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+\(?([\w, \t]+)/gm)) {
+      const [, dots, moduleName, names] = match;
+      let base;
+
+      if (dots) {
+        base = path.dirname(file);
+        for (let i = 1; i < dots.length; i++) base = path.dirname(base);
+      } else {
+        base = root;
+      }
+
+      const modulePath = moduleName ? path.join(base, ...moduleName.split('.')) : base;
+      const resolved = moduleName ? this.resolvePythonPath(modulePath) : null;
+
+      if (resolved) {
+        targets.push(resolved);
+      } else if (!moduleName || dots) {
+        // `from . import views` : chaque nom peut désigner un sous-module
+        names.split(',')
+          .map(name => name.trim().split(/\s+/)[0])
+          .filter(Boolean)
+          .forEach(name => {
+            const submodule = this.resolvePythonPath(path.join(modulePath, name));
+            if (submodule) targets.push(submodule);
+          });
+      }
+    }
+
+    for (const match of content.matchAll(/^[ \t]*import[ \t]+([\w.]+(?:[ \t]*,[ \t]*[\w.]+)*)/gm)) {
+      match[1].split(',').forEach(moduleName => {
+        const resolved = this.resolvePythonPath(path.join(root, ...moduleName.trim().split('.')));
+        if (resolved) targets.push(resolved);
+      });
+    }
+
+    return targets;
+  }
+
+  resolvePythonPath(target) {
+    if (this.isFile(`${target}.py`)) return `${target}.py`;
+    if (this.isFile(path.join(target, '__init__.py'))) return path.join(target, '__init__.py');
+    return null;
+  }
+
+  isInside(target, root) {
+    return target === root || target.startsWith(root + path.sep);
+  }
+
+  isFile(filePath) {
+    try {
+      return fs.statSync(filePath).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = ImportGraph;
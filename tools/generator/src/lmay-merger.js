@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+
+// Champs rédigés par les utilisateurs : conservés s'ils diffèrent du texte généré
+const HUMAN_KEYS = new Set(['description', 'purpose']);
+const HUMAN_POINTERS = new Set(['/project/name', '/module/name']);
+
+// Empreintes des valeurs générées : une valeur existante dont l'empreinte n'est pas
+// enregistrée a été écrite ou modifiée à la main
+const FINGERPRINTS_POINTER = '/metadata/fingerprints';
+const FINGERPRINT_LENGTH = 6;
+
+// Tenus à jour par la fusion elle-même, jamais comparés
+const BOOKKEEPING_POINTERS = new Set(['/metadata/user_owned', FINGERPRINTS_POINTER]);
+
+// Propositions du générateur et texte de leur justification (`rationale`) : une valeur
+// que la justification n'explique pas a été posée à la main
+const PROPOSAL_KEYS = {
+  critical: /imported by/,
+  stable: /commit/,
+  stability: /commit/
+};
+
+// Sections dont chaque entrée correspond à un élément détecté (répertoire, fichier, langage...)
+const COLLECTION_POINTERS = new Set(['/structure']);
+const COLLECTION_PATTERNS = [/^\/structure\/[^/]+\/languages$/];
+
+class LMAYMerger {
+  /**
+   * @param {Object} options - { isGenerated(text, pointer) } reconnaît un texte produit par le générateur,
+   * { canGenerate(value, pointer) } indique si le générateur sait produire un élément de liste,
+   * { isGeneratedSection(name) } désigne les sections de premier niveau produites par des plugins
+   */
+  constructor(options = {}) {
+    this.isGenerated = options.isGenerated || (() => false);
+    this.canGenerate = options.canGenerate || (() => true);
+    this.isGeneratedSection = options.isGeneratedSection || (() => false);
+  }
+
+  /**
+   * Fusionne un fichier LMAY existant avec une nouvelle génération.
+   * Les faits détectés sont mis à jour, les champs rédigés à la main et les sections
+   * personnalisées sont conservés et listés dans `metadata.user_owned` (chemins de
+   * type JSON Pointer ; les éléments de liste sont désignés par leur nom ou fichier).
+   * Les empreintes de `metadata.fingerprints` (voir fingerprint()) distinguent une valeur
+   * générée d'une valeur modifiée à la main ; un fait généré modifié est conservé et
+   * signalé en conflit. Sans empreintes (fichier antérieur), seuls les champs rédigés
+   * (description, purpose) sont reconnus et une clé qui n'est plus générée est
+   * conservée avec un conflit.
+   * Retourne { content, conflicts: [{ path, reason, user, detected }], kept } où `kept`
+   * liste les chemins dont la valeur provient du fichier existant
+   */
+  merge(existing, fresh) {
+    const metadata = (existing && existing.metadata) || {};
+    const owned = new Set(metadata.user_owned || []);
+    const recorded = typeof metadata.fingerprints === 'string'
+      ? new Set(metadata.fingerprints.split(/\s+/).filter(Boolean))
+      : null;
+    const state = { owned, recorded, claimed: new Set(), kept: new Set(), conflicts: [] };
+
+    const content = this.mergeValue(existing, fresh, '', state);
+
+    const userOwned = [...new Set([...owned, ...state.claimed])]
+      .filter(pointer => this.resolve(content, pointer) !== undefined)
+      .sort();
+
+    if (userOwned.length > 0) {
+      content.metadata = { ...content.metadata, user_owned: userOwned };
+    } else if (content.metadata) {
+      delete content.metadata.user_owned;
+    }
+
+    return { content, conflicts: state.conflicts, kept: [...new Set([...userOwned, ...state.kept])].sort() };
+  }
+
+  /**
+   * Enregistre dans `metadata.fingerprints` l'empreinte de chaque valeur générée
+   * (chemin et valeur), hors valeurs conservées par la fusion (`kept`)
+   */
+  fingerprint(content, kept = []) {
+    if (!this.isPlainObject(content)) return content;
+
+    const isKept = pointer => kept.some(keptPointer => pointer === keptPointer || pointer.startsWith(`${keptPointer}/`));
+    const hashes = new Set(this.leaves(content, '')
+      .filter(([pointer]) => !isKept(pointer))
+      .map(([pointer, value]) => this.hash(pointer, value)));
+
+    const { fingerprints, ...metadata } = content.metadata || {};
+    return { ...content, metadata: { ...metadata, fingerprints: [...hashes].sort().join(' ') } };
+  }
+
+  mergeValue(existing, fresh, pointer, state) {
+    if (existing === undefined || BOOKKEEPING_POINTERS.has(pointer)) return fresh;
+
+    // Un champ revendiqué par l'utilisateur n'est jamais remplacé
+    if (state.owned.has(pointer)) {
+      if (!this.isHuman(pointer) && !this.isEqual(existing, fresh)) {
+        state.conflicts.push({ path: pointer, reason: 'changed', user: existing, detected: fresh });
+      }
+      return existing;
+    }
+
+    if (this.isPlainObject(existing) && this.isPlainObject(fresh)) {
+      return this.mergeObjects(existing, fresh, pointer, state);
+    }
+
+    if (Array.isArray(existing) && Array.isArray(fresh) && this.isIdentified(existing) && this.isIdentified(fresh)) {
+      return this.mergeArrays(existing, fresh, pointer, state);
+    }
+
+    if (this.isEqual(existing, fresh)) return fresh;
+
+    if (this.isHuman(pointer)) {
+      const generated = state.recorded
+        ? this.origin(existing, pointer, state) === 'generated' || this.looksGenerated(existing, fresh, pointer)
+        : this.looksGenerated(existing, fresh, pointer);
+      if (generated) return fresh;
+      state.claimed.add(pointer);
+      return existing;
+    }
+
+    // Fait généré modifié à la main : conservé, revendiqué et signalé
+    if (state.recorded && this.origin(existing, pointer, state) !== 'generated') {
+      state.claimed.add(pointer);
+      state.conflicts.push({ path: pointer, reason: 'changed', user: existing, detected: fresh });
+      return existing;
+    }
+
+    return fresh;
+  }
+
+  mergeObjects(existing, fresh, pointer, state) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(fresh)) {
+      const childPointer = `${pointer}/${this.escape(key)}`;
+      if (key in existing && this.isHandSet(existing, key) && !state.owned.has(childPointer)) {
+        result[key] = this.keepCustom(existing[key], childPointer, state);
+        continue;
+      }
+
+      const merged = this.mergeValue(existing[key], value, childPointer, state);
+      if (merged !== undefined) result[key] = merged;
+    }
+
+    const isCollection = COLLECTION_POINTERS.has(pointer) || COLLECTION_PATTERNS.some(pattern => pattern.test(pointer));
+    for (const [key, value] of Object.entries(existing)) {
+      const childPointer = `${pointer}/${this.escape(key)}`;
+      if (key in fresh || BOOKKEEPING_POINTERS.has(childPointer)) continue;
+
+      if (this.isHandSet(existing, key) || (key in PROPOSAL_KEYS && state.owned.has(childPointer))) {
+        result[key] = this.keepCustom(value, childPointer, state);
+        continue;
+      }
+
+      let kept;
+      if (state.recorded || isCollection || this.isGeneratedSection(this.unescape(childPointer.split('/')[1]))) {
+        kept = this.mergeRemoved(value, childPointer, state);
+      } else if (this.isHuman(childPointer)) {
+        kept = this.keepCustom(value, childPointer, state);
+      } else {
+        // Fichier sans empreintes : rien n'indique si la clé a été générée ou ajoutée à la main
+        kept = this.keepRemoved(value, childPointer, state);
+      }
+      if (kept !== undefined) result[key] = kept;
+    }
+
+    return result;
+  }
+
+  /**
+   * Les listes d'objets identifiables (nom, fichier, chemin...) sont fusionnées élément
+   * par élément ; les autres sont remplacées par la nouvelle génération
+   */
+  mergeArrays(existing, fresh, pointer, state) {
+    const freshIds = fresh.map(item => this.identity(item));
+    const existingIds = existing.map(item => this.identity(item));
+    const byId = new Map(existing.map((item, index) => [existingIds[index], item]));
+    const result = fresh.map((item, index) =>
+      this.mergeValue(byId.get(freshIds[index]), item, `${pointer}/${this.escape(freshIds[index])}`, state)
+    );
+
+    existing.forEach((item, index) => {
+      if (freshIds.includes(existingIds[index])) return;
+      const itemPointer = `${pointer}/${this.escape(existingIds[index])}`;
+
+      // Un élément que le générateur ne sait pas produire a été ajouté à la main
+      const kept = state.recorded || this.canGenerate(item, itemPointer)
+        ? this.mergeRemoved(item, itemPointer, state)
+        : this.keepCustom(item, itemPointer, state);
+      if (kept !== undefined) result.push(kept);
+    });
+
+    return result;
+  }
+
+  /**
+   * Élément généré qui n'est plus détecté : supprimé, sauf s'il porte du contenu
+   * utilisateur (conflit signalé, élément conservé). Un élément dont aucune valeur
+   * n'a été générée est du contenu ajouté à la main.
+   */
+  mergeRemoved(value, pointer, state) {
+    const origin = this.origin(value, pointer, state);
+    if (origin === 'custom') return this.keepCustom(value, pointer, state);
+
+    const ownedInside = [...state.owned].some(owned => owned === pointer || owned.startsWith(`${pointer}/`));
+    const handWritten = origin
+      ? origin === 'edited'
+      : this.isPlainObject(value) && [...HUMAN_KEYS].some(key =>
+        typeof value[key] === 'string' && !this.isGenerated(value[key], `${pointer}/${key}`)
+      );
+
+    if (!ownedInside && !handWritten) return undefined;
+    return this.keepRemoved(value, pointer, state);
+  }
+
+  keepRemoved(value, pointer, state) {
+    state.conflicts.push({ path: pointer, reason: 'removed', user: value, detected: undefined });
+    state.kept.add(pointer);
+    return value;
+  }
+
+  keepCustom(value, pointer, state) {
+    const ownedAbove = [...state.owned].some(owned => pointer === owned || pointer.startsWith(`${owned}/`));
+    if (!ownedAbove) state.claimed.add(pointer);
+    return value;
+  }
+
+  /**
+   * Provenance d'une valeur existante d'après les empreintes enregistrées : 'generated'
+   * (toutes ses valeurs), 'custom' (aucune), 'edited' (en partie), null sans empreintes
+   */
+  origin(value, pointer, state) {
+    if (!state.recorded) return null;
+
+    const leaves = this.leaves(value, pointer);
+    const known = leaves.filter(([leafPointer, leaf]) => state.recorded.has(this.hash(leafPointer, leaf))).length;
+    if (known === leaves.length) return 'generated';
+    return known === 0 ? 'custom' : 'edited';
+  }
+
+  /**
+   * Valeurs élémentaires d'une valeur, avec leur chemin : les objets et les listes
+   * identifiées sont parcourus comme par la fusion, les autres valeurs sont entières
+   */
+  leaves(value, pointer, result = []) {
+    if (BOOKKEEPING_POINTERS.has(pointer)) return result;
+
+    if (this.isPlainObject(value) && Object.keys(value).length > 0) {
+      Object.entries(value).forEach(([key, child]) => this.leaves(child, `${pointer}/${this.escape(key)}`, result));
+    } else if (Array.isArray(value) && value.length > 0 && this.isIdentified(value)) {
+      value.forEach(item => this.leaves(item, `${pointer}/${this.escape(this.identity(item))}`, result));
+    } else {
+      result.push([pointer, value]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Empreinte courte (lettres) d'une valeur à un chemin
+   */
+  hash(pointer, value) {
+    const digest = crypto.createHash('sha1').update(`${pointer}\n${JSON.stringify(value)}`).digest();
+    let number = digest.readUInt32BE(0);
+    let result = '';
+    for (let i = 0; i < FINGERPRINT_LENGTH; i++) {
+      result += String.fromCharCode(97 + (number % 26));
+      number = Math.floor(number / 26);
+    }
+    return result;
+  }
+
+  isIdentified(list) {
+    const ids = list.map(item => this.identity(item));
+    return !ids.includes(null) && new Set(ids).size === ids.length;
+  }
+
+  isHandSet(object, key) {
+    if (!(key in PROPOSAL_KEYS)) return false;
+    return typeof object.rationale !== 'string' || !PROPOSAL_KEYS[key].test(object.rationale);
+  }
+
+  isHuman(pointer) {
+    const key = pointer.slice(pointer.lastIndexOf('/') + 1);
+    return HUMAN_KEYS.has(key) || HUMAN_POINTERS.has(pointer);
+  }
+
+  /**
+   * Un texte qui ne diffère du texte régénéré que par des nombres
+   * ("Directory containing 5 files") n'a pas été modifié à la main
+   */
+  looksGenerated(existing, fresh, pointer) {
+    if (typeof existing !== 'string') return false;
+    if (typeof fresh === 'string' && existing.replace(/\d+/g, '#') === fresh.replace(/\d+/g, '#')) return true;
+    return this.isGenerated(existing, pointer);
+  }
+
+  /**
+   * Identifiant stable d'un élément de liste, ou null s'il n'en a pas
+   */
+  identity(item) {
+    if (item === null || item === undefined) return null;
+    if (typeof item !== 'object') return String(item);
+    if (Array.isArray(item)) return null;
+
+    const key = item.name || item.file || item.path || item.endpoint || item.database;
+    if (typeof key !== 'string') {
+      // Éléments désignés par leur seul type (patterns)
+      return typeof item.type === 'string' ? item.type : null;
+    }
+
+    return [item.method, item.type, key].filter(part => typeof part === 'string').join(' ');
+  }
+
+  /**
+   * Valeur désignée par un chemin (éléments de liste désignés par leur identifiant)
+   */
+  resolve(content, pointer) {
+    if (!pointer) return content;
+
+    let current = content;
+    for (const segment of pointer.slice(1).split('/').map(part => this.unescape(part))) {
+      if (Array.isArray(current)) {
+        current = current.find(item => this.identity(item) === segment);
+      } else if (this.isPlainObject(current)) {
+        current = current[segment];
+      } else {
+        return undefined;
+      }
+      if (current === undefined) return undefined;
+    }
+
+    return current;
+  }
+
+  escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  unescape(segment) {
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+module.exports = LMAYMerger;
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const { compareStrings } = require('./compare');
+const { forEachChild } = require('./ast-utils');
+
+const SOURCE_EXTENSIONS = [
+  '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte',
+  '.py', '.java', '.kt', '.scala', '.go', '.rs', '.rb', '.php', '.cs', '.cpp', '.cc', '.c', '.h', '.hpp',
+  '.swift', '.sh', '.bash'
+];
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml', '.toml', '.ini', '.cfg', '.conf', '.env', '.properties', '.xml'];
+const CONFIG_FILES = new Set(['Dockerfile', 'Makefile', 'Procfile', 'Gemfile', 'Pipfile', 'go.mod', 'requirements.txt']);
+
+// Niveaux de la spécification selon la complexité cyclomatique moyenne par fonction
+const COMPLEXITY_LEVELS = [['high', 6], ['medium', 3], ['low', 0]];
+
+// Une fonction au-delà de ce seuil relève le niveau du module d'un cran
+const HOTSPOT_THRESHOLD = 15;
+
+const LARGEST_FILES = 3;
+
+// Au-delà, le fichier est probablement généré ou minifié : ses lignes ne sont pas comptées
+const MAX_COUNT_SIZE = 2 * 1024 * 1024;
+
+const FUNCTION_NODES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+const DECISION_NODES = new Set([
+  'IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'WhileStatement', 'DoWhileStatement', 'CatchClause'
+]);
+
+class MetricsCalculator {
+  /**
+   * @param {ComponentExtractor} parser - analyse syntaxique des fichiers JS/TS
+   * @param {TestMapper} testMapper - reconnaissance des fichiers de test
+   */
+  constructor(config = {}, parser, testMapper) {
+    this.config = config;
+    this.parser = parser;
+    this.testMapper = testMapper;
+    this.fileCache = new Map();
+    this.directoryCache = new Map();
+  }
+
+  /**
+   * Vide les caches avant une nouvelle génération
+   */
+  clear() {
+    this.fileCache.clear();
+    this.directoryCache.clear();
+  }
+
+  /**
+   * Métriques d'un répertoire et de ses sous-répertoires : lignes de code, fichiers
+   * source/test/configuration, plus gros fichiers et complexité cyclomatique (JS/TS/Python)
+   * Retourne { lines_of_code, source_files, test_files, config_files, largest_files, cyclomatic, complexity }
+   */
+  measureDirectory(node, projectPath) {
+    if (this.directoryCache.has(node.path)) return this.directoryCache.get(node.path);
+
+    const root = path.resolve(projectPath);
+    const files = [];
+    this.collectFiles(node, files);
+
+    const totals = { lines: 0, source: 0, test: 0, config: 0 };
+    const sized = [];
+    const functions = [];
+
+    files.forEach(file => {
+      const metrics = this.measureFile(file.path, root, file.measured);
+      if (!metrics.kind) return;
+
+      totals[metrics.kind] += 1;
+      if (metrics.kind === 'config') return;
+
+      totals.lines += metrics.lines;
+      sized.push({ file: file.path, lines: metrics.lines });
+      if (metrics.kind === 'source') functions.push(...metrics.functions);
+    });
+
+    const result = {
+      lines_of_code: totals.lines,
+      source_files: totals.source,
+      test_files: totals.test,
+      config_files: totals.config,
+      largest_files: sized
+        .filter(entry => entry.lines > 0)
+        .sort((a, b) => b.lines - a.lines || compareStrings(a.file, b.file))
+        .slice(0, LARGEST_FILES),
+      ...this.summarizeComplexity(functions)
+    };
+
+    this.directoryCache.set(node.path, result);
+    return result;
+  }
+
+  /**
+   * Complexité moyenne et maximale par fonction, et niveau low|medium|high correspondant
+   */
+  summarizeComplexity(functions) {
+    if (functions.length === 0) return {};
+
+    const average = functions.reduce((sum, value) => sum + value, 0) / functions.length;
+    const max = Math.max(...functions);
+
+    let level = COMPLEXITY_LEVELS.findIndex(([, threshold]) => average >= threshold);
+    if (max >= HOTSPOT_THRESHOLD && level > 0) level -= 1;
+
+    return {
+      cyclomatic: { average: Math.round(average * 10) / 10, max },
+      complexity: COMPLEXITY_LEVELS[level][0]
+    };
+  }
+
+  /**
+   * Nature, lignes de code et complexité des fonctions d'un fichier
+   * (mis en cache : un répertoire est mesuré par chaque fichier LMAY qui le référence)
+   * @param {Object} measured - résultat de measureSource déjà calculé par le scanner, s'il existe
+   */
+  measureFile(filePath, root, measured = null) {
+    if (this.fileCache.has(filePath)) return this.fileCache.get(filePath);
+
+    const kind = this.classify(filePath, root);
+    const metrics = { kind, lines: 0, functions: [] };
+
+    if (kind === 'source' || kind === 'test') {
+      const content = measured || this.measureSource(filePath, kind === 'source');
+      if (content) {
+        metrics.lines = content.lines;
+        if (kind === 'source') metrics.functions = content.functions;
+      }
+    }
+
+    this.fileCache.set(filePath, metrics);
+    return metrics;
+  }
+
+  /**
+   * Indique si un fichier est du code dont les lignes et la complexité sont mesurées
+   */
+  isMeasurable(filePath) {
+    return SOURCE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Lignes de code et complexité des fonctions d'un fichier source, sans tenir compte
+   * de sa nature (utilisé aussi par les workers du scanner). Retourne { lines, functions },
+   * ou null si le fichier n'est pas du code ou est illisible
+   */
+  measureSource(filePath, withComplexity = true) {
+    if (!this.isMeasurable(filePath)) return null;
+
+    const ext = path.extname(filePath).toLowerCase();
+    const source = this.readText(filePath);
+    if (source === null) return null;
+
+    return {
+      lines: this.countLines(source, ext),
+      functions: withComplexity ? this.measureComplexity(filePath, source) : []
+    };
+  }
+
+  classify(filePath, root) {
+    const name = path.basename(filePath);
+    const ext = path.extname(name).toLowerCase();
+
+    if (SOURCE_EXTENSIONS.includes(ext)) {
+      if (this.testMapper && (this.testMapper.isTestFile(filePath, root) || this.testMapper.isInTestDirectory(filePath, root))) {
+        return 'test';
+      }
+      return /\.config\.[cm]?[jt]s$/.test(name) ? 'config' : 'source';
+    }
+
+    if (CONFIG_EXTENSIONS.includes(ext) || CONFIG_FILES.has(name) || /^\..*rc$/.test(name)) {
+      return 'config';
+    }
+
+    return null;
+  }
+
+  /**
+   * Lignes non vides qui ne sont pas uniquement des commentaires
+   */
+  countLines(source, ext) {
+    const hashComments = ['.py', '.rb', '.sh', '.bash'].includes(ext);
+    let inBlock = false;
+    let count = 0;
+
+    for (const rawLine of source.split('\n')) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      if (inBlock) {
+        if (line.includes('*/')) {
+          inBlock = false;
+          if (line.slice(line.indexOf('*/') + 2).trim()) count++;
+        }
+        continue;
+      }
+
+      if (hashComments) {
+        if (!line.startsWith('#')) count++;
+      } else if (line.startsWith('/*')) {
+        inBlock = !line.includes('*/');
+      } else if (!line.startsWith('//')) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Complexité cyclomatique de chaque fonction (1 + points de décision). Le code de
+   * premier niveau compte comme une fonction lorsqu'il contient des décisions.
+   */
+  measureComplexity(filePath, source) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (SCRIPT_EXTENSIONS.includes(ext)) {
+      const ast = this.parser && this.parser.parseSource(source, filePath);
+      return ast ? this.measureScript(ast) : [];
+    }
+
+    if (ext === '.py') {
+      return this.measurePython(source);
+    }
+
+    return [];
+  }
+
+  measureScript(ast) {
+    const functions = [];
+    const stack = [{ decisions: 0 }];
+
+    const visit = node => {
+      if (!node || typeof node.type !== 'string') return;
+
+      const isFunction = FUNCTION_NODES.has(node.type);
+      if (isFunction) stack.push({ decisions: 0 });
+
+      if (this.isDecision(node)) stack[stack.length - 1].decisions += 1;
+
+      forEachChild(node, visit);
+
+      if (isFunction) functions.push(1 + stack.pop().decisions);
+    };
+
+    visit(ast.program);
+
+    if (stack[0].decisions > 0) functions.push(1 + stack[0].decisions);
+    return functions;
+  }
+
+  isDecision(node) {
+    if (DECISION_NODES.has(node.type)) return true;
+    if (node.type === 'SwitchCase') return node.test !== null;
+    if (node.type === 'LogicalExpression') return ['&&', '||', '??'].includes(node.operator);
+    return false;
+  }
+
+  /**
+   * Estimation par indentation : chaque `def` ouvre une fonction, les mots-clés de
+   * décision (if, elif, for, while, except, case, and, or) sont attribués à la
+   * fonction englobante la plus proche
+   */
+  measurePython(source) {
+    const functions = [];
+    const stack = [{ indent: -1, decisions: 0 }];
+    const body = source
+      .replace(/("""|''')[\s\S]*?\1/g, match => match.replace(/[^\n]/g, ' '))
+      .replace(/(["'])(?:\\.|(?!\1)[^\\\n])*\1/g, '""');
+
+    for (const rawLine of body.split('\n')) {
+      const line = rawLine.replace(/#.*$/, '');
+      if (!line.trim()) continue;
+
+      const indent = line.length - line.trimStart().length;
+      while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+        functions.push(1 + stack.pop().decisions);
+      }
+
+      if (/^\s*(?:async\s+)?def\s/.test(line)) {
+        stack.push({ indent, decisions: 0 });
+        continue;
+      }
+
+      const decisions = line.match(/\b(?:if|elif|for|while|except|case|and|or)\b/g);
+      if (decisions) stack[stack.length - 1].decisions += decisions.length;
+    }
+
+    while (stack.length > 1) functions.push(1 + stack.pop().decisions);
+    if (stack[0].decisions > 0) functions.push(1 + stack[0].decisions);
+
+    return functions;
+  }
+
+  collectFiles(node, files) {
+    if (node.type === 'file') {
+      files.push(node);
+    } else if (node.children) {
+      node.children.forEach(child => this.collectFiles(child, files));
+    }
+  }
+
+  readText(filePath) {
+    try {
+      if (fs.statSync(filePath).size > MAX_COUNT_SIZE) return null;
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = MetricsCalculator;
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { walk } = require('./ast-utils');
+
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// Ordre d'affichage des patterns dans la section `patterns`
+const PATTERN_TYPES = ['singleton', 'factory', 'repository', 'observer', 'middleware'];
+
+const REPOSITORY_NAME = /(?:Repository|Repo)$/;
+const FACTORY_NAME = /^create(?:[A-Z0-9_]|$)/;
+
+// Familles de méthodes CRUD : un repository en implémente au moins deux
+const CRUD_METHODS = {
+  read: /^(?:find|get|list|fetch|query|all|count|exists|search|load)/i,
+  create: /^(?:create|insert|add|store|save)/i,
+  update: /^(?:update|patch|upsert|save|replace)/i,
+  delete: /^(?:delete|remove|destroy|purge)/i
+};
+const MIN_CRUD_FAMILIES = 2;
+
+const OBSERVABLE_BASES = /^(?:EventEmitter|Emitter|EventTarget|Observable|Subject)$/;
+const PYTHON_OBSERVABLE_BASES = /\b(?:EventEmitter|Observable|Subject|Signal)\b/;
+const PYTHON_MIDDLEWARE_BASES = /\b(?:BaseHTTPMiddleware|MiddlewareMixin)\b/;
+
+// Paramètres d'un middleware Express/Connect ou Koa : (req, res, next), (err, req, res, next), (ctx, next)
+const MIDDLEWARE_PARAMS = /^(?:(?:err|error),)?(?:req|request),(?:res|response),next$|^(?:ctx|context),next$/;
+
+// Un fichier enregistrant au moins ce nombre de middlewares (`app.use(...)`) définit une chaîne
+const MIN_CHAIN_LENGTH = 2;
+
+const MAX_READ_SIZE = 512 * 1024;
+
+class PatternDetector {
+  /**
+   * @param {ComponentExtractor} parser - analyse syntaxique des fichiers JS/TS
+   */
+  constructor(config = {}, parser) {
+    this.config = config;
+    this.parser = parser;
+    this.cache = new Map();
+  }
+
+  /**
+   * Patterns de conception détectés dans un fichier JS/TS ou Python :
+   * singleton de module, fabriques `create*`, classes `*Repository` avec méthodes CRUD,
+   * sous-classes d'EventEmitter (observer) et middlewares ou chaînes de middlewares.
+   * Retourne la liste des types détectés, dans l'ordre de PATTERN_TYPES
+   */
+  detect(filePath) {
+    if (this.cache.has(filePath)) return this.cache.get(filePath);
+
+    const ext = path.extname(filePath).toLowerCase();
+    let found = new Set();
+
+    if (SCRIPT_EXTENSIONS.includes(ext)) {
+      const ast = this.parser && this.parser.parseFile(filePath);
+      if (ast) found = this.detectScript(ast);
+    } else if (ext === '.py') {
+      const source = this.readText(filePath);
+      if (source) found = this.detectPython(source);
+    }
+
+    const patterns = PATTERN_TYPES.filter(type => found.has(type));
+    this.cache.set(filePath, patterns);
+    return patterns;
+  }
+
+  /**
+   * Indique si un type de pattern peut être détecté
+   */
+  supports(type) {
+    return PATTERN_TYPES.includes(type);
+  }
+
+  /**
+   * Regroupe les patterns de plusieurs composants : [{ type, applies_to }]
+   * @param {Array} components - [{ name, file }] (chemins absolus)
+   */
+  group(components) {
+    const byType = new Map();
+
+    components.forEach(({ name, file }) => {
+      this.detect(file).forEach(type => {
+        if (!byType.has(type)) byType.set(type, []);
+        if (!byType.get(type).includes(name)) byType.get(type).push(name);
+      });
+    });
+
+    return PATTERN_TYPES
+      .filter(type => byType.has(type))
+      .map(type => ({ type, applies_to: byType.get(type) }));
+  }
+
+  detectScript(ast) {
+    const found = new Set();
+    const body = ast.program.body;
+    const classes = new Set();
+    let useCalls = 0;
+
+    walk(ast.program, node => {
+      if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+        if (node.id) classes.add(node.id.name);
+        this.inspectClass(node, found);
+      }
+
+      if (this.isFunction(node) && this.isMiddleware(node)) {
+        found.add('middleware');
+      }
+
+      if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        !node.callee.computed && node.callee.property.name === 'use' && node.arguments.length > 0) {
+        useCalls += 1;
+      }
+    });
+
+    if (useCalls >= MIN_CHAIN_LENGTH) found.add('middleware');
+
+    body.forEach(statement => {
+      const declaration = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+        ? statement.declaration
+        : statement;
+      if (!declaration) return;
+
+      // Instance unique exportée par le module : `module.exports = new X()`, `export default new X()`
+      if (declaration.type === 'NewExpression' ||
+        (declaration.type === 'ExpressionStatement' && this.isModuleExportsAssignment(declaration.expression) &&
+          declaration.expression.right.type === 'NewExpression')) {
+        found.add('singleton');
+      }
+
+      if (declaration.type === 'FunctionDeclaration' && declaration.id && FACTORY_NAME.test(declaration.id.name)) {
+        found.add('factory');
+      }
+
+      if (declaration.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(declarator => {
+          if (declarator.id.type !== 'Identifier' || !declarator.init) return;
+
+          if (FACTORY_NAME.test(declarator.id.name) && this.isFunction(declarator.init)) {
+            found.add('factory');
+          }
+
+          // `const cache = new Cache()` au niveau du module, pour une classe du même fichier
+          if (declarator.init.type === 'NewExpression' && declarator.init.callee.type === 'Identifier' &&
+            classes.has(declarator.init.callee.name)) {
+            found.add('singleton');
+          }
+        });
+      }
+    });
+
+    return found;
+  }
+
+  inspectClass(node, found) {
+    const name = node.id ? node.id.name : '';
+    const members = node.body.body;
+    const methods = members
+      .filter(member => ['ClassMethod', 'ClassPrivateMethod'].includes(member.type) && member.key.type === 'Identifier')
+      .map(member => member.key.name);
+
+    // Instance conservée par la classe : `static getInstance()`, `static instance`
+    const keepsInstance = members.some(member => member.static && member.key && member.key.type === 'Identifier' &&
+      /^(?:getInstance|_?instance)$/.test(member.key.name));
+    if (keepsInstance) found.add('singleton');
+
+    if (REPOSITORY_NAME.test(name) && this.countCrudFamilies(methods) >= MIN_CRUD_FAMILIES) {
+      found.add('repository');
+    }
+
+    const superClass = node.superClass;
+    const baseName = superClass && (superClass.type === 'Identifier'
+      ? superClass.name
+      : superClass.type === 'MemberExpression' && !superClass.computed ? superClass.property.name : null);
+    if (baseName && OBSERVABLE_BASES.test(baseName)) found.add('observer');
+  }
+
+  isMiddleware(node) {
+    const params = node.params.map(param => (param.type === 'Identifier' ? param.name : '?')).join(',');
+    return MIDDLEWARE_PARAMS.test(params);
+  }
+
+  isFunction(node) {
+    return ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+  }
+
+  isModuleExportsAssignment(expression) {
+    if (!expression || expression.type !== 'AssignmentExpression') return false;
+    const left = expression.left;
+    return left.type === 'MemberExpression' && left.object.type === 'Identifier' && left.object.name === 'module' &&
+      !left.computed && left.property.name === 'exports';
+  }
+
+  /**
+   * Détection par expressions régulières sur les classes et fonctions de premier niveau
+   */
+  detectPython(source) {
+    const found = new Set();
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    const classes = new Map();
+    let current = null;
+
+    lines.forEach(line => {
+      const classMatch = line.match(/^class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/);
+      if (classMatch) {
+        current = { name: classMatch[1], bases: classMatch[2] || '', methods: [] };
+        classes.set(current.name, current);
+        return;
+      }
+
+      const methodMatch = line.match(/^\s+(?:async\s+)?def\s+(\w+)\s*\(/);
+      if (methodMatch && current) {
+        current.methods.push(methodMatch[1]);
+        return;
+      }
+
+      if (/^\S/.test(line)) current = null;
+
+      const functionMatch = line.match(/^(?:async\s+)?def\s+(\w+)\s*\(/);
+      if (functionMatch) {
+        if (/^create(?:_|[A-Z]|$)/.test(functionMatch[1])) found.add('factory');
+        if (/middleware/i.test(functionMatch[1])) found.add('middleware');
+      }
+    });
+
+    // Instance de module : `settings = Settings()` pour une classe du même fichier
+    lines.forEach(line => {
+      const match = line.match(/^(\w+)\s*(?::\s*\w+\s*)?=\s*(\w+)\(/);
+      if (match && classes.has(match[2])) found.add('singleton');
+    });
+    if (/^\s*_instance\s*=\s*None/m.test(source) && /def\s+__new__\s*\(/.test(source)) found.add('singleton');
+    if (/^@singleton\b/m.test(source)) found.add('singleton');
+
+    classes.forEach(({ name, bases, methods }) => {
+      if (REPOSITORY_NAME.test(name) && this.countCrudFamilies(methods) >= MIN_CRUD_FAMILIES) {
+        found.add('repository');
+      }
+
+      const publishes = methods.some(method => /^(?:notify|emit|publish)/.test(method));
+      const subscribes = methods.some(method => /^(?:subscribe|attach|register|on)(?:_|$)/.test(method));
+      if (PYTHON_OBSERVABLE_BASES.test(bases) || (publishes && subscribes)) found.add('observer');
+
+      if (PYTHON_MIDDLEWARE_BASES.test(bases) || (/Middleware$/.test(name) && methods.includes('__call__'))) {
+        found.add('middleware');
+      }
+    });
+
+    return found;
+  }
+
+  countCrudFamilies(methods) {
+    return Object.values(CRUD_METHODS)
+      .filter(pattern => methods.some(method => pattern.test(method.replace(/^_+/, ''))))
+      .length;
+  }
+
+  readText(filePath) {
+    try {
+      if (fs.statSync(filePath).size > MAX_READ_SIZE) return null;
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = PatternDetector;
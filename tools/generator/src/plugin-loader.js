@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const IgnoreEngine = require('./ignore-engine');
+
+// Paquets chargés automatiquement lorsqu'ils figurent dans les dépendances du projet
+const PACKAGE_PATTERN = /^(@[^/]+\/)?lmay-plugin-/;
+
+// Sections produites par le générateur : un plugin ne peut pas les remplacer
+const BUILTIN_SECTIONS = new Set([
+  'lmay_version', 'project', 'architecture', 'module', 'metrics', 'hierarchy', 'structure',
+  'dependencies', 'components', 'interfaces', 'api_endpoints', 'database_schema', 'patterns',
+  'tests', 'metadata'
+]);
+
+const SCOPES = ['root', 'module', 'all'];
+
+/**
+ * Plugins du générateur. Un plugin est un objet :
+ * - name     : identifiant unique
+ * - analyze  : fonction (éventuellement asynchrone) recevant l'arbre scanné et l'accès au
+ *              contenu des fichiers ; son résultat est transmis aux émetteurs
+ * - section  : nom de la section de premier niveau ajoutée aux fichiers LMAY
+ * - scope    : fichiers qui reçoivent la section ('root', 'module' ou 'all', par défaut)
+ * - emit     : fonction retournant le contenu de la section pour un fichier
+ * - schema   : fragment de schéma JSON de la section, utilisé par le validateur
+ * Un plugin analyseur fournit `analyze`, un plugin émetteur `section`, `emit` et `schema`.
+ */
+class PluginLoader {
+  /**
+   * @param {Object} config - configuration du générateur (`plugins`) ; `pluginAllowlist`
+   * restreint le chargement aux entrées listées (chemins ou noms de paquets tels que
+   * déclarés, ou noms de plugins pour les objets) : le code des autres n'est pas exécuté
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.logger = config.logger || console;
+    this.allowlist = Array.isArray(config.pluginAllowlist) ? new Set(config.pluginAllowlist) : null;
+    this.cache = new Map();
+  }
+
+  /**
+   * Plugins actifs d'un projet : configuration du générateur, puis `plugins` du fichier
+   * lmay.config.json du projet, puis paquets lmay-plugin-* déclarés dans son package.json.
+   * Un plugin portant le nom d'un plugin déjà chargé le remplace.
+   */
+  load(projectPath) {
+    const root = path.resolve(projectPath || process.cwd());
+    if (this.cache.has(root)) return this.cache.get(root);
+
+    const entries = [
+      ...(this.config.plugins || []),
+      ...(IgnoreEngine.loadProjectConfig(root, this.logger).plugins || []),
+      ...this.discoverPackages(root)
+    ];
+
+    const plugins = new Map();
+    entries
+      .filter(entry => this.isAllowed(entry))
+      .flatMap(entry => this.loadEntry(entry, root))
+      .forEach(plugin => plugins.set(plugin.name, plugin));
+
+    const sections = new Map();
+    const loaded = [...plugins.values()].filter(plugin => {
+      if (!plugin.section) return true;
+      if (sections.has(plugin.section)) {
+        this.logger.warn(`Plugin ${plugin.name} ignoré: la section "${plugin.section}" est déjà produite par ${sections.get(plugin.section)}`);
+        return false;
+      }
+      sections.set(plugin.section, plugin.name);
+      return true;
+    });
+
+    this.cache.set(root, loaded);
+    return loaded;
+  }
+
+  isAllowed(entry) {
+    if (!this.allowlist) return true;
+    return this.allowlist.has(typeof entry === 'string' ? entry : entry && entry.name);
+  }
+
+  /**
+   * Noms des paquets lmay-plugin-* présents dans les dépendances du projet
+   */
+  discoverPackages(root) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    } catch (error) {
+      return [];
+    }
+
+    const names = Object.keys({ ...manifest.dependencies, ...manifest.devDependencies });
+    return names.filter(name => PACKAGE_PATTERN.test(name)).sort();
+  }
+
+  /**
+   * Charge un plugin déclaré en configuration : objet, chemin de module (relatif au
+   * projet) ou nom de paquet installé dans le projet. Un module peut exporter une liste.
+   */
+  loadEntry(entry, root) {
+    let loaded = entry;
+
+    if (typeof entry === 'string') {
+      const isPath = path.isAbsolute(entry) || entry.startsWith('.');
+      try {
+        loaded = require(isPath ? path.resolve(root, entry) : require.resolve(entry, { paths: [root] }));
+      } catch (error) {
+        this.logger.warn(`Plugin introuvable: ${entry}`, error.message.split('\n')[0]);
+        return [];
+      }
+    }
+
+    return (Array.isArray(loaded) ? loaded : [loaded])
+      .filter(plugin => this.isValid(plugin))
+      .map(plugin => ({ ...plugin, scope: plugin.scope || 'all' }));
+  }
+
+  isValid(plugin) {
+    if (!plugin || typeof plugin.name !== 'string') {
+      this.logger.warn('Plugin ignoré: propriété "name" manquante');
+      return false;
+    }
+
+    const invalid = reason => {
+      this.logger.warn(`Plugin ${plugin.name} ignoré: ${reason}`);
+      return false;
+    };
+
+    if (plugin.analyze !== undefined && typeof plugin.analyze !== 'function') {
+      return invalid('"analyze" doit être une fonction');
+    }
+    if (plugin.section === undefined) {
+      return typeof plugin.analyze === 'function' || invalid('ni "analyze" ni "section"');
+    }
+
+    if (typeof plugin.section !== 'string' || !/^[a-z][a-z0-9_]*$/.test(plugin.section)) {
+      return invalid(`nom de section invalide "${plugin.section}" (snake_case attendu)`);
+    }
+    if (BUILTIN_SECTIONS.has(plugin.section)) {
+      return invalid(`la section "${plugin.section}" est produite par le générateur`);
+    }
+    if (typeof plugin.emit !== 'function') {
+      return invalid('"emit" doit être une fonction');
+    }
+    if (!plugin.schema || typeof plugin.schema !== 'object' || Array.isArray(plugin.schema)) {
+      return invalid(`schéma de la section "${plugin.section}" manquant`);
+    }
+    if (plugin.scope !== undefined && !SCOPES.includes(plugin.scope)) {
+      return invalid(`portée "${plugin.scope}" inconnue (${SCOPES.join(', ')})`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Fragments de schéma des sections ajoutées par les plugins, indexés par section
+   */
+  getSchemas(projectPath) {
+    return Object.fromEntries(
+      this.load(projectPath)
+        .filter(plugin => plugin.section)
+        .map(plugin => [plugin.section, plugin.schema])
+    );
+  }
+}
+
+module.exports = PluginLoader;
@@ -0,0 +1,666 @@
+const path = require('path');
+const { compareStrings } = require('./compare');
+const { walk, getRequireSource, getStringValue } = require('./ast-utils');
+
+const HTTP_METHODS = {
+  get: 'GET',
+  post: 'POST',
+  put: 'PUT',
+  patch: 'PATCH',
+  delete: 'DELETE',
+  del: 'DELETE',
+  head: 'HEAD',
+  options: 'OPTIONS',
+  all: 'ALL'
+};
+
+const FRAMEWORK_PACKAGES = {
+  'express': 'express',
+  'koa': 'koa',
+  'koa-router': 'koa',
+  '@koa/router': 'koa',
+  'fastify': 'fastify'
+};
+
+// Noms usuels des instances d'application/routeur (paramètres de plugins, modules de routes).
+// Hors d'un fichier important un framework, ils ne sont retenus que si le routeur est monté
+// depuis un fichier qui en importe un (api = axios.create() n'est pas un routeur).
+const CONVENTIONAL_NAMES = ['app', 'router', 'server', 'fastify', 'api', 'routes', 'instance'];
+
+const AUTH_PATTERN = /auth|jwt|passport|token|protect|guard|session|permission|login|role/i;
+
+const HANDLER_TYPES = [
+  'ArrowFunctionExpression', 'FunctionExpression', 'Identifier',
+  'MemberExpression', 'CallExpression', 'ArrayExpression'
+];
+
+class RouteDetector {
+  /**
+   * @param {ComponentExtractor} parser - fournit parseFile() et resolveModulePath()
+   */
+  constructor(config, parser) {
+    this.config = config;
+    this.parser = parser;
+    this.fileCache = new Map();
+  }
+
+  /**
+   * Détecte les routes HTTP déclarées dans une liste de fichiers JS/TS
+   * Retourne une liste de { method, path, file, framework, handler?, description?, authentication? }
+   */
+  detect(filePaths) {
+    const files = filePaths
+      .filter(filePath => this.parser.supports(filePath))
+      .map(filePath => this.analyzeFile(filePath))
+      .filter(Boolean);
+
+    const mountsByChild = new Map();
+    const addMount = (childKey, mount) => {
+      if (!mountsByChild.has(childKey)) mountsByChild.set(childKey, []);
+      mountsByChild.get(childKey).push(mount);
+    };
+
+    // Relier chaque montage (app.use, register) au routeur qu'il vise
+    const pending = [...files];
+    while (pending.length > 0) {
+      const fileInfo = pending.shift();
+
+      for (const mount of fileInfo.mounts) {
+        const parentKey = `${fileInfo.file}#${mount.router}`;
+        // Le préfixe propre du routeur parent (koa : new Router({ prefix })) s'applique à ses sous-routeurs
+        const ownPrefix = fileInfo.prefixes.get(mount.router);
+        const prefix = ownPrefix ? this.joinPaths(ownPrefix, mount.prefix) : mount.prefix;
+
+        if (mount.targetRouter) {
+          addMount(`${fileInfo.file}#${mount.targetRouter}`, { parentKey, prefix, auth: mount.auth });
+          continue;
+        }
+
+        let target = this.fileCache.get(mount.targetFile);
+        if (target === undefined) {
+          target = this.analyzeFile(mount.targetFile);
+          if (target) {
+            files.push(target);
+            pending.push(target);
+          }
+        }
+        if (!target) continue;
+
+        for (const router of this.getExportedRouters(target)) {
+          addMount(`${target.file}#${router}`, { parentKey, prefix, auth: mount.auth });
+        }
+      }
+    }
+
+    // Un module monté sans import de framework (plugin fastify, module de routes) hérite de celui du parent
+    const frameworks = new Map();
+    for (const fileInfo of files) {
+      for (const [router, framework] of fileInfo.routers) {
+        if (framework !== 'http') frameworks.set(`${fileInfo.file}#${router}`, framework);
+      }
+    }
+
+    const prefixCache = new Map();
+    const routes = [];
+    const seen = new Set();
+
+    for (const fileInfo of files) {
+      for (const route of fileInfo.routes) {
+        const routerKey = `${fileInfo.file}#${route.router}`;
+        // Les routes d'un plugin ne sont retenues que s'il est monté (register, use)
+        if (route.router === fileInfo.pluginParam && !mountsByChild.has(routerKey)) continue;
+
+        const ownPrefix = fileInfo.prefixes.get(route.router);
+        const routePath = ownPrefix ? this.joinPaths(ownPrefix, route.path) : route.path;
+
+        let prefixes = this.resolvePrefixes(routerKey, mountsByChild, frameworks, prefixCache, new Set());
+        // Un nom usuel sans framework dans le fichier n'est un routeur que monté depuis un fichier qui en importe un
+        if (fileInfo.implicit.has(route.router)) {
+          prefixes = prefixes.filter(prefix => prefix.framework);
+        }
+        for (const prefix of prefixes) {
+          const fullPath = this.joinPaths(prefix.path, routePath);
+          const key = `${route.method} ${fullPath}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          routes.push({
+            method: route.method,
+            path: fullPath,
+            file: fileInfo.file,
+            framework: frameworks.get(routerKey) || prefix.framework || 'http',
+            handler: route.handler,
+            description: route.description,
+            authentication: route.auth || prefix.auth || undefined
+          });
+        }
+      }
+    }
+
+    return routes.sort((a, b) => compareStrings(a.path, b.path) || compareStrings(a.method, b.method));
+  }
+
+  /**
+   * Calcule les préfixes sous lesquels un routeur est monté (plusieurs montages possibles)
+   */
+  resolvePrefixes(routerKey, mountsByChild, frameworks, cache, visiting) {
+    if (cache.has(routerKey)) return cache.get(routerKey);
+
+    const mounts = mountsByChild.get(routerKey);
+    if (!mounts || visiting.has(routerKey)) {
+      return [{ path: '', auth: false, framework: null }];
+    }
+
+    visiting.add(routerKey);
+    const prefixes = [];
+    for (const mount of mounts) {
+      for (const parent of this.resolvePrefixes(mount.parentKey, mountsByChild, frameworks, cache, visiting)) {
+        prefixes.push({
+          path: this.joinPaths(parent.path, mount.prefix),
+          auth: parent.auth || mount.auth,
+          framework: frameworks.get(mount.parentKey) || parent.framework
+        });
+      }
+    }
+    visiting.delete(routerKey);
+
+    cache.set(routerKey, prefixes);
+    return prefixes;
+  }
+
+  /**
+   * Retourne les routeurs exposés par un fichier monté depuis un autre module
+   */
+  getExportedRouters(fileInfo) {
+    if (fileInfo.pluginParam) {
+      return [fileInfo.pluginParam];
+    }
+    if (fileInfo.exported && fileInfo.routers.has(fileInfo.exported)) {
+      return [fileInfo.exported];
+    }
+    return [...fileInfo.routers.keys()];
+  }
+
+  /**
+   * Analyse un fichier : routeurs déclarés, routes, montages et export principal
+   */
+  analyzeFile(filePath) {
+    if (this.fileCache.has(filePath)) {
+      return this.fileCache.get(filePath);
+    }
+    this.fileCache.set(filePath, null);
+
+    const ast = this.parser.parseFile(filePath);
+    if (!ast) return null;
+
+    const fileInfo = {
+      file: filePath,
+      imports: new Map(),       // nom local → { source, file }
+      frameworks: new Set(),
+      routers: new Map(),       // nom de variable → framework
+      implicit: new Set(),      // noms usuels retenus sans import de framework dans le fichier
+      prefixes: new Map(),      // nom de routeur → préfixe propre (koa)
+      functions: new Map(),     // nom → fonction déclarée
+      routes: [],
+      mounts: [],
+      exported: null,
+      plugin: null,
+      pluginParam: null,
+      defaultFramework: null
+    };
+
+    walk(ast.program, node => this.collectBindings(node, fileInfo));
+    fileInfo.defaultFramework = [...fileInfo.frameworks][0] || 'http';
+    this.resolvePluginParam(fileInfo);
+
+    walk(ast.program, (node, ancestors) => {
+      if (node.type === 'CallExpression') {
+        this.collectRoute(node, this.getEnclosingStatement(ancestors), fileInfo);
+        this.collectMount(node, fileInfo);
+        this.collectCallMount(node, fileInfo);
+      }
+    });
+
+    const hasActivity = fileInfo.routes.length > 0 || fileInfo.mounts.length > 0 ||
+      fileInfo.routers.size > 0 || Boolean(fileInfo.pluginParam);
+    const result = hasActivity ? fileInfo : null;
+    this.fileCache.set(filePath, result);
+    return result;
+  }
+
+  /**
+   * Instruction englobante la plus proche (porte le commentaire décrivant la route)
+   */
+  getEnclosingStatement(ancestors) {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      if (ancestors[i].type === 'ExpressionStatement') return ancestors[i];
+    }
+    return null;
+  }
+
+  /**
+   * Collecte imports, déclarations de routeurs et export principal
+   */
+  collectBindings(node, fileInfo) {
+    if (node.type === 'ImportDeclaration') {
+      for (const specifier of node.specifiers) {
+        this.registerImport(specifier.local.name, node.source.value, fileInfo);
+      }
+      return;
+    }
+
+    if (node.type === 'VariableDeclarator' && node.init) {
+      const source = getRequireSource(node.init);
+      if (source && node.id.type === 'Identifier') {
+        this.registerImport(node.id.name, source, fileInfo);
+      } else if (source && node.id.type === 'ObjectPattern') {
+        for (const property of node.id.properties) {
+          if (property.value && property.value.type === 'Identifier') {
+            this.registerImport(property.value.name, source, fileInfo);
+          }
+        }
+      }
+
+      const framework = this.getRouterFactoryFramework(node.init, fileInfo);
+      if (framework && node.id.type === 'Identifier') {
+        fileInfo.routers.set(node.id.name, framework);
+        const prefix = this.getPrefixOption(node.init.arguments && node.init.arguments[0]);
+        if (prefix) fileInfo.prefixes.set(node.id.name, prefix);
+      }
+
+      if (node.id.type === 'Identifier' && this.isFunction(node.init)) {
+        fileInfo.functions.set(node.id.name, node.init);
+      }
+      return;
+    }
+
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      fileInfo.functions.set(node.id.name, node);
+      return;
+    }
+
+    if (node.type === 'ExportDefaultDeclaration') {
+      if (node.declaration.type === 'Identifier') {
+        fileInfo.exported = node.declaration.name;
+      } else {
+        fileInfo.plugin = node.declaration;
+      }
+      return;
+    }
+
+    if (node.type === 'AssignmentExpression' &&
+        node.left.type === 'MemberExpression' &&
+        node.left.object.type === 'Identifier' &&
+        node.left.object.name === 'module' &&
+        node.left.property.name === 'exports') {
+      if (node.right.type === 'Identifier') {
+        fileInfo.exported = node.right.name;
+      } else {
+        fileInfo.plugin = node.right;
+      }
+    }
+  }
+
+  /**
+   * Fonction exportée par un module de plugin (fastify.register(require('./routes'))) :
+   * son premier paramètre est l'instance qui reçoit les routes, quel que soit son nom.
+   * Accepte aussi une fonction enveloppée (fastify-plugin : fp(async (f) => {...})).
+   */
+  resolvePluginParam(fileInfo) {
+    let plugin = fileInfo.plugin || fileInfo.functions.get(fileInfo.exported);
+    if (plugin && plugin.type === 'CallExpression') {
+      plugin = plugin.arguments.find(arg => this.isFunction(arg));
+    }
+    if (!this.isFunction(plugin) || fileInfo.routers.has(fileInfo.exported)) return;
+
+    const param = plugin.params[0];
+    // Un nom usuel (fastify, app...) est déjà reconnu comme routeur partout dans le fichier
+    if (!param || param.type !== 'Identifier' || CONVENTIONAL_NAMES.includes(param.name)) return;
+    fileInfo.pluginParam = param.name;
+  }
+
+  isFunction(node) {
+    return Boolean(node) && ['FunctionExpression', 'ArrowFunctionExpression', 'FunctionDeclaration'].includes(node.type);
+  }
+
+  /**
+   * Option { prefix: '/x' } d'un constructeur de routeur ou d'un register
+   */
+  getPrefixOption(options) {
+    if (!options || options.type !== 'ObjectExpression') return null;
+    const prefixProperty = options.properties.find(property =>
+      property.key && (property.key.name || property.key.value) === 'prefix'
+    );
+    return prefixProperty ? getStringValue(prefixProperty.value) : null;
+  }
+
+  /**
+   * Enregistre un import et le framework HTTP correspondant le cas échéant
+   */
+  registerImport(localName, source, fileInfo) {
+    fileInfo.imports.set(localName, {
+      source,
+      file: this.parser.resolveModulePath(source, fileInfo.file)
+    });
+
+    if (FRAMEWORK_PACKAGES[source]) {
+      fileInfo.frameworks.add(FRAMEWORK_PACKAGES[source]);
+    }
+  }
+
+  /**
+   * Identifie express(), express.Router(), new Koa(), new Router(), fastify()...
+   */
+  getRouterFactoryFramework(init, fileInfo) {
+    if (init.type !== 'CallExpression' && init.type !== 'NewExpression') {
+      return null;
+    }
+
+    let callee = init.callee;
+
+    // require('fastify')({ logger: true })
+    const inlineSource = getRequireSource(callee);
+    if (inlineSource) {
+      return FRAMEWORK_PACKAGES[inlineSource] || null;
+    }
+
+    if (callee.type === 'MemberExpression') {
+      const property = callee.property.name;
+      if (property !== 'Router' && property !== 'default') return null;
+      callee = callee.object;
+    }
+
+    if (callee.type !== 'Identifier') return null;
+
+    const imported = fileInfo.imports.get(callee.name);
+    return imported ? FRAMEWORK_PACKAGES[imported.source] || null : null;
+  }
+
+  /**
+   * Retourne le nom du routeur visé par un objet d'appel, ou null
+   */
+  getRouterName(node, fileInfo) {
+    if (node.type !== 'Identifier') return null;
+
+    if (fileInfo.routers.has(node.name) || node.name === fileInfo.pluginParam) return node.name;
+
+    if (CONVENTIONAL_NAMES.includes(node.name) && !fileInfo.imports.has(node.name)) {
+      fileInfo.routers.set(node.name, fileInfo.defaultFramework);
+      if (fileInfo.frameworks.size === 0) fileInfo.implicit.add(node.name);
+      return node.name;
+    }
+
+    return null;
+  }
+
+  /**
+   * Détecte router.get('/x', handler), router.route('/x').get(...) et fastify.route({...})
+   */
+  collectRoute(node, statement, fileInfo) {
+    const callee = node.callee;
+    if (callee.type !== 'MemberExpression' || callee.computed) return;
+
+    const methodName = callee.property.name;
+
+    // fastify.route({ method, url, handler })
+    if (methodName === 'route' && node.arguments[0] && node.arguments[0].type === 'ObjectExpression') {
+      const router = this.getRouterName(callee.object, fileInfo);
+      if (router) {
+        this.collectRouteObject(node.arguments[0], router, statement, fileInfo);
+      }
+      return;
+    }
+
+    const method = HTTP_METHODS[methodName];
+    if (!method) return;
+
+    // Remonter les chaînes router.get(...).post(...) et router.route('/x').get(...)
+    let object = callee.object;
+    let basePath = null;
+    while (object.type === 'CallExpression' && object.callee.type === 'MemberExpression') {
+      const chained = object.callee.property.name;
+      if (chained === 'route' && basePath === null) {
+        basePath = getStringValue(object.arguments[0]);
+        if (basePath === null) return;
+      } else if (!HTTP_METHODS[chained]) {
+        return;
+      }
+      object = object.callee.object;
+    }
+
+    const router = this.getRouterName(object, fileInfo);
+    if (!router) return;
+
+    let args = node.arguments;
+    let routePath = basePath;
+
+    if (routePath === null) {
+      routePath = getStringValue(args[0]);
+      // koa-router : router.get('nom', '/chemin', handler)
+      if (routePath !== null && !this.looksLikePath(routePath) && this.looksLikePath(getStringValue(args[1]))) {
+        args = args.slice(1);
+        routePath = getStringValue(args[0]);
+      }
+      if (!this.looksLikePath(routePath)) return;
+      args = args.slice(1);
+    }
+
+    // Un appel sans handler (axios.get('/x'), api.get('/x', { params })) n'est pas une route
+    const handlerNode = args[args.length - 1];
+    if (!handlerNode || !HANDLER_TYPES.includes(handlerNode.type)) return;
+
+    const middlewares = args.slice(0, -1);
+
+    fileInfo.routes.push({
+      router,
+      method,
+      path: routePath,
+      handler: this.getNodeName(handlerNode) || undefined,
+      description: this.getLeadingComment(statement),
+      auth: middlewares.some(middleware => this.isAuthMiddleware(middleware))
+    });
+  }
+
+  /**
+   * Détecte une route déclarée sous forme d'objet (fastify.route)
+   */
+  collectRouteObject(objectNode, router, statement, fileInfo) {
+    const properties = {};
+    for (const property of objectNode.properties) {
+      if (property.type === 'ObjectProperty' && property.key) {
+        properties[property.key.name || property.key.value] = property.value;
+      }
+    }
+
+    const routePath = getStringValue(properties.url || properties.path);
+    if (!this.looksLikePath(routePath) || !properties.method) return;
+
+    const methods = properties.method.type === 'ArrayExpression'
+      ? properties.method.elements.map(element => getStringValue(element))
+      : [getStringValue(properties.method)];
+
+    const authNodes = [properties.preHandler, properties.onRequest, properties.preValidation].filter(Boolean);
+    const auth = authNodes.some(authNode => this.isAuthMiddleware(authNode));
+
+    for (const method of methods.filter(Boolean)) {
+      fileInfo.routes.push({
+        router,
+        method: method.toUpperCase(),
+        path: routePath,
+        handler: properties.handler ? this.getNodeName(properties.handler) || undefined : undefined,
+        description: this.getLeadingComment(statement),
+        auth
+      });
+    }
+  }
+
+  /**
+   * Détecte app.use('/api', routes), router.use(sub.routes()), fastify.register(plugin, { prefix })
+   * et router.prefix('/api') (koa-router)
+   */
+  collectMount(node, fileInfo) {
+    const callee = node.callee;
+    if (callee.type !== 'MemberExpression' || callee.computed) return;
+
+    const methodName = callee.property.name;
+    if (methodName !== 'use' && methodName !== 'register' && methodName !== 'prefix') return;
+
+    const router = this.getRouterName(callee.object, fileInfo);
+    if (!router) return;
+
+    if (methodName === 'prefix') {
+      const prefix = getStringValue(node.arguments[0]);
+      if (this.looksLikePath(prefix)) fileInfo.prefixes.set(router, prefix);
+      return;
+    }
+
+    let prefix = '';
+    let args = node.arguments;
+
+    if (methodName === 'use') {
+      const first = getStringValue(args[0]);
+      if (first !== null) {
+        if (!this.looksLikePath(first)) return;
+        prefix = first;
+        args = args.slice(1);
+      }
+    } else {
+      prefix = this.getPrefixOption(args[1]) || '';
+      args = args.slice(0, 1);
+    }
+
+    const auth = args.some(arg => this.isAuthMiddleware(arg));
+
+    for (const arg of args) {
+      const target = this.resolveMountTarget(arg, fileInfo);
+      if (target) {
+        fileInfo.mounts.push({ router, prefix, auth, ...target });
+      }
+    }
+  }
+
+  /**
+   * Détecte require('./routes')(app) et registerRoutes(app) : le module importé reçoit le routeur
+   */
+  collectCallMount(node, fileInfo) {
+    let targetFile = null;
+    const inlineSource = getRequireSource(node.callee);
+    if (inlineSource) {
+      targetFile = this.parser.resolveModulePath(inlineSource, fileInfo.file);
+    } else if (node.callee.type === 'Identifier' && fileInfo.imports.has(node.callee.name)) {
+      targetFile = fileInfo.imports.get(node.callee.name).file;
+    }
+    if (!targetFile) return;
+
+    for (const arg of node.arguments) {
+      const router = this.getRouterName(arg, fileInfo);
+      if (router) {
+        fileInfo.mounts.push({ router, prefix: '', auth: false, targetFile });
+      }
+    }
+  }
+
+  /**
+   * Résout la cible d'un montage : routeur local ou module importé
+   */
+  resolveMountTarget(arg, fileInfo) {
+    let node = arg;
+
+    // koa : router.use('/x', sub.routes())
+    if (node.type === 'CallExpression' &&
+        node.callee.type === 'MemberExpression' &&
+        ['routes', 'middleware'].includes(node.callee.property.name)) {
+      node = node.callee.object;
+    }
+
+    const inlineSource = getRequireSource(node);
+    if (inlineSource) {
+      const targetFile = this.parser.resolveModulePath(inlineSource, fileInfo.file);
+      return targetFile ? { targetFile } : null;
+    }
+
+    if (node.type !== 'Identifier') return null;
+
+    if (fileInfo.routers.has(node.name)) {
+      return { targetRouter: node.name };
+    }
+
+    const imported = fileInfo.imports.get(node.name);
+    if (imported && imported.file) {
+      return { targetFile: imported.file };
+    }
+
+    return null;
+  }
+
+  /**
+   * Vérifie si un middleware ressemble à un contrôle d'authentification
+   */
+  isAuthMiddleware(node) {
+    if (node.type === 'ArrayExpression') {
+      return node.elements.some(element => element && this.isAuthMiddleware(element));
+    }
+    const name = this.getNodeName(node);
+    return Boolean(name && AUTH_PATTERN.test(name));
+  }
+
+  /**
+   * Retourne un nom lisible pour un identifiant, un membre ou un appel
+   */
+  getNodeName(node) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'MemberExpression': {
+        const objectName = this.getNodeName(node.object);
+        const propertyName = node.computed ? null : node.property.name;
+        return [objectName, propertyName].filter(Boolean).join('.') || null;
+      }
+      case 'CallExpression':
+        return this.getNodeName(node.callee);
+      case 'FunctionExpression':
+        return node.id ? node.id.name : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Vérifie qu'une chaîne ressemble à un chemin de route
+   */
+  looksLikePath(value) {
+    return typeof value === 'string' && (value.startsWith('/') || value === '*');
+  }
+
+  /**
+   * Retourne le commentaire placé juste avant l'instruction déclarant la route
+   */
+  getLeadingComment(statement) {
+    if (!statement || !statement.leadingComments || statement.leadingComments.length === 0) {
+      return undefined;
+    }
+
+    const comment = statement.leadingComments[statement.leadingComments.length - 1].value
+      .replace(/^\*+|\*+$/g, '')
+      .split('\n')
+      .map(line => line.replace(/^\s*\*?\s?/, '').trim())
+      .filter(line => line && !line.startsWith('@'))
+      .join(' ')
+      .trim();
+
+    return comment ? comment.slice(0, 200) : undefined;
+  }
+
+  /**
+   * Concatène deux segments de route
+   */
+  joinPaths(prefix, routePath) {
+    if (!prefix) return routePath || '/';
+    if (!routePath || routePath === '/') return prefix;
+    return path.posix.join(prefix, routePath);
+  }
+}
+
+module.exports = RouteDetector;
@@ -1,36 +1,269 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const FrameworkDetector = require('./framework-detector');
+const WorkspaceDetector = require('./workspace-detector');
+const EntryPointDetector = require('./entry-point-detector');
+const IgnoreEngine = require('./ignore-engine');
+const MetricsCalculator = require('./metrics-calculator');
+const WorkerPool = require('./worker-pool');
+const { compareStrings } = require('./compare');
+
+// Répertoires lus en parallèle par défaut
+const SCAN_CONCURRENCY = 16;
+
+// Entrées d'un répertoire dont les métadonnées sont lues en même temps
+const STAT_BATCH_SIZE = 64;
+
+// Fichiers envoyés ensemble à un worker d'analyse de contenu
+const CONTENT_BATCH_SIZE = 256;
+
+// Intervalle minimal entre deux rapports de progression (ms)
+const PROGRESS_INTERVAL = 200;
 
 class FileSystemScanner {
   constructor(config) {
     this.config = config;
-    this.excludePatterns = config.analysis.excludePatterns || [];
-    this.maxDepth = config.analysis.scanDepth || 5;
-    this.includeDotFiles = config.analysis.includeDotFiles || false;
+    this.logger = config.logger || console;
+    // Les options de parcours sont rangées sous sources.local dans la configuration par défaut
+    const local = (config.sources && config.sources.local) || {};
+    this.maxDepth = local.scanDepth || config.analysis.scanDepth || 5;
+    this.concurrency = local.scanConcurrency || config.analysis.scanConcurrency || SCAN_CONCURRENCY;
+    this.workerCount = this.resolveWorkerCount(local.scanWorkers !== undefined ? local.scanWorkers : config.analysis.scanWorkers);
+    this.ignoreEngine = null;
+    this.frameworkDetector = new FrameworkDetector(config);
+    this.workspaceDetector = new WorkspaceDetector(config);
+    this.entryPointDetector = new EntryPointDetector(config);
+    this.metricsCalculator = new MetricsCalculator(config);
   }
 
   /**
-   * Scanne récursivement un répertoire et retourne la structure
+   * Nombre de workers d'analyse de contenu : celui de la configuration, sinon un par
+   * cœur disponible en laissant le thread principal au parcours (au plus 4). Aucun
+   * lorsque les métriques ne sont pas demandées : le contenu n'est alors pas lu.
    */
-  async scanDirectory(dirPath, currentDepth = 0) {
-    if (currentDepth > this.maxDepth) {
-      return null;
-    }
+  resolveWorkerCount(configured) {
+    if (!this.config.lmay || !this.config.lmay.includeMetrics) return 0;
+    if (Number.isInteger(configured) && configured >= 0) return configured;
+
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.max(0, Math.min(4, cores - 1));
+  }
+
+  /**
+   * Scanne un répertoire et retourne la structure (arbre de nœuds triés, dossiers d'abord).
+   * Les répertoires sont lus en parallèle par un pool borné (sources.local.scanConcurrency) ;
+   * les fichiers découverts sont transmis au fil du parcours aux workers d'analyse de
+   * contenu (sources.local.scanWorkers), dont les mesures sont réutilisées par les métriques.
+   * Les boucles de liens symboliques sont ignorées.
+   * @param {Object} options - { onProgress({ files, directories, analyzed, done }) }
+   */
+  async scanDirectory(dirPath, options = {}) {
+    // Exclusions (.gitignore, .lmayignore, excludePatterns) relatives à la racine scannée
+    this.ignoreEngine = IgnoreEngine.forProject(dirPath, this.config);
 
     const stats = await fs.promises.stat(dirPath);
     if (!stats.isDirectory()) {
       return this.createFileNode(dirPath, stats);
     }
 
-    const dirName = path.basename(dirPath);
-    
-    // Vérifier les patterns d'exclusion
-    if (this.shouldExclude(dirName)) {
-      return null;
+    // Seuls les réglages lus par les workers leur sont transmis : la configuration peut
+    // contenir des fonctions (logger, plugins, détecteurs) qui ne se clonent pas
+    const workerConfig = { analysis: { maxParseFileSize: (this.config.analysis || {}).maxParseFileSize } };
+    const scan = {
+      queue: [],
+      active: 0,
+      files: 0,
+      directories: 1,
+      analyzed: 0,
+      batch: [],
+      analyses: [],
+      pool: this.workerCount > 0
+        ? new WorkerPool(path.join(__dirname, 'content-worker.js'), this.workerCount, { config: workerConfig })
+        : null,
+      onProgress: options.onProgress,
+      lastProgress: 0
+    };
+
+    const root = this.createDirectoryNode(dirPath, stats);
+
+    try {
+      await new Promise((resolve, reject) => {
+        scan.finish = resolve;
+        scan.fail = reject;
+        this.enqueue(scan, { node: root, depth: 0, key: this.inodeKey(stats), parent: null, remaining: 1 });
+      });
+
+      this.flushContent(scan);
+      await Promise.all(scan.analyses);
+    } finally {
+      if (scan.pool) await scan.pool.close();
+    }
+
+    this.reportProgress(scan, true);
+    return root;
+  }
+
+  enqueue(scan, task) {
+    scan.queue.push(task);
+    this.drain(scan);
+  }
+
+  /**
+   * Lance des lectures de répertoires tant que le pool n'est pas plein. La file est
+   * dépilée par la fin (parcours en profondeur) pour qu'elle reste courte.
+   */
+  drain(scan) {
+    while (scan.active < this.concurrency && scan.queue.length > 0) {
+      const task = scan.queue.pop();
+      scan.active++;
+
+      this.readDirectory(scan, task)
+        .catch(error => {
+          this.logger.warn(`Erreur lors de la lecture du répertoire ${task.node.path}:`, error.message);
+        })
+        .then(() => {
+          scan.active--;
+          this.complete(scan, task);
+          this.drain(scan);
+        })
+        .catch(scan.fail);
+    }
+  }
+
+  async readDirectory(scan, task) {
+    // Les entrées au-delà de la profondeur maximale ne sont pas retenues
+    if (task.depth >= this.maxDepth) return;
+
+    const entries = await fs.promises.readdir(task.node.path, { withFileTypes: true });
+
+    for (let i = 0; i < entries.length; i += STAT_BATCH_SIZE) {
+      await Promise.all(entries.slice(i, i + STAT_BATCH_SIZE).map(entry => this.scanEntry(scan, task, entry)));
+    }
+  }
+
+  async scanEntry(scan, task, entry) {
+    const entryPath = path.join(task.node.path, entry.name);
+    if (this.ignoreEngine.isIgnored(entryPath, entry.isDirectory())) {
+      return;
+    }
+    // Les fichiers LMAY sont la sortie du générateur : les compter rendrait chaque génération différente de la précédente
+    if (!entry.isDirectory() && this.isLmayFile(entry.name)) {
+      return;
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(entryPath);
+    } catch (error) {
+      this.logger.warn(`Erreur lors de la lecture de ${entryPath}:`, error.message);
+      return;
+    }
+
+    if (!stats.isDirectory()) {
+      const node = this.createFileNode(entryPath, stats);
+      task.node.children.push(node);
+      scan.files++;
+      this.analyzeContent(scan, node);
+      this.reportProgress(scan);
+      return;
+    }
+
+    // Un lien symbolique vers un ancêtre ferait boucler le parcours
+    const key = this.inodeKey(stats);
+    for (let ancestor = task; key && ancestor; ancestor = ancestor.parent) {
+      if (ancestor.key === key) {
+        this.logger.warn(`Boucle de liens symboliques ignorée: ${entryPath}`);
+        return;
+      }
+    }
+
+    const node = this.createDirectoryNode(entryPath, stats);
+    task.node.children.push(node);
+    task.remaining++;
+    scan.directories++;
+    this.enqueue(scan, { node, depth: task.depth + 1, key, parent: task, remaining: 1 });
+  }
+
+  /**
+   * Termine un répertoire une fois lu et tous ses sous-répertoires terminés :
+   * ses enfants sont triés (dossiers d'abord, puis fichiers) et son parent est prévenu
+   */
+  complete(scan, task) {
+    task.remaining--;
+    if (task.remaining > 0) return;
+
+    task.node.children.sort((a, b) => {
+      if (a.type !== b.type) {
+        return a.type === 'directory' ? -1 : 1;
+      }
+      return compareStrings(a.name, b.name);
+    });
+
+    if (task.parent) {
+      this.complete(scan, task.parent);
+    } else {
+      scan.finish();
+    }
+  }
+
+  /**
+   * Transmet un fichier source aux workers, par lots, pendant que le parcours continue
+   */
+  analyzeContent(scan, node) {
+    if (!scan.pool || !this.metricsCalculator.isMeasurable(node.path)) return;
+
+    scan.batch.push(node);
+    if (scan.batch.length >= CONTENT_BATCH_SIZE) {
+      this.flushContent(scan);
     }
+  }
+
+  flushContent(scan) {
+    if (scan.batch.length === 0) return;
+
+    const nodes = scan.batch;
+    scan.batch = [];
+
+    // En cas d'échec, les métriques de ces fichiers sont calculées à la demande
+    scan.analyses.push(scan.pool.run(nodes.map(node => node.path))
+      .then(results => {
+        results.forEach((measured, index) => {
+          if (measured) nodes[index].measured = measured;
+        });
+        scan.analyzed += nodes.length;
+        this.reportProgress(scan);
+      })
+      .catch(error => {
+        this.logger.warn('Erreur lors de l\'analyse du contenu des fichiers:', error.message);
+      }));
+  }
+
+  reportProgress(scan, done = false) {
+    if (!scan.onProgress) return;
 
-    const dirNode = {
-      name: dirName,
+    const now = Date.now();
+    if (!done && now - scan.lastProgress < PROGRESS_INTERVAL) return;
+    scan.lastProgress = now;
+
+    scan.onProgress({
+      files: scan.files,
+      directories: scan.directories,
+      analyzed: scan.analyzed,
+      done
+    });
+  }
+
+  /**
+   * Identifiant d'un répertoire sur le disque (null si le système de fichiers n'en fournit pas)
+   */
+  inodeKey(stats) {
+    return stats.ino ? `${stats.dev}:${stats.ino}` : null;
+  }
+
+  createDirectoryNode(dirPath, stats) {
+    return {
+      name: path.basename(dirPath),
       type: 'directory',
       path: dirPath,
       children: [],
@@ -40,37 +273,11 @@ class FileSystemScanner {
         created: stats.birthtime
       }
     };
+  }
 
-    try {
-      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        // Ignorer les fichiers cachés si configuré
-        if (!this.includeDotFiles && entry.name.startsWith('.')) {
-          continue;
-        }
-
-        const entryPath = path.join(dirPath, entry.name);
-        const childNode = await this.scanDirectory(entryPath, currentDepth + 1);
-        
-        if (childNode) {
-          dirNode.children.push(childNode);
-        }
-      }
-
-      // Trier les enfants (dossiers d'abord, puis fichiers)
-      dirNode.children.sort((a, b) => {
-        if (a.type !== b.type) {
-          return a.type === 'directory' ? -1 : 1;
-        }
-        return a.name.localeCompare(b.name);
-      });
-
-    } catch (error) {
-      console.warn(`Erreur lors de la lecture du répertoire ${dirPath}:`, error.message);
-    }
-
-    return dirNode;
+  isLmayFile(name) {
+    const output = this.config.output || {};
+    return name === (output.rootFile || 'root.lmay') || name.endsWith(output.moduleExtension || '.lmay');
   }
 
   /**
@@ -93,20 +300,6 @@ class FileSystemScanner {
     };
   }
 
-  /**
-   * Vérifie si un nom de fichier/dossier doit être exclu
-   */
-  shouldExclude(name) {
-    return this.excludePatterns.some(pattern => {
-      // Support simple des patterns avec wildcards
-      if (pattern.includes('*')) {
-        const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-        return regex.test(name);
-      }
-      return name === pattern;
-    });
-  }
-
   /**
    * Analyse la structure et extrait des métadonnées
    */
@@ -115,17 +308,32 @@ class FileSystemScanner {
       totalFiles: 0,
       totalDirectories: 0,
       languages: new Set(),
-      frameworks: new Set(),
+      frameworks: [],
+      workspace: null,
       entryPoints: [],
-      configFiles: []
+      configFiles: [],
+      filePaths: []
     };
 
     this.walkStructure(rootNode, analysis);
 
+    // Frameworks : registre de détecteurs partagé avec `lmay status` et l'updater
+    if (this.config.analysis.detectFrameworks !== false) {
+      analysis.frameworks = this.frameworkDetector.detect(rootNode.path, analysis.filePaths);
+    }
+
+    // Monorepo : paquets déclarés par les workspaces npm/yarn/pnpm, Lerna ou Nx
+    if (this.config.analysis.detectWorkspaces !== false) {
+      analysis.workspace = this.workspaceDetector.detect(rootNode.path);
+    }
+
+    // Points d'entrée déclarés (manifestes, Dockerfile, Procfile, Go, Rust, serverless)
+    analysis.entryPoints = this.entryPointDetector.detect(rootNode.path, analysis.filePaths, analysis.workspace);
+
+    const { filePaths, ...result } = analysis;
     return {
-      ...analysis,
-      languages: Array.from(analysis.languages),
-      frameworks: Array.from(analysis.frameworks)
+      ...result,
+      languages: Array.from(analysis.languages)
     };
   }
 
@@ -142,6 +350,7 @@ class FileSystemScanner {
       }
     } else {
       analysis.totalFiles++;
+      analysis.filePaths.push(node.path);
       
       // Détecter le langage par extension
       const language = this.detectLanguage(node.extension);
@@ -149,13 +358,8 @@ class FileSystemScanner {
         analysis.languages.add(language);
       }
 
-      // Détecter les points d'entrée potentiels
-      if (this.isEntryPoint(node.name)) {
-        analysis.entryPoints.push(node.path);
-      }
-
       // Détecter les fichiers de configuration
-      if (this.isConfigFile(node.name)) {
+      if (this.isConfigFile(node.name, node.path)) {
         analysis.configFiles.push(node.path);
       }
     }
@@ -194,31 +398,25 @@ class FileSystemScanner {
     return languageMap[extension?.toLowerCase()];
   }
 
-  /**
-   * Vérifie si un fichier est un point d'entrée potentiel
-   */
-  isEntryPoint(fileName) {
-    const entryPatterns = [
-      'index', 'main', 'app', 'server', 'start',
-      'run', 'launch', 'boot', 'init'
-    ];
-
-    const baseName = path.basename(fileName, path.extname(fileName));
-    return entryPatterns.includes(baseName.toLowerCase());
-  }
-
   /**
    * Vérifie si un fichier est un fichier de configuration
    */
-  isConfigFile(fileName) {
+  isConfigFile(fileName, filePath = fileName) {
     const configPatterns = [
       'package.json', 'composer.json', 'requirements.txt',
       'Gemfile', 'go.mod', 'Cargo.toml', 'pom.xml',
+      'pyproject.toml', 'Pipfile', 'build.gradle',
       '.gitignore', 'README.md', 'LICENSE',
       'tsconfig.json', 'webpack.config.js',
       'babel.config.js', 'jest.config.js'
     ];
 
+    // requirements-dev.txt, requirements-test.txt, requirements/base.txt, etc.
+    if (/^requirements.*\.txt$/i.test(fileName) ||
+        (/\.txt$/i.test(fileName) && path.basename(path.dirname(filePath)) === 'requirements')) {
+      return true;
+    }
+
     return configPatterns.some(pattern => 
       fileName.toLowerCase().includes(pattern.toLowerCase())
     );
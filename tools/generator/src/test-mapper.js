@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const { compareStrings } = require('./compare');
+
+// Frameworks JS par ordre de préférence lorsque plusieurs sont installés
+const JS_FRAMEWORKS = ['vitest', 'jest', 'mocha', 'ava', 'jasmine'];
+
+// Commandes ciblées : lancent uniquement les fichiers de test donnés
+const JS_COMMANDS = {
+  vitest: 'npx vitest run',
+  jest: 'npx jest',
+  mocha: 'npx mocha',
+  ava: 'npx ava',
+  jasmine: 'npx jasmine',
+  'node:test': 'node --test'
+};
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// Répertoires de tests : leurs fichiers de code sont des tests ou des utilitaires de test
+const TEST_DIRECTORIES = new Set(['test', 'tests', '__tests__', 'spec', '__mocks__', 'fixtures', '__fixtures__']);
+
+// Fichiers de configuration propres à un framework JS
+const JS_CONFIG_FILES = [
+  [/^vitest\.config\./, 'vitest'],
+  [/^jest\.config\./, 'jest'],
+  [/^\.mocharc(\.|$)/, 'mocha'],
+  [/^ava\.config\./, 'ava']
+];
+
+// Script "test" créé par `npm init`, qui ne lance aucun test
+const PLACEHOLDER_TEST_SCRIPT = /no test specified/;
+
+const MAX_READ_SIZE = 256 * 1024;
+
+class TestMapper {
+  /**
+   * @param {ImportGraph} importGraph - résolution des imports internes (JS/TS, Python)
+   */
+  constructor(config = {}, importGraph) {
+    this.config = config;
+    this.importGraph = importGraph;
+  }
+
+  /**
+   * Détecte les frameworks de test et relie chaque fichier de test aux fichiers
+   * source qu'il couvre (imports, puis conventions de nommage).
+   * Retourne { suites: [{ framework, dir, command, config }], tests: [{ file, suite, covers }] }
+   */
+  map(filePaths, projectPath, workspace = null) {
+    const root = path.resolve(projectPath);
+    const files = new Set(filePaths);
+    const suites = this.detectSuites(filePaths, root);
+
+    const testFiles = filePaths.filter(file => this.isTestFile(file, root));
+    const testSet = new Set(testFiles);
+    const sourceFiles = filePaths.filter(file => !testSet.has(file) && !this.isInTestDirectory(file, root) &&
+      this.suiteKind(file) !== null);
+
+    const tests = testFiles
+      .map(file => {
+        const suite = this.findSuite(file, suites);
+        if (!suite) return null;
+
+        const covers = new Set([
+          ...this.coveredByImports(file, root, workspace, files, testSet),
+          ...this.coveredByName(file, root, sourceFiles)
+        ]);
+
+        return { file, suite, covers: [...covers].sort() };
+      })
+      .filter(Boolean);
+
+    return { suites, tests };
+  }
+
+  /**
+   * Suites de test d'un projet : une par manifeste déclarant un framework
+   */
+  detectSuites(filePaths, root) {
+    const suites = [];
+    const names = filePaths.map(file => path.basename(file));
+
+    filePaths.forEach(file => {
+      const name = path.basename(file);
+      const dir = path.dirname(file);
+
+      if (name === 'package.json') {
+        const suite = this.detectJsSuite(file, filePaths);
+        if (suite) suites.push(suite);
+      } else if (name === 'go.mod') {
+        suites.push({ kind: 'go', framework: 'go test', dir, command: 'go test ./...', config: file });
+      } else if (name === 'pom.xml' || /^build\.gradle(\.kts)?$/.test(name)) {
+        const content = this.readText(file) || '';
+        if (/junit/i.test(content)) {
+          const runner = name === 'pom.xml' ? 'mvn' : (fs.existsSync(path.join(dir, 'gradlew')) ? './gradlew' : 'gradle');
+          suites.push({ kind: 'java', framework: 'junit', dir, command: `${runner} test`, config: file, runner });
+        }
+      }
+    });
+
+    // pytest (configuration ou dépendance), sinon unittest s'il existe des tests Python
+    const pytestConfig = filePaths.find(file => {
+      const name = path.basename(file);
+      if (name === 'pytest.ini' || name === 'conftest.py') return true;
+      if (['pyproject.toml', 'setup.cfg', 'tox.ini'].includes(name)) {
+        return /\[(?:tool[.:])?pytest/.test(this.readText(file) || '');
+      }
+      if (/^requirements.*\.txt$/.test(name) || name === 'Pipfile') {
+        return /^\s*pytest\b/m.test(this.readText(file) || '');
+      }
+      return false;
+    });
+
+    if (pytestConfig) {
+      const dir = path.basename(pytestConfig) === 'conftest.py' ? root : path.dirname(pytestConfig);
+      suites.push({ kind: 'python', framework: 'pytest', dir, command: 'pytest', config: pytestConfig });
+    } else if (names.some(name => /^test_.*\.py$|_test\.py$/.test(name))) {
+      suites.push({ kind: 'python', framework: 'unittest', dir: root, command: 'python -m unittest discover' });
+    }
+
+    // Les commandes sont données depuis la racine du projet
+    return suites.map(suite => ({ ...suite, command: this.inDirectory(suite, suite.command, root), root }));
+  }
+
+  detectJsSuite(manifestPath, filePaths) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    const dir = path.dirname(manifestPath);
+    const dependencies = { ...manifest.dependencies, ...manifest.devDependencies };
+    const script = manifest.scripts && typeof manifest.scripts.test === 'string' &&
+      !PLACEHOLDER_TEST_SCRIPT.test(manifest.scripts.test) ? manifest.scripts.test : null;
+
+    // Fichier de configuration du framework à côté du manifeste
+    const configFile = filePaths.find(file => path.dirname(file) === dir &&
+      JS_CONFIG_FILES.some(([pattern]) => pattern.test(path.basename(file))));
+    const configured = configFile &&
+      JS_CONFIG_FILES.find(([pattern]) => pattern.test(path.basename(configFile)))[1];
+
+    let framework;
+    if (script && /node\s+--test\b/.test(script)) {
+      framework = 'node:test';
+    } else {
+      framework = JS_FRAMEWORKS.find(name => script && new RegExp(`\\b${name}\\b`).test(script)) ||
+        configured ||
+        JS_FRAMEWORKS.find(name => dependencies[name] || (name === 'jest' && dependencies['ts-jest']));
+    }
+
+    if (!framework) return null;
+
+    return {
+      kind: 'javascript',
+      framework,
+      dir,
+      command: script ? 'npm test' : JS_COMMANDS[framework],
+      config: configFile || manifestPath
+    };
+  }
+
+  /**
+   * Fichiers de test : *.test.*, *.spec.*, test_*.py, *_test.py, *_test.go,
+   * *Test.java, ou fichiers de code d'un répertoire __tests__
+   */
+  isTestFile(file, root) {
+    const name = path.basename(file);
+    const kind = this.suiteKind(file);
+    if (!kind) return false;
+
+    if (/\.(test|spec)\.[cm]?[jt]sx?$/.test(name)) return true;
+    if (/^test_.+\.py$|_test\.py$/.test(name)) return true;
+    if (/_test\.go$/.test(name)) return true;
+    if (/Tests?\.java$|Tests?\.kt$/.test(name)) return true;
+
+    const segments = path.relative(root, file).split(path.sep);
+    return kind === 'javascript' && segments.includes('__tests__');
+  }
+
+  isInTestDirectory(file, root) {
+    return path.relative(root, path.dirname(file)).split(path.sep).some(segment => TEST_DIRECTORIES.has(segment));
+  }
+
+  suiteKind(file) {
+    const ext = path.extname(file).toLowerCase();
+    if (JS_EXTENSIONS.includes(ext)) return 'javascript';
+    if (ext === '.py') return 'python';
+    if (ext === '.go') return 'go';
+    if (ext === '.java' || ext === '.kt') return 'java';
+    return null;
+  }
+
+  /**
+   * Suite du fichier : celle de même écosystème dont le répertoire est l'ancêtre le plus proche
+   */
+  findSuite(file, suites) {
+    const kind = this.suiteKind(file);
+    return suites
+      .filter(suite => suite.kind === kind && (file.startsWith(suite.dir + path.sep)))
+      .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+  }
+
+  coveredByImports(file, root, workspace, files, testSet) {
+    if (!this.importGraph) return [];
+
+    return this.importGraph.resolveFileImports(file, root, workspace)
+      .filter(target => files.has(target) && !testSet.has(target) && !this.isInTestDirectory(target, root));
+  }
+
+  /**
+   * Conventions de nommage : users.test.js → users.js, test_users.py → users.py,
+   * UsersTest.java → Users.java ; le fichier source le plus proche du test l'emporte
+   */
+  coveredByName(file, root, sourceFiles) {
+    const stem = this.sourceStem(path.basename(file));
+    if (!stem) return [];
+
+    const kind = this.suiteKind(file);
+    const candidates = sourceFiles.filter(source =>
+      this.suiteKind(source) === kind && path.basename(source, path.extname(source)) === stem
+    );
+    if (candidates.length === 0) return [];
+
+    // Proximité : nombre de segments communs (tests/services/x.test.js ↔ src/services/x.js)
+    const testSegments = path.relative(root, path.dirname(file)).split(path.sep);
+    const score = source => {
+      const segments = path.relative(root, path.dirname(source)).split(path.sep);
+      const sameDir = path.dirname(source) === path.dirname(file) ? 100 : 0;
+      return sameDir + segments.filter(segment => testSegments.includes(segment)).length;
+    };
+
+    return [candidates.sort((a, b) => score(b) - score(a) || compareStrings(a, b))[0]];
+  }
+
+  sourceStem(name) {
+    const patterns = [
+      /^(.+)\.(?:test|spec)\.[cm]?[jt]sx?$/,
+      /^test_(.+)\.py$/,
+      /^(.+)_test\.(?:py|go)$/,
+      /^(.+?)Tests?\.(?:java|kt)$/
+    ];
+
+    for (const pattern of patterns) {
+      const match = name.match(pattern);
+      if (match) return match[1];
+    }
+
+    return null;
+  }
+
+  /**
+   * Commande lançant uniquement les tests donnés d'une suite
+   */
+  buildCommand(suite, testFiles) {
+    const relative = file => path.relative(suite.dir, file).split(path.sep).join('/');
+    let command;
+
+    switch (suite.kind) {
+      case 'javascript':
+        command = `${JS_COMMANDS[suite.framework]} ${testFiles.map(relative).join(' ')}`;
+        break;
+      case 'python':
+        command = suite.framework === 'pytest'
+          ? `pytest ${testFiles.map(relative).join(' ')}`
+          : `python -m unittest ${testFiles.map(file => relative(file).replace(/\.py$/, '').split('/').join('.')).join(' ')}`;
+        break;
+      case 'go': {
+        const packages = [...new Set(testFiles.map(file => `./${relative(path.dirname(file)) || '.'}`))];
+        command = `go test ${packages.map(pkg => pkg.replace(/^\.\/\.$/, '.')).join(' ')}`;
+        break;
+      }
+      case 'java': {
+        const classes = testFiles.map(file => path.basename(file, path.extname(file)));
+        command = suite.runner === 'mvn'
+          ? `mvn test -Dtest=${classes.join(',')}`
+          : `${suite.runner} test ${classes.map(name => `--tests ${name}`).join(' ')}`;
+        break;
+      }
+      default:
+        command = suite.command;
+    }
+
+    return this.inDirectory(suite, command);
+  }
+
+  /**
+   * Préfixe une commande par le répertoire de la suite lorsqu'il diffère de la racine
+   */
+  inDirectory(suite, command, root = suite.root) {
+    return suite.dir !== root ? `cd ${path.relative(root, suite.dir).split(path.sep).join('/')} && ${command}` : command;
+  }
+
+  readText(file) {
+    try {
+      if (fs.statSync(file).size > MAX_READ_SIZE) return null;
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TestMapper;
@@ -0,0 +1,406 @@
+const { compareStrings } = require('./compare');
+
+// Détails d'un répertoire repris par son propre fichier de module (module.complexity, metrics...)
+const MODULE_DETAIL_KEYS = ['languages', 'complexity', 'critical', 'stable', 'stability', 'rationale', 'metrics'];
+
+// Sections retirées en dernier recours, des moins utiles à une vue d'ensemble aux plus utiles
+const OPTIONAL_SECTIONS = [
+  'tests', 'metrics', 'patterns', 'dependencies', 'components', 'database_schema', 'api_endpoints', 'interfaces'
+];
+
+// Longueurs successives auxquelles les listes trop longues sont réduites
+const LIST_LIMITS = [10, 5, 3];
+
+// Champs de détail retirés avant de réduire les listes
+const DETAIL_KEYS = {
+  components: ['exports', 'dependencies', 'rationale'],
+  api_endpoints: ['handler'],
+  interfaces: ['operations', 'commands', 'options'],
+  collections: ['fields', 'indexes'],
+  tables: ['fields', 'indexes'],
+  tests: ['covers']
+};
+
+// Section de premier niveau portant chaque détail retiré par dropDetails
+const DETAIL_SECTIONS = { collections: 'database_schema', tables: 'database_schema' };
+
+/**
+ * Forme du nom selon le nombre (« 1 directory », « 2 directories »)
+ */
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return count > 1 ? pluralForm : singular;
+}
+
+class TokenBudget {
+  /**
+   * @param {number} budget - nombre maximal de tokens par fichier LMAY
+   * @param {Function} dump - sérialisation du contenu (YAML identique à celui écrit)
+   * @param {Function} identify - identifiant d'un élément de liste dans les chemins de
+   * `metadata.user_owned` (null : désigné par sa position)
+   */
+  constructor(budget, dump, identify = () => null) {
+    this.budget = budget;
+    this.dump = dump;
+    this.identify = identify;
+  }
+
+  /**
+   * Estimation hors ligne du nombre de tokens d'un texte, proche des tokenizers BPE
+   * usuels sur du YAML : mots découpés par tranches de 6 lettres, nombres par groupes
+   * de 3 chiffres, un token par signe de ponctuation et par saut de ligne indenté
+   */
+  estimate(text) {
+    let tokens = 0;
+
+    for (const [piece] of text.matchAll(/[A-Za-z]+|\d+|\s+|[^\sA-Za-z\d]/g)) {
+      if (/^[A-Za-z]/.test(piece)) {
+        tokens += Math.ceil(piece.length / 6);
+      } else if (/^\d/.test(piece)) {
+        tokens += Math.ceil(piece.length / 3);
+      } else if (/^\s/.test(piece)) {
+        tokens += piece.includes('\n') || piece.length > 1 ? 1 : 0;
+      } else {
+        tokens += 1;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Réduit le contenu d'un fichier jusqu'à respecter le budget, en commençant par
+   * les compromis qui perdent le moins d'information. Le contenu fourni n'est pas modifié.
+   * @param {Object} context - { moduleDirs } sous-répertoires (relatifs à la racine) documentés par leur propre fichier de module,
+   * { finalize(content) } ajouts faits au contenu avant son écriture (empreintes de fusion), mesurés avec lui
+   * Un compromis peut être une fonction qui le décrit d'après le contenu final : les
+   * éléments qu'une étape ultérieure a retirés (liste d'une section supprimée) n'y figurent plus.
+   * Retourne { content, tokens, tradeoffs, exceeded }
+   */
+  fit(content, context = {}) {
+    const result = JSON.parse(JSON.stringify(content));
+    const owned = (result.metadata && result.metadata.user_owned) || [];
+    const tradeoffs = [];
+    const finalize = context.finalize || (fitted => fitted);
+    const describe = () => tradeoffs
+      .map(tradeoff => (typeof tradeoff === 'function' ? tradeoff(result) : tradeoff))
+      .filter(Boolean);
+
+    // Le compte rendu des compromis (metadata.token_budget) fait partie du budget
+    const measure = () => {
+      if (tradeoffs.length > 0) {
+        result.metadata = {
+          ...result.metadata,
+          token_budget: { budget: this.budget, estimated_tokens: 0, tradeoffs: describe() }
+        };
+      }
+      const tokens = this.estimate(this.dump(finalize(result)));
+      if (result.metadata && result.metadata.token_budget) {
+        result.metadata.token_budget.estimated_tokens = tokens;
+      }
+      return tokens;
+    };
+
+    // Mesure intermédiaire d'un compromis appliqué progressivement
+    const isWithinBudget = tradeoff => {
+      tradeoffs.push(tradeoff);
+      const withinBudget = measure() <= this.budget;
+      tradeoffs.pop();
+      return withinBudget;
+    };
+
+    const steps = [
+      () => this.moveToSubmodules(result, context.moduleDirs || new Set()),
+      () => this.moveModuleDetails(result, owned),
+      () => this.dropEvidence(result),
+      () => this.dropDetails(result),
+      () => this.summarizeLists(result, owned, isWithinBudget),
+      () => this.collapseStructure(result, owned, isWithinBudget),
+      () => this.dropSections(result, owned, isWithinBudget)
+    ];
+
+    let tokens = measure();
+    for (const step of steps) {
+      if (tokens <= this.budget) break;
+
+      const tradeoff = step();
+      if (tradeoff) {
+        tradeoffs.push(tradeoff);
+        tokens = measure();
+      }
+    }
+
+    if (tokens > this.budget && tradeoffs.length === 0) {
+      result.metadata = {
+        ...result.metadata,
+        token_budget: { budget: this.budget, estimated_tokens: 0, tradeoffs: [] }
+      };
+      tokens = measure();
+    }
+
+    return { content: result, tokens, tradeoffs: describe(), exceeded: tokens > this.budget };
+  }
+
+  /**
+   * Retire les routes et tables déjà documentées par le fichier d'un sous-module
+   * contenant leur fichier
+   */
+  moveToSubmodules(content, moduleDirs) {
+    const isCovered = item => item && typeof item.file === 'string' &&
+      [...moduleDirs].some(dir => item.file.startsWith(dir + '/'));
+    let moved = 0;
+
+    const moveFrom = (parent, key) => {
+      if (!Array.isArray(parent[key])) return;
+
+      const kept = parent[key].filter(item => !isCovered(item));
+      moved += parent[key].length - kept.length;
+      if (kept.length > 0) {
+        parent[key] = kept;
+      } else {
+        delete parent[key];
+      }
+    };
+
+    moveFrom(content, 'api_endpoints');
+
+    if (content.database_schema) {
+      moveFrom(content.database_schema, 'collections');
+      moveFrom(content.database_schema, 'tables');
+      if (Object.keys(content.database_schema).length === 0) delete content.database_schema;
+    }
+
+    return moved > 0 ? `moved ${moved} endpoint and schema ${plural(moved, 'entry', 'entries')} to module files` : null;
+  }
+
+  /**
+   * Réduit les entrées de structure qui ont leur propre fichier de module à leur
+   * description et à leur lien : le reste est documenté par le fichier de module
+   */
+  moveModuleDetails(content, owned) {
+    const pointer = name => `/structure/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    let moved = 0;
+
+    Object.entries(content.structure || {}).forEach(([name, entry]) => {
+      if (!entry || !entry.lmay_file) return;
+
+      const keys = MODULE_DETAIL_KEYS.filter(key => entry[key] !== undefined &&
+        !owned.some(path => path === `${pointer(name)}/${key}` || path.startsWith(`${pointer(name)}/${key}/`)));
+      keys.forEach(key => delete entry[key]);
+      if (keys.length > 0) moved++;
+    });
+
+    return moved > 0
+      ? `moved details of ${moved} ${plural(moved, 'directory', 'directories')} to their module files`
+      : null;
+  }
+
+  dropEvidence(content) {
+    let dropped = false;
+
+    const frameworks = content.project && content.project.frameworks;
+    if (Array.isArray(frameworks)) {
+      frameworks.forEach(framework => {
+        if (framework && framework.evidence) {
+          delete framework.evidence;
+          dropped = true;
+        }
+      });
+    }
+
+    if (content.architecture) {
+      ['evidence', 'alternatives'].forEach(key => {
+        if (content.architecture[key]) {
+          delete content.architecture[key];
+          dropped = true;
+        }
+      });
+    }
+
+    return dropped ? 'dropped detection evidence and alternative patterns' : null;
+  }
+
+  dropDetails(content) {
+    const dropped = new Set();
+    const lists = {
+      components: content.components,
+      api_endpoints: content.api_endpoints,
+      interfaces: content.interfaces,
+      collections: content.database_schema && content.database_schema.collections,
+      tables: content.database_schema && content.database_schema.tables,
+      tests: Array.isArray(content.tests) ? content.tests.flatMap(suite => (suite && suite.files) || []) : undefined
+    };
+
+    Object.entries(DETAIL_KEYS).forEach(([list, keys]) => {
+      if (!Array.isArray(lists[list])) return;
+
+      lists[list].forEach(item => keys.forEach(key => {
+        if (item && item[key] !== undefined) {
+          delete item[key];
+          dropped.add(`${list}.${key}`);
+        }
+      }));
+    });
+
+    // Provenance des descriptions
+    if (content.metadata && content.metadata.description_sources) {
+      delete content.metadata.description_sources;
+      dropped.add('metadata.description_sources');
+    }
+
+    // Plus gros fichiers des métriques du module et de chaque répertoire
+    if (content.metrics && content.metrics.largest_files) {
+      delete content.metrics.largest_files;
+      dropped.add('metrics.largest_files');
+    }
+    Object.values(content.structure || {}).forEach(entry => {
+      if (entry && entry.metrics && entry.metrics.largest_files) {
+        delete entry.metrics.largest_files;
+        dropped.add('structure.metrics.largest_files');
+      }
+      // La répartition par langage se résume au langage principal
+      if (entry && entry.languages && entry.primary_language) {
+        delete entry.languages;
+        dropped.add('structure.languages');
+      }
+    });
+
+    if (dropped.size === 0) return null;
+
+    // Les détails d'une section retirée ensuite (dropSections) ne sont plus mentionnés
+    return fitted => {
+      const remaining = [...dropped].filter(detail => {
+        const list = detail.slice(0, detail.indexOf('.'));
+        return fitted[DETAIL_SECTIONS[list] || list] !== undefined;
+      });
+      return remaining.length > 0 ? `dropped details: ${remaining.join(', ')}` : null;
+    };
+  }
+
+  /**
+   * Réduit les listes trop longues à leurs premiers éléments, à tous les niveaux (y compris
+   * dans les éléments de liste), par longueurs décroissantes jusqu'à respecter le budget.
+   * Les listes contenant du contenu rédigé à la main sont conservées.
+   */
+  summarizeLists(content, owned, isWithinBudget) {
+    const lengths = new Map();
+    const describe = summarized => `summarized ${plural(summarized.length, 'list')}: ${summarized
+      .map(([pointer, { kept, total }]) => `${pointer} (${kept} of ${total} kept)`)
+      .join(', ')}`;
+
+    for (const limit of LIST_LIMITS) {
+      this.shortenLists(content, limit, owned, lengths);
+      if (lengths.size > 0 && isWithinBudget(describe([...lengths]))) break;
+    }
+
+    if (lengths.size === 0) return null;
+
+    // Les listes retirées ensuite (répertoire ou section supprimés) ne sont plus mentionnées
+    return fitted => {
+      const remaining = [...lengths].filter(([pointer]) => this.exists(fitted, pointer));
+      return remaining.length > 0 ? describe(remaining) : null;
+    };
+  }
+
+  /**
+   * Vérifie qu'un chemin de shortenLists désigne encore une valeur du contenu
+   */
+  exists(content, pointer) {
+    let current = content;
+    for (const segment of pointer.slice(1).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))) {
+      if (Array.isArray(current)) {
+        current = current.find((item, index) => {
+          const id = this.identify(item);
+          return String(id === null ? index : id) === segment;
+        });
+      } else if (current && typeof current === 'object') {
+        current = current[segment];
+      } else {
+        return false;
+      }
+      if (current === undefined) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Raccourcit les listes dépassant `limit` et consigne leur longueur d'origine
+   */
+  shortenLists(content, limit, owned, lengths) {
+    const isOwned = pointer => owned.some(path => path === pointer || path.startsWith(`${pointer}/`));
+    const escape = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+    const visit = (node, pointer) => {
+      if (!node || typeof node !== 'object' || pointer === '/metadata') return;
+
+      if (Array.isArray(node)) {
+        node.forEach((item, index) => {
+          const id = this.identify(item);
+          visit(item, `${pointer}/${escape(id === null ? index : id)}`);
+        });
+        return;
+      }
+
+      Object.entries(node).forEach(([key, value]) => {
+        const childPointer = `${pointer}/${escape(key)}`;
+
+        if (Array.isArray(value) && value.length > limit && !isOwned(childPointer)) {
+          const total = lengths.has(childPointer) ? lengths.get(childPointer).total : value.length;
+          lengths.set(childPointer, { kept: limit, total });
+          node[key] = value.slice(0, limit);
+        }
+        visit(node[key], childPointer);
+      });
+    };
+
+    visit(content, '');
+  }
+
+  /**
+   * Retire de la structure les répertoires sans fichier de module, du plus petit
+   * au plus grand et des plus profonds aux moins profonds, jusqu'à respecter le
+   * budget (compte rendu compris)
+   */
+  collapseStructure(content, owned, isWithinBudget) {
+    if (!content.structure || typeof content.structure !== 'object') return null;
+
+    const pointer = name => `/structure/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    const depth = name => name.split('/').length;
+    const candidates = Object.entries(content.structure)
+      .filter(([name, entry]) => entry && !entry.lmay_file &&
+        !owned.some(path => path === pointer(name) || path.startsWith(`${pointer(name)}/`)))
+      .sort(([nameA, a], [nameB, b]) => (a.file_count || 0) - (b.file_count || 0) ||
+        depth(nameB) - depth(nameA) || compareStrings(nameA, nameB));
+
+    const describe = names =>
+      `collapsed structure ${plural(names.length, 'entry', 'entries')} without module file: ${names.join(', ')}`;
+    const collapsed = [];
+    for (const [name] of candidates) {
+      delete content.structure[name];
+      collapsed.push(name);
+      if (isWithinBudget(describe(collapsed))) break;
+    }
+
+    return collapsed.length > 0 ? describe(collapsed) : null;
+  }
+
+  /**
+   * Dernier recours : retire des sections entières, des moins utiles aux plus utiles,
+   * jusqu'à respecter le budget (les sections contenant du contenu utilisateur sont conservées)
+   */
+  dropSections(content, owned, isWithinBudget) {
+    const candidates = OPTIONAL_SECTIONS.filter(section => content[section] !== undefined &&
+      !owned.some(path => path === `/${section}` || path.startsWith(`/${section}/`)));
+
+    const describe = names => `dropped ${plural(names.length, 'section')}: ${names.join(', ')}`;
+    const dropped = [];
+    for (const section of candidates) {
+      delete content[section];
+      dropped.push(section);
+      if (isWithinBudget(describe(dropped))) break;
+    }
+
+    return dropped.length > 0 ? describe(dropped) : null;
+  }
+}
+
+module.exports = TokenBudget;
@@ -0,0 +1,89 @@
+const { Worker } = require('worker_threads');
+
+class WorkerPool {
+  /**
+   * Pool borné de worker threads exécutant le même module. Chaque tâche envoie un
+   * message au premier worker libre et se résout avec sa réponse.
+   * @param {string} script - chemin du module exécuté par chaque worker
+   * @param {number} size - nombre de workers
+   * @param {*} workerData - données transmises à chaque worker au démarrage
+   */
+  constructor(script, size, workerData) {
+    this.queue = [];
+    this.idle = [];
+    this.workers = new Set();
+    this.tasks = new Map();
+
+    for (let i = 0; i < size; i++) {
+      this.spawn(script, workerData);
+    }
+  }
+
+  spawn(script, workerData) {
+    const worker = new Worker(script, { workerData });
+    this.workers.add(worker);
+
+    worker.on('message', result => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      if (task) task.resolve(result);
+      this.release(worker);
+    });
+
+    // Un worker en erreur est retiré du pool ; sa tâche échoue, les autres continuent
+    worker.on('error', error => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      this.workers.delete(worker);
+      if (task) task.reject(error);
+
+      if (this.workers.size === 0) {
+        this.queue.splice(0).forEach(pending => pending.reject(error));
+      }
+    });
+
+    this.idle.push(worker);
+  }
+
+  /**
+   * Exécute une tâche sur le premier worker disponible
+   */
+  run(payload) {
+    if (this.workers.size === 0) {
+      return Promise.reject(new Error('Aucun worker disponible'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      if (!this.workers.has(worker)) continue;
+
+      const task = this.queue.shift();
+      this.tasks.set(worker, task);
+      worker.postMessage(task.payload);
+    }
+  }
+
+  release(worker) {
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  /**
+   * Arrête tous les workers
+   */
+  async close() {
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = WorkerPool;
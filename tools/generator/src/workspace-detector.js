@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Répertoires jamais considérés comme des paquets de workspace
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+
+// Profondeur maximale parcourue pour un motif `**`
+const MAX_GLOB_DEPTH = 6;
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+class WorkspaceDetector {
+  constructor(config = {}) {
+    this.config = config;
+    this.logger = config.logger || console;
+  }
+
+  /**
+   * Détecte un monorepo (workspaces npm/yarn/pnpm, Lerna, Nx, Turborepo)
+   * Retourne { tools, packages: [{ name, version, path, manifest, dependencies, entryPoints }] } ou null
+   */
+  detect(projectPath) {
+    const root = path.resolve(projectPath);
+    const rootPackage = this.readJson(path.join(root, 'package.json'));
+    const tools = [];
+    const patterns = [];
+
+    // package.json "workspaces" (npm, yarn, bun)
+    const workspaces = rootPackage && rootPackage.workspaces;
+    const npmPatterns = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [];
+    if (npmPatterns.length > 0) {
+      tools.push(fs.existsSync(path.join(root, 'yarn.lock')) ? 'yarn' : 'npm');
+      patterns.push(...npmPatterns);
+    }
+
+    // pnpm-workspace.yaml
+    const pnpmWorkspace = this.readYaml(path.join(root, 'pnpm-workspace.yaml'));
+    if (pnpmWorkspace) {
+      tools.push('pnpm');
+      patterns.push(...(pnpmWorkspace.packages || []));
+    }
+
+    // lerna.json (packages/* par défaut, ou délégation aux workspaces)
+    const lerna = this.readJson(path.join(root, 'lerna.json'));
+    if (lerna) {
+      tools.push('lerna');
+      if (Array.isArray(lerna.packages)) {
+        patterns.push(...lerna.packages);
+      } else if (!lerna.useWorkspaces && npmPatterns.length === 0) {
+        patterns.push('packages/*');
+      }
+    }
+
+    // nx.json : répertoires apps/libs, projets déclarés par project.json
+    const nx = this.readJson(path.join(root, 'nx.json'));
+    const nxProjects = [];
+    if (nx) {
+      tools.push('nx');
+      const layout = nx.workspaceLayout || {};
+      patterns.push(`${layout.appsDir || 'apps'}/**`, `${layout.libsDir || 'libs'}/**`);
+      nxProjects.push(...this.readNxProjectMap(root));
+    }
+
+    // turbo.json : Turborepo s'appuie sur les workspaces du gestionnaire de paquets
+    if (fs.existsSync(path.join(root, 'turbo.json'))) {
+      tools.push('turborepo');
+    }
+
+    if (tools.length === 0) {
+      return null;
+    }
+
+    const directories = new Set([...this.expandPatterns(root, patterns), ...nxProjects]);
+    const packages = [...directories]
+      .sort()
+      .map(dir => this.readPackage(dir, root))
+      .filter(Boolean);
+
+    if (packages.length === 0) {
+      return null;
+    }
+
+    // Ne conserver que les dépendances vers d'autres paquets du workspace
+    const names = new Set(packages.map(pkg => pkg.name));
+    packages.forEach(pkg => {
+      pkg.dependencies = [...new Set(pkg.dependencies)]
+        .filter(name => names.has(name) && name !== pkg.name)
+        .sort();
+    });
+
+    return { tools, packages };
+  }
+
+  /**
+   * Projets déclarés dans workspace.json (anciennes versions de Nx)
+   */
+  readNxProjectMap(root) {
+    const workspace = this.readJson(path.join(root, 'workspace.json'));
+    if (!workspace || !workspace.projects) return [];
+
+    return Object.values(workspace.projects)
+      .map(project => (typeof project === 'string' ? project : project && project.root))
+      .filter(Boolean)
+      .map(projectRoot => path.join(root, projectRoot));
+  }
+
+  /**
+   * Résout les motifs de workspace (`packages/*`, `apps/**`, `!packages/legacy`)
+   * en répertoires existants
+   */
+  expandPatterns(root, patterns) {
+    const included = new Set();
+    const excluded = [];
+
+    for (const pattern of patterns) {
+      if (typeof pattern !== 'string') continue;
+
+      if (pattern.startsWith('!')) {
+        excluded.push(this.toRegex(pattern.slice(1)));
+        continue;
+      }
+
+      const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+      this.expandSegments(root, segments, 0).forEach(dir => included.add(dir));
+    }
+
+    return [...included].filter(dir => {
+      const relative = path.relative(root, dir).split(path.sep).join('/');
+      return !excluded.some(regex => regex.test(relative));
+    });
+  }
+
+  expandSegments(dir, segments, globDepth) {
+    if (segments.length === 0) {
+      return [dir];
+    }
+
+    const [segment, ...rest] = segments;
+
+    if (segment === '**') {
+      // `**` couvre zéro ou plusieurs niveaux ; seuls les répertoires avec un manifeste sont retenus
+      const results = rest.length > 0 ? this.expandSegments(dir, rest, globDepth) : [dir];
+      if (globDepth < MAX_GLOB_DEPTH) {
+        this.listDirectories(dir).forEach(child => {
+          results.push(...this.expandSegments(child, segments, globDepth + 1));
+        });
+      }
+      return results;
+    }
+
+    if (!segment.includes('*')) {
+      const next = path.join(dir, segment);
+      return this.isDirectory(next) ? this.expandSegments(next, rest, globDepth) : [];
+    }
+
+    const regex = this.toRegex(segment);
+    return this.listDirectories(dir)
+      .filter(child => regex.test(path.basename(child)))
+      .flatMap(child => this.expandSegments(child, rest, globDepth));
+  }
+
+  /**
+   * Lit le manifeste d'un paquet (package.json ou project.json Nx)
+   */
+  readPackage(dir, root) {
+    const manifestPath = path.join(dir, 'package.json');
+    const projectPath = path.join(dir, 'project.json');
+    const manifest = this.readJson(manifestPath);
+    const project = this.readJson(projectPath);
+
+    if (!manifest && !project) {
+      return null;
+    }
+
+    const dependencies = [];
+    if (manifest) {
+      DEPENDENCY_FIELDS.forEach(field => dependencies.push(...Object.keys(manifest[field] || {})));
+    }
+    if (project && Array.isArray(project.implicitDependencies)) {
+      dependencies.push(...project.implicitDependencies.filter(name => !name.startsWith('!')));
+    }
+
+    return {
+      name: (manifest && manifest.name) || (project && project.name) || path.basename(dir),
+      version: manifest && typeof manifest.version === 'string' ? manifest.version : undefined,
+      path: dir,
+      manifest: manifest ? manifestPath : projectPath,
+      dependencies,
+      entryPoints: this.findEntryPoints(dir, root, manifest, project)
+    };
+  }
+
+  /**
+   * Points d'entrée déclarés : main, module, bin, exports["."], cibles Nx
+   * (les chemins des cibles Nx sont relatifs à la racine du workspace)
+   */
+  findEntryPoints(dir, root, manifest, project) {
+    const candidates = [];
+
+    if (manifest) {
+      candidates.push(manifest.main, manifest.module);
+
+      if (typeof manifest.bin === 'string') {
+        candidates.push(manifest.bin);
+      } else if (manifest.bin && typeof manifest.bin === 'object') {
+        candidates.push(...Object.values(manifest.bin));
+      }
+
+      candidates.push(this.resolveRootExport(manifest.exports));
+    }
+
+    const files = candidates
+      .filter(candidate => typeof candidate === 'string')
+      .map(candidate => path.resolve(dir, candidate));
+
+    if (project && project.targets) {
+      Object.values(project.targets).forEach(target => {
+        if (target && target.options && typeof target.options.main === 'string') {
+          files.push(path.resolve(root, target.options.main));
+        }
+      });
+    }
+
+    const entryPoints = files.filter(file => fs.existsSync(file) && fs.statSync(file).isFile());
+
+    return [...new Set(entryPoints)];
+  }
+
+  /**
+   * Cible de l'export racine d'un champ `exports`
+   */
+  resolveRootExport(exportsField) {
+    if (typeof exportsField === 'string') return exportsField;
+    if (!exportsField || typeof exportsField !== 'object') return undefined;
+
+    const target = exportsField['.'] !== undefined ? exportsField['.'] : exportsField;
+    if (typeof target === 'string') return target;
+    if (target && typeof target === 'object') {
+      return ['require', 'import', 'node', 'default']
+        .map(condition => target[condition])
+        .find(value => typeof value === 'string');
+    }
+
+    return undefined;
+  }
+
+  listDirectories(dir) {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name))
+        .map(entry => path.join(dir, entry.name))
+        .sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  isDirectory(dir) {
+    try {
+      return fs.statSync(dir).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  toRegex(glob) {
+    const source = glob
+      .replace(/^\.\//, '')
+      .replace(/\/+$/, '')
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*/g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\u0000/g, '.*');
+    return new RegExp(`^${source}$`);
+  }
+
+  readJson(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Erreur lors de la lecture du fichier ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  readYaml(filePath) {
+    try {
+      return yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Erreur lors de la lecture du fichier ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = WorkspaceDetector;
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const FileSystemScanner = require('../src/scanner');
+const ArchitectureDetector = require('../src/architecture-detector');
+const { createProject, loadConfig, generateProject } = require('./helpers');
+
+const COMPOSE = [
+  'services:',
+  '  orders:',
+  '    build: ./orders',
+  '  billing:',
+  '    build: ./billing',
+  '  shipping:',
+  '    image: acme/shipping:1.0',
+  '  kafka:',
+  '    image: bitnami/kafka:3',
+  '  db:',
+  '    image: postgres:16',
+  ''
+].join('\n');
+
+const SERVICES = {
+  'docker-compose.yml': COMPOSE,
+  'orders/package.json': { name: 'orders', dependencies: { kafkajs: '^2.2.0' } },
+  'orders/Dockerfile': 'FROM node:20\n',
+  'billing/package.json': { name: 'billing' },
+  'billing/Dockerfile': 'FROM node:20\n'
+};
+
+async function detect(files) {
+  const config = loadConfig();
+  const scanner = new FileSystemScanner(config);
+  const structure = await scanner.scanDirectory(createProject(files));
+  return new ArchitectureDetector(config).detect(structure, scanner.analyzeStructure(structure));
+}
+
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+test('microservices : services docker-compose, manifestes et Dockerfiles ; broker en alternative', async () => {
+  const result = await detect(SERVICES);
+
+  assert.strictEqual(result.pattern, 'Microservices');
+  assert.strictEqual(result.confidence, 0.87);
+  assert.deepStrictEqual(result.evidence, [
+    'docker-compose.yml: 3 application services (orders, billing, shipping)',
+    '2 directories with their own manifest (billing, orders)',
+    '2 Dockerfiles (billing, orders)'
+  ]);
+  assert.deepStrictEqual(result.alternatives, [{
+    pattern: 'Event-driven',
+    confidence: 0.64,
+    evidence: ['dependency kafkajs (orders/package.json)', 'docker-compose.yml: message broker (kafka)']
+  }]);
+});
+
+test('hexagonal : ports/adapters et couches domaine/application/infrastructure', async () => {
+  const result = await detect({
+    'package.json': { name: 'hex' },
+    'src/domain/order.js': '',
+    'src/application/place-order.js': '',
+    'src/infrastructure/db.js': '',
+    'src/ports/order-repository.js': '',
+    'src/adapters/pg-order-repository.js': ''
+  });
+
+  assert.strictEqual(result.pattern, 'Hexagonal');
+  assert.deepStrictEqual(result.evidence, [
+    'ports/ and adapters/ directories',
+    'domain/, application/ and infrastructure/ directories'
+  ]);
+});
+
+test('serverless : serverless.yml et dépendances de fonctions', async () => {
+  const result = await detect({
+    'serverless.yml': 'service: api\n',
+    'package.json': { name: 'fn', dependencies: { '@middy/core': '^5.0.0' } },
+    'handler.js': ''
+  });
+
+  assert.strictEqual(result.pattern, 'Serverless');
+  assert.deepStrictEqual(result.evidence, ['file serverless.yml', 'dependency @middy/core (package.json)']);
+});
+
+test('des répertoires sans convention ne font pas une architecture en couches', async () => {
+  assert.deepStrictEqual(await detect({ 'alpha/a.py': '', 'beta/b.py': '', 'gamma/c.py': '' }), {
+    pattern: 'Unstructured',
+    confidence: undefined,
+    evidence: undefined,
+    alternatives: undefined
+  });
+
+  const monolith = await detect({
+    'package.json': { name: 'app', main: 'index.js' },
+    'index.js': '',
+    'lib/a.js': '',
+    'docs/x.md': '',
+    'assets/y.css': ''
+  });
+  assert.strictEqual(monolith.pattern, 'Monolithic');
+  assert.deepStrictEqual(monolith.evidence, ['single manifest at the project root', 'single entry point index.js']);
+});
+
+test('le fichier racine enregistre le pattern, sa confiance, ses indices et les alternatives', async () => {
+  const root = createProject(SERVICES);
+  await generateProject(root);
+
+  const { architecture } = yaml.load(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'));
+  assert.strictEqual(architecture.pattern, 'Microservices');
+  assert.strictEqual(architecture.confidence, 0.87);
+  assert.strictEqual(architecture.evidence.length, 3);
+  assert.deepStrictEqual(architecture.alternatives.map(alternative => alternative.pattern), ['Event-driven']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createProject, generateProject } = require('./helpers');
+
+const project = () => createProject({ 'package.json': { name: 'shop' }, 'src/index.js': 'module.exports = {};\n' });
+
+test('generate --check signale les fichiers absents, modifiés ou sans fin de ligne finale', async () => {
+  const root = project();
+  const rootFile = path.join(root, 'root.lmay');
+
+  const missing = await generateProject(root, { check: true });
+  assert.deepStrictEqual(missing.stale.map(stale => [stale.file, stale.reason]), [['root.lmay', 'missing']]);
+  assert.match(missing.stale[0].diff, /^--- \/dev\/null\n\+\+\+ b\/root\.lmay\n@@ -0,0 \+1,\d+ @@\n/);
+  assert.strictEqual(fs.existsSync(rootFile), false);
+
+  await generateProject(root, { deterministic: true });
+  assert.deepStrictEqual((await generateProject(root, { check: true })).stale, []);
+
+  const text = fs.readFileSync(rootFile, 'utf8');
+  fs.writeFileSync(rootFile, text.replace(/\n$/, ''));
+  const [stale] = (await generateProject(root, { check: true })).stale;
+  assert.strictEqual(stale.reason, 'changed');
+  assert.match(stale.diff, /\\ No newline at end of file\n\+/);
+});
+
+test('le diff de --check est au format diff -u et s\'applique avec patch -p1', async () => {
+  const root = project();
+  await generateProject(root, { deterministic: true });
+  const rootFile = path.join(root, 'root.lmay');
+  const generated = fs.readFileSync(rootFile, 'utf8');
+  fs.writeFileSync(rootFile, generated.replace('pattern: Monolithic', 'pattern: Layered'));
+
+  const [stale] = (await generateProject(root, { check: true })).stale;
+  assert.match(stale.diff, /^--- a\/root\.lmay\n\+\+\+ b\/root\.lmay\n@@ /);
+  assert.match(stale.diff, /\n-  pattern: Layered\n\+  pattern: Monolithic\n/);
+
+  childProcess.execFileSync('patch', ['-p1', '--quiet'], { cwd: root, input: stale.diff });
+  assert.strictEqual(fs.readFileSync(rootFile, 'utf8'), generated);
+});
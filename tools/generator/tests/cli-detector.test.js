@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ComponentExtractor = require('../src/component-extractor');
+const CLIDetector = require('../src/cli-detector');
+const { createProject, generateProject } = require('./helpers');
+
+function detect(root, files, packageJsonFiles = []) {
+  const config = { analysis: {} };
+  const detector = new CLIDetector(config, new ComponentExtractor(config));
+  return detector.detect(
+    files.map(file => path.join(root, file)),
+    packageJsonFiles.map(file => path.join(root, file))
+  );
+}
+
+test('commander: binaire du package.json, sous-commandes, arguments et options', () => {
+  const root = createProject({
+    'package.json': { name: '@acme/tool', bin: 'bin/tool.js' },
+    'bin/tool.js': [
+      "const { program } = require('commander');",
+      "program.name('tool').description('Acme tool').option('-v, --verbose');",
+      "const remote = program.command('remote').description('Manage remotes');",
+      "remote.command('add <name> [url]').alias('a');",
+      "program.command('sync').argument('<target>').option('--dry-run');",
+      'program.parse();',
+      ''
+    ].join('\n')
+  });
+
+  const [program] = detect(root, ['bin/tool.js'], ['package.json']);
+  assert.strictEqual(program.name, 'tool');
+  assert.strictEqual(program.library, 'commander');
+  assert.strictEqual(program.description, 'Acme tool');
+  assert.deepStrictEqual(program.options, ['-v, --verbose']);
+  assert.deepStrictEqual(program.commands.map(command => command.name), ['remote', 'sync']);
+  assert.strictEqual(program.commands[0].commands[0].name, 'add');
+  assert.deepStrictEqual(program.commands[0].commands[0].arguments, ['<name>', '[url]']);
+  assert.deepStrictEqual(program.commands[0].commands[0].aliases, ['a']);
+  assert.deepStrictEqual(program.commands[1].arguments, ['<target>']);
+  assert.deepStrictEqual(program.commands[1].options, ['--dry-run']);
+});
+
+test('yargs: commandes chaîne, tableau et objet, options avec alias', () => {
+  const root = createProject({
+    'cli.js': [
+      "const yargs = require('yargs/yargs');",
+      "const { hideBin } = require('yargs/helpers');",
+      'yargs(hideBin(process.argv))',
+      "  .scriptName('srv')",
+      "  .command('serve [port]', 'Start the server')",
+      "  .command(['build', 'b'], 'Build assets')",
+      "  .command({ command: 'clean', describe: 'Remove output' })",
+      "  .option('verbose', { alias: 'v' })",
+      '  .parse();',
+      ''
+    ].join('\n')
+  });
+
+  const [program] = detect(root, ['cli.js']);
+  assert.strictEqual(program.library, 'yargs');
+  assert.strictEqual(program.name, 'srv');
+  assert.deepStrictEqual(program.options, ['-v, --verbose']);
+  assert.deepStrictEqual(program.commands.map(command => [command.name, command.description]), [
+    ['serve', 'Start the server'],
+    ['build', 'Build assets'],
+    ['clean', 'Remove output']
+  ]);
+  assert.deepStrictEqual(program.commands[1].aliases, ['b']);
+});
+
+test('les fichiers sans programme CLI sont ignorés, un bin sans programme est conservé', () => {
+  const root = createProject({
+    'package.json': { name: 'runner', bin: { run: './run.js' } },
+    'run.js': "console.log('run');\n",
+    'lib.js': "const { Command } = require('commander');\nmodule.exports = Command;\n"
+  });
+
+  assert.deepStrictEqual(detect(root, ['run.js', 'lib.js'], ['package.json']), [
+    { commands: [], options: [], name: 'run', file: path.join(root, 'run.js') }
+  ]);
+});
+
+test('interfaces CLI émises dans le fichier racine', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const root = createProject({
+    'package.json': { name: 'shop', bin: { shop: 'cli.js' }, dependencies: { commander: '^11.0.0' } },
+    'cli.js': "const { program } = require('commander');\nprogram.command('init').description('Create a shop');\n"
+  });
+
+  await generateProject(root);
+  assert.match(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'), /type: CLI[\s\S]*endpoint: shop[\s\S]*file: cli\.js[\s\S]*name: init/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const ComponentExtractor = require('../src/component-extractor');
+const { createProject } = require('./helpers');
+
+function extract(root, ...files) {
+  const extractor = new ComponentExtractor({ analysis: {} });
+  return files.map(file => extractor.extractFromFile(path.join(root, file)));
+}
+
+test('exports nommés, par défaut et CommonJS, dépendances relatives', () => {
+  const root = createProject({
+    'esm.js': [
+      "import { helper } from './utils/index.js';",
+      "import lodash from 'lodash';",
+      'export const a = 1;',
+      'export function b() {}',
+      'export default class Widget {}',
+      ''
+    ].join('\n'),
+    'cjs.js': "const db = require('./db');\nmodule.exports = { find, save };\n"
+  });
+
+  const [esm, cjs] = extract(root, 'esm.js', 'cjs.js');
+  assert.deepStrictEqual(esm, { name: 'Widget', exports: ['a', 'b', 'Widget'], dependencies: ['utils'] });
+  assert.deepStrictEqual(cjs.exports, ['find', 'save']);
+  assert.deepStrictEqual(cjs.dependencies, ['db']);
+});
+
+test('export * suit les ré-exports transitivement sans l\'export par défaut', () => {
+  const root = createProject({
+    'index.js': "export * from './a';\nexport * as tools from './c';\n",
+    'a.js': "export const a = 1;\nexport * from './b';\n",
+    'b.js': 'export const b = 2;\nexport default () => {};\n',
+    'c.js': 'export const c = 3;\n'
+  });
+
+  const [index] = extract(root, 'index.js');
+  assert.deepStrictEqual(index.exports, ['tools', 'a', 'b']);
+});
+
+test('un cycle de export * donne le même résultat quel que soit l\'ordre d\'analyse', () => {
+  const root = createProject({
+    'a.js': "export const a = 1;\nexport * from './b';\n",
+    'b.js': "export const b = 2;\nexport * from './a';\n"
+  });
+
+  const [a1, b1] = extract(root, 'a.js', 'b.js');
+  const [b2, a2] = extract(root, 'b.js', 'a.js');
+  assert.deepStrictEqual(a1.exports, ['a', 'b']);
+  assert.deepStrictEqual(b1.exports, ['b', 'a']);
+  assert.deepStrictEqual(a2, a1);
+  assert.deepStrictEqual(b2, b1);
+});
+
+test('un fichier illisible ne produit pas de composant', () => {
+  const root = createProject({});
+  assert.deepStrictEqual(extract(root, 'missing.js'), [null]);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const ContractParser = require('../src/contract-parser');
+
+const fixtures = path.join(__dirname, 'fixtures/contracts');
+const parse = file => new ContractParser().parse(path.join(fixtures, file))[0];
+
+test('Swagger 2.0 : résumé au singulier et URL de base host + basePath', () => {
+  const contract = parse('swagger.yaml');
+  assert.strictEqual(contract.description, 'OpenAPI contract (1 operation)');
+  assert.strictEqual(contract.endpoint, 'https://api.example.com/v1');
+  assert.deepStrictEqual(contract.operations.map(operation => `${operation.method} ${operation.path}`), ['GET /users']);
+});
+
+test('OpenAPI 3 : résumé au pluriel et URL du premier serveur avec ses variables', () => {
+  const contract = parse('openapi.yaml');
+  assert.strictEqual(contract.description, 'OpenAPI contract (2 operations)');
+  assert.strictEqual(contract.endpoint, 'https://eu.example.com/v1');
+});
+
+test('Swagger 2.0 sans host : basePath seul, comme une URL de serveur relative', () => {
+  const contract = parse('relative-swagger.json');
+  assert.strictEqual(contract.endpoint, '/orders');
+  assert.strictEqual(contract.description, 'Orders');
+});
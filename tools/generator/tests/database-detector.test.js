@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const ComponentExtractor = require('../src/component-extractor');
+const DatabaseDetector = require('../src/database-detector');
+const { createProject } = require('./helpers');
+
+function detect(files) {
+  const root = createProject(files);
+  const config = { analysis: {} };
+  const detector = new DatabaseDetector(config, new ComponentExtractor(config));
+  return detector.detect(Object.keys(files).map(file => path.join(root, file)), root);
+}
+
+const connections = result => Object.fromEntries(result.databases.map(db => [db.database, db.connection]));
+
+test('aucune variable d\'environnement n\'est supposée sans référence dans le code ni fichier .env', () => {
+  const result = detect({
+    'src/db.js': "const mongoose = require('mongoose');\nmongoose.connect(config.mongo);\n",
+    'src/cache.js': "const Redis = require('ioredis');\nmodule.exports = new Redis();\n"
+  });
+
+  assert.deepStrictEqual(connections(result), { mongodb: undefined, redis: undefined });
+});
+
+test('la connexion vient du code, puis d\'un fichier .env au schéma correspondant', () => {
+  const result = detect({
+    '.env': 'CACHE_ADDR=redis://localhost:6379\n',
+    'src/db.js': "const { Pool } = require('pg');\nmodule.exports = new Pool({ connectionString: process.env.PG_DSN });\n",
+    'src/cache.js': "const Redis = require('ioredis');\nmodule.exports = new Redis();\n"
+  });
+
+  assert.deepStrictEqual(connections(result), { postgresql: 'env:PG_DSN', redis: 'env:CACHE_ADDR' });
+});
+
+test('une URL écrite en dur n\'est pas recopiée : seul son fichier est indiqué', () => {
+  const result = detect({
+    'src/db.js': "const mongoose = require('mongoose');\nmongoose.connect('mongodb://admin:secret@db:27017/shop');\n",
+    'prisma/schema.prisma': 'datasource db {\n  provider = "postgresql"\n  url = "postgresql://user:pw@localhost/app"\n}\n'
+  });
+
+  assert.deepStrictEqual(connections(result), {
+    mongodb: 'redacted (hardcoded in src/db.js)',
+    postgresql: 'redacted (hardcoded in prisma/schema.prisma)'
+  });
+  assert.ok(!JSON.stringify(result).includes('secret'));
+});
+
+test('une variable d\'environnement relevée ailleurs l\'emporte sur une URL écrite en dur', () => {
+  const result = detect({
+    'scripts/seed.js': "const mongoose = require('mongoose');\nmongoose.connect('mongodb://localhost/dev');\n",
+    'src/db.js': "const mongoose = require('mongoose');\nmongoose.connect(process.env.MONGO_URL);\n"
+  });
+
+  assert.deepStrictEqual(connections(result), { mongodb: 'env:MONGO_URL' });
+});
+
+test('schémas Mongoose et migrations Knex, sections down ignorées', () => {
+  const result = detect({
+    'src/models/user.js': [
+      "const mongoose = require('mongoose');",
+      "const schema = new mongoose.Schema({ email: { type: String, unique: true }, name: String });",
+      "module.exports = mongoose.model('User', schema);",
+      ''
+    ].join('\n'),
+    'migrations/001_orders.js': [
+      'exports.up = knex => knex.schema.createTable(\'orders\', table => {',
+      '  table.increments(\'id\');',
+      '  table.string(\'status\');',
+      '});',
+      'exports.down = knex => knex.schema.createTable(\'legacy\', table => { table.string(\'x\'); });',
+      ''
+    ].join('\n')
+  });
+
+  assert.deepStrictEqual(result.schemas.map(schema => `${schema.kind} ${schema.name} ${schema.fields.join(',')}`), [
+    'collection users email,name',
+    'table orders id,status'
+  ]);
+});
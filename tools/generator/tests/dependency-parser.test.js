@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const DependencyParser = require('../src/dependency-parser');
+const FileSystemScanner = require('../src/scanner');
+const LMAYGenerator = require('../src/generator');
+const { createProject, loadConfig } = require('./helpers');
+
+const names = list => list.map(dep => dep.name);
+
+function parse(files, file) {
+  const root = createProject(files);
+  return new DependencyParser().parse(path.join(root, file));
+}
+
+test('requirements : seul un mot entier du nom ou du répertoire classe en développement', () => {
+  const requirements = 'requests>=2.0  # http\n-r base.txt\n';
+  const scopeOf = file => {
+    const parsed = parse({ [file]: requirements }, file);
+    return parsed.dev.length > 0 ? 'dev' : 'runtime';
+  };
+
+  assert.strictEqual(scopeOf('requirements-dev.txt'), 'dev');
+  assert.strictEqual(scopeOf('requirements/test.txt'), 'dev');
+  assert.strictEqual(scopeOf('dev/requirements.txt'), 'dev');
+  assert.strictEqual(scopeOf('requirements-latest.txt'), 'runtime');
+  assert.strictEqual(scopeOf('devices/requirements.txt'), 'runtime');
+  assert.strictEqual(scopeOf('requirements/base.txt'), 'runtime');
+});
+
+test('pyproject.toml : PEP 621, groupes de développement et Poetry', () => {
+  const parsed = parse({
+    'pyproject.toml': [
+      '[project]',
+      'dependencies = ["fastapi>=0.100", "pydantic[email]"]',
+      '[project.optional-dependencies]',
+      'test = ["pytest"]',
+      'postgres = ["psycopg"]',
+      '[tool.poetry.dependencies]',
+      'python = "^3.11"',
+      'httpx = "^0.27"',
+      '[tool.poetry.group.lint.dependencies]',
+      'ruff = "*"',
+      ''
+    ].join('\n')
+  }, 'pyproject.toml');
+
+  assert.deepStrictEqual(names(parsed.runtime), ['fastapi', 'pydantic', 'httpx']);
+  assert.deepStrictEqual(names(parsed.dev), ['pytest', 'ruff']);
+});
+
+test('Cargo.toml, go.mod, pom.xml et Gemfile', () => {
+  const cargo = parse({
+    'Cargo.toml': '[dependencies]\nserde = { version = "1" }\n[dev-dependencies]\ntokio-test = "0.4"\n'
+  }, 'Cargo.toml');
+  assert.deepStrictEqual(cargo, {
+    runtime: [{ name: 'serde', version: '1', type: 'cargo' }],
+    dev: [{ name: 'tokio-test', version: '0.4', type: 'cargo' }]
+  });
+
+  const goMod = parse({
+    'go.mod': 'module example.com/app\n\nrequire (\n\tgithub.com/gin-gonic/gin v1.9.1\n\tgolang.org/x/sys v0.1.0 // indirect\n)\n'
+  }, 'go.mod');
+  assert.deepStrictEqual(names(goMod.runtime), ['github.com/gin-gonic/gin']);
+
+  const pom = parse({
+    'pom.xml': [
+      '<project><properties><junit.version>5.10</junit.version></properties><dependencies>',
+      '<dependency><groupId>org.slf4j</groupId><artifactId>slf4j-api</artifactId><version>2.0</version></dependency>',
+      '<dependency><groupId>org.junit</groupId><artifactId>junit</artifactId><version>${junit.version}</version><scope>test</scope></dependency>',
+      '</dependencies></project>'
+    ].join('\n')
+  }, 'pom.xml');
+  assert.deepStrictEqual(names(pom.runtime), ['org.slf4j:slf4j-api']);
+  assert.strictEqual(pom.dev[0].version, '5.10');
+
+  const gemfile = parse({
+    'Gemfile': "gem 'rails', '~> 7.1'\ngroup :development, :test do\n  gem 'rspec'\nend\n"
+  }, 'Gemfile');
+  assert.deepStrictEqual(names(gemfile.runtime), ['rails']);
+  assert.deepStrictEqual(names(gemfile.dev), ['rspec']);
+});
+
+test('les fichiers de requirements/ sont collectés par le scanner', async () => {
+  const root = createProject({
+    'requirements/base.txt': 'django>=5\n',
+    'requirements/dev.txt': 'pytest\n'
+  });
+  const config = loadConfig();
+  const scanner = new FileSystemScanner(config);
+  const analysis = scanner.analyzeStructure(await scanner.scanDirectory(root));
+  const dependencies = new LMAYGenerator(config).extractDependencies(analysis.configFiles, null);
+
+  assert.deepStrictEqual(names(dependencies.runtime), ['django']);
+  assert.deepStrictEqual(names(dependencies.dev), ['pytest']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createProject, generateProject } = require('./helpers');
+
+const files = {
+  'package.json': { name: 'shop', description: 'Online shop for books' },
+  'src/README.md': '# Src\n\nCheckout and catalog services.\n',
+  'src/cart.js': 'module.exports = {};\n'
+};
+
+test('les descriptions extraites et leur source sont listées dans metadata.description_sources', async () => {
+  const root = createProject(files);
+  const { rootFile } = await generateProject(root);
+  const content = yaml.load(fs.readFileSync(rootFile, 'utf8'));
+
+  assert.strictEqual(content.project.description, 'Online shop for books');
+  assert.strictEqual(content.structure.src.description, 'Checkout and catalog services.');
+  assert.deepStrictEqual(content.metadata.description_sources, [
+    { path: '/project/description', source: 'package.json' },
+    { path: '/structure/src/description', source: 'src/README.md' }
+  ]);
+});
+
+test('une description rédigée à la main perd sa source à la fusion', async () => {
+  const root = createProject(files);
+  const { rootFile } = await generateProject(root);
+  const written = yaml.load(fs.readFileSync(rootFile, 'utf8'));
+  written.project.description = 'Bookshop written by the team';
+  fs.writeFileSync(rootFile, yaml.dump(written));
+
+  await generateProject(root, { merge: true });
+  const merged = yaml.load(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'));
+
+  assert.strictEqual(merged.project.description, 'Bookshop written by the team');
+  assert.deepStrictEqual(merged.metadata.user_owned, ['/project/description']);
+  assert.deepStrictEqual(merged.metadata.description_sources, [
+    { path: '/structure/src/description', source: 'src/README.md' }
+  ]);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const EntryPointDetector = require('../src/entry-point-detector');
+const { createProject } = require('./helpers');
+
+function detect(files) {
+  const root = createProject(files);
+  return new EntryPointDetector().detect(root, Object.keys(files).map(file => path.join(root, file)))
+    .map(entry => [path.relative(root, entry.file).split(path.sep).join('/'), entry.type, entry.declaredIn, entry.name]);
+}
+
+test('Procfile : processus web, worker et release vers leurs modules Python', () => {
+  assert.deepStrictEqual(detect({
+    'Procfile': [
+      'web: gunicorn shop.wsgi:application --workers 3',
+      'worker: celery -A shop.tasks worker',
+      'release: python manage.py migrate',
+      ''
+    ].join('\n'),
+    'manage.py': 'import sys\n',
+    'shop/wsgi.py': 'application = None\n',
+    'shop/tasks.py': 'app = None\n'
+  }), [
+    ['shop/wsgi.py', 'server', 'Procfile#web', 'web'],
+    ['shop/tasks.py', 'worker', 'Procfile#worker', 'worker'],
+    ['manage.py', 'cli', 'Procfile#release', 'release']
+  ]);
+});
+
+test('Dockerfile : le fichier lancé par CMD plutôt que le script d\'amorçage, source de la sortie compilée', () => {
+  assert.deepStrictEqual(detect({
+    'Dockerfile': [
+      'FROM node:20',
+      'ENTRYPOINT ["./docker-entrypoint.sh"]',
+      'CMD ["node", "dist/server.js"]',
+      ''
+    ].join('\n'),
+    'docker-entrypoint.sh': '#!/bin/sh\nexec "$@"\n',
+    'src/server.ts': "import http from 'http';\nhttp.createServer().listen(3000);\n"
+  }), [
+    ['src/server.ts', 'server', 'Dockerfile#CMD', undefined]
+  ]);
+});
+
+test('package.json : bin, scripts.start via npm, main et exports', () => {
+  assert.deepStrictEqual(detect({
+    'package.json': {
+      name: 'shop',
+      main: 'lib/index.js',
+      exports: { '.': { import: './lib/index.mjs' } },
+      bin: { shop: 'bin/shop.js' },
+      scripts: { start: 'npm run serve', serve: 'NODE_ENV=production node app.js' }
+    },
+    'bin/shop.js': "#!/usr/bin/env node\nrequire('../lib');\n",
+    'app.js': "require('express')().listen(3000);\n",
+    'lib/index.js': 'module.exports = {};\n',
+    'lib/index.mjs': 'export default {};\n'
+  }), [
+    ['bin/shop.js', 'cli', 'package.json#/bin/shop', 'shop'],
+    ['app.js', 'server', 'package.json#/scripts/start', undefined],
+    ['lib/index.js', 'index', 'package.json#/main', undefined],
+    ['lib/index.mjs', 'index', 'package.json#/exports', undefined]
+  ]);
+});
+
+test('serverless.yml, scripts pyproject, binaires Cargo et paquets Go main', () => {
+  assert.deepStrictEqual(detect({
+    'serverless.yml': 'functions:\n  createUser:\n    handler: src/handlers/users.create\n',
+    'src/handlers/users.js': 'exports.create = async () => {};\n',
+    'pyproject.toml': '[project]\nname = "tool"\n\n[project.scripts]\ntool = "tool.cli:main"\n',
+    'tool/cli.py': 'import argparse\n',
+    'tool/__init__.py': '',
+    'Cargo.toml': '[package]\nname = "engine"\n',
+    'src/main.rs': 'fn main() {}\n',
+    'src/bin/migrate.rs': 'fn main() {}\n',
+    'cmd/api/main.go': 'package main\n\nfunc main() {\n}\n',
+    'internal/store/store.go': 'package store\n'
+  }), [
+    ['src/handlers/users.js', 'lambda', 'serverless.yml#/functions/createUser/handler', 'createUser'],
+    ['tool/cli.py', 'cli', 'pyproject.toml#/project/scripts/tool', 'tool'],
+    ['src/main.rs', 'main', 'Cargo.toml', 'engine'],
+    ['src/bin/migrate.rs', 'entry', 'Cargo.toml', 'migrate'],
+    ['cmd/api/main.go', 'main', 'cmd/api/main.go', 'api']
+  ]);
+});
+
+test('noms conventionnels faute de point d\'entrée déclaré', () => {
+  assert.deepStrictEqual(detect({
+    'index.js': 'module.exports = {};\n',
+    'worker.js': "new Worker('./job.js');\n",
+    'server.py': 'app.run()\n'
+  }), [
+    ['index.js', 'index', undefined, undefined],
+    ['server.py', 'server', undefined, undefined]
+  ]);
+});
@@ -0,0 +1,7 @@
+const express = require('express');
+
+const app = express();
+
+require('./routes')(app);
+
+app.listen(3000);
@@ -0,0 +1,9 @@
+const Memcached = require('memcached');
+
+const server = new Memcached('localhost:11211');
+
+function lookup(key) {
+  return server.get('/cache', key);
+}
+
+module.exports = { lookup };
@@ -0,0 +1,9 @@
+const axios = require('axios');
+
+const api = axios.create({ baseURL: 'https://example.com' });
+
+function saveUser(user) {
+  return api.post('/users', user);
+}
+
+module.exports = { saveUser };
@@ -0,0 +1,3 @@
+module.exports = function registerRoutes(app) {
+  app.get('/sum', (req, res) => res.json({ sum: 0 }));
+};
@@ -0,0 +1,5 @@
+async function health(scope) {
+  scope.get('/health', async () => ({ status: 'ok' }));
+}
+
+module.exports = health;
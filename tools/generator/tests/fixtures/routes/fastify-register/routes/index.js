@@ -0,0 +1,6 @@
+const fp = require('fastify-plugin');
+
+module.exports = fp(async function usersRoutes(f, opts) {
+  f.get('/users', async () => []);
+  f.route({ method: 'POST', url: '/users', handler: async () => ({}) });
+});
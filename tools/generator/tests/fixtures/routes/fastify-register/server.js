@@ -0,0 +1,6 @@
+const fastify = require('fastify')({ logger: true });
+
+fastify.register(require('./routes'), { prefix: '/v1' });
+fastify.register(require('./routes/health'));
+
+fastify.listen({ port: 3000 });
@@ -0,0 +1,13 @@
+const Koa = require('koa');
+const Router = require('@koa/router');
+
+const app = new Koa();
+const router = new Router({ prefix: '/k' });
+const admin = new Router();
+admin.prefix('/admin');
+
+router.get('/a', ctx => { ctx.body = 'a'; });
+admin.get('/stats', ctx => { ctx.body = {}; });
+router.use('/nested', admin.routes());
+
+app.use(router.routes());
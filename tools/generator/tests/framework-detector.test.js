@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const FrameworkDetector = require('../src/framework-detector');
+const { createProject } = require('./helpers');
+
+function detect(files, analysis = {}, logger) {
+  const root = createProject(files);
+  const detector = new FrameworkDetector({ analysis, logger });
+  return detector.detect(root, Object.keys(files).map(file => path.join(root, file)));
+}
+
+test('manifeste et imports : confiance combinée, version et indices', () => {
+  const [express, ...others] = detect({
+    'package.json': { name: 'api', dependencies: { express: '^4.18.0' } },
+    'src/app.js': "const express = require('express');\n"
+  });
+
+  assert.strictEqual(others.length, 0);
+  assert.strictEqual(express.name, 'express');
+  assert.strictEqual(express.language, 'javascript');
+  assert.strictEqual(express.version, '^4.18.0');
+  assert.strictEqual(express.confidence, 0.77);
+  assert.deepStrictEqual(express.evidence, [
+    'dependency express@^4.18.0 (package.json)',
+    'import express (src/app.js)'
+  ]);
+});
+
+test('un fichier de configuration partagé ne suffit pas, une annotation caractéristique si', () => {
+  assert.deepStrictEqual(detect({ 'src/main/resources/application.yml': 'server:\n  port: 8080\n' }), []);
+
+  const [spring] = detect({
+    'src/main/resources/application.yml': 'server:\n  port: 8080\n',
+    'src/main/java/App.java': '@SpringBootApplication\npublic class App {}\n'
+  });
+  assert.strictEqual(spring.name, 'spring');
+  assert.deepStrictEqual(spring.evidence, [
+    'file src/main/resources/application.yml',
+    '@SpringBootApplication (src/main/java/App.java)'
+  ]);
+});
+
+test('résultats triés par confiance décroissante puis par nom', () => {
+  const names = detect({
+    'requirements.txt': 'flask==3.0\n',
+    'manage.py': 'import django\n',
+    'shop/settings.py': "INSTALLED_APPS = ['shop']\n"
+  }).map(framework => `${framework.name} ${framework.confidence}`);
+
+  assert.deepStrictEqual(names, ['django 0.78', 'flask 0.7']);
+});
+
+test('détecteurs ajoutés par configuration : objet, module, remplacement d\'un intégré', () => {
+  const warnings = [];
+  const logger = { warn: (...args) => warnings.push(args.join(' ')) };
+  const root = createProject({
+    'detectors/hapi.js': "module.exports = { name: 'hapi', language: 'javascript', dependencies: { npm: ['@hapi/hapi'] } };\n"
+  });
+
+  const frameworks = detect({
+    'package.json': { name: 'site', dependencies: { '@hapi/hapi': '^21.0.0', react: '^18.0.0' } },
+    'site.config.json': '{}'
+  }, {
+    frameworkDetectors: [
+      path.join(root, 'detectors/hapi.js'),
+      {
+        name: 'sitegen',
+        language: 'javascript',
+        detect: context => context.files.includes('site.config.json') ? [{ detail: 'file site.config.json', weight: 0.9 }] : []
+      },
+      // Remplace le détecteur react intégré : seul un fichier .jsx le signale désormais
+      { name: 'react', files: ['*.jsx'] },
+      { language: 'javascript' },
+      path.join(root, 'detectors/missing.js')
+    ]
+  }, logger);
+
+  assert.deepStrictEqual(frameworks.map(framework => `${framework.name} ${framework.confidence}`), [
+    'sitegen 0.9',
+    'hapi 0.7'
+  ]);
+  assert.strictEqual(warnings.length, 2);
+  assert.match(warnings[0], /propriété "name" manquante/);
+  assert.match(warnings[1], /introuvable: .*missing\.js/);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const LMAYGenerator = require('../src/generator');
+const { createProject, loadConfig } = require('./helpers');
+
+const manifest = content => path.join(createProject({ 'package.json': content }), 'package.json');
+
+test('extractDependencies omet les listes vides', () => {
+  const generator = new LMAYGenerator(loadConfig());
+  const dependencies = generator.extractDependencies([manifest({ dependencies: { express: '^4.0.0' } })], null);
+
+  assert.deepStrictEqual(Object.keys(dependencies), ['runtime']);
+  assert.strictEqual(dependencies.runtime[0].name, 'express');
+});
+
+test('extractDependencies conserve les arêtes internes et retourne undefined sans dépendance', () => {
+  const generator = new LMAYGenerator(loadConfig());
+  const edge = { path: 'lib', weight: 2 };
+
+  assert.deepStrictEqual(generator.extractDependencies([manifest({})], null, [edge]), { internal: [edge] });
+  assert.strictEqual(generator.extractDependencies([manifest({})], null), undefined);
+});
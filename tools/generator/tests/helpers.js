@@ -0,0 +1,49 @@
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const created = [];
+test.after(() => created.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Crée un projet temporaire (supprimé en fin de tests) à partir de { chemin relatif: contenu }
+ */
+function createProject(files = {}) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'lmay-test-')));
+  created.push(dir);
+
+  for (const [relative, content] of Object.entries(files)) {
+    const filePath = path.join(dir, relative);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+
+  return dir;
+}
+
+/**
+ * Configuration par défaut du générateur (copie modifiable)
+ */
+function loadConfig(overrides = {}) {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../config/default.json'), 'utf8'));
+  for (const [section, values] of Object.entries(overrides)) {
+    config[section] = { ...config[section], ...values };
+  }
+  return config;
+}
+
+/**
+ * Analyse un projet puis génère ses fichiers LMAY (options du générateur : merge, check...)
+ */
+async function generateProject(root, options = {}, config = loadConfig()) {
+  const FileSystemScanner = require('../src/scanner');
+  const LMAYGenerator = require('../src/generator');
+
+  const scanner = new FileSystemScanner(config);
+  const structure = await scanner.scanDirectory(root);
+  const generator = new LMAYGenerator(config);
+  return generator.generate(root, structure, scanner.analyzeStructure(structure), options);
+}
+
+module.exports = { createProject, loadConfig, generateProject };
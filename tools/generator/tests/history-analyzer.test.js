@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const HistoryAnalyzer = require('../src/history-analyzer');
+const { createProject, generateProject } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Commit daté (il y a `daysAgo` jours) des fichiers donnés, au nom de `author`
+ */
+function commit(root, files, daysAgo, author) {
+  for (const [relative, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, relative)), { recursive: true });
+    fs.writeFileSync(path.join(root, relative), content);
+  }
+
+  const date = new Date(Date.now() - daysAgo * DAY).toISOString();
+  execFileSync('git', ['add', '-A'], { cwd: root });
+  execFileSync('git', ['-c', 'commit.gpgsign=false', 'commit', '-q', '-m', `${daysAgo} days ago`], {
+    cwd: root,
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: author,
+      GIT_AUTHOR_EMAIL: `${author}@example.com`,
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_NAME: author,
+      GIT_COMMITTER_EMAIL: `${author}@example.com`,
+      GIT_COMMITTER_DATE: date
+    }
+  });
+}
+
+test('historique git : commits, auteurs, lignes modifiées et dernière modification par fichier', () => {
+  const root = createProject();
+  execFileSync('git', ['init', '-q'], { cwd: root });
+  commit(root, { 'src/core.js': 'a\nb\n', 'README.md': '# Shop\n' }, 400, 'alice');
+  commit(root, { 'src/core.js': 'a\nc\n' }, 200, 'alice');
+  commit(root, { 'src/core.js': 'a\nc\nd\n', 'src/api.js': 'x\n' }, 10, 'bob');
+  fs.writeFileSync(path.join(root, 'untracked.js'), 'y\n');
+
+  const analyzer = new HistoryAnalyzer({ analysis: { historyDays: 365 } });
+  const history = analyzer.analyze(root);
+
+  // Le commit d'il y a 400 jours sort de la période analysée
+  assert.deepStrictEqual(analyzer.statsFor(history, path.join(root, 'src/core.js')), {
+    commits: 2, authors: 2, churn: 3, lastChange: history.files.get(path.join(root, 'src/core.js')).lastChange
+  });
+  assert.deepStrictEqual(analyzer.statsFor(history, path.join(root, 'README.md')), {
+    commits: 0, authors: 0, churn: 0, lastChange: 0
+  });
+
+  const src = analyzer.statsFor(history, path.join(root, 'src'));
+  assert.deepStrictEqual([src.commits, src.authors, src.churn], [2, 2, 4]);
+  assert.ok(Math.abs(Date.now() - 10 * DAY - src.lastChange) < DAY);
+
+  assert.strictEqual(analyzer.statsFor(history, path.join(root, 'untracked.js')), null);
+  assert.strictEqual(analyzer.analyze(createProject({ 'index.js': '' })), null);
+});
+
+test('stabilité selon le rythme de modification, l\'ancienneté et le nombre d\'auteurs', () => {
+  const analyzer = new HistoryAnalyzer({ analysis: { historyDays: 360 } });
+  const daysAgo = days => Date.now() - days * DAY;
+
+  // 48 commits sur 12 mois : 4 par mois
+  assert.strictEqual(analyzer.classify({ commits: 48, authors: 1, lastChange: daysAgo(1) }), 'volatile');
+  // 24 commits par 4 auteurs : volatil plus tôt
+  assert.strictEqual(analyzer.classify({ commits: 24, authors: 4, lastChange: daysAgo(1) }), 'volatile');
+  assert.strictEqual(analyzer.classify({ commits: 24, authors: 3, lastChange: daysAgo(1) }), 'evolving');
+  assert.strictEqual(analyzer.classify({ commits: 11, authors: 1, lastChange: daysAgo(90) }), 'stable');
+  assert.strictEqual(analyzer.classify({ commits: 11, authors: 1, lastChange: daysAgo(30) }), 'evolving');
+  assert.strictEqual(analyzer.classify({ commits: 0, authors: 0, lastChange: 0 }), 'stable');
+});
+
+test('criticité selon le nombre d\'importeurs et justification', () => {
+  const analyzer = new HistoryAnalyzer({ analysis: { historyDays: 365, criticalFanIn: 3 } });
+
+  assert.strictEqual(analyzer.assess(null, 2), null);
+  assert.deepStrictEqual(analyzer.assess(null, 3, 'outside this directory'), {
+    critical: true,
+    rationale: 'imported by 3 files outside this directory, changes affect all of them'
+  });
+  assert.deepStrictEqual(analyzer.assess({ commits: 0, authors: 0, churn: 0, lastChange: 0 }, 0), {
+    stability: 'stable',
+    stable: true,
+    rationale: 'no commits in the last 365 days'
+  });
+  assert.deepStrictEqual(analyzer.assess({ commits: 1, authors: 1, churn: 12, lastChange: Date.now() }, 5), {
+    critical: true,
+    stability: 'evolving',
+    stable: false,
+    rationale: 'imported by 5 files, changes affect all of them; ' +
+      '1 commit by 1 author in the last 365 days (12 lines changed), last changed today'
+  });
+});
+
+test('stabilité proposée dans la structure du fichier racine, absente en mode déterministe', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const root = createProject();
+  execFileSync('git', ['init', '-q'], { cwd: root });
+  commit(root, { 'package.json': '{ "name": "shop" }\n', 'lib/util.js': 'module.exports = {};\n' }, 200, 'alice');
+  commit(root, { 'src/app.js': "require('../lib/util');\n" }, 5, 'bob');
+
+  await generateProject(root);
+  const { structure } = yaml.load(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'));
+  assert.deepStrictEqual([structure.lib.stability, structure.lib.stable], ['stable', true]);
+  assert.strictEqual(structure.lib.rationale, '1 commit by 1 author in the last 365 days (1 line changed), last changed 200 days ago');
+  assert.strictEqual(structure.src.stability, 'evolving');
+
+  await generateProject(root, { deterministic: true });
+  const deterministic = yaml.load(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'));
+  assert.strictEqual(deterministic.structure.lib.stability, undefined);
+});
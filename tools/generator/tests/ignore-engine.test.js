@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const IgnoreEngine = require('../src/ignore-engine');
+const { createProject, loadConfig } = require('./helpers');
+
+const relativeFiles = (root, engine, options) =>
+  engine.listFiles(options).map(file => path.relative(root, file).split(path.sep).join('/'));
+
+test('forProject sans configuration applique les exclusions par défaut du générateur', () => {
+  const root = createProject({
+    'src/index.js': '',
+    'tmp/scratch.js': '',
+    'temp/old.js': '',
+    '.cache/entry.js': '',
+    'build/out.js': ''
+  });
+
+  assert.deepStrictEqual(relativeFiles(root, IgnoreEngine.forProject(root)), ['src/index.js']);
+});
+
+test('une configuration fournie remplace les exclusions par défaut du générateur', () => {
+  const root = createProject({ 'src/index.js': '', 'tmp/scratch.js': '', 'vendor/lib.js': '' });
+  const config = loadConfig();
+  config.sources.local.excludePatterns = ['vendor'];
+
+  assert.deepStrictEqual(relativeFiles(root, IgnoreEngine.forProject(root, config)), ['src/index.js', 'tmp/scratch.js']);
+});
+
+test('lmay.config.json, .gitignore et .lmayignore imbriqués complètent la configuration', () => {
+  const root = createProject({
+    'lmay.config.json': { sources: { local: { excludePatterns: ['generated'] } } },
+    '.gitignore': '*.log\n',
+    'src/.lmayignore': 'fixtures/\n!keep.log\n',
+    'src/app.js': '',
+    'src/keep.log': '',
+    'src/fixtures/data.js': '',
+    'debug.log': '',
+    'generated/api.js': ''
+  });
+
+  const files = relativeFiles(root, IgnoreEngine.forProject(root), { extensions: ['.js', '.log'] });
+  assert.deepStrictEqual(files, ['src/app.js', 'src/keep.log']);
+});
+
+test('isIgnored exclut le contenu des répertoires exclus et les fichiers cachés', () => {
+  const root = createProject({ 'src/index.js': '' });
+  const engine = IgnoreEngine.forProject(root);
+
+  assert.strictEqual(engine.isIgnored('coverage/lcov/index.html'), true);
+  assert.strictEqual(engine.isIgnored(path.join(root, '.env')), true);
+  assert.strictEqual(engine.isIgnored('src/index.js'), false);
+  assert.strictEqual(engine.isIgnored(path.join(root, '..', 'outside.js')), false);
+});
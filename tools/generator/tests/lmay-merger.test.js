@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const LMAYMerger = require('../src/lmay-merger');
+const { createProject, generateProject } = require('./helpers');
+
+// Reconnaissance des textes générés, comme celle fournie par le générateur
+const isGenerated = text => /^(Project with|Directory containing) \d+ files$/.test(text);
+
+const generated = () => ({
+  lmay_version: '1.0',
+  project: { name: 'shop', description: 'Project with 12 files', languages: ['javascript'] },
+  structure: {
+    'src/': { description: 'Directory containing 4 files', languages: ['javascript'] },
+    'lib/': { description: 'Directory containing 2 files' }
+  },
+  metadata: { generated_at: '2026-01-01T00:00:00.000Z' }
+});
+
+test('les faits détectés sont mis à jour et les textes générés régénérés', () => {
+  const fresh = generated();
+  fresh.project.languages = ['javascript', 'typescript'];
+  fresh.project.description = 'Project with 15 files';
+
+  const { content, conflicts } = new LMAYMerger().merge(generated(), fresh);
+
+  assert.deepStrictEqual(content.project.languages, ['javascript', 'typescript']);
+  assert.strictEqual(content.project.description, 'Project with 15 files');
+  assert.strictEqual(content.metadata.user_owned, undefined);
+  assert.deepStrictEqual(conflicts, []);
+});
+
+test('une description rédigée à la main est conservée et revendiquée', () => {
+  const existing = generated();
+  existing.structure['src/'].description = 'Checkout and payment flows';
+
+  const { content } = new LMAYMerger().merge(existing, generated());
+
+  assert.strictEqual(content.structure['src/'].description, 'Checkout and payment flows');
+  assert.deepStrictEqual(content.metadata.user_owned, ['/structure/src~1/description']);
+});
+
+// Fichier tel qu'écrit par le générateur, avec les empreintes de ses valeurs
+const written = content => new LMAYMerger().fingerprint(content);
+
+test('les sections personnalisées sont conservées, les éléments disparus supprimés', () => {
+  const existing = { ...written(generated()), team: { owner: 'payments' } };
+  const fresh = generated();
+  delete fresh.structure['lib/'];
+
+  const { content, conflicts } = new LMAYMerger({ isGenerated }).merge(existing, fresh);
+
+  assert.deepStrictEqual(content.team, { owner: 'payments' });
+  assert.deepStrictEqual(Object.keys(content.structure), ['src/']);
+  assert.deepStrictEqual(content.metadata.user_owned, ['/team']);
+  assert.deepStrictEqual(conflicts, []);
+});
+
+test('un fait généré modifié à la main est conservé, revendiqué et signalé', () => {
+  const existing = written({ ...generated(), architecture: { pattern: 'Unstructured', confidence: 0.4 } });
+  existing.architecture.pattern = 'hexagonal';
+  const fresh = { ...generated(), architecture: { pattern: 'Unstructured', confidence: 0.5 } };
+
+  const { content, conflicts } = new LMAYMerger().merge(existing, fresh);
+
+  assert.deepStrictEqual(content.architecture, { pattern: 'hexagonal', confidence: 0.5 });
+  assert.deepStrictEqual(content.metadata.user_owned, ['/architecture/pattern']);
+  assert.deepStrictEqual(conflicts, [
+    { path: '/architecture/pattern', reason: 'changed', user: 'hexagonal', detected: 'Unstructured' }
+  ]);
+});
+
+test('sans empreintes, une clé qui n\'est plus générée est conservée avec un conflit', () => {
+  const existing = { ...generated(), team: { owner: 'payments' } };
+
+  const { content, conflicts } = new LMAYMerger().merge(existing, generated());
+
+  assert.deepStrictEqual(content.team, { owner: 'payments' });
+  assert.deepStrictEqual(conflicts.map(conflict => [conflict.path, conflict.reason]), [['/team', 'removed']]);
+});
+
+test('un élément disparu portant du contenu utilisateur est conservé avec un conflit', () => {
+  const existing = generated();
+  existing.structure['lib/'].description = 'Shared pricing helpers';
+  const fresh = generated();
+  delete fresh.structure['lib/'];
+
+  const { content, conflicts } = new LMAYMerger({ isGenerated }).merge(existing, fresh);
+
+  assert.strictEqual(content.structure['lib/'].description, 'Shared pricing helpers');
+  assert.deepStrictEqual(conflicts.map(conflict => [conflict.path, conflict.reason]), [['/structure/lib~1', 'removed']]);
+});
+
+test('un champ listé dans user_owned n\'est jamais remplacé et signale le changement détecté', () => {
+  const existing = generated();
+  existing.project.languages = ['javascript'];
+  existing.metadata.user_owned = ['/project/languages'];
+  const fresh = generated();
+  fresh.project.languages = ['python'];
+
+  const { content, conflicts } = new LMAYMerger().merge(existing, fresh);
+
+  assert.deepStrictEqual(content.project.languages, ['javascript']);
+  assert.deepStrictEqual(content.metadata.user_owned, ['/project/languages']);
+  assert.deepStrictEqual(conflicts, [
+    { path: '/project/languages', reason: 'changed', user: ['javascript'], detected: ['python'] }
+  ]);
+});
+
+test('les listes identifiées sont fusionnées élément par élément', () => {
+  const existing = {
+    api_endpoints: [
+      { method: 'GET', path: '/users', description: 'Lists active users only' },
+      { method: 'GET', path: '/legacy' }
+    ]
+  };
+  const fresh = {
+    api_endpoints: [
+      { method: 'GET', path: '/users', handler: 'listUsers' },
+      { method: 'POST', path: '/users', handler: 'createUser' }
+    ]
+  };
+
+  const { content } = new LMAYMerger().merge(existing, fresh);
+
+  assert.deepStrictEqual(content.api_endpoints, [
+    { method: 'GET', path: '/users', handler: 'listUsers', description: 'Lists active users only' },
+    { method: 'POST', path: '/users', handler: 'createUser' }
+  ]);
+  assert.deepStrictEqual(content.metadata.user_owned, ['/api_endpoints/GET ~1users/description']);
+});
+
+test('generate --merge conserve les modifications manuelles de root.lmay', async () => {
+  const root = createProject({
+    'package.json': { name: 'shop', dependencies: { express: '^4.18.0' } },
+    'src/index.js': "const express = require('express');\nmodule.exports = express();\n"
+  });
+  const { rootFile } = await generateProject(root);
+
+  const edited = yaml.load(fs.readFileSync(rootFile, 'utf8'));
+  edited.project.description = 'Online shop backend';
+  edited.runbook = { oncall: 'payments' };
+  fs.writeFileSync(rootFile, yaml.dump(edited));
+  fs.writeFileSync(path.join(root, 'src/cart.js'), 'module.exports = {};\n');
+
+  const result = await generateProject(root, { merge: true });
+  const merged = yaml.load(fs.readFileSync(rootFile, 'utf8'));
+
+  assert.strictEqual(merged.project.description, 'Online shop backend');
+  assert.deepStrictEqual(merged.runbook, { oncall: 'payments' });
+  assert.deepStrictEqual(merged.metadata.user_owned, ['/project/description', '/runbook']);
+  assert.strictEqual(merged.metadata.total_files, edited.metadata.total_files + 1);
+  assert.deepStrictEqual(result.conflicts, []);
+});
+
+test('generate --merge signale un fait généré modifié à la main au lieu de le remplacer', async () => {
+  const root = createProject({ 'src/index.js': 'module.exports = {};\n' });
+  const { rootFile } = await generateProject(root);
+
+  const edited = yaml.load(fs.readFileSync(rootFile, 'utf8'));
+  const detected = edited.architecture.pattern;
+  edited.architecture.pattern = 'hexagonal';
+  fs.writeFileSync(rootFile, yaml.dump(edited));
+
+  const result = await generateProject(root, { merge: true });
+  const merged = yaml.load(fs.readFileSync(rootFile, 'utf8'));
+
+  assert.strictEqual(merged.architecture.pattern, 'hexagonal');
+  assert.deepStrictEqual(merged.metadata.user_owned, ['/architecture/pattern']);
+  assert.deepStrictEqual(result.conflicts.map(conflict => [conflict.path, conflict.user, conflict.detected]),
+    [['/architecture/pattern', 'hexagonal', detected]]);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const ComponentExtractor = require('../src/component-extractor');
+const ImportGraph = require('../src/import-graph');
+const MetricsCalculator = require('../src/metrics-calculator');
+const TestMapper = require('../src/test-mapper');
+const { createProject, generateProject } = require('./helpers');
+
+function createCalculator() {
+  const config = { analysis: {} };
+  const parser = new ComponentExtractor(config);
+  return new MetricsCalculator(config, parser, new TestMapper(config, new ImportGraph(config, parser)));
+}
+
+/**
+ * Arborescence minimale du scanner pour un répertoire et ses fichiers
+ */
+function directoryNode(root, files) {
+  return {
+    type: 'directory',
+    path: root,
+    children: Object.keys(files).map(file => ({ type: 'file', path: path.join(root, file) }))
+  };
+}
+
+test('lignes de code sans commentaires ni lignes vides, fichiers source/test/configuration', () => {
+  const files = {
+    'src/cart.js': [
+      '// Panier',
+      '/* bloc',
+      '   de commentaire */',
+      'const items = [];',
+      '',
+      'module.exports = items; // export',
+      ''
+    ].join('\n'),
+    'src/tax.py': '# Taxes\nRATE = 0.2\n\n\ndef apply(x):\n    return x * RATE\n',
+    'src/cart.test.js': "require('./cart');\ntest.todo('cart');\n",
+    'jest.config.js': 'module.exports = {};\n',
+    'package.json': { name: 'shop' },
+    'README.md': '# Shop\n'
+  };
+  const root = createProject(files);
+
+  const metrics = createCalculator().measureDirectory(directoryNode(root, files), root);
+  assert.strictEqual(metrics.lines_of_code, 7);
+  assert.strictEqual(metrics.source_files, 2);
+  assert.strictEqual(metrics.test_files, 1);
+  assert.strictEqual(metrics.config_files, 2);
+  assert.deepStrictEqual(metrics.largest_files.map(entry => [path.relative(root, entry.file), entry.lines]), [
+    [path.join('src', 'tax.py'), 3],
+    [path.join('src', 'cart.js'), 2],
+    [path.join('src', 'cart.test.js'), 2]
+  ]);
+});
+
+test('complexité cyclomatique par fonction JavaScript et Python', () => {
+  const calculator = createCalculator();
+
+  assert.deepStrictEqual(calculator.measureComplexity('a.js', [
+    'function price(item) {',
+    '  if (item.discount && item.member) return 0;',
+    '  for (const tax of item.taxes) {',
+    '    switch (tax.kind) { case "vat": break; case "eco": break; default: break; }',
+    '  }',
+    '  return item.price ?? 0;',
+    '}',
+    'const noop = () => {};',
+    'if (process.env.DEBUG) price({});',
+    ''
+  ].join('\n')), [7, 1, 2]);
+
+  assert.deepStrictEqual(calculator.measureComplexity('a.py', [
+    'def check(x):',
+    '    """if this docstring counted, or that one"""',
+    '    if x > 0 and x < 10:',
+    "        return 'if'  # or not",
+    '    for i in range(x):',
+    '        pass',
+    '',
+    'def empty():',
+    '    return None',
+    ''
+  ].join('\n')), [4, 1]);
+
+  assert.deepStrictEqual(calculator.measureComplexity('a.go', 'package main\n'), []);
+});
+
+test('niveau de complexité selon la moyenne, relevé d\'un cran par un point chaud', () => {
+  const calculator = createCalculator();
+
+  assert.deepStrictEqual(calculator.summarizeComplexity([]), {});
+  assert.deepStrictEqual(calculator.summarizeComplexity([1, 2, 3]), { cyclomatic: { average: 2, max: 3 }, complexity: 'low' });
+  assert.deepStrictEqual(calculator.summarizeComplexity([2, 4, 5]), { cyclomatic: { average: 3.7, max: 5 }, complexity: 'medium' });
+  assert.deepStrictEqual(calculator.summarizeComplexity([6, 8]), { cyclomatic: { average: 7, max: 8 }, complexity: 'high' });
+  assert.deepStrictEqual(calculator.summarizeComplexity([1, 1, 1, 1, 1, 1, 1, 15]).complexity, 'medium');
+  assert.deepStrictEqual(calculator.summarizeComplexity([3, 20]).complexity, 'high');
+});
+
+test('métriques et complexité émises dans le fichier de module', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const files = { 'package.json': { name: 'shop' } };
+  ['cart', 'order', 'pricing', 'stock'].forEach(name => {
+    files[`src/services/${name}.js`] = 'function run(x) {\n  return x;\n}\nmodule.exports = run;\n';
+  });
+  files['src/services/tax.js'] = 'function rate(x) {\n  if (x) return 1;\n  return x ? 2 : 3;\n}\nmodule.exports = rate;\n';
+  const root = createProject(files);
+
+  await generateProject(root);
+  const services = yaml.load(fs.readFileSync(path.join(root, 'src/services/services.lmay'), 'utf8'));
+
+  assert.strictEqual(services.module.complexity, 'low');
+  assert.deepStrictEqual(services.metrics, {
+    lines_of_code: 21,
+    source_files: 5,
+    test_files: 0,
+    config_files: 0,
+    cyclomatic: { average: 1.4, max: 3 },
+    largest_files: [
+      { file: 'src/services/tax.js', lines: 5 },
+      { file: 'src/services/cart.js', lines: 4 },
+      { file: 'src/services/order.js', lines: 4 }
+    ]
+  });
+});
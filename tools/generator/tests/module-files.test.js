@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createProject, generateProject } = require('./helpers');
+
+test('un fichier de module par répertoire significatif, lié depuis son parent', async () => {
+  const files = { 'package.json': { name: 'shop' }, 'docs/guide.md': '# Guide\n' };
+  ['a', 'b', 'c', 'd'].forEach(name => {
+    files[`src/${name}.js`] = `module.exports = function ${name}() {};\n`;
+  });
+  ['Cart', 'Order', 'Pay', 'Ship', 'Stock'].forEach(name => {
+    files[`src/services/${name.toLowerCase()}.js`] = `class ${name}Service {}\nmodule.exports = ${name}Service;\n`;
+  });
+  const root = createProject(files);
+
+  const { moduleFiles } = await generateProject(root);
+  assert.deepStrictEqual(moduleFiles.map(file => path.relative(root, file)), [
+    path.join('src', 'src.lmay'),
+    path.join('src', 'services', 'services.lmay')
+  ]);
+
+  const rootLmay = yaml.load(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'));
+  const src = yaml.load(fs.readFileSync(path.join(root, 'src/src.lmay'), 'utf8'));
+  const services = yaml.load(fs.readFileSync(path.join(root, 'src/services/services.lmay'), 'utf8'));
+
+  // docs/ n'a qu'un fichier : pas de module
+  assert.strictEqual(rootLmay.structure.docs.lmay_file, undefined);
+  assert.strictEqual(rootLmay.structure.src.lmay_file, 'src/src.lmay');
+  assert.strictEqual(src.structure.services.lmay_file, 'services/services.lmay');
+
+  assert.deepStrictEqual(src.hierarchy, { depth: 1, parent: '../root.lmay' });
+  assert.deepStrictEqual(services.hierarchy, { depth: 2, parent: '../src.lmay' });
+  assert.strictEqual(services.module.name, 'services');
+  assert.strictEqual(services.module.path, 'src/services');
+  assert.deepStrictEqual(services.components.map(component => component.name), [
+    'CartService', 'OrderService', 'PayService', 'ShipService', 'StockService'
+  ]);
+  assert.deepStrictEqual(src.components.map(component => component.file), ['a.js', 'b.js', 'c.js', 'd.js']);
+});
+
+test('un module documente les routes et tables de tous ses fichiers hors sous-modules', async () => {
+  const root = createProject({
+    'package.json': { name: 'mono', private: true, workspaces: ['packages/*'] },
+    'packages/web/package.json': { name: '@mono/web', version: '1.0.0', dependencies: { express: '^4', mongoose: '^8' } },
+    'packages/web/src/server.js': [
+      "const express = require('express');",
+      'const app = express();',
+      "app.get('/sum', (req, res) => res.json({ sum: 0 }));",
+      'module.exports = app;',
+      ''
+    ].join('\n'),
+    'packages/web/src/models/user.js': [
+      "const mongoose = require('mongoose');",
+      "module.exports = mongoose.model('User', new mongoose.Schema({ name: String }));",
+      ''
+    ].join('\n')
+  });
+
+  await generateProject(root);
+  const packages = yaml.load(fs.readFileSync(path.join(root, 'packages/packages.lmay'), 'utf8'));
+  const web = yaml.load(fs.readFileSync(path.join(root, 'packages/web/web.lmay'), 'utf8'));
+
+  assert.deepStrictEqual(web.api_endpoints.map(route => `${route.method} ${route.path} ${route.file}`), [
+    'GET /sum packages/web/src/server.js'
+  ]);
+  assert.deepStrictEqual(web.database_schema.collections.map(schema => schema.file), [
+    'packages/web/src/models/user.js'
+  ]);
+  assert.strictEqual(packages.api_endpoints, undefined);
+  assert.strictEqual(packages.database_schema, undefined);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const ComponentExtractor = require('../src/component-extractor');
+const PatternDetector = require('../src/pattern-detector');
+const { createProject, generateProject } = require('./helpers');
+
+/**
+ * Patterns détectés dans chaque fichier : { fichier: [types] }
+ */
+function detect(files) {
+  const root = createProject(files);
+  const config = { analysis: {} };
+  const detector = new PatternDetector(config, new ComponentExtractor(config));
+  return Object.fromEntries(Object.keys(files).map(file => [file, detector.detect(path.join(root, file))]));
+}
+
+test('JavaScript : singleton, fabrique, repository, observer et middleware', () => {
+  assert.deepStrictEqual(detect({
+    'config.js': 'class Config {}\nmodule.exports = new Config();\n',
+    'cache.ts': 'export class Cache {}\nexport const cache = new Cache();\n',
+    'registry.js': 'class Registry {\n  static getInstance() { return this._instance; }\n}\nmodule.exports = Registry;\n',
+    'client.js': 'function createClient(options) { return { options }; }\nconst createPool = () => [];\nmodule.exports = { createClient, createPool };\n',
+    'creator.js': 'function creator() {}\nmodule.exports = creator;\n',
+    'user-repository.js': [
+      'class UserRepository {',
+      '  findById(id) {}',
+      '  save(user) {}',
+      '  remove(id) {}',
+      '}',
+      'module.exports = UserRepository;',
+      ''
+    ].join('\n'),
+    'reader-repository.js': 'class ReaderRepository {\n  findAll() {}\n  findOne() {}\n}\n',
+    'bus.js': "const { EventEmitter } = require('events');\nclass Bus extends EventEmitter {}\nclass Stream extends events.EventEmitter {}\n",
+    'auth.js': 'module.exports = function auth(req, res, next) { next(); };\n',
+    'errors.js': 'export default (err, req, res, next) => res.status(500).end();\n',
+    'koa.js': 'export const timing = async (ctx, next) => { await next(); };\n',
+    'app.js': "const app = require('express')();\napp.use(json());\napp.use(cors());\n",
+    'single-use.js': 'app.use(json());\n',
+    'handler.js': 'module.exports = (req, res) => res.end();\n'
+  }), {
+    'config.js': ['singleton'],
+    'cache.ts': ['singleton'],
+    'registry.js': ['singleton'],
+    'client.js': ['factory'],
+    'creator.js': [],
+    'user-repository.js': ['repository'],
+    'reader-repository.js': [],
+    'bus.js': ['observer'],
+    'auth.js': ['middleware'],
+    'errors.js': ['middleware'],
+    'koa.js': ['middleware'],
+    'app.js': ['middleware'],
+    'single-use.js': [],
+    'handler.js': []
+  });
+});
+
+test('Python : classes, fonctions de premier niveau et instances de module', () => {
+  assert.deepStrictEqual(detect({
+    'settings.py': 'class Settings:\n    debug = False\n\nsettings = Settings()\n',
+    'db.py': 'class Database:\n    _instance = None\n\n    def __new__(cls):\n        return cls._instance\n',
+    'app.py': 'def create_app(config):\n    return None\n\ndef timing_middleware(request):\n    return request\n',
+    'repo.py': [
+      'class OrderRepo(Base):',
+      '    def get(self, order_id):',
+      '        pass',
+      '    async def _delete(self, order_id):',
+      '        pass',
+      ''
+    ].join('\n'),
+    'events.py': [
+      'class Hub:',
+      '    def subscribe(self, handler):',
+      '        pass',
+      '    def notify_all(self):',
+      '        pass',
+      '',
+      'class Feed(Observable):',
+      '    pass',
+      ''
+    ].join('\n'),
+    'middleware.py': [
+      'class AuthMiddleware:',
+      '    def __call__(self, request):',
+      '        pass',
+      ''
+    ].join('\n'),
+    'plain.py': 'class Helper:\n    def run(self):\n        pass\n\nresult = compute()\n'
+  }), {
+    'settings.py': ['singleton'],
+    'db.py': ['singleton'],
+    'app.py': ['factory', 'middleware'],
+    'repo.py': ['repository'],
+    'events.py': ['observer'],
+    'middleware.py': ['middleware'],
+    'plain.py': []
+  });
+});
+
+test('patterns regroupés par type dans le fichier de module', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const root = createProject({
+    'package.json': { name: 'shop' },
+    'src/services/cart.js': 'class Cart {}\nmodule.exports = new Cart();\n',
+    'src/services/stock.js': 'class Stock {}\nmodule.exports = new Stock();\n',
+    'src/services/order-repository.js': 'class OrderRepository {\n  find() {}\n  insert() {}\n}\nmodule.exports = OrderRepository;\n',
+    'src/services/pricing.js': 'function createPricing() {}\nmodule.exports = createPricing;\n',
+    'src/services/tax.js': 'module.exports = rate => rate;\n'
+  });
+
+  await generateProject(root);
+  const services = yaml.load(fs.readFileSync(path.join(root, 'src/services/services.lmay'), 'utf8'));
+
+  assert.deepStrictEqual(services.patterns, [
+    { type: 'singleton', applies_to: ['cart', 'stock'] },
+    { type: 'factory', applies_to: ['createPricing'] },
+    { type: 'repository', applies_to: ['OrderRepository'] }
+  ]);
+});
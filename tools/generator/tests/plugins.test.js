@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const yaml = require('js-yaml');
+const PluginLoader = require('../src/plugin-loader');
+const { createProject, loadConfig, generateProject } = require('./helpers');
+
+const plugin = body => `module.exports = ${body};\n`;
+
+test('les sections des plugins émetteurs asynchrones sont écrites', async () => {
+  const root = createProject({
+    'lmay.config.json': { plugins: ['./lmay/owners.js'] },
+    'lmay/owners.js': plugin(`{
+      name: 'owners',
+      analyze: async ({ files }) => files.map(file => file.relative).filter(file => file.endsWith('CODEOWNERS')),
+      section: 'owners',
+      scope: 'root',
+      emit: async ({ result }) => ({ files: result, team: 'payments' }),
+      schema: { type: 'object' }
+    }`),
+    'CODEOWNERS': '* @payments\n',
+    'src/index.js': 'module.exports = {};\n'
+  });
+
+  const { rootFile } = await generateProject(root);
+
+  assert.deepStrictEqual(yaml.load(fs.readFileSync(rootFile, 'utf8')).owners, { files: ['CODEOWNERS'], team: 'payments' });
+});
+
+test('une valeur émise qui n\'est pas une donnée YAML est ignorée et signalée', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const root = createProject({
+    'lmay.config.json': { plugins: ['./lmay/registry.js'] },
+    'lmay/registry.js': plugin(`{
+      name: 'registry',
+      section: 'registry',
+      emit: () => new Map([['users', 'v1']]),
+      schema: { type: 'object' }
+    }`),
+    'src/index.js': 'module.exports = {};\n'
+  });
+
+  const { rootFile } = await generateProject(root);
+
+  assert.strictEqual(yaml.load(fs.readFileSync(rootFile, 'utf8')).registry, undefined);
+  assert.ok(warn.mock.calls.some(call => /section "registry" du plugin registry ignorée/i.test(call.arguments.join(' '))));
+});
+
+test('une liste d\'entrées autorisées empêche le chargement des autres plugins', () => {
+  const root = createProject({
+    'lmay.config.json': { plugins: ['./lmay/allowed.js', './lmay/other.js'] },
+    'lmay/allowed.js': plugin(`{ name: 'allowed', section: 'allowed', emit: () => 1, schema: { type: 'number' } }`),
+    'lmay/other.js': "throw new Error('ce module ne doit pas être chargé');\n"
+  });
+
+  const plugins = new PluginLoader({ pluginAllowlist: ['./lmay/allowed.js'] }).load(root);
+
+  assert.deepStrictEqual(plugins.map(loaded => loaded.name), ['allowed']);
+  assert.deepStrictEqual(Object.keys(new PluginLoader({ pluginAllowlist: [] }).getSchemas(root)), []);
+});
+
+test('les avertissements passent par le logger de la configuration, pas par la console', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const warnings = [];
+  const logger = { log() {}, warn: (...args) => warnings.push(args.join(' ')), error() {} };
+  const root = createProject({
+    'lmay.config.json': { plugins: ['./lmay/missing.js'] },
+    'src/index.js': 'module.exports = {};\n'
+  });
+
+  // Un worker d'analyse reçoit la configuration sans le logger
+  const config = { ...loadConfig({ sources: { local: { scanWorkers: 1 } } }), logger };
+  await generateProject(root, {}, config);
+
+  assert.ok(warnings.some(message => message.startsWith('Plugin introuvable: ./lmay/missing.js')));
+  assert.strictEqual(warn.mock.callCount(), 0);
+});
+
+test('les plugins objets de la configuration fonctionnent avec les workers d\'analyse', async () => {
+  const root = createProject({ 'src/index.js': 'module.exports = {};\n' });
+  const config = {
+    ...loadConfig({ sources: { local: { scanWorkers: 2 } } }),
+    plugins: [{ name: 'auth', section: 'auth', emit: () => ({ auth: 'jwt' }), schema: { type: 'object' } }]
+  };
+
+  const { rootFile } = await generateProject(root, {}, config);
+
+  assert.deepStrictEqual(yaml.load(fs.readFileSync(rootFile, 'utf8')).auth, { auth: 'jwt' });
+});
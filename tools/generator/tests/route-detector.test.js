@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const ComponentExtractor = require('../src/component-extractor');
+const RouteDetector = require('../src/route-detector');
+
+const fixtures = path.join(__dirname, 'fixtures/routes');
+
+function detect(...files) {
+  const config = { analysis: {} };
+  const detector = new RouteDetector(config, new ComponentExtractor(config));
+  return detector.detect(files.map(file => path.join(fixtures, file)))
+    .map(route => `${route.method} ${route.path} ${route.framework}`);
+}
+
+test('koa: préfixe du constructeur Router et de router.prefix()', () => {
+  assert.deepStrictEqual(detect('koa-prefix/app.js'), [
+    'GET /k/a koa',
+    'GET /k/nested/admin/stats koa'
+  ]);
+});
+
+test('fastify: plugins enregistrés par require() en ligne, quel que soit le nom du paramètre', () => {
+  assert.deepStrictEqual(detect('fastify-register/server.js'), [
+    'GET /health fastify',
+    'GET /v1/users fastify',
+    'POST /v1/users fastify'
+  ]);
+});
+
+test('un module exportant une fonction n\'est un plugin que s\'il est monté', () => {
+  assert.deepStrictEqual(detect('fastify-register/routes/health.js'), []);
+});
+
+test('un nom usuel (api, server) sans import de framework n\'est pas un routeur', () => {
+  assert.deepStrictEqual(detect('conventional-names/client.js', 'conventional-names/cache.js'), []);
+});
+
+test('un nom usuel est un routeur dans un module monté par un fichier qui importe un framework', () => {
+  assert.deepStrictEqual(detect('conventional-names/routes/index.js'), []);
+  assert.deepStrictEqual(detect('conventional-names/app.js', 'conventional-names/routes/index.js'), [
+    'GET /sum express'
+  ]);
+});
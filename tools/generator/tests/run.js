@@ -0,0 +1,10 @@
+// Exécute les fichiers tests/*.test.js (node:test) : node tests/run.js [filtre]
+const fs = require('fs');
+const path = require('path');
+
+const filter = process.argv[2];
+
+fs.readdirSync(__dirname)
+  .filter(name => name.endsWith('.test.js') && (!filter || name.includes(filter)))
+  .sort()
+  .forEach(name => require(path.join(__dirname, name)));
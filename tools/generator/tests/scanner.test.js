@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const FileSystemScanner = require('../src/scanner');
+const { createProject, loadConfig } = require('./helpers');
+
+test('les enfants sont triés par points de code, dossiers d\'abord, sans dépendre de la locale', async () => {
+  const root = createProject({ 'b.js': '', 'B.js': '', 'a.js': '', 'Z/x.js': '', 'y/x.js': '' });
+  const scanner = new FileSystemScanner(loadConfig());
+  const structure = await scanner.scanDirectory(root);
+
+  assert.deepStrictEqual(structure.children.map(child => child.name), ['Z', 'y', 'B.js', 'a.js', 'b.js']);
+});
+
+test('boucles de liens symboliques ignorées, liens vers un autre répertoire suivis', async () => {
+  const root = createProject({ 'src/app.js': '', 'shared/util.js': '' });
+  fs.symlinkSync(root, path.join(root, 'src/root'), 'dir');
+  fs.symlinkSync('.', path.join(root, 'shared/self'), 'dir');
+  fs.symlinkSync(path.join(root, 'shared'), path.join(root, 'src/shared'), 'dir');
+  fs.symlinkSync(path.join(root, 'missing.js'), path.join(root, 'src/broken.js'));
+
+  const warnings = [];
+  const config = loadConfig();
+  config.logger = { warn: (...args) => warnings.push(args.join(' ')) };
+  const scanner = new FileSystemScanner(config);
+  const structure = await scanner.scanDirectory(root);
+
+  const names = node => node.children.map(child => child.type === 'directory' ? [child.name, names(child)] : child.name);
+  assert.deepStrictEqual(names(structure), [
+    ['shared', ['util.js']],
+    ['src', [['shared', ['util.js']], 'app.js']]
+  ]);
+  assert.deepStrictEqual(warnings.map(warning => warning.replace(root, '<root>').split(':')[0]).sort(), [
+    'Boucle de liens symboliques ignorée',
+    'Boucle de liens symboliques ignorée',
+    'Boucle de liens symboliques ignorée',
+    'Erreur lors de la lecture de <root>/src/broken.js'
+  ]);
+});
+
+test('contenu mesuré par les workers pendant le parcours, progression et analyse inchangée', async () => {
+  const root = createProject({
+    'package.json': { name: 'shop' },
+    'src/cart.js': 'function total(items) {\n  return items.length ? 1 : 0;\n}\n',
+    'src/deep/a/b/c/d/too-deep.js': ''
+  });
+  const config = loadConfig();
+  config.sources.local.scanWorkers = 1;
+  const scanner = new FileSystemScanner(config);
+  const progress = [];
+
+  const structure = await scanner.scanDirectory(root, { onProgress: report => progress.push(report) });
+  const src = structure.children.find(child => child.name === 'src');
+  const cart = src.children.find(child => child.name === 'cart.js');
+  assert.deepStrictEqual(cart.measured, { lines: 3, functions: [2] });
+
+  assert.deepStrictEqual(progress[progress.length - 1], { files: 2, directories: 6, analyzed: 1, done: true });
+
+  const analysis = scanner.analyzeStructure(structure);
+  assert.strictEqual(analysis.totalFiles, 2);
+  assert.strictEqual(analysis.totalDirectories, 6);
+  assert.deepStrictEqual(analysis.languages, ['javascript']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createProject, generateProject, loadConfig } = require('./helpers');
+
+test('structure imbriquée jusqu\'à lmay.maxDepth, indexée par chemin, statistiques cumulées', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const files = {
+    'package.json': { name: 'shop' },
+    'app/index.js': 'module.exports = {};\n',
+    'app/utils/format.js': 'module.exports = {};\n',
+    'lib/README.md': '# Lib\n',
+    'lib/utils/math.py': 'def add(a, b):\n    return a + b\n',
+    'lib/utils/deep/inner/helper.js': 'module.exports = {};\n'
+  };
+  ['a', 'b', 'c', 'd', 'e'].forEach(name => {
+    files[`engine/core/${name}.ts`] = 'export {};\n';
+  });
+  const root = createProject(files);
+
+  await generateProject(root, {}, loadConfig({ lmay: { maxDepth: 2 } }));
+  const { structure } = yaml.load(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'));
+
+  // Deux dossiers utils distincts ; lib/utils/deep dépasse la profondeur maximale
+  assert.deepStrictEqual(Object.keys(structure), ['app', 'app/utils', 'engine', 'lib', 'lib/utils']);
+  assert.deepStrictEqual(
+    Object.values(structure).map(entry => [entry.path, entry.file_count, entry.primary_language]),
+    [
+      ['app', 2, 'javascript'],
+      [path.join('app', 'utils'), 1, 'javascript'],
+      ['engine', 5, 'typescript'],
+      ['lib', 3, 'javascript'],
+      [path.join('lib', 'utils'), 2, 'javascript']
+    ]
+  );
+  assert.deepStrictEqual(structure.lib.languages, { javascript: 1, python: 1 });
+
+  // Un sous-arbre assez grand a son propre fichier de module : seul le lien est conservé
+  assert.strictEqual(structure.engine.lmay_file, 'engine/engine.lmay');
+  assert.strictEqual(structure.lib.lmay_file, undefined);
+
+  const engine = yaml.load(fs.readFileSync(path.join(root, 'engine/engine.lmay'), 'utf8'));
+  assert.deepStrictEqual(Object.keys(engine.structure), ['core']);
+  assert.strictEqual(engine.structure.core.path, path.join('engine', 'core'));
+  assert.strictEqual(engine.structure.core.file_count, 5);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const ComponentExtractor = require('../src/component-extractor');
+const ImportGraph = require('../src/import-graph');
+const TestMapper = require('../src/test-mapper');
+const { createProject, generateProject } = require('./helpers');
+
+function createMapper() {
+  const config = { analysis: {} };
+  return new TestMapper(config, new ImportGraph(config, new ComponentExtractor(config)));
+}
+
+function map(files) {
+  const root = createProject(files);
+  const mapper = createMapper();
+  const { suites, tests } = mapper.map(Object.keys(files).map(file => path.join(root, file)), root);
+  const relative = file => path.relative(root, file).split(path.sep).join('/');
+
+  return {
+    mapper,
+    root,
+    suites: suites.map(suite => [suite.framework, relative(suite.dir) || '.', suite.command]),
+    tests: tests.map(item => [relative(item.file), item.suite.framework, item.covers.map(relative)]),
+    raw: { suites, tests }
+  };
+}
+
+test('jest : imports et conventions de nommage relient chaque test à sa source', () => {
+  const { tests, suites } = map({
+    'package.json': { name: 'shop', scripts: { test: 'jest --coverage' }, devDependencies: { jest: '^29.0.0' } },
+    'src/cart.js': 'module.exports = {};\n',
+    'src/pricing.js': 'module.exports = {};\n',
+    'src/cart.test.js': "const cart = require('./cart');\nconst pricing = require('./pricing');\n",
+    'tests/services/pricing.test.js': 'test.todo("pricing");\n',
+    'tests/helpers.js': 'module.exports = {};\n'
+  });
+
+  assert.deepStrictEqual(suites, [['jest', '.', 'npm test']]);
+  assert.deepStrictEqual(tests, [
+    ['src/cart.test.js', 'jest', ['src/cart.js', 'src/pricing.js']],
+    ['tests/services/pricing.test.js', 'jest', ['src/pricing.js']]
+  ]);
+});
+
+test('frameworks détectés par script, configuration ou dépendance ; npm init ignoré', () => {
+  const frameworks = files => map(files).suites.map(([framework, , command]) => `${framework}: ${command}`);
+
+  assert.deepStrictEqual(frameworks({ 'package.json': { scripts: { test: 'node --test' } } }), ['node:test: npm test']);
+  assert.deepStrictEqual(frameworks({
+    'package.json': { scripts: { test: 'echo "Error: no test specified" && exit 1' } },
+    'vitest.config.ts': 'export default {};\n'
+  }), ['vitest: npx vitest run']);
+  assert.deepStrictEqual(frameworks({ 'package.json': { devDependencies: { mocha: '^10.0.0' } } }), ['mocha: npx mocha']);
+  assert.deepStrictEqual(frameworks({ 'package.json': { name: 'plain' } }), []);
+});
+
+test('pytest, go test et JUnit, avec une commande ciblée par fichier de test', () => {
+  const { tests, suites, mapper, raw } = map({
+    'api/pyproject.toml': '[tool.pytest.ini_options]\ntestpaths = ["tests"]\n',
+    'api/app/users.py': 'def get(): pass\n',
+    'api/tests/test_users.py': 'from app import users\n',
+    'go.mod': 'module example.com/shop\n',
+    'store/store.go': 'package store\n',
+    'store/store_test.go': 'package store\n',
+    'java/pom.xml': '<project><dependency><artifactId>junit-jupiter</artifactId></dependency></project>',
+    'java/src/main/java/Cart.java': 'class Cart {}\n',
+    'java/src/test/java/CartTest.java': 'class CartTest {}\n'
+  });
+
+  assert.deepStrictEqual(suites, [
+    ['go test', '.', 'go test ./...'],
+    ['junit', 'java', 'cd java && mvn test'],
+    ['pytest', 'api', 'cd api && pytest']
+  ]);
+  assert.deepStrictEqual(tests, [
+    ['api/tests/test_users.py', 'pytest', ['api/app/users.py']],
+    ['store/store_test.go', 'go test', ['store/store.go']],
+    ['java/src/test/java/CartTest.java', 'junit', ['java/src/main/java/Cart.java']]
+  ]);
+
+  const commands = raw.tests.map(item => mapper.buildCommand(item.suite, [item.file]));
+  assert.deepStrictEqual(commands, [
+    'cd api && pytest tests/test_users.py',
+    'go test ./store',
+    'cd java && mvn test -Dtest=CartTest'
+  ]);
+});
+
+test('chaque module liste ses tests et la commande qui les lance', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const files = {
+    'package.json': { name: 'shop', devDependencies: { jest: '^29.0.0' } },
+    'jest.config.js': 'module.exports = {};\n'
+  };
+  ['cart', 'order', 'pricing', 'stock', 'tax'].forEach(name => {
+    files[`src/services/${name}.js`] = 'module.exports = {};\n';
+  });
+  files['tests/cart.test.js'] = "require('../src/services/cart');\n";
+  const root = createProject(files);
+
+  await generateProject(root);
+  const rootLmay = yaml.load(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'));
+  const services = yaml.load(fs.readFileSync(path.join(root, 'src/services/services.lmay'), 'utf8'));
+
+  assert.deepStrictEqual(rootLmay.tests, [{ framework: 'jest', command: 'npx jest', config: 'jest.config.js' }]);
+  assert.deepStrictEqual(services.tests, [{
+    framework: 'jest',
+    command: 'npx jest tests/cart.test.js',
+    files: [{ file: 'tests/cart.test.js', covers: ['src/services/cart.js'] }]
+  }]);
+});
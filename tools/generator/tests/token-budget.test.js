@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const TokenBudget = require('../src/token-budget');
+const LMAYMerger = require('../src/lmay-merger');
+const { createProject, generateProject } = require('./helpers');
+
+const merger = new LMAYMerger();
+const createBudget = budget => new TokenBudget(budget, content => yaml.dump(content), item => merger.identity(item));
+
+const range = (count, make) => Array.from({ length: count }, (_, index) => make(index));
+
+const cliInterface = name => ({
+  type: 'CLI',
+  description: `Command line interface (${name})`,
+  endpoint: name,
+  file: `bin/${name}.js`,
+  commands: range(30, index => ({
+    name: `command-${index}`,
+    description: `Runs the step number ${index} of the release pipeline`,
+    options: range(8, option => `--flag-${option} <value>`)
+  })),
+  options: range(20, index => `--global-${index}`)
+});
+
+test('les commandes et options des interfaces sont retirées pour respecter le budget', () => {
+  const content = { lmay_version: '1.0', project: { name: 'tools' }, interfaces: [cliInterface('release'), cliInterface('deploy')] };
+  const budget = createBudget(300);
+
+  const fitted = budget.fit(content);
+
+  assert.strictEqual(fitted.exceeded, false);
+  assert.ok(fitted.tokens <= 300);
+  assert.strictEqual(budget.estimate(yaml.dump(fitted.content)), fitted.tokens);
+  assert.deepStrictEqual(fitted.content.interfaces.map(item => item.endpoint), ['release', 'deploy']);
+  assert.ok(fitted.content.interfaces.every(item => !item.commands && !item.options));
+  assert.ok(content.interfaces[0].commands, 'le contenu fourni n\'est pas modifié');
+});
+
+test('les listes imbriquées dans des éléments de liste sont résumées, sauf contenu utilisateur', () => {
+  const services = range(4, index => ({ name: `service-${index}`, queues: range(40, queue => `queue-${index}-${queue}`) }));
+  const content = {
+    project: { name: 'shop' },
+    services,
+    metadata: { user_owned: ['/services/service-0/queues'] }
+  };
+
+  const fitted = createBudget(600).fit(content);
+
+  assert.strictEqual(fitted.exceeded, false);
+  assert.strictEqual(fitted.content.services[0].queues.length, 40);
+  assert.deepStrictEqual(fitted.content.services.slice(1).map(service => service.queues.length), [5, 5, 5]);
+  assert.match(fitted.tradeoffs.join('\n'), /\/services\/service-1\/queues \(5 of 40 kept\)/);
+});
+
+test('en dernier recours des sections entières sont retirées', () => {
+  const content = {
+    project: { name: 'shop', description: 'Online shop' },
+    tests: range(3, index => ({ framework: 'jest', command: `npm run test:${index}`, config: `jest.${index}.config.js` })),
+    dependencies: { runtime: range(3, index => ({ name: `package-${index}`, version: '^1.0.0', type: 'npm' })) }
+  };
+
+  const fitted = createBudget(120).fit(content);
+
+  assert.strictEqual(fitted.exceeded, false);
+  assert.strictEqual(fitted.content.project.description, 'Online shop');
+  assert.strictEqual(fitted.content.tests, undefined);
+  assert.ok(fitted.tradeoffs.some(tradeoff => tradeoff.startsWith('dropped sections: tests')));
+});
+
+test('un compromis remplacé par une étape ultérieure n\'est plus mentionné, messages accordés en nombre', () => {
+  const content = {
+    project: { name: 'shop', description: 'Online shop' },
+    structure: { src: { path: 'src', type: 'directory', lmay_file: 'src/src.lmay', complexity: 'low' } },
+    components: range(20, index => ({ name: `component-${index}`, file: `src/component-${index}.js`, exports: ['create', 'update'] }))
+  };
+
+  assert.deepStrictEqual(createBudget(250).fit(content).tradeoffs, [
+    'moved details of 1 directory to their module files',
+    'dropped details: components.exports',
+    'summarized list: /components (5 of 20 kept)'
+  ]);
+
+  const fitted = createBudget(120).fit(content);
+  assert.strictEqual(fitted.content.components, undefined);
+  assert.deepStrictEqual(fitted.tradeoffs, [
+    'moved details of 1 directory to their module files',
+    'dropped section: components'
+  ]);
+  assert.deepStrictEqual(fitted.content.metadata.token_budget.tradeoffs, fitted.tradeoffs);
+});
+
+test('generate --token-budget écrit des fichiers qui respectent le budget', async () => {
+  const bins = Object.fromEntries(range(6, index => [`tool-${index}`, `bin/tool-${index}.js`]));
+  const files = {
+    'package.json': { name: 'toolbox', bin: bins, dependencies: Object.fromEntries(range(25, index => [`dep-${index}`, '^1.0.0'])) }
+  };
+  Object.values(bins).forEach((file, index) => {
+    files[file] = [
+      "const { program } = require('commander');",
+      `program.name('tool-${index}').description('Tool number ${index}');`,
+      ...range(15, command => `program.command('run-${command} <target>').description('Runs task ${command}').option('--dry-run').option('--retries <n>');`),
+      'program.parse();'
+    ].join('\n');
+  });
+  const root = createProject(files);
+
+  const result = await generateProject(root, { tokenBudget: 800 });
+  const report = result.budget.find(entry => entry.file === 'root.lmay');
+  const text = fs.readFileSync(path.join(root, 'root.lmay'), 'utf8');
+
+  assert.strictEqual(report.exceeded, false);
+  assert.ok(createBudget(800).estimate(text) <= 800);
+  assert.strictEqual(yaml.load(text).metadata.token_budget.budget, 800);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const WorkspaceDetector = require('../src/workspace-detector');
+const { createProject, generateProject } = require('./helpers');
+
+function detect(root) {
+  const workspace = new WorkspaceDetector().detect(root);
+  return workspace && {
+    tools: workspace.tools,
+    packages: workspace.packages.map(pkg => ({
+      ...pkg,
+      path: path.relative(root, pkg.path),
+      manifest: path.relative(root, pkg.manifest),
+      entryPoints: pkg.entryPoints.map(file => path.relative(root, file))
+    }))
+  };
+}
+
+test('workspaces yarn : motifs, exclusions, dépendances internes et points d\'entrée', () => {
+  const root = createProject({
+    'package.json': { name: 'mono', private: true, workspaces: ['packages/*', '!packages/legacy'] },
+    'yarn.lock': '',
+    'packages/core/package.json': { name: '@mono/core', version: '1.0.0', exports: { '.': { require: './lib/index.js' } } },
+    'packages/core/lib/index.js': '',
+    'packages/cli/package.json': {
+      name: '@mono/cli',
+      bin: { mono: 'bin/mono.js' },
+      dependencies: { '@mono/core': '*', commander: '^11.0.0' },
+      devDependencies: { '@mono/cli': '*' }
+    },
+    'packages/cli/bin/mono.js': '',
+    'packages/legacy/package.json': { name: '@mono/legacy' },
+    'packages/notes/README.md': '# Notes\n'
+  });
+
+  assert.deepStrictEqual(detect(root), {
+    tools: ['yarn'],
+    packages: [
+      {
+        name: '@mono/cli',
+        version: undefined,
+        path: path.join('packages', 'cli'),
+        manifest: path.join('packages', 'cli', 'package.json'),
+        dependencies: ['@mono/core'],
+        entryPoints: [path.join('packages', 'cli', 'bin', 'mono.js')]
+      },
+      {
+        name: '@mono/core',
+        version: '1.0.0',
+        path: path.join('packages', 'core'),
+        manifest: path.join('packages', 'core', 'package.json'),
+        dependencies: [],
+        entryPoints: [path.join('packages', 'core', 'lib', 'index.js')]
+      }
+    ]
+  });
+});
+
+test('pnpm, Lerna et Turborepo', () => {
+  const pnpm = createProject({
+    'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n",
+    'turbo.json': '{}',
+    'apps/site/package.json': { name: 'site' }
+  });
+  const pnpmWorkspace = detect(pnpm);
+  assert.deepStrictEqual(pnpmWorkspace.tools, ['pnpm', 'turborepo']);
+  assert.deepStrictEqual(pnpmWorkspace.packages.map(pkg => pkg.name), ['site']);
+
+  // Sans champ "packages", Lerna utilise packages/*
+  const lerna = createProject({
+    'lerna.json': { version: 'independent' },
+    'packages/a/package.json': { name: 'a', dependencies: { b: '^1.0.0' } },
+    'packages/b/package.json': { name: 'b' }
+  });
+  const lernaWorkspace = detect(lerna);
+  assert.deepStrictEqual(lernaWorkspace.tools, ['lerna']);
+  assert.deepStrictEqual(lernaWorkspace.packages.map(pkg => [pkg.name, pkg.dependencies]), [['a', ['b']], ['b', []]]);
+});
+
+test('Nx : projets apps/libs déclarés par project.json, dépendances implicites et cibles', () => {
+  const root = createProject({
+    'nx.json': {},
+    'apps/shop/project.json': {
+      name: 'shop',
+      implicitDependencies: ['ui', '!legacy'],
+      targets: { build: { options: { main: 'apps/shop/src/main.ts' } } }
+    },
+    'apps/shop/src/main.ts': '',
+    'libs/shared/ui/project.json': { name: 'ui' },
+    'libs/shared/assets/logo.svg': '<svg/>'
+  });
+
+  const workspace = detect(root);
+  assert.deepStrictEqual(workspace.tools, ['nx']);
+  assert.deepStrictEqual(workspace.packages.map(pkg => [pkg.name, pkg.dependencies, pkg.entryPoints]), [
+    ['shop', ['ui'], [path.join('apps', 'shop', 'src', 'main.ts')]],
+    ['ui', [], []]
+  ]);
+});
+
+test('un projet sans workspace n\'est pas un monorepo', () => {
+  assert.strictEqual(detect(createProject({ 'package.json': { name: 'app' } })), null);
+});
+
+test('un fichier de module par paquet, dépendances internes et monorepo à la racine', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const root = createProject({
+    'package.json': { name: 'mono', private: true, workspaces: ['packages/*'] },
+    'packages/core/package.json': { name: '@mono/core', version: '1.0.0', main: 'index.js' },
+    'packages/core/index.js': 'module.exports = {};\n',
+    'packages/web/package.json': { name: '@mono/web', version: '2.0.0', main: 'server.js', dependencies: { '@mono/core': '*', express: '^4.18.0' } },
+    'packages/web/server.js': "require('@mono/core');\n"
+  });
+
+  const { moduleFiles } = await generateProject(root);
+  assert.ok(moduleFiles.includes(path.join(root, 'packages/core/core.lmay')));
+  assert.ok(moduleFiles.includes(path.join(root, 'packages/web/web.lmay')));
+
+  const { architecture } = yaml.load(fs.readFileSync(path.join(root, 'root.lmay'), 'utf8'));
+  assert.deepStrictEqual(architecture.monorepo, {
+    tools: ['npm'],
+    packages: [
+      { name: '@mono/core', version: '1.0.0', path: 'packages/core', lmay_file: 'packages/core/core.lmay' },
+      { name: '@mono/web', version: '2.0.0', path: 'packages/web', lmay_file: 'packages/web/web.lmay' }
+    ]
+  });
+  assert.deepStrictEqual(architecture.entry_points.map(entryPoint => `${entryPoint.package} ${entryPoint.file}`), [
+    '@mono/core packages/core/index.js',
+    '@mono/web packages/web/server.js'
+  ]);
+
+  const web = yaml.load(fs.readFileSync(path.join(root, 'packages/web/web.lmay'), 'utf8'));
+  assert.strictEqual(web.module.name, '@mono/web');
+  assert.strictEqual(web.module.type, 'package');
+  assert.deepStrictEqual(web.dependencies.runtime.map(dep => dep.name), ['express']);
+  assert.deepStrictEqual(web.dependencies.internal.map(dep => `${dep.name} ${dep.path}`), ['@mono/core packages/core']);
+});
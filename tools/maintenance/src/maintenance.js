@@ -6,6 +6,7 @@ const glob = require('fast-glob');
 const yaml = require('yaml');
 const crypto = require('crypto');
 const chokidar = require('chokidar');
+const IgnoreEngine = require('lmay-generator/src/ignore-engine');
 
 class MaintenanceEngine {
   constructor() {
@@ -547,10 +548,10 @@ class MaintenanceEngine {
 
   // Helper methods
   async findLMAYFiles(directory) {
-    const lmayFiles = await glob('**/*.lmay', { 
-      cwd: directory,
-      ignore: ['node_modules/**', '.git/**', 'dist/**', 'build/**']
-    });
+    // Same exclusions as the generator: .gitignore, .lmayignore and excludePatterns
+    const lmayFiles = IgnoreEngine.forProject(directory)
+      .listFiles({ extensions: ['.lmay'] })
+      .map(file => path.relative(directory, file));
 
     const fileDetails = [];
     
@@ -580,11 +581,9 @@ class MaintenanceEngine {
       totalSize: 0
     };
 
-    const allFiles = await glob('**/*', { 
-      cwd: projectPath,
-      ignore: ['node_modules/**', '.git/**', 'dist/**', 'build/**'],
-      onlyFiles: true
-    });
+    const allFiles = IgnoreEngine.forProject(projectPath)
+      .listFiles()
+      .map(file => path.relative(projectPath, file));
 
     for (const file of allFiles) {
       const fullPath = path.join(projectPath, file);
@@ -3,9 +3,24 @@
 const { Command } = require('commander');
 const chalk = require('chalk');
 const AutoUpdater = require('./updater');
+const { UpdateError } = require('lmay-generator/src/errors');
 
 const program = new Command();
 
+// The updater reports its own failures and throws UpdateError; only the CLI sets the exit code
+function run(action) {
+  return async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      if (!(error instanceof UpdateError)) {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  };
+}
+
 program
   .name('lmay-updater')
   .description('Automatic update tools for LMAY documentation during refactoring')
@@ -22,10 +37,10 @@ program
   .option('--auto-commit', 'Automatically commit LMAY updates')
   .option('--dry-run', 'Show what would be updated without making changes')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (path, options) => {
+  .action(run(async (path, options) => {
     const updater = new AutoUpdater();
     await updater.watchForChanges(path, options);
-  });
+  }));
 
 // Sync LMAY with current project state
 program
@@ -38,10 +53,10 @@ program
   .option('-f, --format <format>', 'Output format for changes report (text|json)', 'text')
   .option('-o, --output <file>', 'Save changes report to file')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (path, options) => {
+  .action(run(async (path, options) => {
     const updater = new AutoUpdater();
     await updater.synchronize(path, options);
-  });
+  }));
 
 // Detect refactoring changes
 program
@@ -54,10 +69,10 @@ program
   .option('-f, --format <format>', 'Output format (text|json|diff)', 'text')
   .option('-o, --output <file>', 'Save detection report to file')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (path, options) => {
+  .action(run(async (path, options) => {
     const updater = new AutoUpdater();
     await updater.detectChanges(path, options);
-  });
+  }));
 
 // Apply refactoring updates
 program
@@ -69,10 +84,10 @@ program
   .option('--auto-approve', 'Auto-approve all safe updates')
   .option('--backup', 'Create backup before applying changes')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (path, options) => {
+  .action(run(async (path, options) => {
     const updater = new AutoUpdater();
     await updater.applyUpdates(path, options);
-  });
+  }));
 
 // Setup Git hooks for automatic updates
 program
@@ -85,10 +100,10 @@ program
   .option('--all', 'Setup all recommended hooks')
   .option('--remove', 'Remove existing LMAY hooks')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (path, options) => {
+  .action(run(async (path, options) => {
     const updater = new AutoUpdater();
     await updater.setupGitHooks(path, options);
-  });
+  }));
 
 // Rollback automatic changes
 program
@@ -99,10 +114,10 @@ program
   .option('--steps <num>', 'Number of update steps to rollback', '1')
   .option('--list', 'List available rollback points')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (path, options) => {
+  .action(run(async (path, options) => {
     const updater = new AutoUpdater();
     await updater.rollback(path, options);
-  });
+  }));
 
 // Batch update multiple projects
 program
@@ -115,10 +130,10 @@ program
   .option('-f, --format <format>', 'Output format for batch report', 'text')
   .option('-o, --output <file>', 'Save batch report')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (operation, paths, options) => {
+  .action(run(async (operation, paths, options) => {
     const updater = new AutoUpdater();
     await updater.batchUpdate(operation, paths, options);
-  });
+  }));
 
 // Configuration management
 program
@@ -129,10 +144,10 @@ program
   .option('--reset', 'Reset to default configuration')
   .option('--global', 'Use global configuration')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (options) => {
+  .action(run(async (options) => {
     const updater = new AutoUpdater();
     await updater.manageConfig(options);
-  });
+  }));
 
 // Analyze refactoring patterns
 program
@@ -145,10 +160,10 @@ program
   .option('-f, --format <format>', 'Output format (text|json|html)', 'text')
   .option('-o, --output <file>', 'Save analysis report')
   .option('-v, --verbose', 'Verbose output')
-  .action(async (path, options) => {
+  .action(run(async (path, options) => {
     const updater = new AutoUpdater();
     await updater.analyzePatterns(path, options);
-  });
+  }));
 
 // Global error handling
 process.on('uncaughtException', (error) => {
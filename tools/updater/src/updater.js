@@ -6,13 +6,20 @@ const chokidar = require('chokidar');
 const git = require('simple-git');
 const diff = require('diff');
 const yaml = require('yaml');
-const glob = require('glob');
 const inquirer = require('inquirer');
 const { minimatch } = require('minimatch');
 const debounce = require('debounce');
+const FrameworkDetector = require('lmay-generator/src/framework-detector');
+const IgnoreEngine = require('lmay-generator/src/ignore-engine');
+const { UpdateError } = require('lmay-generator/src/errors');
+const LMAYValidator = require('lmay-validator');
 
 class AutoUpdater {
-  constructor() {
+  /**
+   * @param {Object} [options] - { logger } receives the progress and report output (console by default)
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || console;
     this.configPath = path.join(require('os').homedir(), '.lmay-updater.json');
     this.defaultConfig = {
       updateStrategy: 'conservative', // conservative, aggressive, interactive
@@ -46,11 +53,18 @@ class AutoUpdater {
       const includePatterns = options.include ? options.include.split(',') : config.includePatterns;
       const excludePatterns = options.exclude ? options.exclude.split(',') : config.excludePatterns;
 
+      // Watcher exclusions extend the generator defaults, the project's .gitignore, .lmayignore and excludePatterns
+      const ignoreEngine = IgnoreEngine.forProject(resolvedPath, {
+        ...IgnoreEngine.loadDefaultConfig(),
+        analysis: { excludePatterns },
+        logger: this.logger
+      });
+
       // Setup file watcher
       const watcher = chokidar.watch(resolvedPath, {
         persistent: true,
         ignoreInitial: true,
-        ignored: excludePatterns.map(pattern => path.join(resolvedPath, pattern))
+        ignored: (filePath, stats) => ignoreEngine.isIgnored(filePath, Boolean(stats && stats.isDirectory()))
       });
 
       const changeQueue = new Map();
@@ -60,21 +74,21 @@ class AutoUpdater {
       );
 
       watcher.on('add', (filePath) => {
-        if (this.shouldProcessFile(filePath, includePatterns, excludePatterns)) {
+        if (this.shouldProcessFile(filePath, includePatterns, ignoreEngine)) {
           this.queueChange(changeQueue, 'added', filePath);
           debouncedUpdate();
         }
       });
 
       watcher.on('change', (filePath) => {
-        if (this.shouldProcessFile(filePath, includePatterns, excludePatterns)) {
+        if (this.shouldProcessFile(filePath, includePatterns, ignoreEngine)) {
           this.queueChange(changeQueue, 'modified', filePath);
           debouncedUpdate();
         }
       });
 
       watcher.on('unlink', (filePath) => {
-        if (this.shouldProcessFile(filePath, includePatterns, excludePatterns)) {
+        if (this.shouldProcessFile(filePath, includePatterns, ignoreEngine)) {
           this.queueChange(changeQueue, 'removed', filePath);
           debouncedUpdate();
         }
@@ -82,28 +96,28 @@ class AutoUpdater {
 
       spinner.succeed('File watcher started successfully');
 
-      console.log(chalk.cyan('\n👁️  Watching for changes...'));
-      console.log(`  Project: ${chalk.dim(resolvedPath)}`);
-      console.log(`  Include: ${chalk.dim(includePatterns.join(', '))}`);
-      console.log(`  Exclude: ${chalk.dim(excludePatterns.join(', '))}`);
-      console.log('\n  Press Ctrl+C to stop watching\n');
-
-      // Graceful shutdown
-      process.on('SIGINT', () => {
-        console.log(chalk.yellow('\n🛑 Stopping watcher...'));
-        watcher.close();
-        process.exit(0);
+      this.logger.log(chalk.cyan('\n👁️  Watching for changes...'));
+      this.logger.log(`  Project: ${chalk.dim(resolvedPath)}`);
+      this.logger.log(`  Include: ${chalk.dim(includePatterns.join(', '))}`);
+      this.logger.log(`  Exclude: ${chalk.dim(excludePatterns.join(', '))}`);
+      this.logger.log('\n  Press Ctrl+C to stop watching\n');
+
+      // Graceful shutdown: resolves once the watcher is closed
+      return new Promise(resolve => {
+        process.once('SIGINT', async () => {
+          this.logger.log(chalk.yellow('\n🛑 Stopping watcher...'));
+          debouncedUpdate.clear();
+          await watcher.close();
+          resolve();
+        });
       });
 
-      // Keep process alive
-      return new Promise(() => {});
-
     } catch (error) {
       spinner.fail(`Watch initialization failed: ${error.message}`);
       if (options.verbose) {
-        console.error(chalk.red('\nError details:'), error.stack);
+        this.logger.error(chalk.red('\nError details:'), error.stack);
       }
-      process.exit(1);
+      throw new UpdateError(`Watch initialization failed: ${error.message}`, error);
     }
   }
 
@@ -153,15 +167,15 @@ class AutoUpdater {
       // Save changes report if requested
       if (options.output) {
         await this.saveSyncReport(updateResults, options.output, options.format);
-        console.log(chalk.green(`\n📄 Report saved to: ${options.output}`));
+        this.logger.log(chalk.green(`\n📄 Report saved to: ${options.output}`));
       }
 
     } catch (error) {
       spinner.fail(`Synchronization failed: ${error.message}`);
       if (options.verbose) {
-        console.error(chalk.red('\nError details:'), error.stack);
+        this.logger.error(chalk.red('\nError details:'), error.stack);
       }
-      process.exit(1);
+      throw new UpdateError(`Synchronization failed: ${error.message}`, error);
     }
   }
 
@@ -203,7 +217,7 @@ class AutoUpdater {
       // Save detection report if requested
       if (options.output) {
         await this.saveDetectionReport(analysisResults, options.output, options.format);
-        console.log(chalk.green(`\n📄 Report saved to: ${options.output}`));
+        this.logger.log(chalk.green(`\n📄 Report saved to: ${options.output}`));
       }
 
       return analysisResults;
@@ -211,9 +225,9 @@ class AutoUpdater {
     } catch (error) {
       spinner.fail(`Change detection failed: ${error.message}`);
       if (options.verbose) {
-        console.error(chalk.red('\nError details:'), error.stack);
+        this.logger.error(chalk.red('\nError details:'), error.stack);
       }
-      process.exit(1);
+      throw new UpdateError(`Change detection failed: ${error.message}`, error);
     }
   }
 
@@ -272,13 +286,13 @@ class AutoUpdater {
             updateResults.applied++;
             
             if (options.verbose) {
-              console.log(`  ${chalk.green('✓')} Applied: ${change.description}`);
+              this.logger.log(`  ${chalk.green('✓')} Applied: ${change.description}`);
             }
           } else {
             updateResults.skipped++;
             
             if (options.verbose) {
-              console.log(`  ${chalk.yellow('⏭')} Skipped: ${change.description}`);
+              this.logger.log(`  ${chalk.yellow('⏭')} Skipped: ${change.description}`);
             }
           }
 
@@ -289,7 +303,7 @@ class AutoUpdater {
           });
           
           if (options.verbose) {
-            console.log(`  ${chalk.red('✗')} Failed: ${change.description} - ${error.message}`);
+            this.logger.log(`  ${chalk.red('✗')} Failed: ${change.description} - ${error.message}`);
           }
         }
       }
@@ -300,10 +314,10 @@ class AutoUpdater {
       this.displayApplyResults(updateResults, options);
 
       if (updateResults.errors.length > 0) {
-        console.log(chalk.red(`\n❌ Errors occurred during ${updateResults.errors.length} updates`));
+        this.logger.log(chalk.red(`\n❌ Errors occurred during ${updateResults.errors.length} updates`));
         if (options.verbose) {
           updateResults.errors.forEach(error => {
-            console.log(`  • ${error.change}: ${error.error}`);
+            this.logger.log(`  • ${error.change}: ${error.error}`);
           });
         }
       }
@@ -311,9 +325,9 @@ class AutoUpdater {
     } catch (error) {
       spinner.fail(`Update application failed: ${error.message}`);
       if (options.verbose) {
-        console.error(chalk.red('\nError details:'), error.stack);
+        this.logger.error(chalk.red('\nError details:'), error.stack);
       }
-      process.exit(1);
+      throw new UpdateError(`Update application failed: ${error.message}`, error);
     }
   }
 
@@ -364,7 +378,7 @@ class AutoUpdater {
           const existingContent = await fs.readFile(hookPath, 'utf8');
           if (existingContent.includes('lmay-updater')) {
             if (options.verbose) {
-              console.log(`  ${chalk.yellow('⚠')} Hook ${hookName} already exists with LMAY integration`);
+              this.logger.log(`  ${chalk.yellow('⚠')} Hook ${hookName} already exists with LMAY integration`);
             }
             continue;
           }
@@ -380,28 +394,28 @@ class AutoUpdater {
         await fs.chmod(hookPath, '755');
         
         if (options.verbose) {
-          console.log(`  ${chalk.green('✓')} Setup ${hookName} hook`);
+          this.logger.log(`  ${chalk.green('✓')} Setup ${hookName} hook`);
         }
       }
 
       spinner.succeed(`Git hooks setup completed - ${hooksToSetup.length} hooks configured`);
 
-      console.log(chalk.cyan('\n🔗 Git Hooks Configured:'));
+      this.logger.log(chalk.cyan('\n🔗 Git Hooks Configured:'));
       hooksToSetup.forEach(hook => {
-        console.log(`  ${chalk.blue('→')} ${hook}: LMAY auto-update integration`);
+        this.logger.log(`  ${chalk.blue('→')} ${hook}: LMAY auto-update integration`);
       });
 
-      console.log(chalk.cyan('\n💡 Hooks will automatically:'));
-      console.log('  • Detect refactoring changes before commits');
-      console.log('  • Update LMAY documentation as needed');
-      console.log('  • Validate documentation consistency');
+      this.logger.log(chalk.cyan('\n💡 Hooks will automatically:'));
+      this.logger.log('  • Detect refactoring changes before commits');
+      this.logger.log('  • Update LMAY documentation as needed');
+      this.logger.log('  • Validate documentation consistency');
 
     } catch (error) {
       spinner.fail(`Git hooks setup failed: ${error.message}`);
       if (options.verbose) {
-        console.error(chalk.red('\nError details:'), error.stack);
+        this.logger.error(chalk.red('\nError details:'), error.stack);
       }
-      process.exit(1);
+      throw new UpdateError(`Git hooks setup failed: ${error.message}`, error);
     }
   }
 
@@ -415,10 +429,10 @@ class AutoUpdater {
         const rollbackPoints = await this.listRollbackPoints(resolvedPath);
         spinner.succeed('Available rollback points retrieved');
         
-        console.log(chalk.cyan('\n🔄 Available Rollback Points:'));
+        this.logger.log(chalk.cyan('\n🔄 Available Rollback Points:'));
         rollbackPoints.forEach((point, index) => {
-          console.log(`  ${index + 1}. ${point.timestamp} - ${point.description}`);
-          console.log(`     ${chalk.dim('Commit:')} ${point.commit}`);
+          this.logger.log(`  ${index + 1}. ${point.timestamp} - ${point.description}`);
+          this.logger.log(`     ${chalk.dim('Commit:')} ${point.commit}`);
         });
         return;
       }
@@ -430,30 +444,29 @@ class AutoUpdater {
       
       spinner.succeed(`Rollback completed - Restored to ${rollbackResult.targetPoint}`);
 
-      console.log(chalk.cyan('\n🔄 Rollback Results:'));
-      console.log(`  ${chalk.blue('→')} Target: ${rollbackResult.targetPoint}`);
-      console.log(`  ${chalk.blue('→')} Files restored: ${rollbackResult.filesRestored}`);
-      console.log(`  ${chalk.blue('→')} Changes reverted: ${rollbackResult.changesReverted}`);
+      this.logger.log(chalk.cyan('\n🔄 Rollback Results:'));
+      this.logger.log(`  ${chalk.blue('→')} Target: ${rollbackResult.targetPoint}`);
+      this.logger.log(`  ${chalk.blue('→')} Files restored: ${rollbackResult.filesRestored}`);
+      this.logger.log(`  ${chalk.blue('→')} Changes reverted: ${rollbackResult.changesReverted}`);
 
     } catch (error) {
       spinner.fail(`Rollback failed: ${error.message}`);
       if (options.verbose) {
-        console.error(chalk.red('\nError details:'), error.stack);
+        this.logger.error(chalk.red('\nError details:'), error.stack);
       }   
-      process.exit(1);
+      throw new UpdateError(`Rollback failed: ${error.message}`, error);
     }
   }
 
   async batchUpdate(operation, paths, options) {
     const spinner = ora(`Initializing batch ${operation}...`).start();
+    const results = [];
+    let errorCount = 0;
 
     try {
       const resolvedPaths = paths.map(p => path.resolve(p));
       const parallel = parseInt(options.parallel) || 4;
-      
-      const results = [];
       let successCount = 0;
-      let errorCount = 0;
 
       // Process in batches
       for (let i = 0; i < resolvedPaths.length; i += parallel) {
@@ -497,29 +510,36 @@ class AutoUpdater {
       spinner.succeed(`Batch ${operation} completed`);
 
       // Display results
-      console.log(chalk.cyan(`\n📊 Batch ${operation.toUpperCase()} Results:`));
-      console.log(`  ${chalk.blue('→')} Total projects: ${resolvedPaths.length}`);
-      console.log(`  ${chalk.blue('→')} Successful: ${chalk.green(successCount)}`);
-      console.log(`  ${chalk.blue('→')} Failed: ${chalk.red(errorCount)}`);
+      this.logger.log(chalk.cyan(`\n📊 Batch ${operation.toUpperCase()} Results:`));
+      this.logger.log(`  ${chalk.blue('→')} Total projects: ${resolvedPaths.length}`);
+      this.logger.log(`  ${chalk.blue('→')} Successful: ${chalk.green(successCount)}`);
+      this.logger.log(`  ${chalk.blue('→')} Failed: ${chalk.red(errorCount)}`);
 
       // Save report if requested
       if (options.output) {
         await this.saveBatchUpdateReport(results, options.output, options.format);
-        console.log(chalk.green(`\n📄 Batch report saved to: ${options.output}`));
+        this.logger.log(chalk.green(`\n📄 Batch report saved to: ${options.output}`));
       }
 
-      process.exit(errorCount > 0 ? 1 : 0);
-
     } catch (error) {
       spinner.fail(`Batch ${operation} failed: ${error.message}`);
       if (options.verbose) {
-        console.error(chalk.red('\nError details:'), error.stack);
+        this.logger.error(chalk.red('\nError details:'), error.stack);
       }
-      process.exit(1);
+      throw new UpdateError(`Batch ${operation} failed: ${error.message}`, error);
+    }
+
+    if (errorCount > 0) {
+      throw new UpdateError(`Batch ${operation} failed for ${errorCount} projects`);
     }
+    return results;
   }
 
   // Helper methods
+  createIgnoreEngine(projectPath) {
+    return IgnoreEngine.forProject(projectPath, { ...IgnoreEngine.loadDefaultConfig(), logger: this.logger });
+  }
+
   async loadConfig() {
     try {
       if (await fs.pathExists(this.configPath)) {
@@ -532,12 +552,10 @@ class AutoUpdater {
     return this.defaultConfig;
   }
 
-  shouldProcessFile(filePath, includePatterns, excludePatterns) {
+  shouldProcessFile(filePath, includePatterns, ignoreEngine) {
     // Check exclusions first
-    for (const pattern of excludePatterns) {
-      if (minimatch(filePath, pattern)) {
-        return false;
-      }
+    if (ignoreEngine.isIgnored(filePath)) {
+      return false;
     }
     
     // Then check inclusions
@@ -572,19 +590,19 @@ class AutoUpdater {
     const changes = Array.from(changeQueue.values());
     changeQueue.clear();
 
-    console.log(chalk.blue(`\n📝 Processing ${changes.length} file changes...`));
+    this.logger.log(chalk.blue(`\n📝 Processing ${changes.length} file changes...`));
 
     // Analyze changes for LMAY impact
     const impactAnalysis = await this.analyzeChangesForLMAYImpact(changes, projectPath);
     
     if (impactAnalysis.requiresUpdate) {
       if (options.dryRun) {
-        console.log(chalk.yellow('🧪 Dry run - LMAY updates that would be applied:'));
+        this.logger.log(chalk.yellow('🧪 Dry run - LMAY updates that would be applied:'));
         this.displayPendingUpdates(impactAnalysis.updates);
       } else {
         // Apply updates
         const updateResults = await this.applyAutoUpdates(impactAnalysis.updates, projectPath);
-        console.log(chalk.green(`✅ Auto-updated ${updateResults.updated} LMAY files`));
+        this.logger.log(chalk.green(`✅ Auto-updated ${updateResults.updated} LMAY files`));
         
         // Auto-commit if enabled
         if (options.autoCommit) {
@@ -592,13 +610,15 @@ class AutoUpdater {
         }
       }
     } else {
-      console.log(chalk.dim('📋 Changes processed - No LMAY updates required'));
+      this.logger.log(chalk.dim('📋 Changes processed - No LMAY updates required'));
     }
   }
 
   async findLMAYFiles(directory) {
     const lmayFiles = [];
-    const files = await glob('**/*.lmay', { cwd: directory });
+    const files = this.createIgnoreEngine(directory)
+      .listFiles({ extensions: ['.lmay'] })
+      .map(file => path.relative(directory, file));
     
     for (const file of files) {
       const fullPath = path.join(directory, file);
@@ -668,14 +688,15 @@ fi
       structure: {},
       dependencies: {},
       exports: {},
-      imports: {}
+      imports: {},
+      frameworks: []
     };
 
-    // Scan for all source files
-    const sourceFiles = await glob('**/*.{js,ts,py,java,go,rs,cpp,c,php,rb}', {
-      cwd: projectPath,
-      ignore: ['node_modules/**', '.git/**', 'dist/**', 'build/**']
-    });
+    // Scan for all source files, with the generator's exclusions
+    const ignoreEngine = this.createIgnoreEngine(projectPath);
+    const sourceFiles = ignoreEngine
+      .listFiles({ extensions: ['.js', '.ts', '.py', '.java', '.go', '.rs', '.cpp', '.c', '.php', '.rb'] })
+      .map(file => path.relative(projectPath, file));
 
     for (const file of sourceFiles) {
       const fullPath = path.join(projectPath, file);
@@ -699,8 +720,11 @@ fi
     }
 
     // Scan directory structure
-    state.directories = await this.scanDirectoryStructure(projectPath);
+    state.directories = await this.scanDirectoryStructure(projectPath, ignoreEngine);
     state.structure = this.buildProjectStructure(state.files, state.directories);
+
+    // Detect frameworks with the generator's shared detector registry
+    state.frameworks = await this.detectFrameworks(projectPath, ignoreEngine);
     
     return state;
   }
@@ -769,6 +793,12 @@ fi
       differences.push(...changes);
     }
 
+    // Compare documented frameworks with detected ones
+    const frameworkChange = this.detectFrameworkChanges(currentState.frameworks, documentedState);
+    if (frameworkChange) {
+      differences.push(frameworkChange);
+    }
+
     return differences;
   }
 
@@ -801,6 +831,12 @@ fi
             results.updated++;
             results.changes.push(`Updated imports for ${diff.file}`);
             break;
+
+          case 'update_frameworks':
+            await this.updateFrameworksDocumentation(diff.file, diff.frameworks, projectPath);
+            results.updated++;
+            results.changes.push(`Updated frameworks in ${diff.file}`);
+            break;
             
           case 'fix_syntax':
             if (options.autoFix) {
@@ -888,20 +924,20 @@ fi
   }
 
   displayDetectionResults(analysis, significantChanges, options) {
-    console.log(chalk.cyan('\n🔍 Change Detection Results:'));
-    console.log(`  ${chalk.blue('→')} Total changes: ${analysis.changes.length}`);
-    console.log(`  ${chalk.blue('→')} Significant: ${significantChanges.length}`);
+    this.logger.log(chalk.cyan('\n🔍 Change Detection Results:'));
+    this.logger.log(`  ${chalk.blue('→')} Total changes: ${analysis.changes.length}`);
+    this.logger.log(`  ${chalk.blue('→')} Significant: ${significantChanges.length}`);
   }
 
   displaySyncResults(results, options) {
-    console.log(chalk.cyan('\n🔄 Synchronization Results:'));
-    console.log(`  ${chalk.blue('→')} Files updated: ${results.updated}`);
+    this.logger.log(chalk.cyan('\n🔄 Synchronization Results:'));
+    this.logger.log(`  ${chalk.blue('→')} Files updated: ${results.updated}`);
   }
 
   displayApplyResults(results, options) {
-    console.log(chalk.cyan('\n✅ Apply Results:'));
-    console.log(`  ${chalk.blue('→')} Applied: ${results.applied}`);
-    console.log(`  ${chalk.blue('→')} Skipped: ${results.skipped}`);
+    this.logger.log(chalk.cyan('\n✅ Apply Results:'));
+    this.logger.log(`  ${chalk.blue('→')} Applied: ${results.applied}`);
+    this.logger.log(`  ${chalk.blue('→')} Skipped: ${results.skipped}`);
   }
 
   async promptForApproval(change) {
@@ -1068,37 +1104,63 @@ fi
     return classes;
   }
 
-  async scanDirectoryStructure(rootPath) {
+  async scanDirectoryStructure(rootPath, ignoreEngine = this.createIgnoreEngine(rootPath)) {
     const directories = [];
-    
-    const scanDir = async (dirPath, relativePath = '') => {
-      const items = await fs.readdir(dirPath);
-      
-      for (const item of items) {
-        const fullPath = path.join(dirPath, item);
-        const relPath = path.join(relativePath, item);
-        const stats = await fs.stat(fullPath);
-        
-        if (stats.isDirectory() && !this.shouldSkipDirectory(item)) {
-          directories.push({
-            path: fullPath,
-            relativePath: relPath,
-            name: item,
-            modified: stats.mtime
-          });
-          
-          await scanDir(fullPath, relPath);
-        }
-      }
-    };
-    
-    await scanDir(rootPath);
+
+    for (const fullPath of ignoreEngine.listDirectories()) {
+      const stats = await fs.stat(fullPath);
+      directories.push({
+        path: fullPath,
+        relativePath: path.relative(rootPath, fullPath),
+        name: path.basename(fullPath),
+        modified: stats.mtime
+      });
+    }
+
     return directories;
   }
 
-  shouldSkipDirectory(name) {
-    const skipDirs = ['node_modules', '.git', 'dist', 'build', '.next', '.nuxt', 'coverage'];
-    return skipDirs.includes(name) || name.startsWith('.');
+  async detectFrameworks(projectPath, ignoreEngine = this.createIgnoreEngine(projectPath)) {
+    const files = ignoreEngine.listFiles();
+
+    // Custom framework detectors are declared in the project's lmay.config.json
+    let projectConfig = {};
+    const configPath = path.join(projectPath, 'lmay.config.json');
+    try {
+      if (await fs.pathExists(configPath)) {
+        projectConfig = await fs.readJson(configPath);
+      }
+    } catch (error) {
+      // Fall back to built-in detectors
+    }
+
+    return new FrameworkDetector({ ...projectConfig, logger: this.logger }).detect(projectPath, files);
+  }
+
+  detectFrameworkChanges(detectedFrameworks, documentedState) {
+    const rootFile = Object.keys(documentedState).find(file => path.basename(file) === 'root.lmay');
+    const project = rootFile && documentedState[rootFile].project;
+    if (!project) return null;
+
+    const documented = (project.frameworks || [])
+      .map(fw => (typeof fw === 'string' ? fw : fw && fw.name))
+      .filter(Boolean)
+      .map(name => name.toLowerCase());
+    const detected = detectedFrameworks.map(fw => fw.name.toLowerCase());
+
+    if (this.arraysEqual(documented, detected)) return null;
+
+    const added = detected.filter(name => !documented.includes(name));
+    const removed = documented.filter(name => !detected.includes(name));
+
+    return {
+      type: 'framework_change',
+      file: rootFile,
+      description: `Frameworks changed (added: ${added.join(', ') || 'none'}, removed: ${removed.join(', ') || 'none'})`,
+      severity: 'low',
+      action: 'update_frameworks',
+      frameworks: detectedFrameworks
+    };
   }
 
   buildProjectStructure(files, directories) {
@@ -1359,6 +1421,20 @@ fi
     }
   }
 
+  async updateFrameworksDocumentation(lmayFilePath, frameworks, projectPath) {
+    const fullPath = path.join(projectPath, lmayFilePath);
+    const content = yaml.parse(await fs.readFile(fullPath, 'utf8'));
+    if (!content.project) return;
+
+    content.project.frameworks = frameworks.map(fw => ({
+      name: fw.name,
+      ...(fw.version ? { version: fw.version } : {}),
+      confidence: fw.confidence,
+      evidence: fw.evidence
+    }));
+    await fs.writeFile(fullPath, yaml.stringify(content));
+  }
+
   findBestLMAYFileForPath(filePath, lmayFiles) {
     // Simple heuristic: find LMAY file in same or parent directory
     const fileDir = path.dirname(filePath);
@@ -1396,20 +1472,16 @@ fi
       await fs.copy(lmayFile.path, backupFile);
     }
     
-    console.log(chalk.dim(`  Backup created: ${backupPath}`));
+    this.logger.log(chalk.dim(`  Backup created: ${backupPath}`));
+    return backupPath;
   }
 
   async validateUpdates(projectPath) {
-    try {
-      const { validator } = require('../../validator/src/validator');
-      const validationResults = await validator.validateProject(projectPath);
-      
-      if (validationResults.errors.length > 0) {
-        throw new Error(`Validation failed: ${validationResults.errors.length} errors found`);
-      }
-    } catch (error) {
-      // Validation is optional if validator is not available
-      console.log(chalk.yellow('⚠️  Validation skipped - validator not available'));
+    const validator = new LMAYValidator({ logger: this.logger });
+    const validationResults = await validator.validateProject(projectPath);
+
+    if (!validationResults.valid) {
+      throw new Error(`Validation failed: ${validationResults.errors.length} errors found`);
     }
   }
 
@@ -1454,12 +1526,12 @@ ${updateResults.updated} files updated
 Changes: ${updateResults.changes.join(', ')}`;
 
     await gitRepo.commit(message);
-    console.log(chalk.green('📝 Auto-committed LMAY updates'));
+    this.logger.log(chalk.green('📝 Auto-committed LMAY updates'));
   }
 
   displayPendingUpdates(updates) {
     updates.forEach(update => {
-      console.log(`  ${chalk.yellow('→')} ${update.description}`);
+      this.logger.log(`  ${chalk.yellow('→')} ${update.description}`);
     });
   }
 
@@ -1632,24 +1704,24 @@ ${report.changes.join('\n')}`;
   async manageConfig(options) {
     if (options.list) {
       const config = await this.loadConfig();
-      console.log(chalk.cyan('\n⚙️  Current Configuration:'));
+      this.logger.log(chalk.cyan('\n⚙️  Current Configuration:'));
       Object.entries(config).forEach(([key, value]) => {
-        console.log(`  ${chalk.blue(key)}: ${JSON.stringify(value)}`);
+        this.logger.log(`  ${chalk.blue(key)}: ${JSON.stringify(value)}`);
       });
       return;
     }
 
     if (options.reset) {
       await fs.writeFile(this.configPath, JSON.stringify(this.defaultConfig, null, 2));
-      console.log(chalk.green('✅ Configuration reset to defaults'));
+      this.logger.log(chalk.green('✅ Configuration reset to defaults'));
       return;
     }
 
     if (options.set) {
       const [key, value] = options.set.split('=');
       if (!key || value === undefined) {
-        console.error(chalk.red('Invalid format. Use: --set key=value'));
-        process.exit(1);
+        this.logger.error(chalk.red('Invalid format. Use: --set key=value'));
+        throw new UpdateError('Invalid format. Use: --set key=value');
       }
 
       const config = await this.loadConfig();
@@ -1664,7 +1736,7 @@ ${report.changes.join('\n')}`;
 
       config[key] = parsedValue;
       await fs.writeFile(this.configPath, JSON.stringify(config, null, 2));
-      console.log(chalk.green(`✅ Set ${key} = ${JSON.stringify(parsedValue)}`));
+      this.logger.log(chalk.green(`✅ Set ${key} = ${JSON.stringify(parsedValue)}`));
     }
   }
 
@@ -1727,15 +1799,15 @@ ${report.changes.join('\n')}`;
       // Save report if requested
       if (options.output) {
         await this.savePatternReport(analysis, options.output, options.format);
-        console.log(chalk.green(`\n📄 Analysis report saved to: ${options.output}`));
+        this.logger.log(chalk.green(`\n📄 Analysis report saved to: ${options.output}`));
       }
 
     } catch (error) {
       spinner.fail(`Pattern analysis failed: ${error.message}`);
       if (options.verbose) {
-        console.error(chalk.red('\nError details:'), error.stack);
+        this.logger.error(chalk.red('\nError details:'), error.stack);
       }
-      process.exit(1);
+      throw new UpdateError(`Pattern analysis failed: ${error.message}`, error);
     }
   }
 
@@ -1818,34 +1890,34 @@ ${report.changes.join('\n')}`;
   }
 
   displayPatternAnalysis(analysis, options) {
-    console.log(chalk.cyan('\n🔍 Refactoring Pattern Analysis:'));
-    console.log(`  ${chalk.blue('→')} Total commits analyzed: ${analysis.totalCommits}`);
-    console.log(`  ${chalk.blue('→')} Refactoring commits: ${analysis.refactoringCommits.length}`);
+    this.logger.log(chalk.cyan('\n🔍 Refactoring Pattern Analysis:'));
+    this.logger.log(`  ${chalk.blue('→')} Total commits analyzed: ${analysis.totalCommits}`);
+    this.logger.log(`  ${chalk.blue('→')} Refactoring commits: ${analysis.refactoringCommits.length}`);
     
     if (options.patterns) {
-      console.log(chalk.cyan('\n📊 Pattern Breakdown:'));
-      console.log(`  ${chalk.blue('→')} File movements: ${analysis.patterns.fileMovements}`);
-      console.log(`  ${chalk.blue('→')} Name changes: ${analysis.patterns.nameChanges}`);
-      console.log(`  ${chalk.blue('→')} Structural changes: ${analysis.patterns.structuralChanges}`);
+      this.logger.log(chalk.cyan('\n📊 Pattern Breakdown:'));
+      this.logger.log(`  ${chalk.blue('→')} File movements: ${analysis.patterns.fileMovements}`);
+      this.logger.log(`  ${chalk.blue('→')} Name changes: ${analysis.patterns.nameChanges}`);
+      this.logger.log(`  ${chalk.blue('→')} Structural changes: ${analysis.patterns.structuralChanges}`);
       
-      console.log(chalk.cyan('\n📁 Most Changed Files:'));
+      this.logger.log(chalk.cyan('\n📁 Most Changed Files:'));
       const sortedFiles = Object.entries(analysis.commonFiles)
         .sort(([,a], [,b]) => b - a)
         .slice(0, 5);
       
       sortedFiles.forEach(([file, count]) => {
-        console.log(`  ${chalk.blue('→')} ${file}: ${count} changes`);
+        this.logger.log(`  ${chalk.blue('→')} ${file}: ${count} changes`);
       });
     }
 
     if (options.recommendations && analysis.recommendations.length > 0) {
-      console.log(chalk.cyan('\n💡 Recommendations:'));
+      this.logger.log(chalk.cyan('\n💡 Recommendations:'));
       analysis.recommendations.forEach(rec => {
         const priority = rec.priority === 'high' ? chalk.red(rec.priority) : 
                         rec.priority === 'medium' ? chalk.yellow(rec.priority) : 
                         chalk.green(rec.priority);
-        console.log(`  ${chalk.blue('→')} [${priority}] ${rec.title}`);
-        console.log(`      ${chalk.dim(rec.description)}`);
+        this.logger.log(`  ${chalk.blue('→')} [${priority}] ${rec.title}`);
+        this.logger.log(`      ${chalk.dim(rec.description)}`);
       });
     }
   }
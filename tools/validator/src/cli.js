@@ -4,6 +4,7 @@ const { Command } = require('commander');
 const path = require('path');
 const fs = require('fs');
 const LMAYValidator = require('./validator');
+const { generateSARIFReport } = require('./sarif');
 
 const program = new Command();
 
@@ -22,6 +23,7 @@ program
   .option('-o, --output <file>', 'Fichier de sortie pour le rapport')
   .option('--verbose', 'Mode verbeux')
   .option('--fix', 'Tenter de corriger automatiquement les erreurs mineures')
+  .option('--plugins [entries]', 'Charger les plugins du projet pour valider leurs sections (toutes, ou entrées séparées par des virgules)')
   .action(async (file, options) => {
     try {
       await validateLMAY(file, options);
@@ -42,6 +44,7 @@ program
   .option('-f, --format <format>', 'Format de sortie', 'text')
   .option('-o, --output <file>', 'Fichier de sortie pour le rapport')
   .option('--continue-on-error', 'Continuer même en cas d\'erreur')
+  .option('--plugins [entries]', 'Charger les plugins du projet pour valider leurs sections (toutes, ou entrées séparées par des virgules)')
   .action(async (files, options) => {
     await validateBatch(files, options);
   });
@@ -60,7 +63,8 @@ async function validateLMAY(file, options) {
   const validator = new LMAYValidator({
     strict: options.strict,
     checkReferences: options.references !== false,
-    checkHierarchy: options.hierarchy !== false
+    checkHierarchy: options.hierarchy !== false,
+    plugins: parsePluginsOption(options.plugins)
   });
 
   let results;
@@ -127,7 +131,7 @@ async function validateBatch(files, options) {
     try {
       console.log(`📄 Validation: ${file}`);
       
-      const validator = new LMAYValidator();
+      const validator = new LMAYValidator({ plugins: parsePluginsOption(options.plugins) });
       const result = await validator.validateFile(path.resolve(file));
       
       results.push({
@@ -174,6 +178,15 @@ async function validateBatch(files, options) {
   process.exit(successCount === files.length ? 0 : 1);
 }
 
+/**
+ * --plugins : tous les plugins du projet, --plugins a,b : les seules entrées listées
+ */
+function parsePluginsOption(value) {
+  if (!value) return false;
+  if (value === true) return true;
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 async function displayResults(report, options, duration) {
   console.log('\n' + '='.repeat(60));
   
@@ -384,145 +397,4 @@ function generateTextReport(report) {
   return lines.join('\n');
 }
 
-function generateSARIFReport(report) {
-  const sarif = {
-    version: "2.1.0",
-    "$schema": "https://raw.githubusercontent.com/oasis-tcs/sarif-spec/master/Schemata/sarif-schema-2.1.0.json",
-    runs: [{
-      tool: {
-        driver: {
-          name: "lmay-validator",
-          version: "1.0.0",
-          informationUri: "https://github.com/francois5/lmay",
-          shortDescription: {
-            text: "LMAY file system structure validator"
-          },
-          fullDescription: {
-            text: "Validates LMAY (LMAY Markup for AI in YAML) files for file system documentation and structure analysis"
-          },
-          rules: generateSARIFRules()
-        }
-      },
-      results: []
-    }]
-  };
-
-  // Convertir les erreurs en résultats SARIF
-  for (const error of report.errors) {
-    sarif.runs[0].results.push({
-      ruleId: error.type,
-      level: "error",
-      message: {
-        text: error.message
-      },
-      locations: [{
-        physicalLocation: {
-          artifactLocation: {
-            uri: error.file,
-            uriBaseId: "%SRCROOT%"
-          },
-          ...(error.line && {
-            region: {
-              startLine: error.line,
-              ...(error.column && { startColumn: error.column })
-            }
-          })
-        }
-      }],
-      ...(error.path && {
-        properties: {
-          jsonPath: error.path
-        }
-      })
-    });
-  }
-
-  // Convertir les avertissements en résultats SARIF
-  for (const warning of report.warnings) {
-    sarif.runs[0].results.push({
-      ruleId: warning.type,
-      level: "warning",
-      message: {
-        text: warning.message
-      },
-      locations: [{
-        physicalLocation: {
-          artifactLocation: {
-            uri: warning.file,
-            uriBaseId: "%SRCROOT%"
-          },
-          ...(warning.line && {
-            region: {
-              startLine: warning.line,
-              ...(warning.column && { startColumn: warning.column })
-            }
-          })
-        }
-      }],
-      ...(warning.suggestion && {
-        fixes: [{
-          description: {
-            text: warning.suggestion
-          }
-        }]
-      })
-    });
-  }
-
-  return JSON.stringify(sarif, null, 2);
-}
-
-function generateSARIFRules() {
-  return [
-    {
-      id: "file_not_found",
-      shortDescription: { text: "LMAY file not found" },
-      fullDescription: { text: "The specified LMAY file could not be found in the file system" },
-      defaultConfiguration: { level: "error" }
-    },
-    {
-      id: "yaml_syntax_error",
-      shortDescription: { text: "YAML syntax error" },
-      fullDescription: { text: "The LMAY file contains invalid YAML syntax" },
-      defaultConfiguration: { level: "error" }
-    },
-    {
-      id: "missing_required_property",
-      shortDescription: { text: "Missing required property" },
-      fullDescription: { text: "A required property is missing from the LMAY structure" },
-      defaultConfiguration: { level: "error" }
-    },
-    {
-      id: "referenced_path_not_found",
-      shortDescription: { text: "Referenced path not found" },
-      fullDescription: { text: "A path referenced in the LMAY file does not exist in the file system" },
-      defaultConfiguration: { level: "error" }
-    },
-    {
-      id: "circular_reference",
-      shortDescription: { text: "Circular reference detected" },
-      fullDescription: { text: "A circular reference was detected between LMAY files" },
-      defaultConfiguration: { level: "error" }
-    },
-    {
-      id: "inconsistent_indentation",
-      shortDescription: { text: "Inconsistent indentation" },
-      fullDescription: { text: "The YAML file uses inconsistent indentation" },
-      defaultConfiguration: { level: "warning" }
-    },
-    {
-      id: "generic_project_name",
-      shortDescription: { text: "Generic project name" },
-      fullDescription: { text: "The project uses a generic name that should be more specific" },
-      defaultConfiguration: { level: "warning" }
-    },
-    {
-      id: "orphan_lmay_file",
-      shortDescription: { text: "Orphan LMAY file" },
-      fullDescription: { text: "An LMAY file is not referenced by any other LMAY file" },
-      defaultConfiguration: { level: "warning" }
-    }
-  ];
-}
-
 program.parse();
\ No newline at end of file
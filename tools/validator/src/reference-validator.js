@@ -1,9 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const IgnoreEngine = require('lmay-generator/src/ignore-engine');
 
 class ReferenceValidator {
-  constructor() {
+  constructor(options = {}) {
+    this.logger = options.logger || console;
     this.errors = [];
     this.warnings = [];
     this.fileMap = new Map(); // Cache des fichiers LMAY chargés
@@ -17,6 +19,8 @@ class ReferenceValidator {
     this.warnings = [];
     this.fileMap.clear();
 
+    // Même clé de cache que les fichiers découverts, qui sont absolus
+    projectPath = path.resolve(projectPath);
     const rootPath = path.join(projectPath, rootFile);
     
     if (!fs.existsSync(rootPath)) {
@@ -88,6 +92,11 @@ class ReferenceValidator {
       this.validateEntryPointReferences(lmayData.architecture.entry_points, filePath, basePath);
     }
 
+    // Valider les paquets du monorepo
+    if (lmayData.architecture && lmayData.architecture.monorepo && lmayData.architecture.monorepo.packages) {
+      this.validateMonorepoReferences(lmayData.architecture.monorepo.packages, filePath, basePath);
+    }
+
     // Valider les dépendances internes
     if (lmayData.dependencies && lmayData.dependencies.internal) {
       this.validateInternalDependencyReferences(lmayData.dependencies.internal, filePath, basePath);
@@ -139,7 +148,8 @@ class ReferenceValidator {
    * Valide une référence à un fichier LMAY
    */
   async validateLMAYFileReference(lmayFilePath, parentFile, basePath, contextPath) {
-    const fullPath = path.resolve(basePath, lmayFilePath);
+    // Les liens lmay_file sont relatifs au fichier qui les déclare
+    const fullPath = path.resolve(path.dirname(parentFile), lmayFilePath);
     
     if (!fs.existsSync(fullPath)) {
       this.errors.push({
@@ -205,6 +215,44 @@ class ReferenceValidator {
     }
   }
 
+  /**
+   * Valide les paquets déclarés d'un monorepo
+   */
+  validateMonorepoReferences(packages, filePath, basePath) {
+    for (let i = 0; i < packages.length; i++) {
+      const pkg = packages[i];
+      const packagePath = `/architecture/monorepo/packages/${i}`;
+
+      if (pkg.path) {
+        const fullPath = path.resolve(basePath, pkg.path);
+
+        if (!fs.existsSync(fullPath)) {
+          this.errors.push({
+            type: 'workspace_package_not_found',
+            message: `Paquet du monorepo introuvable: ${pkg.path}`,
+            file: filePath,
+            path: `${packagePath}/path`,
+            referencedPath: fullPath
+          });
+        }
+      }
+
+      // Le contenu du fichier est déjà validé via la chaîne structure → lmay_file
+      if (pkg.lmay_file) {
+        const lmayPath = path.resolve(path.dirname(filePath), pkg.lmay_file);
+        if (!fs.existsSync(lmayPath)) {
+          this.errors.push({
+            type: 'lmay_file_not_found',
+            message: `Fichier LMAY référencé introuvable: ${pkg.lmay_file}`,
+            file: filePath,
+            path: `${packagePath}/lmay_file`,
+            referencedFile: lmayPath
+          });
+        }
+      }
+    }
+  }
+
   /**
    * Valide les références des dépendances internes
    */
@@ -253,34 +301,12 @@ class ReferenceValidator {
   }
 
   /**
-   * Trouve tous les fichiers .lmay dans un répertoire
-   */
-  findAllLMAYFiles(dirPath, files = []) {
-    try {
-      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dirPath, entry.name);
-        
-        if (entry.isDirectory() && !this.shouldSkipDirectory(entry.name)) {
-          this.findAllLMAYFiles(fullPath, files);
-        } else if (entry.isFile() && entry.name.endsWith('.lmay')) {
-          files.push(fullPath);
-        }
-      }
-    } catch (error) {
-      // Ignorer les erreurs de lecture de répertoire
-    }
-
-    return files;
-  }
-
-  /**
-   * Vérifie si un répertoire doit être ignoré
+   * Trouve tous les fichiers .lmay d'un projet, avec les mêmes exclusions que le
+   * générateur (.gitignore, .lmayignore, excludePatterns)
    */
-  shouldSkipDirectory(name) {
-    const skipDirs = ['node_modules', '.git', 'dist', 'build', '.cache'];
-    return skipDirs.includes(name) || name.startsWith('.');
+  findAllLMAYFiles(dirPath) {
+    const config = { ...IgnoreEngine.loadDefaultConfig(), logger: this.logger };
+    return IgnoreEngine.forProject(dirPath, config).listFiles({ extensions: ['.lmay'] });
   }
 
   /**
@@ -300,7 +326,7 @@ class ReferenceValidator {
   /**
    * Détection récursive des références circulaires
    */
-  detectCircularReferencesRecursive(filePath, visited, recursionStack, path) {
+  detectCircularReferencesRecursive(filePath, visited, recursionStack, chain) {
     visited.add(filePath);
     recursionStack.add(filePath);
 
@@ -314,17 +340,17 @@ class ReferenceValidator {
             // Référence circulaire détectée
             this.errors.push({
               type: 'circular_reference',
-              message: `Référence circulaire détectée: ${[...path, filePath, referencedPath].join(' -> ')}`,
+              message: `Référence circulaire détectée: ${[...chain, filePath, referencedPath].join(' -> ')}`,
               file: filePath,
               path: `/structure/${itemName}/lmay_file`,
-              cycle: [...path, filePath, referencedPath]
+              cycle: [...chain, filePath, referencedPath]
             });
           } else if (!visited.has(referencedPath) && this.fileMap.has(referencedPath)) {
             this.detectCircularReferencesRecursive(
               referencedPath, 
               visited, 
               recursionStack, 
-              [...path, filePath]
+              [...chain, filePath]
             );
           }
         }
@@ -2,15 +2,19 @@ const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
 const fs = require('fs');
 const path = require('path');
+const PluginLoader = require('lmay-generator/src/plugin-loader');
 
 class SchemaValidator {
-  constructor() {
+  constructor(options = {}) {
+    this.logger = options.logger || console;
     this.ajv = new Ajv({ 
       allErrors: true, 
       verbose: true,
       strict: false
     });
     addFormats(this.ajv);
+    this.pluginProject = null;
+    this.pluginsEnabled = false;
     
     // Charger le schéma LMAY
     this.loadSchema();
@@ -26,13 +30,44 @@ class SchemaValidator {
     try {
       const schemaPath = path.join(__dirname, '../config/lmay-schema.json');
       const schemaContent = fs.readFileSync(schemaPath, 'utf8');
-      this.schema = JSON.parse(schemaContent);
+      this.baseSchema = JSON.parse(schemaContent);
+      this.schema = this.baseSchema;
       this.validate = this.ajv.compile(this.schema);
     } catch (error) {
       throw new Error(`Impossible de charger le schéma LMAY: ${error.message}`);
     }
   }
 
+  /**
+   * Étend le schéma avec les sections déclarées par les plugins du générateur
+   * actifs dans le projet (lmay.config.json et paquets lmay-plugin-*). Le code des
+   * plugins est exécuté : à n'appeler que pour un projet de confiance.
+   * @param {true|string[]} allowed - tous les plugins du projet, ou les seules entrées listées
+   */
+  usePlugins(projectPath, allowed = true) {
+    const root = path.resolve(projectPath);
+    const key = JSON.stringify([root, allowed]);
+    if (this.pluginProject === key) return;
+    this.pluginProject = key;
+    this.pluginsEnabled = true;
+
+    const loader = new PluginLoader({
+      logger: this.logger,
+      ...(Array.isArray(allowed) ? { pluginAllowlist: allowed } : {})
+    });
+    const properties = { ...this.baseSchema.properties };
+    for (const [section, fragment] of Object.entries(loader.getSchemas(root))) {
+      if (!this.ajv.validateSchema(fragment)) {
+        this.logger.warn(`Schéma de la section "${section}" invalide:`, this.ajv.errorsText(this.ajv.errors));
+        continue;
+      }
+      properties[section] = fragment;
+    }
+
+    this.schema = { ...this.baseSchema, properties };
+    this.validate = this.ajv.compile(this.schema);
+  }
+
   /**
    * Valide un objet LMAY contre le schéma
    */
@@ -44,7 +79,7 @@ class SchemaValidator {
     const isValid = this.validate(lmayData);
     
     if (!isValid) {
-      this.processSchemaErrors(this.validate.errors, filePath);
+      this.processSchemaErrors(this.validate.errors, filePath, this.getUserOwnedPaths(lmayData));
     }
 
     // Validations sémantiques supplémentaires
@@ -53,11 +88,28 @@ class SchemaValidator {
     return this.errors.length === 0;
   }
 
+  /**
+   * Chemins déclarés comme rédigés à la main (préservés par la régénération en mode fusion)
+   */
+  getUserOwnedPaths(lmayData) {
+    const userOwned = lmayData && lmayData.metadata && lmayData.metadata.user_owned;
+    return new Set(Array.isArray(userOwned) ? userOwned : []);
+  }
+
   /**
    * Traite les erreurs du schéma JSON
    */
-  processSchemaErrors(schemaErrors, filePath) {
+  processSchemaErrors(schemaErrors, filePath, userOwned = new Set()) {
     for (const error of schemaErrors) {
+      // Les erreurs "if" ne font que résumer celles de la branche then/else
+      if (error.keyword === 'if') continue;
+
+      // Les sections personnalisées déclarées dans metadata.user_owned sont autorisées
+      if (error.keyword === 'additionalProperties' &&
+          userOwned.has(`${error.instancePath}/${error.params.additionalProperty}`)) {
+        continue;
+      }
+
       let message = '';
       let type = 'schema_error';
 
@@ -99,6 +151,9 @@ class SchemaValidator {
         
         case 'additionalProperties':
           message = `Propriété non autorisée: "${error.params.additionalProperty}"`;
+          if (!error.instancePath && !this.pluginsEnabled) {
+            message += ' (section de plugin ? les plugins ne sont chargés qu\'avec --plugins)';
+          }
           type = 'unknown_property';
           break;
         
@@ -211,7 +266,11 @@ class SchemaValidator {
       'laravel': ['php']
     };
 
-    for (const framework of frameworks) {
+    for (const entry of frameworks) {
+      // Un framework peut être un nom ou un objet { name, confidence, evidence }
+      const framework = typeof entry === 'string' ? entry : entry.name;
+      if (typeof framework !== 'string') continue;
+
       const expectedLanguages = frameworkLanguageMap[framework.toLowerCase()];
       if (expectedLanguages) {
         const hasCompatibleLanguage = expectedLanguages.some(lang => languages.includes(lang));
@@ -254,6 +313,20 @@ class SchemaValidator {
         path: '/architecture'
       });
     }
+
+    // Une alternative ne doit pas être plus probable que le pattern retenu
+    if (typeof arch.confidence === 'number' && Array.isArray(arch.alternatives)) {
+      arch.alternatives.forEach((alternative, index) => {
+        if (typeof alternative.confidence === 'number' && alternative.confidence > arch.confidence) {
+          this.warnings.push({
+            type: 'architecture_alternative_ranking',
+            message: `L'alternative ${alternative.pattern} a une confiance supérieure au pattern ${arch.pattern}`,
+            file: filePath,
+            path: `/architecture/alternatives/${index}`
+          });
+        }
+      });
+    }
   }
 
   /**
@@ -355,11 +428,13 @@ class SchemaValidator {
 
     const deps = lmayData.dependencies;
 
-    // Vérifier les dépendances externes
-    if (deps.external) {
-      for (let i = 0; i < deps.external.length; i++) {
-        const dep = deps.external[i];
-        this.validateExternalDependency(dep, i, filePath);
+    // Vérifier les dépendances externes (format plat ou séparé runtime/dev)
+    for (const scope of ['external', 'runtime', 'dev']) {
+      if (deps[scope]) {
+        for (let i = 0; i < deps[scope].length; i++) {
+          const dep = deps[scope][i];
+          this.validateExternalDependency(dep, i, filePath, scope);
+        }
       }
     }
 
@@ -375,8 +450,8 @@ class SchemaValidator {
   /**
    * Valide une dépendance externe
    */
-  validateExternalDependency(dep, index, filePath) {
-    const basePath = `/dependencies/external/${index}`;
+  validateExternalDependency(dep, index, filePath, scope = 'external') {
+    const basePath = `/dependencies/${scope}/${index}`;
 
     // Vérifier les versions étranges
     if (dep.version) {
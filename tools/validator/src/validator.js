@@ -2,19 +2,26 @@ const YAMLValidator = require('./yaml-validator');
 const SchemaValidator = require('./schema-validator');
 const ReferenceValidator = require('./reference-validator');
 const path = require('path');
+const fs = require('fs');
 
 class LMAYValidator {
   constructor(options = {}) {
+    const { logger, ...validationOptions } = options;
     this.options = {
       strict: false,
       checkReferences: true,
       checkHierarchy: true,
-      ...options
+      // Plugins du projet dont les sections sont validées : false (aucun code chargé),
+      // true (tous) ou liste des entrées autorisées
+      plugins: false,
+      ...validationOptions
     };
+    // Progression et avertissements : console par défaut, ou tout objet { log, warn, error }
+    this.logger = logger || console;
 
     this.yamlValidator = new YAMLValidator();
-    this.schemaValidator = new SchemaValidator();
-    this.referenceValidator = new ReferenceValidator();
+    this.schemaValidator = new SchemaValidator({ logger: this.logger });
+    this.referenceValidator = new ReferenceValidator({ logger: this.logger });
 
     this.results = {
       valid: false,
@@ -26,11 +33,13 @@ class LMAYValidator {
 
   /**
    * Valide un fichier LMAY unique
+   * @param {string} projectPath - racine du projet dont les plugins déclarent des sections,
+   * avec l'option `plugins` (par défaut, le plus proche répertoire parent contenant un root.lmay)
    */
-  async validateFile(filePath) {
+  async validateFile(filePath, projectPath) {
     this.resetResults();
     
-    console.log(`🔍 Validation du fichier: ${filePath}`);
+    this.logger.log(`🔍 Validation du fichier: ${filePath}`);
 
     // 1. Validation syntaxique YAML
     const parsedContent = await this.yamlValidator.validateFile(filePath);
@@ -41,40 +50,56 @@ class LMAYValidator {
     }
 
     // 2. Validation sémantique contre le schéma
+    if (this.options.plugins) {
+      this.schemaValidator.usePlugins(projectPath || this.findProjectRoot(filePath), this.options.plugins);
+    }
     this.schemaValidator.validateLMAY(parsedContent, filePath);
     this.mergeResults(this.schemaValidator.generateReport(), 'schema');
 
     return this.finalizeResults();
   }
 
+  /**
+   * Racine du projet d'un fichier : plus proche répertoire contenant un root.lmay
+   */
+  findProjectRoot(filePath) {
+    const start = path.dirname(path.resolve(filePath));
+    for (let dir = start; ; dir = path.dirname(dir)) {
+      if (fs.existsSync(path.join(dir, 'root.lmay'))) return dir;
+      if (path.dirname(dir) === dir) return start;
+    }
+  }
+
   /**
    * Valide un projet LMAY complet
    */
   async validateProject(projectPath, rootFile = 'root.lmay') {
     this.resetResults();
+    // Chemins absolus : les fichiers listés par le moteur d'exclusion le sont aussi
+    projectPath = path.resolve(projectPath);
     
-    console.log(`🔍 Validation du projet: ${projectPath}`);
+    this.logger.log(`🔍 Validation du projet: ${projectPath}`);
 
     const rootFilePath = path.join(projectPath, rootFile);
 
     // 1. Valider le fichier racine
-    const rootValid = await this.validateFile(rootFilePath);
+    const rootValid = await this.validateFile(rootFilePath, projectPath);
     
     if (!rootValid.valid && !this.options.strict) {
-      console.log('❌ Fichier racine invalide, arrêt de la validation');
+      this.logger.log('❌ Fichier racine invalide, arrêt de la validation');
       return this.finalizeResults();
     }
 
     // 2. Validation des références (si activée)
     if (this.options.checkReferences) {
-      console.log('🔗 Validation des références...');
+      this.logger.log('🔗 Validation des références...');
       await this.referenceValidator.validateProject(projectPath, rootFile);
       this.mergeResults(this.referenceValidator.generateReport(), 'references');
     }
 
     // 3. Validation de la hiérarchie (si activée)
     if (this.options.checkHierarchy) {
-      console.log('🌳 Validation de la hiérarchie...');
+      this.logger.log('🌳 Validation de la hiérarchie...');
       await this.validateHierarchy(projectPath, rootFile);
     }
 
@@ -118,7 +143,7 @@ class LMAYValidator {
   /**
    * Construit l'arbre hiérarchique du projet
    */
-  async buildHierarchyTree(projectPath, rootFile, visited = new Set()) {
+  async buildHierarchyTree(projectPath, rootFile, visited = new Set(), depth = 0) {
     const rootPath = path.join(projectPath, rootFile);
     
     if (visited.has(rootPath)) {
@@ -136,7 +161,7 @@ class LMAYValidator {
       file: rootPath,
       data: parsedContent,
       children: [],
-      depth: 0,
+      depth,
       parent: null
     };
 
@@ -149,11 +174,11 @@ class LMAYValidator {
             const childNode = await this.buildHierarchyTree(
               projectPath, 
               path.relative(projectPath, childPath), 
-              new Set(visited)
+              new Set(visited),
+              depth + 1
             );
             
             childNode.parent = node;
-            childNode.depth = node.depth + 1;
             childNode.parentKey = itemName;
             
             node.children.push(childNode);
@@ -193,13 +193,13 @@ class YAMLValidator {
         continue;
       }
 
-      // Extraire la clé
-      const keyMatch = trimmedLine.match(/^([^:]+):/);
+      // Extraire la clé (y compris la première clé d'un élément de liste : `- path: ...`)
+      const keyMatch = trimmedLine.replace(/^-\s+/, '').match(/^([^:]+):/);
       if (keyMatch) {
         const key = keyMatch[1].trim();
         
-        // Vérifier la convention de nommage snake_case
-        if (!/^[a-z][a-z0-9_]*$/.test(key)) {
+        // Vérifier la convention de nommage snake_case (les clés de structure imbriquées sont des chemins : src/utils)
+        if (!/^[a-z][a-z0-9_]*$/.test(key) && !/^[a-z][a-z0-9_]*(\/[a-z][a-z0-9_]*)+$/.test(key)) {
           this.warnings.push({
             type: 'key_naming_convention',
             message: `Clé "${key}" ne suit pas la convention snake_case`,
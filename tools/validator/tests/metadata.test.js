@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LMAYValidator = require('../src/validator');
+
+function validate(t, metadata) {
+  t.mock.method(console, 'log', () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'lmay-validator-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'root.lmay'), [
+    "lmay_version: '1.0'",
+    'project:',
+    '  name: shop',
+    '  description: Online shop',
+    'structure:',
+    '  src:',
+    '    path: src',
+    '    type: directory',
+    ...metadata,
+    ''
+  ].join('\n'));
+
+  return new LMAYValidator().validateFile(path.join(root, 'root.lmay'));
+}
+
+test('metadata.description_sources est une liste de { path, source } sans avertissement de nommage', async t => {
+  const result = await validate(t, [
+    'metadata:',
+    '  description_sources:',
+    '    - path: /project/description',
+    '      source: package.json'
+  ]);
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.warnings.filter(warning => warning.type === 'key_naming_convention'), []);
+});
+
+test('l\'ancienne forme indexée par chemin est refusée', async t => {
+  const result = await validate(t, [
+    'metadata:',
+    '  description_sources:',
+    '    /project/description: package.json'
+  ]);
+
+  assert.strictEqual(result.valid, false);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LMAYValidator = require('../src/validator');
+
+const PLUGIN = `
+globalThis.lmayPluginLoads = (globalThis.lmayPluginLoads || 0) + 1;
+module.exports = {
+  name: 'owners',
+  section: 'owners',
+  emit: () => undefined,
+  schema: { type: 'array', items: { type: 'string' } }
+};
+`;
+
+function createProject(owners) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'lmay-validator-'));
+  test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  fs.mkdirSync(path.join(root, 'lmay'));
+  fs.writeFileSync(path.join(root, 'lmay/owners.js'), PLUGIN);
+  fs.writeFileSync(path.join(root, 'lmay.config.json'), JSON.stringify({ plugins: ['./lmay/owners.js'] }));
+  fs.writeFileSync(path.join(root, 'root.lmay'), [
+    "lmay_version: '1.0'",
+    'project:',
+    '  name: shop',
+    '  description: Online shop',
+    'structure:',
+    '  src:',
+    '    path: src',
+    '    type: directory',
+    `owners: ${JSON.stringify(owners)}`,
+    ''
+  ].join('\n'));
+  return root;
+}
+
+const quiet = t => t.mock.method(console, 'log', () => {});
+
+test('sans option, aucun plugin du projet n\'est chargé', async t => {
+  quiet(t);
+  const root = createProject(['payments']);
+  const loads = globalThis.lmayPluginLoads || 0;
+
+  const result = await new LMAYValidator().validateFile(path.join(root, 'root.lmay'));
+
+  assert.strictEqual(globalThis.lmayPluginLoads || 0, loads);
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors.map(error => error.type), ['unknown_property']);
+  assert.match(result.errors[0].message, /"owners".*--plugins/);
+});
+
+test('avec plugins: true, les sections sont validées selon le schéma du plugin', async t => {
+  quiet(t);
+  const validRoot = createProject(['payments']);
+  const invalidRoot = createProject([42]);
+
+  const valid = await new LMAYValidator({ plugins: true }).validateFile(path.join(validRoot, 'root.lmay'));
+  const invalid = await new LMAYValidator({ plugins: true }).validateFile(path.join(invalidRoot, 'root.lmay'));
+
+  assert.deepStrictEqual(valid.errors, []);
+  assert.strictEqual(valid.valid, true);
+  assert.strictEqual(invalid.valid, false);
+  assert.strictEqual(invalid.errors[0].path, '/owners/0');
+});
+
+test('une liste d\'entrées autorisées ne charge que les plugins listés', async t => {
+  quiet(t);
+  const root = createProject(['payments']);
+  const loads = globalThis.lmayPluginLoads || 0;
+
+  const other = await new LMAYValidator({ plugins: ['lmay-plugin-security'] }).validateFile(path.join(root, 'root.lmay'));
+  assert.strictEqual(globalThis.lmayPluginLoads || 0, loads);
+  assert.strictEqual(other.valid, false);
+
+  const listed = await new LMAYValidator({ plugins: ['./lmay/owners.js'] }).validateFile(path.join(root, 'root.lmay'));
+  assert.strictEqual(globalThis.lmayPluginLoads, loads + 1);
+  assert.strictEqual(listed.valid, true);
+});
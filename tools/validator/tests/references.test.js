@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LMAYValidator = require('../src/validator');
+
+test('un chemin de projet relatif ne charge le fichier racine qu\'une fois', async t => {
+  t.mock.method(console, 'log', () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'lmay-validator-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'root.lmay'), [
+    "lmay_version: '1.0'",
+    'project:',
+    '  name: shop',
+    '  description: Online shop',
+    'structure:',
+    '  src:',
+    '    path: src',
+    '    type: directory',
+    '  config:',
+    '    path: config',
+    '    type: directory',
+    ''
+  ].join('\n'));
+
+  const result = await new LMAYValidator().validateProject(path.relative(process.cwd(), root));
+
+  const missing = result.errors.filter(error => error.type === 'referenced_path_not_found');
+  assert.strictEqual(missing.length, 1);
+  assert.strictEqual(missing[0].file, path.join(root, 'root.lmay'));
+  assert.deepStrictEqual(result.warnings.filter(warning => warning.type === 'orphan_lmay_file'), []);
+});